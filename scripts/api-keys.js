@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * API Key Management Script
+ *
+ * Creates, lists and revokes the API keys of the REST proxy. Keys are stored
+ * hashed (data/api-keys.json, or the Supabase api_keys table when
+ * SUPABASE_SERVICE_KEY is set); a new key is printed once and cannot be shown again.
+ *
+ * Usage:
+ *   node scripts/api-keys.js <create|list|revoke> [options]
+ */
+
+import ApiAuth, { SCOPES } from '../src/utils/ApiAuth.js';
+
+// Parse command line args
+const args = process.argv.slice(2);
+const command = args.find((a) => !a.startsWith('-'));
+const option = (name) => args.find((a) => a.startsWith(`--${name}=`))?.split('=')[1];
+const flags = {
+  name: option('name'),
+  scopes: option('scopes')?.split(',') || ['read:*'],
+  rateLimit: option('rate-limit') ? parseInt(option('rate-limit'), 10) : null,
+  id: option('id'),
+  help: !command || args.includes('--help') || args.includes('-h'),
+};
+
+if (flags.help) {
+  console.log(`
+API Key Management
+==================
+
+Keys for the REST proxy (npm run rest). Send them as X-API-Key: <key>
+or Authorization: Bearer <key>.
+
+Usage:
+  node scripts/api-keys.js <command> [options]
+
+Commands:
+  create             Create a key (printed once)
+  list               List keys (never shows the keys themselves)
+  revoke             Revoke a key
+
+Options:
+  --name=X           create: who the key is for
+  --scopes=X         create: comma-separated scopes (default: read:*)
+  --rate-limit=N     create: requests per minute (default: auth.defaultRateLimit)
+  --id=X             revoke: key id (from list)
+  --help, -h         Show this help message
+
+Scopes:
+${Object.entries(SCOPES)
+  .map(([scope, description]) => `  ${scope.padEnd(18)} ${description}`)
+  .join('\n')}
+  <level>:*          All scopes of a level, e.g. write:*
+  *                  Everything
+
+Examples:
+  # Key for ChatGPT actions that may search and learn
+  npm run keys -- create --name=chatgpt --scopes=read:*,write:learn
+
+  # Key for the harvest workflow
+  npm run keys -- create --name=github-actions --scopes=admin:harvest --rate-limit=10
+`);
+  process.exit(0);
+}
+
+async function main() {
+  const auth = new ApiAuth();
+
+  if (command === 'create') {
+    const { key, record } = await auth.createKey({
+      name: flags.name,
+      scopes: flags.scopes,
+      rateLimit: flags.rateLimit,
+    });
+    console.log(`🔑 Created key ${record.id} for "${record.name}" in ${auth.store.name}`);
+    console.log(`   Scopes: ${record.scopes.join(', ')}`);
+    console.log(`   Rate limit: ${record.rateLimit || auth.defaultRateLimit} requests/minute\n`);
+    console.log(`   ${key}\n`);
+    console.log('⚠️ Store this key now - only its hash is kept');
+  } else if (command === 'list') {
+    const keys = await auth.listKeys();
+    if (keys.length === 0) {
+      console.log(`No keys in ${auth.store.name}`);
+      return;
+    }
+    console.log('| Id | Name | Scopes | Rate limit | Last used | Status |');
+    console.log('|----|------|--------|------------|-----------|--------|');
+    for (const key of keys) {
+      const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+      console.log(
+        `| ${key.id} | ${key.name} | ${key.scopes.join(', ')} | ${key.rateLimit || 'default'} | ${
+          key.lastUsedAt || 'never'
+        } | ${status} |`
+      );
+    }
+  } else if (command === 'revoke') {
+    if (!flags.id) throw new Error('--id is required to revoke a key');
+    const record = await auth.revokeKey(flags.id);
+    if (!record) throw new Error(`No key with id ${flags.id}`);
+    console.log(`🚫 Revoked key ${record.id} ("${record.name}")`);
+    console.log(`   Servers notice within ${auth.cacheMs / 1000} seconds`);
+  } else {
+    throw new Error(`Unknown command "${command}". Use create, list or revoke`);
+  }
+}
+
+// Run
+main().catch((err) => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Search Relevance Evaluation Script
+ *
+ * Runs the golden query set against keyword, vector and hybrid search and scores
+ * the results with MRR, nDCG@k and recall@k. The report is compared with the
+ * committed baseline; the script exits with code 1 when a metric regressed.
+ *
+ * The knowledge base is indexed into a temporary local vector index, so the live
+ * index is never touched.
+ *
+ * Usage:
+ *   node scripts/evaluate-search.js [options]
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import KnowledgeManager from '../src/core/KnowledgeManager.js';
+import RelevanceEvaluator from '../src/core/RelevanceEvaluator.js';
+import { getConfig } from '../src/utils/config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const config = getConfig();
+const resolve = (file) => (path.isAbsolute(file) ? file : path.join(ROOT, file));
+
+// Parse command line args
+const args = process.argv.slice(2);
+const option = (name) => args.find((a) => a.startsWith(`--${name}=`))?.split('=')[1];
+const flags = {
+  golden:
+    option('golden') || config.get('relevance.goldenSet', 'config/relevance/golden-queries.json'),
+  baseline:
+    option('baseline') || config.get('relevance.baseline', 'config/relevance/baseline.json'),
+  out: option('out') || config.get('relevance.report', 'data/relevance-report.json'),
+  modes: option('modes')?.split(','),
+  k: option('k') ? parseInt(option('k'), 10) : undefined,
+  provider: option('provider') || config.get('relevance.embeddingProvider', 'local'),
+  rerank: option('rerank'),
+  tolerance: parseFloat(option('tolerance') || config.get('relevance.tolerance', 0.01)),
+  updateBaseline: args.includes('--update-baseline'),
+  help: args.includes('--help') || args.includes('-h'),
+};
+
+if (flags.help) {
+  console.log(`
+Search Relevance Evaluation
+===========================
+
+Scores keyword, vector and hybrid search against a golden query set and
+compares the result with the baseline report.
+
+Usage:
+  node scripts/evaluate-search.js [options]
+
+Options:
+  --golden=X         Golden set (default: config/relevance/golden-queries.json)
+  --baseline=X       Baseline report (default: config/relevance/baseline.json)
+  --out=X            Where to write the report (default: data/relevance-report.json)
+  --modes=X          Comma-separated subset of keyword,vector,hybrid
+  --k=N              Cut-off for nDCG and recall (default: golden set k, else 10)
+  --provider=X       Embedding provider (default: local TF-IDF, reproducible)
+  --rerank=X         Rerank results (true or a reranker name)
+  --tolerance=N      Allowed drop per metric (default: 0.01)
+  --update-baseline  Save this run as the new baseline
+  --help, -h         Show this help message
+
+Examples:
+  # Check the current search against the baseline
+  npm run eval:search
+
+  # How would the cross-encoder reranker do?
+  node scripts/evaluate-search.js --modes=hybrid --rerank=cross-encoder
+
+  # Accept the current results after an intended change
+  node scripts/evaluate-search.js --update-baseline
+`);
+  process.exit(0);
+}
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+async function main() {
+  console.log('📏 Search Relevance Evaluation');
+  console.log('==============================\n');
+
+  const goldenSet = await RelevanceEvaluator.loadGoldenSet(resolve(flags.golden));
+  console.log(`🎯 Golden set: ${goldenSet.name} (${goldenSet.queries.length} queries)`);
+  console.log(`   Embedding provider: ${flags.provider}\n`);
+
+  const knowledgeManager = new KnowledgeManager();
+  const knowledgeBase = await knowledgeManager.load();
+  const { hybridSearch, cleanup } = await RelevanceEvaluator.createSearch(knowledgeBase, {
+    embeddingProvider: flags.provider,
+  });
+
+  let report;
+  try {
+    const rerank = flags.rerank === 'true' ? true : flags.rerank;
+    const evaluator = new RelevanceEvaluator({
+      hybridSearch,
+      k: flags.k,
+      modes: flags.modes,
+      searchOptions: rerank ? { rerank } : {},
+    });
+    report = await evaluator.evaluate(flags.k ? { ...goldenSet, k: flags.k } : goldenSet);
+  } finally {
+    await cleanup();
+  }
+
+  console.log(`| Mode | MRR | nDCG@${report.k} | Recall@${report.k} |`);
+  console.log('|------|-----|---------|-----------|');
+  for (const [mode, result] of Object.entries(report.modes)) {
+    if (result.skipped) {
+      console.log(`| ${mode} | skipped: ${result.skipped} | | |`);
+      continue;
+    }
+    const { mrr, ndcg, recall } = result.metrics;
+    console.log(`| ${mode} | ${percent(mrr)} | ${percent(ndcg)} | ${percent(recall)} |`);
+  }
+  console.log();
+
+  await RelevanceEvaluator.writeReport(report, resolve(flags.out));
+  console.log(`📄 Report written to ${flags.out}`);
+
+  const baselinePath = resolve(flags.baseline);
+  if (flags.updateBaseline) {
+    await RelevanceEvaluator.writeReport(report, baselinePath);
+    console.log(`📌 Baseline updated: ${flags.baseline}`);
+    return;
+  }
+
+  if (!(await fs.pathExists(baselinePath))) {
+    console.log(`⚠️ No baseline at ${flags.baseline} - create one with --update-baseline`);
+    return;
+  }
+
+  const baseline = await fs.readJson(baselinePath);
+  const comparison = RelevanceEvaluator.compareReports(baseline, report, {
+    tolerance: flags.tolerance,
+  });
+
+  if (comparison.goldenSetChanged) {
+    console.log('⚠️ The golden set changed since the baseline - update the baseline');
+  }
+  if (comparison.configChanged.length > 0) {
+    console.log(`ℹ️ Settings differ from the baseline: ${comparison.configChanged.join(', ')}`);
+  }
+  const delta = (change) => `${percent(change.baseline)} → ${percent(change.current)}`;
+  for (const change of comparison.improvements) {
+    console.log(`   ✅ ${change.mode} ${change.metric}: ${delta(change)}`);
+  }
+  for (const change of comparison.regressions) {
+    console.log(`   ❌ ${change.mode} ${change.metric}: ${delta(change)}`);
+  }
+  for (const query of comparison.queryRegressions) {
+    console.log(`   ↘️ [${query.mode}] "${query.query}" nDCG ${delta(query)}`);
+  }
+
+  if (!comparison.passed) {
+    console.log(`\n❌ ${comparison.regressions.length} metric(s) regressed against the baseline`);
+    process.exit(1);
+  }
+  console.log('\n✅ No regressions against the baseline');
+}
+
+// Run
+main().catch((err) => {
+  console.error('❌ Fatal error:', err);
+  process.exit(1);
+});
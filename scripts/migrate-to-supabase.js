@@ -3,7 +3,8 @@
  * Migrate JSON Knowledge to Supabase
  *
  * This script loads all existing JSON knowledge files and inserts them
- * into Supabase. Run this once after setting up the Supabase schema.
+ * into Supabase. Run this once after setting up the Supabase schema; after that,
+ * scripts/sync-knowledge.js keeps both sides in step.
  *
  * Usage:
  *   node scripts/migrate-to-supabase.js
@@ -2,11 +2,12 @@
 /**
  * Vector Reindex Script
  *
- * Reindexes all knowledge base entries into Pinecone for semantic search.
+ * Reindexes knowledge base entries into the vector backend for semantic search.
  * Run this after updating knowledge JSON files to ensure vectors are in sync.
+ * Only new or changed entries are embedded; vectors of removed entries are deleted.
  *
  * Prerequisites:
- * - PINECONE_API_KEY environment variable
+ * - PINECONE_API_KEY environment variable (not needed with VECTOR_BACKEND=local)
  * - AZURE_OPENAI_* or OPENAI_API_KEY for embeddings
  *
  * Usage:
@@ -14,13 +15,14 @@
  *
  * Options:
  *   --force    Clear all vectors and reindex from scratch
- *   --file     Only reindex a specific knowledge file
+ *   --file     Only reindex a specific knowledge file (nothing is deleted)
  *   --dry-run  Show what would be indexed without doing it
  */
 
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getConfig } from '../src/utils/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -111,7 +113,7 @@ if (flags.help) {
 Vector Reindex Script
 =====================
 
-Reindexes knowledge base entries into Pinecone for semantic search.
+Reindexes knowledge base entries into the vector backend for semantic search.
 
 Usage:
   node scripts/reindex-vectors.js [options]
@@ -119,18 +121,21 @@ Usage:
 Options:
   --force     Clear all vectors and reindex from scratch
   --file=X    Only reindex a specific knowledge file (e.g., --file=theme-analysis.json)
+              Entries from other files are left untouched
   --dry-run   Show what would be indexed without doing it
   --help, -h  Show this help message
 
 Environment Variables:
+  VECTOR_BACKEND                  pinecone (default) or local (file-backed, offline)
   PINECONE_API_KEY                Required for Pinecone
   AZURE_OPENAI_API_KEY            For Azure embeddings
   AZURE_OPENAI_ENDPOINT           Azure endpoint URL
   AZURE_OPENAI_EMBEDDING_DEPLOYMENT  Deployment name (default: text-embedding-ada-002)
   OPENAI_API_KEY                  Alternative: use OpenAI directly
+  EMBEDDING_PROVIDER              auto (default), ollama, openai-compatible, sentence-transformers, ...
 
 Examples:
-  # Reindex everything
+  # Embed new/changed entries, delete removed ones
   node scripts/reindex-vectors.js
 
   # Force full reindex (clears existing vectors)
@@ -153,19 +158,25 @@ async function main() {
   const hasAzure = process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_ENDPOINT;
   const hasOpenAI = process.env.OPENAI_API_KEY;
   const hasPinecone = process.env.PINECONE_API_KEY;
+  const backend = getConfig().get('vector.backend', 'pinecone');
+  const embeddingProvider = getConfig().get('embeddings.provider', 'auto');
 
   console.log('📋 Environment Check:');
-  console.log(`   Pinecone API Key: ${hasPinecone ? '✅' : '❌ Missing PINECONE_API_KEY'}`);
+  console.log(`   Vector backend: ${backend}`);
+  console.log(`   Embedding provider: ${embeddingProvider}`);
+  if (backend === 'pinecone') {
+    console.log(`   Pinecone API Key: ${hasPinecone ? '✅' : '❌ Missing PINECONE_API_KEY'}`);
+  }
   console.log(`   Azure OpenAI: ${hasAzure ? '✅' : '⚠️ Not configured'}`);
   console.log(`   OpenAI: ${hasOpenAI ? '✅' : '⚠️ Not configured'}`);
   console.log();
 
-  if (!hasPinecone) {
+  if (backend === 'pinecone' && !hasPinecone) {
     console.error('❌ PINECONE_API_KEY is required for vector indexing');
     process.exit(1);
   }
 
-  if (!hasAzure && !hasOpenAI) {
+  if (embeddingProvider === 'auto' && !hasAzure && !hasOpenAI) {
     console.warn('⚠️ No embedding API configured - will use local TF-IDF fallback');
     console.warn('   For better semantic search, set AZURE_OPENAI_* or OPENAI_API_KEY\n');
   }
@@ -229,20 +240,27 @@ async function main() {
   const { default: VectorStore } = await import('../src/vector/VectorStore.js');
   const vectorStore = new VectorStore();
 
-  // Initialize (connects to Pinecone)
-  await vectorStore.initialize();
-  console.log('   Connected to Pinecone ✅\n');
+  // Initialize (connects to Pinecone or opens the local index)
+  if (!(await vectorStore.initialize())) {
+    console.error(`❌ Could not initialize ${backend} vector backend`);
+    process.exit(1);
+  }
+  console.log(`   Connected to ${backend} backend ✅\n`);
 
   // Force clear if requested
   if (flags.force) {
     console.log('🗑️ Force flag set - clearing existing vectors...');
-    // Note: Actual clear implementation depends on VectorStore API
-    console.log('   (Clear not implemented - vectors will be upserted)\n');
+    await vectorStore.clear();
+    console.log('   Cleared ✅\n');
   }
 
   // Index each file
   console.log('📤 Indexing knowledge entries...\n');
 
+  // Local TF-IDF vectors depend on a vocabulary built from the whole batch,
+  // so collect every file first and index once
+  const allEntries = [];
+
   for (const file of files) {
     console.log(`   Processing ${file}...`);
     try {
@@ -261,22 +279,35 @@ async function main() {
       // Extract indexable entries
       const entries = extractEntries(data, file);
 
-      // Batch upsert to Pinecone
-      if (entries.length > 0) {
-        await vectorStore.indexDocuments(entries);
-        console.log(`   ✅ Indexed ${entries.length} entries from ${file}`);
-      }
+      allEntries.push(...entries);
+      console.log(`   ✅ Collected ${entries.length} entries from ${file}`);
     } catch (err) {
-      console.error(`   ❌ Failed to index ${file}: ${err.message}`);
+      console.error(`   ❌ Failed to read ${file}: ${err.message}`);
+    }
+  }
+
+  if (allEntries.length > 0) {
+    // A single file is only part of the knowledge base - don't delete the rest
+    const result = await vectorStore.indexDocuments(allEntries, {
+      incremental: !flags.force,
+      prune: !flags.file,
+    });
+    console.log(`\n   ✅ ${result.full ? 'Full rebuild' : 'Incremental reindex'}:`);
+    console.log(`      Added:   ${result.added ?? 0}`);
+    console.log(`      Updated: ${result.updated ?? 0}`);
+    console.log(`      Removed: ${result.removed ?? 0}`);
+    console.log(`      Skipped: ${result.skipped ?? 0}`);
+    if (result.cached) {
+      console.log(`      Reused from embedding cache: ${result.cached}`);
     }
   }
 
   // Get final stats
   console.log('\n📊 Final Statistics:');
   const stats = await vectorStore.getStats();
-  console.log(`   Total vectors: ${stats.totalVectors || 'unknown'}`);
+  console.log(`   Total vectors: ${stats.vectors ?? 'unknown'}`);
   console.log(`   Index status: ${stats.status || 'ready'}`);
-  console.log(`   Embedding provider: ${stats.embeddingProvider || 'unknown'}`);
+  console.log(`   Embedding provider: ${stats.embeddingMode || 'unknown'}`);
 
   console.log('\n✅ Reindex complete!');
 }
@@ -85,6 +85,53 @@ CREATE TABLE IF NOT EXISTS knowledge_gaps (
     resolved_at TIMESTAMP WITH TIME ZONE
 );
 
+-- API keys of the REST proxy (only SHA-256 hashes, see src/storage/ApiKeyStore.js)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,                  -- The id part of mxk_<id>_<secret>
+    name TEXT NOT NULL,                   -- Who the key is for
+    key_hash TEXT NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',  -- 'read:search', 'write:learn', 'admin:harvest', ...
+    rate_limit INTEGER,                   -- Requests per minute, NULL = server default
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Knowledge submitted through /learn while moderation is enabled (src/core/ModerationQueue.js)
+CREATE TABLE IF NOT EXISTS knowledge_submissions (
+    id UUID PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'pending',  -- 'pending', 'approved', 'merged', 'rejected'
+    entry JSONB NOT NULL,                    -- title, content, category, source, sourceUrl, tags, ...
+    provenance JSONB NOT NULL DEFAULT '{}',  -- caller, via, sourceUrl, relevance
+    duplicates JSONB NOT NULL DEFAULT '[]',  -- Near-duplicates found at submit time
+    submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    reviewed_by TEXT,
+    review_note TEXT,
+    knowledge_id TEXT                        -- Published or merged-into knowledge entry
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_submissions_status ON knowledge_submissions(status);
+
+-- Immutable history of knowledge entries (src/core/RevisionLog.js)
+CREATE TABLE IF NOT EXISTS knowledge_revisions (
+    id UUID PRIMARY KEY,
+    entry_id TEXT NOT NULL,                  -- No foreign key: deleted entries keep their history
+    revision INTEGER NOT NULL,               -- 1, 2, ... per entry
+    action TEXT NOT NULL,                    -- 'baseline', 'add', 'update', 'merge', 'delete', 'rollback'
+    file_name TEXT,
+    category TEXT,
+    actor TEXT,                              -- Who made the change
+    source TEXT,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    snapshot JSONB,                          -- The entry after the change; NULL after a delete
+    diff TEXT,                               -- Unified diff against the previous revision
+    UNIQUE (entry_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_revisions_created ON knowledge_revisions(created_at DESC);
+
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at()
 RETURNS TRIGGER AS $$
@@ -132,11 +179,21 @@ ALTER TABLE knowledge ENABLE ROW LEVEL SECURITY;
 ALTER TABLE analytics ENABLE ROW LEVEL SECURITY;
 ALTER TABLE harvest_log ENABLE ROW LEVEL SECURITY;
 ALTER TABLE knowledge_gaps ENABLE ROW LEVEL SECURITY;
+-- No policies on api_keys: only the service role (SUPABASE_SERVICE_KEY) reads it
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+-- Nor on knowledge_submissions: unreviewed content is only read by the server
+ALTER TABLE knowledge_submissions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE knowledge_revisions ENABLE ROW LEVEL SECURITY;
 
 -- Allow public read access (for the API)
 CREATE POLICY "Allow public read" ON knowledge FOR SELECT USING (true);
 CREATE POLICY "Allow public insert" ON knowledge FOR INSERT WITH CHECK (true);
 CREATE POLICY "Allow public update" ON knowledge FOR UPDATE USING (true);
+CREATE POLICY "Allow public delete" ON knowledge FOR DELETE USING (true);
+
+-- Revisions are never changed: no update or delete policies
+CREATE POLICY "Allow public read" ON knowledge_revisions FOR SELECT USING (true);
+CREATE POLICY "Allow public insert" ON knowledge_revisions FOR INSERT WITH CHECK (true);
 
 CREATE POLICY "Allow public read" ON analytics FOR SELECT USING (true);
 CREATE POLICY "Allow public insert" ON analytics FOR INSERT WITH CHECK (true);
@@ -153,3 +210,4 @@ GRANT ALL ON knowledge TO anon, authenticated;
 GRANT ALL ON analytics TO anon, authenticated;
 GRANT ALL ON harvest_log TO anon, authenticated;
 GRANT ALL ON knowledge_gaps TO anon, authenticated;
+GRANT SELECT, INSERT ON knowledge_revisions TO anon, authenticated;
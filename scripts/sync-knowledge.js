@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Knowledge Sync Script
+ *
+ * Syncs the local knowledge/*.json files with the Supabase knowledge table in both
+ * directions: new cloud entries are pulled into the JSON files, local additions are
+ * pushed up, and edits made on one side are copied to the other (KnowledgeSync).
+ *
+ * Usage:
+ *   node scripts/sync-knowledge.js [--dry-run] [--policy=report|local|cloud|newest]
+ *
+ * Environment variables required:
+ *   SUPABASE_URL - Your Supabase project URL
+ *   SUPABASE_ANON_KEY - Your Supabase anon/public key
+ */
+
+import { config } from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import KnowledgeSync, { formatSyncReport, POLICIES } from '../src/core/KnowledgeSync.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+config({ path: path.join(__dirname, '..', '.env') });
+
+// Parse command line args
+const args = process.argv.slice(2);
+const option = (name) => args.find((a) => a.startsWith(`--${name}=`))?.split('=')[1];
+const flags = {
+  dryRun: args.includes('--dry-run'),
+  policy: option('policy'),
+  json: args.includes('--json'),
+  help: args.includes('--help') || args.includes('-h'),
+};
+
+if (flags.help) {
+  console.log(`
+Knowledge Sync
+==============
+
+Two-way sync between knowledge/*.json and the Supabase knowledge table.
+Entries are compared by content_hash; the state of the last sync is kept in
+knowledge.sync.statePath (default data/knowledge-sync.json). Exits with
+code 1 when entries failed to sync or conflicts are left unresolved.
+
+Usage:
+  node scripts/sync-knowledge.js [options]
+
+Options:
+  --dry-run          Report what would change without changing anything
+  --policy=X         Conflict policy: ${POLICIES.join(', ')}
+                     (default: knowledge.sync.conflictPolicy, report)
+  --json             Print the result as JSON
+  --help, -h         Show this help message
+
+Conflict policies:
+  report             Change neither side, list the conflict
+  local              The JSON entry wins
+  cloud              The Supabase row wins
+  newest             The side edited last wins
+
+Examples:
+  # See what a sync would do
+  npm run sync:supabase -- --dry-run
+
+  # Sync, keeping Supabase's version of entries edited on both sides
+  npm run sync:supabase -- --policy=cloud
+`);
+  process.exit(0);
+}
+
+async function main() {
+  const result = await new KnowledgeSync().sync({ dryRun: flags.dryRun, policy: flags.policy });
+
+  console.log(flags.json ? JSON.stringify(result, null, 2) : formatSyncReport(result));
+
+  // Unresolved conflicts and failed entries need attention
+  if (result.errors.length > 0 || result.conflicts.some((c) => c.resolution === 'unresolved')) {
+    process.exit(1);
+  }
+}
+
+// Run
+main().catch((err) => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,176 @@
+/**
+ * AnalysisReport - Scoring, verdicts, recommendations and markdown shared by analyzers
+ *
+ * An analysis is a set of sections, each { score, issues, ...details }. The score is
+ * 0-100, or null when the section doesn't apply to the project (it then doesn't
+ * count). Issues are { severity, message, fix, docRef } with severity critical,
+ * important or suggestion - HIGH, MEDIUM and LOW recommendations.
+ */
+
+const PRIORITIES = { critical: 'HIGH', important: 'MEDIUM', suggestion: 'LOW' };
+const SEVERITY_ORDER = { critical: 0, important: 1, suggestion: 2 };
+
+// JSON Schemas of a verdict and a recommendation, for the OpenAPI spec
+export const VERDICT_SCHEMA = {
+  type: 'object',
+  properties: {
+    check: { type: 'string' },
+    status: { type: 'string', enum: ['PASS', 'WARN', 'FAIL'] },
+    score: { type: 'number' },
+    detail: { type: 'string' },
+  },
+};
+export const RECOMMENDATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    priority: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] },
+    issue: { type: 'string' },
+    recommendation: { type: 'string' },
+    docRef: { type: 'string' },
+  },
+};
+
+/**
+ * Letter grade of a 0-100 score
+ */
+export function gradeFor(score) {
+  if (score >= 90) return 'A';
+  if (score >= 80) return 'B';
+  if (score >= 70) return 'C';
+  if (score >= 60) return 'D';
+  return 'F';
+}
+
+/**
+ * PASS, WARN or FAIL for a section score
+ */
+export function statusFor(score) {
+  return score >= 75 ? 'PASS' : score >= 50 ? 'WARN' : 'FAIL';
+}
+
+/**
+ * Weighted average of the section scores. Sections without a score don't count and
+ * the remaining weights are scaled up, so the result stays 0-100.
+ * @param {Object} sections - name -> { score }
+ * @param {Object} weights - name -> weight; sections without a weight are informational
+ * @returns {number|null} null when no weighted section applies
+ */
+export function weightedScore(sections, weights) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  for (const [name, weight] of Object.entries(weights)) {
+    const score = sections[name]?.score;
+    if (score === null || score === undefined) continue;
+    weightedSum += score * weight;
+    totalWeight += weight;
+  }
+
+  return totalWeight > 0 ? Math.round(weightedSum / totalWeight) : null;
+}
+
+/**
+ * One verdict per weighted section that applies
+ * @param {Object} labels - name -> check label
+ */
+export function sectionVerdicts(sections, weights, labels = {}) {
+  return Object.keys(weights)
+    .filter((name) => sections[name] && sections[name].score !== null)
+    .map((name) => {
+      const { score, issues = [] } = sections[name];
+      return {
+        check: labels[name] || name,
+        status: statusFor(score),
+        score,
+        detail: issues.length > 0 ? issues[0].message : 'No issues found',
+      };
+    });
+}
+
+/**
+ * Recommendations from issues, most severe first
+ */
+export function recommendationsFrom(issues) {
+  return [...issues]
+    .sort((a, b) => (SEVERITY_ORDER[a.severity] ?? 99) - (SEVERITY_ORDER[b.severity] ?? 99))
+    .map((issue) => ({
+      priority: PRIORITIES[issue.severity] || 'LOW',
+      issue: issue.message,
+      recommendation: issue.fix || 'Review and address this issue',
+      docRef: issue.docRef,
+    }));
+}
+
+/**
+ * Markdown summary: grade and verdicts
+ */
+export function formatSummary(report, title = 'Analysis') {
+  let summary = `## ${title} Summary\n\n`;
+  summary += `**Overall Grade: ${report.grade}** (Score: ${report.score}/100)\n\n`;
+
+  summary += `### Verdicts\n\n`;
+  for (const verdict of report.verdicts) {
+    const icon = verdict.status === 'PASS' ? '✅' : verdict.status === 'FAIL' ? '❌' : '⚠️';
+    summary += `${icon} **${verdict.check}**: ${verdict.status} - ${verdict.detail}\n`;
+  }
+
+  return summary;
+}
+
+/**
+ * Markdown report of an analysis: summary, score breakdown and recommendations
+ * @param {Object} report - Result of runAnalyzer()
+ * @param {Object} options - { title, icon, targetLabel, labels, fixSuggestions }
+ */
+export function formatReport(report, options = {}) {
+  const { title = 'Analysis', icon = '🔍', targetLabel = 'Target', labels = {} } = options;
+  const { fixSuggestions = true } = options;
+
+  let text = `# ${icon} ${title} Report\n\n`;
+  text += `**${targetLabel}:** ${report.target}\n`;
+  text += `**Analyzed:** ${report.analyzedAt}\n`;
+  text += `**Analysis Time:** ${report.analysisTimeMs}ms\n\n`;
+
+  text += report.summary;
+
+  text += `\n### Score Breakdown\n\n`;
+  text += `| Category | Score | Weight |\n|----------|-------|--------|\n`;
+  for (const [name, weight] of Object.entries(report.weights)) {
+    const score = report.sections[name]?.score;
+    const value = score === null || score === undefined ? 'n/a' : `${score}/100`;
+    text += `| ${labels[name] || name} | ${value} | ${Math.round(weight * 100)}% |\n`;
+  }
+  text += `\n`;
+
+  const priorities = [
+    ['HIGH', '⚠️ Critical Issues'],
+    ['MEDIUM', '📋 Important Recommendations'],
+    ['LOW', '💡 Suggestions'],
+  ];
+  for (const [priority, heading] of priorities) {
+    const recs = report.recommendations.filter((rec) => rec.priority === priority);
+    if (recs.length === 0) continue;
+
+    text += `## ${heading} (${recs.length})\n\n`;
+    for (const rec of recs) {
+      text += `- **${rec.issue}**`;
+      if (fixSuggestions) text += ` - ${rec.recommendation}`;
+      text += `\n`;
+    }
+    text += `\n`;
+  }
+
+  return text;
+}
+
+export default {
+  VERDICT_SCHEMA,
+  RECOMMENDATION_SCHEMA,
+  gradeFor,
+  statusFor,
+  weightedScore,
+  sectionVerdicts,
+  recommendationsFrom,
+  formatSummary,
+  formatReport,
+};
@@ -0,0 +1,372 @@
+/**
+ * AnalyzerRegistry - Analyzers exposed as MCP tools and REST routes
+ *
+ * An analyzer declares what it reads and what it returns; the servers turn every
+ * registered analyzer into an `analyze_<id>` tool and a `POST /analyze-<id>` route
+ * with the same scoring, verdicts and report formatting (AnalysisReport).
+ *
+ * INPUT TYPES:
+ * - project - Project directory (or .mpr path), for analyzers that read project files
+ * - data    - Project loaded by ProjectLoader (.mpr or extracted data directory)
+ * - file    - A single file: { path, content }
+ *
+ * A definition:
+ *   {
+ *     id: 'theme',                      // tool analyze_theme, route /analyze-theme
+ *     title: 'Theme Analysis',          // report heading
+ *     description: '...',               // tool and route description
+ *     toolDescription: '...',           // appended to the tool description
+ *     input: 'project',                 // see INPUT TYPES
+ *     options: { name: zodSchema },     // extra tool parameters / request body fields
+ *     toolOptions: { ... },             // tool-only parameters
+ *     weights: { section: 0.5, ... },   // sections that count for the score
+ *     labels: { section: 'Label' },     // names in verdicts and the score breakdown
+ *     resultSchema: { ... },            // JSON Schema of `sections`, for the OpenAPI spec
+ *     analyze: async (target, options, context) =>
+ *       ({ sections, verdicts?, recommendations?, summary? }),
+ *     formatDetails: (report, options) => markdown,   // optional, appended to the report
+ *     toResponse: (report, { detailed }) => body,      // optional, the REST response body
+ *     responseSchema: { ... },                         // JSON Schema of that body
+ *     handleTool: async (target, options) => markdown, // optional, answers the tool call
+ *                                                      // instead of analyzing when it returns text
+ *   }
+ *
+ * @version 1.0.0
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { z } from 'zod';
+
+import Logger from '../utils/logger.js';
+import { ValidationError } from '../utils/validator.js';
+import {
+  formatReport,
+  formatSummary,
+  gradeFor,
+  RECOMMENDATION_SCHEMA,
+  recommendationsFrom,
+  sectionVerdicts,
+  VERDICT_SCHEMA,
+  weightedScore,
+} from './AnalysisReport.js';
+import { themeAnalyzer } from './ThemeAnalyzer.js';
+
+const logger = new Logger('AnalyzerRegistry');
+
+export const INPUT_TYPES = {
+  project: {
+    param: 'project_path',
+    label: 'Project',
+    description: 'Path to the Mendix project (.mpr file or project directory)',
+    async resolve(value) {
+      const projectDir = value.endsWith('.mpr') ? path.dirname(value) : value;
+      const stats = await fs.stat(projectDir).catch(() => null);
+      if (!stats?.isDirectory()) {
+        throw new ValidationError(`Project directory not found: ${projectDir}`, 'project_path');
+      }
+      return projectDir;
+    },
+  },
+  data: {
+    param: 'project_path',
+    label: 'Project',
+    description: 'Path to .mpr file or extracted data directory',
+    async resolve(value, { projectLoader }) {
+      if (!projectLoader) throw new Error('A ProjectLoader is needed to load project data');
+      return projectLoader.loadProject(value);
+    },
+  },
+  file: {
+    param: 'file_path',
+    label: 'File',
+    description: 'Path to the file to analyze',
+    async resolve(value) {
+      const content = await fs.readFile(value, 'utf-8').catch(() => null);
+      if (content === null) {
+        throw new ValidationError(`File not found: ${value}`, 'file_path');
+      }
+      return { path: value, content };
+    },
+  },
+};
+
+// Report options every analyzer tool takes
+const REPORT_OPTIONS = {
+  detailed: z
+    .boolean()
+    .optional()
+    .default(true)
+    .describe('Include the detailed breakdown (REST: the sections)'),
+  fix_suggestions: z
+    .boolean()
+    .optional()
+    .default(true)
+    .describe('Include the fix for each recommendation'),
+};
+
+const registry = new Map();
+
+/**
+ * Register an analyzer
+ * @param {Object} definition - See the module comment
+ * @throws {Error} When the definition is incomplete
+ */
+export function registerAnalyzer(definition) {
+  const { id, input, weights, analyze } = definition;
+
+  if (!/^[a-z][a-z0-9-]*$/.test(id || '')) {
+    throw new Error(`Analyzer id "${id}" must be lowercase letters, digits and dashes`);
+  }
+  if (!INPUT_TYPES[input]) {
+    throw new Error(
+      `Analyzer "${id}" has unknown input "${input}". Use: ${Object.keys(INPUT_TYPES).join(', ')}`
+    );
+  }
+  if (typeof analyze !== 'function' || !weights || Object.keys(weights).length === 0) {
+    throw new Error(`Analyzer "${id}" needs an analyze() function and section weights`);
+  }
+
+  registry.set(id, {
+    title: id,
+    options: {},
+    toolOptions: {},
+    labels: {},
+    resultSchema: { type: 'object' },
+    ...definition,
+    tool: `analyze_${id.replace(/-/g, '_')}`,
+    route: `/analyze-${id}`,
+  });
+}
+
+/**
+ * Registered analyzer definitions
+ */
+export function listAnalyzers() {
+  return [...registry.values()];
+}
+
+/**
+ * Definition of one analyzer
+ * @throws {Error} When no analyzer has that id
+ */
+export function getAnalyzer(id) {
+  const definition = registry.get(id);
+  if (!definition) {
+    throw new Error(`Unknown analyzer "${id}". Registered: ${[...registry.keys()].join(', ')}`);
+  }
+  return definition;
+}
+
+/**
+ * Zod shape of an analyzer's parameters
+ * @param {Object} definition - Registered definition
+ * @param {Object} options - { tool: true } to include the tool-only parameters
+ */
+export function parametersOf(definition, { tool = false } = {}) {
+  const input = INPUT_TYPES[definition.input];
+  return {
+    [input.param]: z.string().describe(input.description),
+    ...definition.options,
+    ...REPORT_OPTIONS,
+    ...(tool ? definition.toolOptions : {}),
+  };
+}
+
+/**
+ * JSON Schema of an analyzer's REST request body
+ */
+function requestSchemaOf(definition) {
+  const schema = z.toJSONSchema(z.object(parametersOf(definition)), { io: 'input' });
+  delete schema.$schema;
+  delete schema.properties.fix_suggestions;
+  return schema;
+}
+
+/**
+ * Request body fields for the /tools listing: name -> 'type (required) - description'
+ */
+export function describeParameters(definition) {
+  const { properties, required = [] } = requestSchemaOf(definition);
+  return Object.fromEntries(
+    Object.entries(properties).map(([name, property]) => {
+      const type = property.type || 'string';
+      const presence = required.includes(name) ? 'required' : 'optional';
+      const fallback = property.default === undefined ? '' : ` (default: ${property.default})`;
+      return [name, `${type} (${presence}) - ${property.description || name}${fallback}`];
+    })
+  );
+}
+
+/**
+ * Validate parameters against an analyzer's shape, applying defaults
+ * @throws {ValidationError} With the first problem
+ */
+function parseParameters(definition, params, { tool }) {
+  const parsed = z.object(parametersOf(definition, { tool })).safeParse(params || {});
+  if (!parsed.success) {
+    const [issue] = parsed.error.issues;
+    const field = issue.path.join('.') || INPUT_TYPES[definition.input].param;
+    throw new ValidationError(`${field}: ${issue.message}`, field);
+  }
+  return parsed.data;
+}
+
+/**
+ * Run an analyzer
+ * @param {string} id - Analyzer id
+ * @param {Object} params - Input path, analyzer options and report options
+ * @param {Object} context - { projectLoader } for `data` analyzers
+ * @returns {Promise<Object>} { analyzer, target, analyzedAt, analysisTimeMs, score, grade,
+ *   weights, verdicts, recommendations, summary, sections }
+ * @throws {ValidationError} When parameters are missing or invalid
+ */
+export async function runAnalyzer(id, params, context = {}) {
+  const definition = getAnalyzer(id);
+  const options = parseParameters(definition, params, { tool: false });
+  const target = options[INPUT_TYPES[definition.input].param];
+  const startTime = Date.now();
+
+  const resolved = await INPUT_TYPES[definition.input].resolve(target, context);
+  const result = await definition.analyze(resolved, options, context);
+  if (!result?.sections) {
+    throw new Error(`Analyzer "${id}" returned no sections`);
+  }
+
+  const { sections } = result;
+  const score = weightedScore(sections, definition.weights) ?? 100;
+  const report = {
+    analyzer: id,
+    target,
+    analyzedAt: new Date().toISOString(),
+    analysisTimeMs: 0,
+    score,
+    grade: gradeFor(score),
+    weights: definition.weights,
+    verdicts: result.verdicts ?? sectionVerdicts(sections, definition.weights, definition.labels),
+    recommendations:
+      result.recommendations ??
+      recommendationsFrom(Object.values(sections).flatMap((section) => section.issues || [])),
+    summary: null,
+    sections,
+  };
+  report.summary = result.summary ?? formatSummary(report, definition.title);
+  report.analysisTimeMs = Date.now() - startTime;
+
+  logger.info('Analysis complete', { analyzer: id, score, timeMs: report.analysisTimeMs });
+  return report;
+}
+
+/**
+ * Answer an analyzer tool call with a markdown report
+ * @returns {Promise<string>}
+ */
+export async function runAnalyzerTool(id, params, context = {}) {
+  const definition = getAnalyzer(id);
+  const options = parseParameters(definition, params, { tool: true });
+
+  if (definition.handleTool) {
+    const input = INPUT_TYPES[definition.input];
+    const text = await definition.handleTool(options[input.param], options, context);
+    if (text) return text;
+  }
+
+  const report = await runAnalyzer(id, options, context);
+  let text = formatReport(report, {
+    title: definition.title,
+    icon: definition.icon,
+    targetLabel: INPUT_TYPES[definition.input].label,
+    labels: definition.labels,
+    fixSuggestions: options.fix_suggestions,
+  });
+  if (definition.formatDetails) {
+    text += definition.formatDetails(report, options);
+  }
+  return text;
+}
+
+/**
+ * REST response of a report; the sections only when detailed. Analyzers with a
+ * toResponse() of their own (e.g. to keep an existing route's contract) use it.
+ */
+export function toResponse(report, { detailed = true } = {}) {
+  const definition = getAnalyzer(report.analyzer);
+  if (definition.toResponse) {
+    return definition.toResponse(report, { detailed });
+  }
+
+  const { sections, weights, target, ...rest } = report;
+  return {
+    [INPUT_TYPES[definition.input].param]: target,
+    ...rest,
+    sections: detailed ? sections : undefined,
+  };
+}
+
+/**
+ * OpenAPI paths of the analyzer routes
+ */
+export function openApiPaths() {
+  const paths = {};
+  for (const definition of listAnalyzers()) {
+    const requestSchema = requestSchemaOf(definition);
+
+    paths[definition.route] = {
+      post: {
+        operationId: `analyze${definition.id
+          .split('-')
+          .map((part) => part[0].toUpperCase() + part.slice(1))
+          .join('')}`,
+        summary: definition.title,
+        description: `${definition.description} Only available when running locally.`,
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: requestSchema } },
+        },
+        responses: {
+          200: {
+            description: `${definition.title} report`,
+            content: {
+              'application/json': {
+                schema: definition.responseSchema || {
+                  type: 'object',
+                  properties: {
+                    [INPUT_TYPES[definition.input].param]: { type: 'string' },
+                    analyzer: { type: 'string' },
+                    analyzedAt: { type: 'string', format: 'date-time' },
+                    analysisTimeMs: { type: 'integer' },
+                    score: { type: 'number', description: 'Weighted score 0-100' },
+                    grade: { type: 'string', enum: ['A', 'B', 'C', 'D', 'F'] },
+                    verdicts: { type: 'array', items: VERDICT_SCHEMA },
+                    recommendations: { type: 'array', items: RECOMMENDATION_SCHEMA },
+                    summary: { type: 'string', description: 'Markdown summary' },
+                    sections: definition.resultSchema,
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Missing or invalid parameters, or path not found' },
+          500: { description: 'Analysis error' },
+          501: { description: 'Not available in cloud deployments (needs local files)' },
+        },
+      },
+    };
+  }
+  return paths;
+}
+
+registerAnalyzer(themeAnalyzer);
+
+export default {
+  INPUT_TYPES,
+  registerAnalyzer,
+  listAnalyzers,
+  getAnalyzer,
+  parametersOf,
+  describeParameters,
+  runAnalyzer,
+  runAnalyzerTool,
+  toResponse,
+  openApiPaths,
+};
@@ -0,0 +1,301 @@
+/**
+ * Mendix Design Tokens
+ *
+ * Round trip between a theme's SCSS variables and W3C Design Tokens JSON
+ * (https://www.designtokens.org/tr/drafts/format/), so tokens kept in Figma or
+ * Style Dictionary can flow into an Atlas theme and back.
+ *
+ * EXPORT: variables of custom-variables.scss (and the file it imports, like
+ *         ThemeAnalyzer) become flat tokens named after the variable. Plain values
+ *         are typed (color, dimension, fontFamily, fontWeight, duration, number),
+ *         `$a: $b` becomes an alias, a `//` comment becomes the description.
+ *         Expressions (lighten(), math, maps) have no token form and are skipped.
+ *
+ * IMPORT: tokens (flat or grouped - group names are joined with "-") are written
+ *         to custom-variables.scss: existing definitions are updated in place,
+ *         new ones are appended. Like ThemeFixer it returns a patch and only
+ *         writes when asked.
+ *
+ * @version 1.0.0
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import Logger from '../utils/logger.js';
+import { parseVariables } from '../utils/ScssVariables.js';
+import { createPatch } from '../utils/UnifiedDiff.js';
+import { ValidationError } from '../utils/validator.js';
+import ThemeAnalyzer from './ThemeAnalyzer.js';
+
+const logger = new Logger('DesignTokens');
+
+const VARIABLES_FILE = 'theme/web/custom-variables.scss';
+const IMPORT_HEADER = '// Design tokens';
+
+const COLOR = /^(#[0-9a-fA-F]{3,8}|(rgba?|hsla?)\([^)]*\))$/;
+const DIMENSION = /^-?(\d+|\d*\.\d+)(px|rem)$/;
+const DURATION = /^(\d+|\d*\.\d+)(ms|s)$/;
+const NUMBER = /^-?(\d+|\d*\.\d+)$/;
+const FONT_WEIGHTS = ['normal', 'bold', 'lighter', 'bolder'];
+
+/**
+ * W3C token type of a plain SCSS value, or null when it has no token form
+ */
+export function tokenTypeOf(name, value) {
+  if (COLOR.test(value)) return 'color';
+  if (/font-weight/.test(name) && (NUMBER.test(value) || FONT_WEIGHTS.includes(value))) {
+    return 'fontWeight';
+  }
+  if (DIMENSION.test(value)) return 'dimension';
+  if (DURATION.test(value)) return 'duration';
+  if (NUMBER.test(value)) return 'number';
+  if (/font-family/.test(name) && /^[\w\s"',-]+$/.test(value)) return 'fontFamily';
+  return null;
+}
+
+/**
+ * SCSS value of a token value (string or the object forms of the format)
+ */
+function scssValueOf(type, value, resolveAlias) {
+  if (typeof value === 'string' && /^\{[^}]+\}$/.test(value)) {
+    return resolveAlias(value.slice(1, -1));
+  }
+
+  switch (type) {
+    case 'color':
+      if (typeof value === 'object' && value !== null) {
+        if (value.hex) return value.hex;
+        if (value.colorSpace === 'srgb' && Array.isArray(value.components)) {
+          const [r, g, b] = value.components.map((c) => Math.round(c * 255));
+          return value.alpha !== undefined && value.alpha < 1
+            ? `rgba(${r}, ${g}, ${b}, ${value.alpha})`
+            : `rgb(${r}, ${g}, ${b})`;
+        }
+        return null;
+      }
+      return COLOR.test(String(value)) ? String(value) : null;
+    case 'dimension':
+    case 'duration':
+      if (typeof value === 'object' && value !== null) return `${value.value}${value.unit}`;
+      return String(value);
+    case 'fontFamily':
+      return (Array.isArray(value) ? value : [value])
+        .map((family) => (/\s/.test(family) ? `"${family}"` : family))
+        .join(', ');
+    case 'fontWeight':
+    case 'number':
+      return String(value);
+    default:
+      return null;
+  }
+}
+
+class DesignTokens {
+  /**
+   * @param {Object} options
+   * @param {ThemeAnalyzer} options.analyzer - Resolves the variables file like the analysis does
+   */
+  constructor(options = {}) {
+    this.analyzer = options.analyzer || new ThemeAnalyzer();
+  }
+
+  /**
+   * Design tokens from an object, a JSON string or the path of a .json file
+   * @throws {ValidationError} When the source is not a JSON object
+   */
+  static async readTokens(source) {
+    let tokens = source;
+    if (typeof source === 'string') {
+      const text = source.trim().startsWith('{') ? source : await fs.readFile(source, 'utf-8');
+      try {
+        tokens = JSON.parse(text);
+      } catch (error) {
+        throw new ValidationError(`Design tokens are not valid JSON: ${error.message}`, 'tokens');
+      }
+    }
+
+    if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+      throw new ValidationError('Design tokens must be a JSON object', 'tokens');
+    }
+    return tokens;
+  }
+
+  /**
+   * Export theme variables as W3C design tokens
+   * @param {string} projectPath - Path to .mpr file or project directory
+   * @param {Object} options - { outputPath } to also save the tokens as JSON
+   * @returns {Promise<Object>} { tokens, sources, exported, skipped: [{ name, value, reason }] }
+   */
+  async exportTokens(projectPath, { outputPath } = {}) {
+    const projectDir = projectPath.endsWith('.mpr') ? path.dirname(projectPath) : projectPath;
+    const variablesPath = path.join(projectDir, VARIABLES_FILE);
+
+    const own = await this.analyzer.safeReadFile(variablesPath);
+    if (own === null) {
+      throw new Error(`${VARIABLES_FILE} not found in ${projectDir}`);
+    }
+
+    // Imported variables first, so custom-variables.scss overrides them
+    const { content, resolvedPath } = await this.analyzer.resolveVariablesContent(
+      projectDir,
+      variablesPath
+    );
+    const sources = [...new Set([resolvedPath.split(path.sep).join('/'), VARIABLES_FILE])];
+    const variables = new Map([
+      ...(content === own ? [] : parseVariables(content)),
+      ...parseVariables(own),
+    ]);
+
+    const tokens = {};
+    const skipped = [];
+    const aliases = [];
+
+    for (const [name, { value, description }] of variables) {
+      if (/^\$[\w-]+$/.test(value)) {
+        aliases.push([name, value.slice(1), description]);
+        continue;
+      }
+
+      const type = tokenTypeOf(name, value);
+      if (!type) {
+        skipped.push({ name: `$${name}`, value, reason: 'no design token form' });
+        continue;
+      }
+
+      const tokenValue =
+        type === 'fontFamily'
+          ? value.split(',').map((family) => family.trim().replace(/^["']|["']$/g, ''))
+          : value;
+      tokens[name] = { $value: tokenValue, $type: type };
+      if (description) tokens[name].$description = description;
+    }
+
+    // Aliases of aliases resolve once their target is in
+    let pending = aliases;
+    for (let changed = true; changed && pending.length > 0; ) {
+      changed = false;
+      pending = pending.filter(([name, target, description]) => {
+        if (!tokens[target]) return true;
+        tokens[name] = { $value: `{${target}}`, $type: tokens[target].$type };
+        if (description) tokens[name].$description = description;
+        changed = true;
+        return false;
+      });
+    }
+    for (const [name, target] of pending) {
+      const reason = variables.has(target)
+        ? `refers to $${target}, which has no design token form`
+        : `refers to $${target}, which is not defined in the theme`;
+      skipped.push({ name: `$${name}`, value: `$${target}`, reason });
+    }
+
+    if (outputPath) {
+      await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+      await fs.writeFile(outputPath, `${JSON.stringify(tokens, null, 2)}\n`, 'utf-8');
+      logger.info('Exported design tokens', { outputPath, tokens: Object.keys(tokens).length });
+    }
+
+    return { tokens, sources, exported: Object.keys(tokens).length, skipped };
+  }
+
+  /**
+   * Import W3C design tokens into custom-variables.scss
+   * @param {string} projectPath - Path to .mpr file or project directory
+   * @param {Object|string} source - Design tokens document, JSON string or .json file path
+   * @param {Object} options - { write } to write the file; otherwise only the patch is returned
+   * @returns {Promise<Object>} { file, added, updated, unchanged, skipped, patch, written }
+   */
+  async importTokens(projectPath, source, { write = false } = {}) {
+    const tokens = await DesignTokens.readTokens(source);
+
+    const projectDir = projectPath.endsWith('.mpr') ? path.dirname(projectPath) : projectPath;
+    const fullPath = path.join(projectDir, VARIABLES_FILE);
+    const before = await this.analyzer.safeReadFile(fullPath);
+
+    const flat = this.flatten(tokens);
+    const resolveAlias = (reference) => `$${reference.split('.').join('-')}`;
+
+    const values = [];
+    const skipped = [];
+    for (const [name, token] of flat) {
+      const value = scssValueOf(token.$type, token.$value, resolveAlias);
+      if (value === null) {
+        skipped.push({ name, type: token.$type || null, reason: 'no SCSS form' });
+      } else {
+        values.push({ name, value, description: token.$description });
+      }
+    }
+
+    const lines = (before ?? '').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    const existing = parseVariables(before);
+    const added = [];
+    const updated = [];
+    const unchanged = [];
+
+    for (const { name, value, description } of values) {
+      const current = existing.get(name);
+      if (current?.value === value) {
+        unchanged.push(`$${name}`);
+      } else if (current) {
+        const pattern = new RegExp(
+          `^(\\s*\\$${name}\\s*:\\s*).+?(\\s*(?:!default|!global)*\\s*;)`
+        );
+        const index = lines.findIndex((line) => pattern.test(line));
+        lines[index] = lines[index].replace(pattern, (match, head, tail) => head + value + tail);
+        updated.push(`$${name}`);
+      } else {
+        if (added.length === 0) {
+          if (lines.length > 0 && lines[lines.length - 1].trim() !== '') lines.push('');
+          if (!lines.includes(IMPORT_HEADER)) lines.push(IMPORT_HEADER);
+        }
+        if (description) lines.push(`// ${description}`);
+        lines.push(`$${name}: ${value};`);
+        added.push(`$${name}`);
+      }
+    }
+
+    const after = lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    const patch = createPatch(VARIABLES_FILE, before, after);
+
+    if (write && patch) {
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, after, 'utf-8');
+      logger.info('Imported design tokens', { added: added.length, updated: updated.length });
+    }
+
+    return {
+      file: VARIABLES_FILE,
+      added,
+      updated,
+      unchanged,
+      skipped,
+      patch,
+      written: Boolean(write && patch),
+    };
+  }
+
+  /**
+   * Tokens of a (possibly grouped) document as [variable name, token], with group
+   * $type inherited and group names joined by "-"
+   */
+  flatten(group, prefix = [], inheritedType = undefined) {
+    const type = group.$type ?? inheritedType;
+    const result = [];
+
+    for (const [key, child] of Object.entries(group)) {
+      if (key.startsWith('$') || !child || typeof child !== 'object') continue;
+
+      if ('$value' in child) {
+        result.push([[...prefix, key].join('-'), { ...child, $type: child.$type ?? type }]);
+      } else {
+        result.push(...this.flatten(child, [...prefix, key], type));
+      }
+    }
+
+    return result;
+  }
+}
+
+export default DesignTokens;
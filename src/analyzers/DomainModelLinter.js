@@ -0,0 +1,388 @@
+/**
+ * Mendix Domain Model Linter
+ *
+ * Checks the domain models loaded by ProjectLoader against a rule set. Rule sets
+ * are JSON files in config/domain-model-rules/ (or any path, for local callers) so
+ * each team can enable, disable and tune rules without code changes:
+ *
+ *   {
+ *     "name": "my-team",
+ *     "extends": "default",
+ *     "rules": { "oversized-entity": { "maxAttributes": 25 }, "missing-index": { "enabled": false } }
+ *   }
+ *
+ * BUILT-IN RULES:
+ * 1. missing-access-rules             - Entity without any access rule
+ * 2. missing-index                    - Association-heavy entity with unindexed key attributes
+ * 3. many-to-many-owner               - Reference set without a single owner
+ * 4. oversized-entity                 - More attributes than maxAttributes
+ * 5. unjustified-calculated-attribute - Calculated attribute without documentation
+ * 6. unsafe-delete-behavior           - Cascading deletes, prevent-delete without a message
+ *
+ * @version 1.0.0
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Logger from '../utils/logger.js';
+import { ValidationError } from '../utils/validator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RULE_SET_DIR = path.join(__dirname, '..', '..', 'config', 'domain-model-rules');
+const RULE_SET_NAME = /^[\w-]+$/;
+
+const logger = new Logger('DomainModelLinter');
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low', 'info'];
+
+const KEY_ATTRIBUTE_TYPES = [
+  'DomainModels$StringAttributeType',
+  'DomainModels$IntegerAttributeType',
+  'DomainModels$LongAttributeType',
+  'DomainModels$AutoNumberAttributeType',
+  'DomainModels$EnumerationAttributeType',
+];
+
+/**
+ * Unqualified name - "Sales.Customer" → "Customer", "Sales.Customer.Name" → "Name"
+ */
+function shortName(name) {
+  return typeof name === 'string' ? name.split('.').pop() : name;
+}
+
+/**
+ * Does a Texts$Text (or plain string) contain any translation?
+ */
+function hasText(text) {
+  if (typeof text === 'string') return text.trim().length > 0;
+  return (text?.translations || []).some((t) => (t.text || '').trim().length > 0);
+}
+
+/**
+ * Persistable unless the entity explicitly says otherwise
+ */
+function isPersistable(entity) {
+  return entity.generalization?.persistable !== false;
+}
+
+const RULES = {
+  'missing-access-rules': {
+    title: 'Entity without access rules',
+    checkEntity(entity, settings) {
+      if (settings.ignoreNonPersistable && !isPersistable(entity)) return [];
+      if ((entity.accessRules || []).length > 0) return [];
+
+      return [
+        {
+          message: `${entity.name} has no access rules - no user role can read or write it`,
+          fix: 'Add access rules per module role (read/write per attribute, XPath constraints for row-level security)',
+        },
+      ];
+    },
+  },
+
+  'missing-index': {
+    title: 'Missing index on association-heavy entity',
+    checkEntity(entity, settings, { associationCount }) {
+      const count = associationCount(entity.name);
+      if (!isPersistable(entity) || count < settings.minAssociations) return [];
+
+      const indexed = new Set(
+        (entity.indexes || []).flatMap((index) =>
+          (index.attributes || []).map((a) => shortName(a.attribute || a.attributeName || a))
+        )
+      );
+      const keyPattern = new RegExp(settings.keyAttributePattern);
+      const candidates = (entity.attributes || []).filter(
+        (attr) =>
+          KEY_ATTRIBUTE_TYPES.includes(attr.type?.$Type) &&
+          keyPattern.test(attr.name) &&
+          !indexed.has(attr.name)
+      );
+
+      if (candidates.length > 0) {
+        return candidates.map((attr) => ({
+          attribute: attr.name,
+          message: `${entity.name}.${attr.name} looks like a lookup key on an entity with ${count} associations but is not indexed`,
+          fix: `Add an index on ${attr.name} if it is used in XPath constraints or retrieves`,
+        }));
+      }
+
+      if (indexed.size === 0) {
+        return [
+          {
+            message: `${entity.name} takes part in ${count} associations but has no indexes`,
+            fix: 'Index the attributes used to filter or sort this entity in XPath retrieves',
+          },
+        ];
+      }
+      return [];
+    },
+  },
+
+  'many-to-many-owner': {
+    title: 'Many-to-many association without a single owner',
+    checkAssociation(association) {
+      if (association.type !== 'ReferenceSet') return [];
+
+      const owner = association.owner;
+      if (owner === 'Default') return [];
+
+      return [
+        {
+          message:
+            owner === 'Both'
+              ? `${association.name} is a reference set owned by both sides - either side can change it`
+              : `${association.name} is a reference set with no owner set`,
+          fix: 'Set the owner to Default so only the parent side stores and edits the reference set',
+        },
+      ];
+    },
+  },
+
+  'oversized-entity': {
+    title: 'Oversized entity',
+    checkEntity(entity, settings) {
+      const count = (entity.attributes || []).length;
+      if (count <= settings.maxAttributes) return [];
+
+      return [
+        {
+          message: `${entity.name} has ${count} attributes (max ${settings.maxAttributes})`,
+          fix: 'Split rarely used attributes into a 1-1 associated entity or specialisation',
+        },
+      ];
+    },
+  },
+
+  'unjustified-calculated-attribute': {
+    title: 'Calculated attribute without justification',
+    checkEntity(entity) {
+      return (entity.attributes || [])
+        .filter((attr) => attr.value?.$Type === 'DomainModels$CalculatedValue')
+        .filter((attr) => !(attr.documentation || '').trim())
+        .map((attr) => ({
+          attribute: attr.name,
+          message: `${entity.name}.${attr.name} is calculated on every retrieve but has no documentation explaining why`,
+          fix: 'Store the value and update it in a before-commit event, or document why it must be calculated',
+        }));
+    },
+  },
+
+  'unsafe-delete-behavior': {
+    title: 'Unsafe delete behavior',
+    checkAssociation(association, settings) {
+      const behavior = association.deleteBehavior || {};
+      const sides = [
+        ['parent', behavior.parentDeleteBehavior, behavior.parentErrorMessage],
+        ['child', behavior.childDeleteBehavior, behavior.childErrorMessage],
+      ];
+      const findings = [];
+
+      for (const [side, value, errorMessage] of sides) {
+        if (value === 'DeleteMeAndReferences' && settings.flagCascade) {
+          const manyToMany = association.type === 'ReferenceSet';
+          findings.push({
+            severity: manyToMany ? 'high' : 'medium',
+            message: `${association.name} cascades deletes from the ${side} side${
+              manyToMany ? ' across a many-to-many association - shared objects are deleted too' : ''
+            }`,
+            fix: 'Use "Delete only if not associated" or delete associated objects explicitly in a microflow',
+          });
+        }
+
+        const missingMessage = settings.requirePreventMessage && !hasText(errorMessage);
+        if (value === 'DeleteMeIfNoReferences' && missingMessage) {
+          findings.push({
+            severity: 'low',
+            message: `${association.name} prevents deleting the ${side} while associated but shows no error message`,
+            fix: 'Add an error message explaining which associated objects block the delete',
+          });
+        }
+      }
+      return findings;
+    },
+  },
+};
+
+class DomainModelLinter {
+  /**
+   * @param {Object} ruleSet - Resolved rule set (see loadRuleSet)
+   */
+  constructor(ruleSet = { name: 'builtin', rules: {} }) {
+    this.ruleSet = ruleSet;
+  }
+
+  /**
+   * Names of the rule sets shipped in config/domain-model-rules
+   */
+  static async listRuleSets() {
+    if (!(await fs.pathExists(RULE_SET_DIR))) return [];
+    const files = await fs.readdir(RULE_SET_DIR);
+    return files.filter((f) => f.endsWith('.json')).map((f) => f.replace(/\.json$/, ''));
+  }
+
+  /**
+   * Load a rule set by name (config/domain-model-rules/<name>.json) or file path.
+   * Follows "extends" chains, merging rule settings over the parent.
+   * @param {string} nameOrPath
+   * @param {Object} options
+   * @param {boolean} options.allowPaths - false for remote callers: named rule sets only,
+   *   so a request cannot read files outside config/domain-model-rules
+   */
+  static async loadRuleSet(nameOrPath = 'default', { allowPaths = true, seen = new Set() } = {}) {
+    const isPath = nameOrPath.endsWith('.json') || /[\\/]/.test(nameOrPath);
+    if (!allowPaths && (isPath || !RULE_SET_NAME.test(nameOrPath))) {
+      const available = await DomainModelLinter.listRuleSets();
+      throw new ValidationError(
+        `Rule set must be one of: ${available.join(', ')} (file paths are only accepted locally)`,
+        'rule_set'
+      );
+    }
+    const file = isPath ? path.resolve(nameOrPath) : path.join(RULE_SET_DIR, `${nameOrPath}.json`);
+
+    if (seen.has(file)) {
+      throw new Error(`Rule set "${nameOrPath}" extends itself`);
+    }
+    seen.add(file);
+
+    if (!(await fs.pathExists(file))) {
+      const available = await DomainModelLinter.listRuleSets();
+      throw new Error(`Rule set not found: ${nameOrPath} (available: ${available.join(', ')})`);
+    }
+
+    const ruleSet = await fs.readJson(file);
+    const parent = ruleSet.extends
+      ? await DomainModelLinter.loadRuleSet(ruleSet.extends, { allowPaths, seen })
+      : { rules: {} };
+
+    const rules = { ...parent.rules };
+    for (const [id, settings] of Object.entries(ruleSet.rules || {})) {
+      if (!RULES[id]) {
+        logger.warn('Unknown domain model rule in rule set', { ruleSet: nameOrPath, rule: id });
+        continue;
+      }
+      rules[id] = { ...parent.rules[id], ...settings };
+    }
+
+    return { name: ruleSet.name || nameOrPath, description: ruleSet.description, rules };
+  }
+
+  /**
+   * Rules enabled in this rule set, with their settings
+   */
+  enabledRules() {
+    return Object.entries(RULES)
+      .map(([id, rule]) => [id, rule, { enabled: true, ...this.ruleSet.rules[id] }])
+      .filter(([, , settings]) => settings.enabled !== false);
+  }
+
+  /**
+   * Lint the domain models of the given modules
+   * @param {Array} modules - Modules from ProjectLoader (project.modules or getModule())
+   * @param {Object} options - { entityName } to only report on one entity
+   * @returns {Object} - { ruleSet, summary, findings }
+   */
+  lint(modules, options = {}) {
+    const findings = [];
+    let entityCount = 0;
+    let associationCount = 0;
+
+    for (const module of modules) {
+      const domainModel = module.domainModel;
+      if (!domainModel) continue;
+
+      const entities = (domainModel.entities || []).filter(
+        (e) => !options.entityName || e.name === options.entityName
+      );
+      const associations = [
+        ...(domainModel.associations || []),
+        ...(domainModel.crossAssociations || []),
+      ].filter(
+        (a) =>
+          !options.entityName ||
+          shortName(a.parent) === options.entityName ||
+          shortName(a.child) === options.entityName
+      );
+      const context = { associationCount: this.associationCounter(domainModel) };
+
+      entityCount += entities.length;
+      associationCount += associations.length;
+
+      for (const [id, rule, settings] of this.enabledRules()) {
+        const severity = settings.severity || 'medium';
+        const report = (target, results) =>
+          results.forEach((result) =>
+            findings.push({
+              rule: id,
+              title: rule.title,
+              severity: result.severity || severity,
+              module: module.name,
+              ...target,
+              attribute: result.attribute,
+              message: result.message,
+              fix: result.fix,
+            })
+          );
+
+        if (rule.checkEntity) {
+          for (const entity of entities) {
+            report({ entity: entity.name }, rule.checkEntity(entity, settings, context));
+          }
+        }
+        if (rule.checkAssociation) {
+          for (const association of associations) {
+            report(
+              { association: association.name },
+              rule.checkAssociation(association, settings, context)
+            );
+          }
+        }
+      }
+    }
+
+    findings.sort(
+      (a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+    );
+
+    const bySeverity = {};
+    const byRule = {};
+    for (const finding of findings) {
+      bySeverity[finding.severity] = (bySeverity[finding.severity] || 0) + 1;
+      byRule[finding.rule] = (byRule[finding.rule] || 0) + 1;
+    }
+
+    return {
+      ruleSet: {
+        name: this.ruleSet.name,
+        enabledRules: this.enabledRules().map(([id]) => id),
+      },
+      summary: {
+        entities: entityCount,
+        associations: associationCount,
+        findings: findings.length,
+        bySeverity,
+        byRule,
+      },
+      findings,
+    };
+  }
+
+  /**
+   * Count associations per entity in a domain model
+   */
+  associationCounter(domainModel) {
+    const counts = new Map();
+    const all = [...(domainModel.associations || []), ...(domainModel.crossAssociations || [])];
+
+    for (const association of all) {
+      for (const end of new Set([shortName(association.parent), shortName(association.child)])) {
+        counts.set(end, (counts.get(end) || 0) + 1);
+      }
+    }
+    return (entityName) => counts.get(entityName) || 0;
+  }
+}
+
+export default DomainModelLinter;
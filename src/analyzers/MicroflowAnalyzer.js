@@ -0,0 +1,525 @@
+/**
+ * Mendix Microflow Analyzer
+ *
+ * Static analysis of the microflows loaded by ProjectLoader (Model SDK style JSON,
+ * from extracted data directories or .mpr files). A small rule engine walks each
+ * microflow and reports problems, each linked to the knowledge-base entry that
+ * explains the fix.
+ *
+ * BUILT-IN RULES:
+ * 1. commit-in-loop        - Commit (or change/create with commit) inside a loop
+ * 2. retrieve-in-loop      - Database retrieve inside a loop
+ * 3. rest-without-handler  - REST call without a custom error handler
+ * 4. unused-parameter      - Parameter never referenced in the microflow
+ * 5. deep-nesting          - Loops and decisions nested deeper than maxNestingDepth
+ * 6. naming-prefix         - Microflow name without a documented prefix (ACT_, DS_, SUB_, ...)
+ *
+ * Extra rules can be added with addRule({ id, name, severity, knowledge, check }).
+ *
+ * @version 1.0.0
+ */
+
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('MicroflowAnalyzer');
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low', 'info'];
+
+// Used when the knowledge base has no naming_conventions entry
+const DEFAULT_PREFIXES = [
+  'ACT_',
+  'DS_',
+  'SUB_',
+  'VAL_',
+  'OCH_',
+  'BCO_',
+  'ACO_',
+  'BDE_',
+  'ADE_',
+  'ASU_',
+  'SCH_',
+  'SE_',
+  'WS_',
+  'API_',
+];
+
+const LOOP_TYPES = ['Microflows$LoopedActivity', 'Microflows$Loop'];
+const SPLIT_TYPES = ['Microflows$ExclusiveSplit', 'Microflows$InheritanceSplit'];
+const MERGE_TYPES = ['Microflows$ExclusiveMerge'];
+const PARAMETER_TYPES = ['Microflows$MicroflowParameterObject', 'Microflows$MicroflowParameter'];
+const REST_ACTION_TYPES = [
+  'Microflows$RestCallAction',
+  'Microflows$RestOperationCallAction',
+  'Microflows$WebServiceCallAction',
+];
+const HANDLED_ERROR_TYPES = ['Custom', 'CustomWithoutRollBack', 'CustomWithoutRollback'];
+
+/**
+ * Short label for an activity in findings
+ */
+function describeActivity(obj) {
+  const actionType = obj.action?.$Type?.replace('Microflows$', '');
+  return obj.caption || actionType || obj.$Type?.replace('Microflows$', '') || 'activity';
+}
+
+/**
+ * Does this activity write to the database?
+ */
+function isCommit(action) {
+  if (!action) return false;
+  if (action.$Type === 'Microflows$CommitAction') return true;
+
+  const committing = [
+    'Microflows$ChangeAction',
+    'Microflows$CreateChangeAction',
+    'Microflows$CreateObjectAction',
+  ];
+  return committing.includes(action.$Type) && !!action.commit && action.commit !== 'No';
+}
+
+/**
+ * Does this activity query the database? Association retrieves are served from memory.
+ */
+function isDatabaseRetrieve(action) {
+  if (action?.$Type !== 'Microflows$RetrieveAction') return false;
+
+  const sourceType = action.retrieveSource?.$Type;
+  return !sourceType || sourceType === 'Microflows$DatabaseRetrieveSource';
+}
+
+/**
+ * Collect every string value in a JSON tree as [key, value] pairs
+ */
+function collectStrings(node, out = [], key = null) {
+  if (typeof node === 'string') {
+    out.push([key, node]);
+  } else if (Array.isArray(node)) {
+    node.forEach((item) => collectStrings(item, out, key));
+  } else if (node && typeof node === 'object') {
+    for (const [k, v] of Object.entries(node)) {
+      collectStrings(v, out, k);
+    }
+  }
+  return out;
+}
+
+const BUILTIN_RULES = [
+  {
+    id: 'commit-in-loop',
+    name: 'Commit inside loop',
+    severity: 'high',
+    knowledge: [
+      { file: 'performance-guide', match: 'Commit inside loop' },
+      { file: 'best-practices', match: 'Committing inside loops' },
+    ],
+    check(microflow, { walk }) {
+      const findings = [];
+      walk((obj, { loopDepth }) => {
+        if (loopDepth > 0 && isCommit(obj.action)) {
+          findings.push({
+            activity: obj,
+            message: `"${describeActivity(obj)}" commits on every iteration - commit the list once after the loop`,
+          });
+        }
+      });
+      return findings;
+    },
+  },
+  {
+    id: 'retrieve-in-loop',
+    name: 'Database retrieve inside loop',
+    severity: 'high',
+    knowledge: [{ file: 'performance-guide', match: 'Minimize loops' }],
+    check(microflow, { walk }) {
+      const findings = [];
+      walk((obj, { loopDepth }) => {
+        if (loopDepth > 0 && isDatabaseRetrieve(obj.action)) {
+          findings.push({
+            activity: obj,
+            message: `"${describeActivity(obj)}" queries the database on every iteration - retrieve once before the loop`,
+          });
+        }
+      });
+      return findings;
+    },
+  },
+  {
+    id: 'rest-without-handler',
+    name: 'REST call without error handler',
+    severity: 'medium',
+    knowledge: [
+      { file: 'best-practices', match: 'Always handle errors explicitly' },
+      { file: 'best-practices', match: 'Not handling errors in microflows' },
+    ],
+    check(microflow, { walk, flows }) {
+      const errorOrigins = new Set(flows.filter((f) => f.isErrorHandler).map((f) => f.origin));
+      const findings = [];
+
+      walk((obj) => {
+        if (!REST_ACTION_TYPES.includes(obj.action?.$Type)) return;
+
+        const handling = obj.errorHandlingType || obj.action.errorHandlingType || 'Rollback';
+        const handled = HANDLED_ERROR_TYPES.includes(handling) && errorOrigins.has(obj.$ID);
+        if (!handled) {
+          findings.push({
+            activity: obj,
+            message: `"${describeActivity(obj)}" uses error handling "${handling}" - add a custom error handler that logs and recovers`,
+          });
+        }
+      });
+      return findings;
+    },
+  },
+  {
+    id: 'unused-parameter',
+    name: 'Unused parameter',
+    severity: 'low',
+    knowledge: [{ file: 'best-practices', match: 'Keep microflows small and focused' }],
+    check(microflow, { objects, flows }) {
+      const parameters = objects.filter((obj) => PARAMETER_TYPES.includes(obj.$Type));
+      if (parameters.length === 0) return [];
+
+      const strings = collectStrings([
+        objects.filter((obj) => !PARAMETER_TYPES.includes(obj.$Type)),
+        flows,
+        microflow.microflowReturnType,
+        microflow.returnVariableName,
+      ]);
+
+      return parameters
+        .filter((param) => {
+          const reference = new RegExp(`\\$${param.name}\\b`);
+          return !strings.some(
+            ([key, value]) =>
+              reference.test(value) || (/variable(name)?$/i.test(key || '') && value === param.name)
+          );
+        })
+        .map((param) => ({
+          activity: param,
+          message: `Parameter "${param.name}" is never used - remove it from the microflow and its callers`,
+        }));
+    },
+  },
+  {
+    id: 'deep-nesting',
+    name: 'Deeply nested logic',
+    severity: 'medium',
+    knowledge: [
+      { file: 'performance-guide', match: 'Avoid nested loops' },
+      { file: 'best-practices', match: 'Keep microflows small and focused' },
+    ],
+    check(microflow, { nestingDepth, options }) {
+      const max = options.maxNestingDepth;
+      if (nestingDepth <= max) return [];
+
+      return [
+        {
+          message: `Loops and decisions are nested ${nestingDepth} levels deep (max ${max}) - extract inner logic into SUB_ microflows`,
+        },
+      ];
+    },
+  },
+  {
+    id: 'naming-prefix',
+    name: 'Missing naming prefix',
+    severity: 'info',
+    knowledge: [{ file: 'best-practices', match: 'Mendix Microflow Naming Conventions' }],
+    check(microflow, { prefixes }) {
+      // Only microflows - nanoflows and rules have their own conventions
+      if (microflow.$Type && microflow.$Type !== 'Microflows$Microflow') return [];
+      if (!microflow.name || prefixes.some((prefix) => microflow.name.startsWith(prefix))) {
+        return [];
+      }
+
+      return [
+        {
+          message: `"${microflow.name}" has no purpose prefix - use one of ${prefixes.slice(0, 6).join(', ')}, ...`,
+        },
+      ];
+    },
+  },
+];
+
+class MicroflowAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.knowledgeBase - Loaded knowledge (KnowledgeManager.knowledgeBase) for links
+   * @param {number} options.maxNestingDepth - Deepest allowed loop/decision nesting (default 3)
+   */
+  constructor(options = {}) {
+    this.knowledgeBase = options.knowledgeBase || {};
+    this.options = {
+      maxNestingDepth: options.maxNestingDepth ?? 3,
+    };
+    this.rules = [...BUILTIN_RULES];
+    this.knowledgeLinks = new Map();
+  }
+
+  /**
+   * Register an additional rule
+   * @param {Object} rule - { id, name, severity, knowledge: [{file, match}], check(microflow, context) }
+   */
+  addRule(rule) {
+    if (!rule.id || typeof rule.check !== 'function') {
+      throw new Error('A microflow rule needs an id and a check(microflow, context) function');
+    }
+    this.rules = this.rules.filter((r) => r.id !== rule.id).concat(rule);
+  }
+
+  /**
+   * Analyze every microflow in a loaded project
+   * @param {Object} project - Result of ProjectLoader.loadProject
+   * @param {Object} options - { moduleName, rules: [ruleIds] }
+   */
+  analyzeProject(project, options = {}) {
+    const modules = (project.modules || []).filter(
+      (m) => !options.moduleName || m.name.toLowerCase() === options.moduleName.toLowerCase()
+    );
+
+    const findings = [];
+    let microflowCount = 0;
+
+    for (const module of modules) {
+      for (const microflow of this.getMicroflows(module)) {
+        microflowCount++;
+        findings.push(...this.analyzeMicroflow(microflow, module.name, options));
+      }
+    }
+
+    findings.sort(
+      (a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+    );
+
+    logger.info('Microflow analysis complete', {
+      project: project.name,
+      microflows: microflowCount,
+      findings: findings.length,
+    });
+
+    return {
+      summary: this.summarize(findings, microflowCount),
+      findings,
+    };
+  }
+
+  /**
+   * Run all enabled rules against one microflow
+   */
+  analyzeMicroflow(microflow, moduleName = null, options = {}) {
+    const context = this.buildContext(microflow);
+    const rules = options.rules
+      ? this.rules.filter((rule) => options.rules.includes(rule.id))
+      : this.rules;
+    const findings = [];
+
+    for (const rule of rules) {
+      let results;
+      try {
+        results = rule.check(microflow, context) || [];
+      } catch (error) {
+        logger.warn('Microflow rule failed', {
+          rule: rule.id,
+          microflow: microflow.name,
+          error: error.message,
+        });
+        continue;
+      }
+
+      for (const result of results) {
+        findings.push({
+          rule: rule.id,
+          title: rule.name,
+          severity: result.severity || rule.severity,
+          module: moduleName,
+          microflow: microflow.name,
+          activity: result.activity
+            ? { id: result.activity.$ID, label: describeActivity(result.activity) }
+            : null,
+          message: result.message,
+          knowledge: this.resolveKnowledge(rule),
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Microflows of a module - arrays (.mpr) or name-keyed objects (extracted data)
+   */
+  getMicroflows(module) {
+    const microflows = module.microflows;
+    if (!microflows) return [];
+
+    const list = Array.isArray(microflows)
+      ? microflows
+      : Object.entries(microflows).map(([name, mf]) => ({ name, ...mf }));
+    return list.filter((mf) => mf && typeof mf === 'object');
+  }
+
+  /**
+   * Precompute what rules need: object walker, flows, nesting depth, prefixes
+   */
+  buildContext(microflow) {
+    const visits = [];
+    const collect = (collection, loopDepth) => {
+      for (const obj of collection?.objects || []) {
+        visits.push([obj, { loopDepth }]);
+        if (LOOP_TYPES.includes(obj.$Type)) {
+          collect(obj.objectCollection, loopDepth + 1);
+        }
+      }
+    };
+    collect(microflow.objectCollection, 0);
+
+    const flows = (microflow.flows || []).filter((f) => f && typeof f === 'object');
+    const objects = visits.map(([obj]) => obj);
+
+    return {
+      objects,
+      flows,
+      walk: (visitor) => visits.forEach(([obj, info]) => visitor(obj, info)),
+      nestingDepth: this.nestingDepth(microflow.objectCollection, this.flowGraph(flows)),
+      prefixes: this.namingPrefixes(),
+      options: this.options,
+    };
+  }
+
+  /**
+   * Deepest nesting of loops plus open decisions along any sequence-flow path.
+   * A split opens a level, a merge closes one, a loop adds one for its body.
+   */
+  nestingDepth(collection, graph, base = 0) {
+    const objects = collection?.objects || [];
+    const ids = new Set(objects.map((obj) => obj.$ID));
+    const byId = new Map(objects.map((obj) => [obj.$ID, obj]));
+    const best = new Map();
+    let max = base;
+
+    // Entry points: objects without incoming flows from the same collection
+    const stack = objects
+      .filter((obj) => !(graph.incoming.get(obj.$ID) || []).some((origin) => ids.has(origin)))
+      .map((obj) => [obj.$ID, base]);
+
+    while (stack.length > 0) {
+      const [id, depth] = stack.pop();
+      const obj = byId.get(id);
+      if (!obj || (best.get(id) ?? -1) >= depth || depth > base + objects.length) continue;
+      best.set(id, depth);
+      max = Math.max(max, depth);
+
+      if (LOOP_TYPES.includes(obj.$Type)) {
+        max = Math.max(max, this.nestingDepth(obj.objectCollection, graph, depth + 1));
+      }
+
+      let next = depth;
+      if (SPLIT_TYPES.includes(obj.$Type)) next = depth + 1;
+      if (MERGE_TYPES.includes(obj.$Type)) next = Math.max(base, depth - 1);
+
+      for (const destination of graph.outgoing.get(id) || []) {
+        stack.push([destination, next]);
+      }
+    }
+
+    return max;
+  }
+
+  /**
+   * Sequence flows (excluding error handlers) as adjacency maps
+   */
+  flowGraph(flows) {
+    const outgoing = new Map();
+    const incoming = new Map();
+
+    for (const flow of flows) {
+      if (flow.isErrorHandler) continue;
+      if (!outgoing.has(flow.origin)) outgoing.set(flow.origin, []);
+      if (!incoming.has(flow.destination)) incoming.set(flow.destination, []);
+      outgoing.get(flow.origin).push(flow.destination);
+      incoming.get(flow.destination).push(flow.origin);
+    }
+
+    return { outgoing, incoming };
+  }
+
+  /**
+   * Purpose prefixes from the best-practices knowledge, with a built-in fallback
+   */
+  namingPrefixes() {
+    if (this.prefixes) return this.prefixes;
+
+    const conventions = this.knowledgeBase['best-practices']?.categories?.naming_conventions;
+    const fromKnowledge = (Array.isArray(conventions) ? conventions : [])
+      .flatMap((entry) => Object.keys(entry.prefixes || {}))
+      .filter((prefix) => prefix.endsWith('_'));
+
+    this.prefixes =
+      fromKnowledge.length > 0 ? [...new Set([...fromKnowledge, 'SE_'])] : DEFAULT_PREFIXES;
+    return this.prefixes;
+  }
+
+  /**
+   * Find the knowledge entries a rule refers to
+   * @returns {Array} - [{ file, path, title }]
+   */
+  resolveKnowledge(rule) {
+    if (this.knowledgeLinks.has(rule.id)) return this.knowledgeLinks.get(rule.id);
+
+    const links = [];
+    for (const ref of rule.knowledge || []) {
+      const found = this.findEntry(this.knowledgeBase[ref.file], ref.match.toLowerCase());
+      if (found) {
+        links.push({ file: `${ref.file}.json`, path: found.path, title: found.title });
+      }
+    }
+
+    this.knowledgeLinks.set(rule.id, links);
+    return links;
+  }
+
+  /**
+   * Depth-first search for the first object with a string value equal to the match text
+   */
+  findEntry(node, match, path = '') {
+    if (!node || typeof node !== 'object') return null;
+
+    if (!Array.isArray(node)) {
+      const hit = Object.values(node).some(
+        (value) => typeof value === 'string' && value.toLowerCase() === match
+      );
+      if (hit) {
+        const title = node.practice || node.issue || node.mistake || node.pattern || node.title;
+        return { path, title: title || match };
+      }
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      const childPath = Array.isArray(node) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+      const found = this.findEntry(value, match, childPath);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Totals by severity and rule
+   */
+  summarize(findings, microflowCount) {
+    const bySeverity = {};
+    const byRule = {};
+
+    for (const finding of findings) {
+      bySeverity[finding.severity] = (bySeverity[finding.severity] || 0) + 1;
+      byRule[finding.rule] = (byRule[finding.rule] || 0) + 1;
+    }
+
+    return {
+      microflows: microflowCount,
+      findings: findings.length,
+      bySeverity,
+      byRule,
+    };
+  }
+}
+
+export default MicroflowAnalyzer;
@@ -0,0 +1,323 @@
+/**
+ * Mendix Module Dependency Graph
+ *
+ * Builds a module-level dependency graph from a project loaded by ProjectLoader,
+ * for planning module refactors on large apps.
+ *
+ * EDGES (module A → module B when A refers to a document in B):
+ * - association       - Cross-module associations
+ * - generalization    - Entity specializes an entity from another module
+ * - enumeration       - Attribute uses another module's enumeration
+ * - microflow-call    - Microflow/nanoflow called from a microflow or page
+ * - page-reference    - Page, layout or snippet opened/used from a microflow or page
+ * - entity-reference  - Entity, attribute or association used in a microflow or page
+ *
+ * REPORTS: cycles (strongly connected components) and "god modules" whose
+ * fan-in (number of modules depending on them) is excessive.
+ *
+ * OUTPUT: JSON (build()), Mermaid (toMermaid()) and Graphviz DOT (toDot()).
+ *
+ * @version 1.0.0
+ */
+
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('ModuleDependencyGraph');
+
+// Property names holding qualified references ("Module.Document"), by edge kind
+const DOMAIN_MODEL_KEYS = {
+  parent: 'association',
+  child: 'association',
+  generalization: 'generalization',
+  enumeration: 'enumeration',
+};
+const DOCUMENT_KEYS = {
+  microflow: 'microflow-call',
+  nanoflow: 'microflow-call',
+  page: 'page-reference',
+  layout: 'page-reference',
+  snippet: 'page-reference',
+  entity: 'entity-reference',
+  attribute: 'entity-reference',
+  association: 'entity-reference',
+};
+
+const MAX_EXAMPLES = 5;
+
+/**
+ * Documents of a module section - arrays (.mpr) or name-keyed objects (extracted data)
+ */
+function documentsOf(section) {
+  if (!section) return [];
+  if (Array.isArray(section)) return section;
+  return Object.entries(section).map(([name, doc]) => ({ ...doc, name: doc.name || name }));
+}
+
+class ModuleDependencyGraph {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.exclude - Module names to leave out (e.g. Marketplace modules)
+   * @param {number} options.godModuleFanIn - Fan-in at which a module counts as a god module
+   *                                          (default: half the other modules, at least 3)
+   */
+  constructor(options = {}) {
+    this.exclude = new Set(options.exclude || []);
+    this.godModuleFanIn = options.godModuleFanIn || null;
+  }
+
+  /**
+   * Build the graph for a loaded project
+   * @returns {Object} - { modules, edges, cycles, godModules, summary }
+   */
+  build(project) {
+    const modules = (project.modules || []).filter((m) => !this.exclude.has(m.name));
+    const known = new Set(modules.map((m) => m.name));
+    const edges = new Map();
+
+    const addEdge = (from, ref, kind, source) => {
+      const to = ref.split('.')[0];
+      if (to === from || !known.has(to)) return;
+
+      const key = `${from}->${to}`;
+      if (!edges.has(key)) {
+        edges.set(key, { from, to, weight: 0, kinds: {}, examples: [] });
+      }
+      const edge = edges.get(key);
+      edge.weight++;
+      edge.kinds[kind] = (edge.kinds[kind] || 0) + 1;
+      if (edge.examples.length < MAX_EXAMPLES) {
+        edge.examples.push(`${source} → ${ref}`);
+      }
+    };
+
+    for (const module of modules) {
+      const domainModel = module.domainModel || {};
+      for (const entity of domainModel.entities || []) {
+        this.scan(entity, DOMAIN_MODEL_KEYS, (ref, kind) =>
+          addEdge(module.name, ref, kind, `${module.name}.${entity.name}`)
+        );
+      }
+      for (const association of [
+        ...(domainModel.associations || []),
+        ...(domainModel.crossAssociations || []),
+      ]) {
+        this.scan(association, DOMAIN_MODEL_KEYS, (ref, kind) =>
+          addEdge(module.name, ref, kind, `${module.name}.${association.name}`)
+        );
+      }
+
+      for (const doc of [...documentsOf(module.microflows), ...documentsOf(module.pages)]) {
+        this.scan(doc, DOCUMENT_KEYS, (ref, kind) =>
+          addEdge(module.name, ref, kind, `${module.name}.${doc.name}`)
+        );
+      }
+    }
+
+    const edgeList = [...edges.values()].sort((a, b) => b.weight - a.weight);
+    const moduleStats = modules.map((m) => {
+      const dependsOn = edgeList.filter((e) => e.from === m.name).map((e) => e.to);
+      const dependedOnBy = edgeList.filter((e) => e.to === m.name).map((e) => e.from);
+      return {
+        name: m.name,
+        fanIn: dependedOnBy.length,
+        fanOut: dependsOn.length,
+        dependsOn,
+        dependedOnBy,
+      };
+    });
+
+    const threshold = this.godModuleFanIn || Math.max(3, Math.ceil((modules.length - 1) / 2));
+    const godModules = moduleStats
+      .filter((m) => m.fanIn >= threshold)
+      .sort((a, b) => b.fanIn - a.fanIn)
+      .map((m) => ({ name: m.name, fanIn: m.fanIn, dependedOnBy: m.dependedOnBy }));
+
+    const cycles = this.findCycles(moduleStats.map((m) => m.name), edgeList);
+
+    logger.info('Module dependency graph built', {
+      project: project.name,
+      modules: modules.length,
+      edges: edgeList.length,
+      cycles: cycles.length,
+    });
+
+    return {
+      project: project.name,
+      modules: moduleStats,
+      edges: edgeList,
+      cycles,
+      godModules,
+      summary: {
+        modules: modules.length,
+        edges: edgeList.length,
+        cycles: cycles.length,
+        godModules: godModules.length,
+        godModuleFanIn: threshold,
+      },
+    };
+  }
+
+  /**
+   * Walk a document and report string values under reference keys that look qualified
+   */
+  scan(node, keys, onReference, key = null) {
+    if (typeof node === 'string') {
+      if (keys[key] && /^[A-Za-z_]\w*\.\w/.test(node)) {
+        onReference(node, keys[key]);
+      }
+    } else if (Array.isArray(node)) {
+      node.forEach((item) => this.scan(item, keys, onReference, key));
+    } else if (node && typeof node === 'object') {
+      for (const [k, v] of Object.entries(node)) {
+        this.scan(v, keys, onReference, k);
+      }
+    }
+  }
+
+  /**
+   * Strongly connected components (Tarjan) with more than one module,
+   * each returned as one concrete cycle path: [A, B, C, A]
+   */
+  findCycles(names, edges) {
+    const adjacency = new Map(names.map((n) => [n, []]));
+    for (const edge of edges) adjacency.get(edge.from)?.push(edge.to);
+
+    let counter = 0;
+    const index = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+
+    const connect = (node) => {
+      index.set(node, counter);
+      low.set(node, counter);
+      counter++;
+      stack.push(node);
+      onStack.add(node);
+
+      for (const next of adjacency.get(node) || []) {
+        if (!index.has(next)) {
+          connect(next);
+          low.set(node, Math.min(low.get(node), low.get(next)));
+        } else if (onStack.has(next)) {
+          low.set(node, Math.min(low.get(node), index.get(next)));
+        }
+      }
+
+      if (low.get(node) === index.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        if (component.length > 1) components.push(component);
+      }
+    };
+
+    for (const name of names) {
+      if (!index.has(name)) connect(name);
+    }
+
+    return components.map((component) => this.cyclePath(component, adjacency));
+  }
+
+  /**
+   * Shortest cycle through the first module of a component (BFS back to the start)
+   */
+  cyclePath(component, adjacency) {
+    const members = new Set(component);
+    const start = [...component].sort()[0];
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      for (const next of adjacency.get(node) || []) {
+        if (!members.has(next)) continue;
+        if (next === start) {
+          const path = [start];
+          for (let n = node; n !== start; n = previous.get(n)) path.splice(1, 0, n);
+          return [...path, start];
+        }
+        if (!previous.has(next)) {
+          previous.set(next, node);
+          queue.push(next);
+        }
+      }
+    }
+    return [...component, component[0]];
+  }
+
+  /**
+   * Mermaid flowchart - cycle edges in red, god modules highlighted
+   */
+  toMermaid(graph) {
+    const id = (name) => name.replace(/\W/g, '_');
+    const cycleEdges = this.cycleEdgeKeys(graph);
+    const lines = ['graph LR'];
+
+    for (const module of graph.modules) {
+      lines.push(`  ${id(module.name)}["${module.name}"]`);
+    }
+
+    const redLinks = [];
+    graph.edges.forEach((edge, i) => {
+      lines.push(`  ${id(edge.from)} -->|${edge.weight}| ${id(edge.to)}`);
+      if (cycleEdges.has(`${edge.from}->${edge.to}`)) redLinks.push(i);
+    });
+
+    if (graph.godModules.length > 0) {
+      lines.push('  classDef god fill:#fde2e2,stroke:#c0392b,stroke-width:2px');
+      lines.push(`  class ${graph.godModules.map((m) => id(m.name)).join(',')} god`);
+    }
+    if (redLinks.length > 0) {
+      lines.push(`  linkStyle ${redLinks.join(',')} stroke:#c0392b,stroke-width:2px`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Graphviz DOT digraph - cycle edges in red, god modules highlighted
+   */
+  toDot(graph) {
+    const quote = (s) => `"${String(s).replace(/"/g, '\\"')}"`;
+    const cycleEdges = this.cycleEdgeKeys(graph);
+    const gods = new Set(graph.godModules.map((m) => m.name));
+    const lines = [
+      `digraph ${quote(graph.project || 'modules')} {`,
+      '  rankdir=LR;',
+      '  node [shape=box];',
+    ];
+
+    for (const module of graph.modules) {
+      const style = gods.has(module.name)
+        ? ' [style=filled, fillcolor="#fde2e2", color="#c0392b"]'
+        : '';
+      lines.push(`  ${quote(module.name)}${style};`);
+    }
+    for (const edge of graph.edges) {
+      const color = cycleEdges.has(`${edge.from}->${edge.to}`) ? ', color="#c0392b"' : '';
+      lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [label="${edge.weight}"${color}];`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * "from->to" keys of edges that are part of a reported cycle
+   */
+  cycleEdgeKeys(graph) {
+    const keys = new Set();
+    for (const cycle of graph.cycles) {
+      for (let i = 0; i < cycle.length - 1; i++) keys.add(`${cycle[i]}->${cycle[i + 1]}`);
+    }
+    return keys;
+  }
+}
+
+export default ModuleDependencyGraph;
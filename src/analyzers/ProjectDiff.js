@@ -0,0 +1,366 @@
+/**
+ * Mendix Project Diff
+ *
+ * Semantic diff between two projects loaded by ProjectLoader (two extracted-data
+ * directories, two .mpr files or two git revisions of the same project), so model
+ * changes can be reviewed as text in pull requests.
+ *
+ * COMPARES:
+ * - Modules added/removed
+ * - Entities added/removed/changed (generalization, persistability, documentation)
+ * - Attributes added/removed/changed (type, length, enumeration, default, calculated)
+ * - Associations added/removed/changed (ends, type, owner, delete behavior)
+ * - Microflows added/removed
+ * - Enumerations added/removed, values added/removed/recaptioned
+ *
+ * @version 1.0.0
+ */
+
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('ProjectDiff');
+
+const TYPE_ORDER = [
+  'module',
+  'entity',
+  'attribute',
+  'association',
+  'microflow',
+  'enumeration',
+  'enumeration-value',
+];
+
+/**
+ * Documents of a module section - arrays (.mpr) or name-keyed objects (extracted data)
+ */
+function documentsOf(section) {
+  if (!section) return [];
+  if (Array.isArray(section)) return section;
+  return Object.entries(section).map(([name, doc]) => ({ ...doc, name: doc.name || name }));
+}
+
+function byName(items) {
+  return new Map((items || []).filter((i) => i && i.name).map((i) => [i.name, i]));
+}
+
+function shortName(name) {
+  return typeof name === 'string' ? name.split('.').pop() : name;
+}
+
+/**
+ * First translation of a Texts$Text, or the string itself
+ */
+function textOf(text) {
+  if (text == null) return '';
+  if (typeof text === 'string') return text;
+  return (text.translations || []).map((t) => t.text).find(Boolean) || '';
+}
+
+/**
+ * Readable attribute type - "String(200)", "Enumeration(Sales.Status)", "Decimal"
+ */
+function describeType(attribute) {
+  const type = attribute.type;
+  if (!type) return 'Unknown';
+  if (typeof type === 'string') return type;
+
+  const base = (type.$Type || 'Unknown')
+    .replace(/^DomainModels\$/, '')
+    .replace(/AttributeType$/, '');
+  if (type.enumeration) return `${base}(${type.enumeration})`;
+  if (type.length) return `${base}(${type.length})`;
+  return base;
+}
+
+class ProjectDiff {
+  /**
+   * Compare two loaded projects
+   * @param {Object} base - Project before the change
+   * @param {Object} head - Project after the change
+   * @param {Object} options - { moduleName } to only compare one module
+   * @returns {Object} - { base, head, summary, changes }
+   */
+  compare(base, head, options = {}) {
+    const changes = [];
+    const record = (type, action, module, name, details = []) =>
+      changes.push({ type, action, module, name, details });
+
+    const filter = (modules) =>
+      (modules || []).filter((m) => !options.moduleName || m.name === options.moduleName);
+    const baseModules = byName(filter(base.modules));
+    const headModules = byName(filter(head.modules));
+
+    for (const [name, module] of headModules) {
+      if (!baseModules.has(name)) {
+        record('module', 'added', name, name, this.moduleContents(module));
+      }
+    }
+    for (const [name, module] of baseModules) {
+      if (!headModules.has(name)) {
+        record('module', 'removed', name, name, this.moduleContents(module));
+        continue;
+      }
+      this.compareModule(module, headModules.get(name), record);
+    }
+
+    changes.sort(
+      (a, b) =>
+        a.module.localeCompare(b.module) ||
+        TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) ||
+        a.name.localeCompare(b.name)
+    );
+
+    const summary = { total: changes.length, added: 0, removed: 0, changed: 0, byType: {} };
+    for (const change of changes) {
+      summary[change.action]++;
+      summary.byType[change.type] = summary.byType[change.type] || {};
+      summary.byType[change.type][change.action] =
+        (summary.byType[change.type][change.action] || 0) + 1;
+    }
+
+    logger.info('Projects compared', {
+      base: base.name,
+      head: head.name,
+      changes: changes.length,
+    });
+
+    return {
+      base: { name: base.name, path: base.path, revision: base.revision },
+      head: { name: head.name, path: head.path, revision: head.revision },
+      summary,
+      changes,
+    };
+  }
+
+  /**
+   * One-line contents of an added/removed module
+   */
+  moduleContents(module) {
+    const count = (label, items) => (items.length > 0 ? [`${items.length} ${label}`] : []);
+    return [
+      ...count('entities', module.domainModel?.entities || []),
+      ...count('microflows', documentsOf(module.microflows)),
+      ...count('enumerations', documentsOf(module.enumerations)),
+    ];
+  }
+
+  compareModule(base, head, record) {
+    const moduleName = head.name;
+    const qualify = (name) => `${moduleName}.${name}`;
+
+    // Entities and attributes
+    const baseEntities = byName(base.domainModel?.entities);
+    const headEntities = byName(head.domainModel?.entities);
+
+    for (const [name, entity] of headEntities) {
+      if (!baseEntities.has(name)) {
+        const attributes = (entity.attributes || []).map(
+          (a) => `${a.name}: ${describeType(a)}`
+        );
+        record('entity', 'added', moduleName, qualify(name), attributes);
+      }
+    }
+    for (const [name, entity] of baseEntities) {
+      if (!headEntities.has(name)) {
+        record('entity', 'removed', moduleName, qualify(name));
+        continue;
+      }
+      const after = headEntities.get(name);
+      const details = this.entityChanges(entity, after);
+      if (details.length > 0) record('entity', 'changed', moduleName, qualify(name), details);
+
+      this.compareAttributes(entity, after, (action, attribute, attrDetails) =>
+        record('attribute', action, moduleName, qualify(`${name}.${attribute}`), attrDetails)
+      );
+    }
+
+    // Associations (including cross-module ones)
+    const associations = (module) =>
+      byName([
+        ...(module.domainModel?.associations || []),
+        ...(module.domainModel?.crossAssociations || []),
+      ]);
+    const baseAssociations = associations(base);
+    const headAssociations = associations(head);
+
+    for (const [name, association] of headAssociations) {
+      if (!baseAssociations.has(name)) {
+        record('association', 'added', moduleName, qualify(name), [
+          this.describeAssociation(association),
+        ]);
+      }
+    }
+    for (const [name, association] of baseAssociations) {
+      if (!headAssociations.has(name)) {
+        record('association', 'removed', moduleName, qualify(name), [
+          this.describeAssociation(association),
+        ]);
+        continue;
+      }
+      const details = this.associationChanges(association, headAssociations.get(name));
+      if (details.length > 0) {
+        record('association', 'changed', moduleName, qualify(name), details);
+      }
+    }
+
+    // Microflows
+    const baseMicroflows = byName(documentsOf(base.microflows));
+    const headMicroflows = byName(documentsOf(head.microflows));
+    for (const name of headMicroflows.keys()) {
+      if (!baseMicroflows.has(name)) record('microflow', 'added', moduleName, qualify(name));
+    }
+    for (const name of baseMicroflows.keys()) {
+      if (!headMicroflows.has(name)) record('microflow', 'removed', moduleName, qualify(name));
+    }
+
+    // Enumerations and their values
+    const baseEnums = byName(documentsOf(base.enumerations));
+    const headEnums = byName(documentsOf(head.enumerations));
+    for (const [name, enumeration] of headEnums) {
+      if (!baseEnums.has(name)) {
+        const values = (enumeration.values || []).map((v) => v.name);
+        record('enumeration', 'added', moduleName, qualify(name), values);
+      }
+    }
+    for (const [name, enumeration] of baseEnums) {
+      if (!headEnums.has(name)) {
+        record('enumeration', 'removed', moduleName, qualify(name));
+        continue;
+      }
+      const beforeValues = byName(enumeration.values);
+      const afterValues = byName(headEnums.get(name).values);
+      const value = (v) => qualify(`${name}.${v}`);
+
+      for (const v of afterValues.keys()) {
+        if (!beforeValues.has(v)) record('enumeration-value', 'added', moduleName, value(v));
+      }
+      for (const [v, before] of beforeValues) {
+        if (!afterValues.has(v)) {
+          record('enumeration-value', 'removed', moduleName, value(v));
+          continue;
+        }
+        const [from, to] = [textOf(before.caption), textOf(afterValues.get(v).caption)];
+        if (from !== to) {
+          record('enumeration-value', 'changed', moduleName, value(v), [
+            `caption: "${from}" → "${to}"`,
+          ]);
+        }
+      }
+    }
+  }
+
+  entityChanges(before, after) {
+    const details = [];
+    const generalization = (e) => e.generalization?.generalization || null;
+    const persistable = (e) => e.generalization?.persistable !== false;
+
+    if (generalization(before) !== generalization(after)) {
+      details.push(
+        `generalization: ${generalization(before) || 'none'} → ${generalization(after) || 'none'}`
+      );
+    }
+    if (persistable(before) !== persistable(after)) {
+      details.push(`persistable: ${persistable(before)} → ${persistable(after)}`);
+    }
+    if ((before.documentation || '') !== (after.documentation || '')) {
+      details.push('documentation changed');
+    }
+    return details;
+  }
+
+  compareAttributes(before, after, report) {
+    const baseAttributes = byName(before.attributes);
+    const headAttributes = byName(after.attributes);
+
+    for (const [name, attribute] of headAttributes) {
+      if (!baseAttributes.has(name)) report('added', name, [describeType(attribute)]);
+    }
+    for (const [name, attribute] of baseAttributes) {
+      if (!headAttributes.has(name)) {
+        report('removed', name, [describeType(attribute)]);
+        continue;
+      }
+      const next = headAttributes.get(name);
+      const details = [];
+
+      const [fromType, toType] = [describeType(attribute), describeType(next)];
+      if (fromType !== toType) details.push(`type: ${fromType} → ${toType}`);
+
+      const calculated = (a) => a.value?.$Type === 'DomainModels$CalculatedValue';
+      if (calculated(attribute) !== calculated(next)) {
+        details.push(calculated(next) ? 'stored → calculated' : 'calculated → stored');
+      }
+
+      const defaultValue = (a) => a.value?.defaultValue ?? '';
+      if (defaultValue(attribute) !== defaultValue(next)) {
+        details.push(`default: "${defaultValue(attribute)}" → "${defaultValue(next)}"`);
+      }
+
+      if (details.length > 0) report('changed', name, details);
+    }
+  }
+
+  describeAssociation(association) {
+    const type = association.type || 'Reference';
+    return `${shortName(association.parent)} → ${association.child} (${type})`;
+  }
+
+  associationChanges(before, after) {
+    const details = [];
+    const compare = (label, read) => {
+      const [from, to] = [read(before), read(after)];
+      if (from !== to) details.push(`${label}: ${from ?? 'none'} → ${to ?? 'none'}`);
+    };
+
+    compare('parent', (a) => a.parent);
+    compare('child', (a) => a.child);
+    compare('type', (a) => a.type);
+    compare('owner', (a) => a.owner);
+    compare('parent delete behavior', (a) => a.deleteBehavior?.parentDeleteBehavior);
+    compare('child delete behavior', (a) => a.deleteBehavior?.childDeleteBehavior);
+    return details;
+  }
+
+  /**
+   * Reviewer-friendly markdown summary, grouped by module
+   */
+  toMarkdown(diff) {
+    const label = (side) => (side.revision ? `${side.name}@${side.revision}` : side.name);
+    const icons = { added: '🟢', removed: '🔴', changed: '🟡' };
+
+    let text = `# 🔀 Model Diff: ${label(diff.base)} → ${label(diff.head)}\n\n`;
+
+    if (diff.changes.length === 0) {
+      return `${text}✅ No model changes.\n`;
+    }
+
+    text += `**${diff.summary.total} changes:** ${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.changed} changed\n\n`;
+    text += `| Type | Added | Removed | Changed |\n|------|-------|---------|---------|\n`;
+    for (const type of TYPE_ORDER) {
+      const counts = diff.summary.byType[type];
+      if (!counts) continue;
+      text += `| ${type} | ${counts.added || 0} | ${counts.removed || 0} | ${counts.changed || 0} |\n`;
+    }
+
+    const removals = diff.changes.filter(
+      (c) => c.action === 'removed' && ['entity', 'attribute', 'enumeration-value'].includes(c.type)
+    );
+    if (removals.length > 0) {
+      text += `\n> ⚠️ ${removals.length} removed entities/attributes/enumeration values - check for data loss and references in microflows, pages and XPath.\n`;
+    }
+
+    let currentModule = null;
+    for (const change of diff.changes) {
+      if (change.module !== currentModule) {
+        currentModule = change.module;
+        text += `\n## ${currentModule}\n\n`;
+      }
+      text += `- ${icons[change.action]} ${change.action} ${change.type} **${change.name}**`;
+      text += change.details.length > 0 ? ` - ${change.details.join('; ')}\n` : '\n';
+    }
+
+    return text;
+  }
+}
+
+export default ProjectDiff;
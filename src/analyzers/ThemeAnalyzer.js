@@ -1,12 +1,10 @@
 /**
  * Mendix Theme Analyzer v2.0
  *
- * Focused analysis of Mendix web app themes against documented best practices.
+ * Focused analysis of Mendix app themes against documented best practices.
  * Based on official Mendix documentation: https://docs.mendix.com/howto/front-end/customize-styling-new/
  *
- * SCOPE: Web apps only (SCSS-based themes)
- * NOTE: Native mobile theme analysis is NOT included. This analyzer focuses on
- *       progressive/web applications which represent the majority use case.
+ * SCOPE: Web themes (SCSS) and, when theme/native exists, native mobile themes (JS)
  *
  * WHAT THIS ANALYZES:
  * 1. Custom Theme Structure - Does it follow Mendix's recommended folder structure?
@@ -15,9 +13,12 @@
  * 4. Override Patterns - Are Atlas styles being overridden correctly?
  * 5. Performance - Selector efficiency, nesting depth, file size
  * 6. Maintainability - Comments, organization, naming conventions
+ * 7. Accessibility - WCAG contrast of the text/background color pairs Atlas uses
+ * 8. Native Theme - theme/native/*.js: variables against the native Atlas
+ *    variables, hardcoded colors/sizes, platform-specific overrides
  *
  * WHAT THIS DOES NOT ANALYZE:
- * - Native mobile themes (JS-based) - out of scope
+ * - Native styles that only exist at runtime (functions, computed values)
  * - Marketplace modules - they're third-party, not user code
  * - Atlas_Core internals - it's always present, always required
  *
@@ -27,6 +28,46 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
+import { z } from 'zod';
+
+import {
+  adjustForContrast,
+  contrastRatio,
+  parseColor,
+  toHex,
+  WCAG_LEVELS,
+} from '../utils/ColorContrast.js';
+import { parseStyleModule, walkStyles } from '../utils/NativeStyles.js';
+import { parseVariables, resolveColor } from '../utils/ScssVariables.js';
+import {
+  gradeFor,
+  RECOMMENDATION_SCHEMA,
+  recommendationsFrom,
+  VERDICT_SCHEMA,
+  weightedScore,
+} from './AnalysisReport.js';
+
+const CONTRAST_VARIANTS = ['primary', 'success', 'warning', 'danger', 'info'];
+
+// Weight of each section in the overall score
+export const THEME_WEIGHTS = {
+  structure: 0.2,
+  scssQuality: 0.2,
+  colorScheme: 0.15,
+  overridePatterns: 0.1,
+  performance: 0.15,
+  maintainability: 0.1,
+  accessibility: 0.1,
+  native: 0.15,
+};
+
+const NATIVE_DOC_REF =
+  'https://docs.mendix.com/refguide/mobile/designing-mobile-user-interfaces/native-styling/';
+
+// Style properties whose numbers are sizes (React Native style names)
+const NATIVE_SIZE_PROPERTY =
+  /^(fontSize|lineHeight|letterSpacing|(padding|margin)\w*|border\w*(Radius|Width)|(min|max)?(Width|Height)|width|height|top|right|bottom|left|gap|rowGap|columnGap|size)$/;
+const PLATFORM_KEYS = ['ios', 'android', 'web', 'native', 'default'];
 
 class ThemeAnalyzer {
   constructor() {
@@ -93,6 +134,114 @@ class ThemeAnalyzer {
       '$brand-default',
     ];
 
+    // Text/background pairs checked for WCAG contrast (variable names without $)
+    const titleCase = (word) => word[0].toUpperCase() + word.slice(1);
+    this.contrastPairs = [
+      { element: 'Body text', foreground: 'font-color-default', background: 'bg-color' },
+      { element: 'Detail text', foreground: 'font-color-detail', background: 'bg-color' },
+      { element: 'Headers', foreground: 'font-color-header', background: 'bg-color', large: true },
+      { element: 'Links', foreground: 'link-color', background: 'bg-color' },
+      { element: 'Default button', foreground: 'btn-default-color', background: 'btn-default-bg' },
+      ...CONTRAST_VARIANTS.flatMap((variant) =>
+        ['button', 'alert', 'label'].map((widget) => ({
+          element: `${titleCase(variant)} ${widget}`,
+          foreground: `${widget === 'button' ? 'btn' : widget}-${variant}-color`,
+          background: `${widget === 'button' ? 'btn' : widget}-${variant}-bg`,
+        }))
+      ),
+    ];
+
+    // Atlas defaults for the variables those pairs use, for themes that don't set them
+    this.atlasColorDefaults = {
+      'brand-default': '#dde3e9',
+      'brand-primary': '#264ae5',
+      'brand-success': '#3cb33d',
+      'brand-warning': '#eca51c',
+      'brand-danger': '#e33f4e',
+      'brand-info': '#0086d9',
+      'bg-color': '#f8f8f8',
+      'font-color-default': '#0a1325',
+      'font-color-detail': '#6c717e',
+      'font-color-header': '#0a1325',
+      'link-color': '$brand-primary',
+      'btn-default-bg': '#ffffff',
+      'btn-default-color': '$brand-primary',
+      ...Object.fromEntries(
+        CONTRAST_VARIANTS.flatMap((variant) => [
+          [`color-${variant}-lighter`, `mix($brand-${variant}, white, 20%)`],
+          [`color-${variant}-darker`, `mix($brand-${variant}, black, 60%)`],
+          [`btn-${variant}-bg`, `$brand-${variant}`],
+          [`btn-${variant}-color`, '#ffffff'],
+          [`alert-${variant}-bg`, `$color-${variant}-lighter`],
+          [`alert-${variant}-color`, `$color-${variant}-darker`],
+          [`label-${variant}-bg`, `$color-${variant}-lighter`],
+          [`label-${variant}-color`, `$color-${variant}-darker`],
+        ])
+      ),
+    };
+
+    // Variables Atlas native styles read from custom-variables.js, per exported group.
+    // null: Atlas reads the group but it is widget specific, any key is accepted
+    this.nativeAtlasVariables = {
+      brand: [
+        'primary',
+        'success',
+        'warning',
+        'danger',
+        'info',
+        'primaryLight',
+        'successLight',
+        'warningLight',
+        'dangerLight',
+        'infoLight',
+      ],
+      background: [
+        'primary',
+        'secondary',
+        'brandPrimary',
+        'brandSuccess',
+        'brandWarning',
+        'brandDanger',
+        'brandInfo',
+      ],
+      border: ['color', 'width', 'radius', 'radiusSmall', 'radiusLarge', 'radiusLargest'],
+      contrast: ['highest', 'higher', 'high', 'regular', 'low', 'lower', 'lowest'],
+      font: [
+        'size',
+        'sizeSmallest',
+        'sizeSmall',
+        'sizeLarge',
+        'sizeLargest',
+        ...[1, 2, 3, 4, 5, 6].map((level) => `sizeH${level}`),
+        'lineHeight',
+        'lineHeightSmallest',
+        'lineHeightSmall',
+        'lineHeightLarge',
+        'lineHeightLargest',
+        ...[1, 2, 3, 4, 5, 6].map((level) => `lineHeightH${level}`),
+        'colorTitle',
+        'colorParagraph',
+        'colorDisabled',
+        'weightLight',
+        'weightNormal',
+        'weightSemiBold',
+        'weightBold',
+        'family',
+      ],
+      spacing: ['smallest', 'smaller', 'small', 'regular', 'large', 'larger', 'largest'],
+      button: null,
+      input: null,
+      image: null,
+      navigation: null,
+      container: null,
+      badge: null,
+      tabContainer: null,
+      listView: null,
+      layoutGrid: null,
+      floatingActionButton: null,
+      introScreen: null,
+    };
+
     // CSS custom property equivalents (modern approach)
     this.cssCustomPropertyBrandColors = [
       '--brand-primary',
@@ -118,7 +267,7 @@ class ThemeAnalyzer {
     const results = {
       projectPath: projectDir,
       analyzedAt: new Date().toISOString(),
-      scope: 'Web themes only (SCSS). Native mobile themes are not analyzed.',
+      scope: 'Web theme (SCSS) and native mobile theme (JS), when present.',
 
       // High-level verdicts (the important stuff)
       verdicts: [],
@@ -130,6 +279,8 @@ class ThemeAnalyzer {
       overridePatterns: await this.analyzeOverridePatterns(projectDir),
       performance: await this.analyzePerformance(projectDir),
       maintainability: await this.analyzeMaintainability(projectDir),
+      accessibility: await this.analyzeAccessibility(projectDir),
+      native: await this.analyzeNative(projectDir),
 
       // Module inventory (informational only)
       modules: await this.inventoryModules(projectDir),
@@ -617,6 +768,327 @@ class ThemeAnalyzer {
     return maintainability;
   }
 
+  // ========================================
+  // ACCESSIBILITY (WCAG CONTRAST)
+  // ========================================
+
+  async analyzeAccessibility(projectDir) {
+    const accessibility = {
+      pairs: [],
+      unresolved: [],
+      failures: { aa: 0, aaa: 0 },
+      issues: [],
+      score: 100,
+    };
+
+    const variables = await this.resolveThemeVariables(projectDir);
+    const lookup = (name) => variables.get(name)?.value ?? this.atlasColorDefaults[name];
+
+    for (const pair of this.contrastPairs) {
+      const used = new Set();
+      const foreground = resolveColor(`$${pair.foreground}`, lookup, used);
+      const background = resolveColor(`$${pair.background}`, lookup, used);
+
+      if (!foreground || !background) {
+        const variable = foreground ? pair.background : pair.foreground;
+        accessibility.unresolved.push({
+          element: pair.element,
+          reason: `$${variable}: ${lookup(variable) ?? 'not defined'} is not a resolvable color`,
+        });
+        continue;
+      }
+
+      // Pairs made only of Atlas defaults are reported, but are not the theme's doing
+      const themed = [...used].some((name) => variables.has(name));
+      const size = pair.large ? 'large' : 'normal';
+      const ratio = contrastRatio(foreground, background);
+      const result = {
+        element: pair.element,
+        foreground: { variable: `$${pair.foreground}`, color: toHex(foreground) },
+        background: { variable: `$${pair.background}`, color: toHex(background) },
+        ratio: Math.floor(ratio * 100) / 100,
+        largeText: Boolean(pair.large),
+        aa: ratio >= WCAG_LEVELS.AA[size],
+        aaa: ratio >= WCAG_LEVELS.AAA[size],
+        themed,
+        suggestions: {},
+      };
+
+      for (const level of ['AA', 'AAA']) {
+        if (result[level.toLowerCase()]) continue;
+        result.suggestions[level] = this.suggestContrastFix(
+          pair,
+          foreground,
+          background,
+          WCAG_LEVELS[level][size]
+        );
+      }
+      accessibility.pairs.push(result);
+
+      if (!themed || result.aaa) continue;
+
+      const level = result.aa ? 'AAA' : 'AA';
+      const target = WCAG_LEVELS[level][size];
+      const suggestion = result.suggestions[level];
+      accessibility.failures[level.toLowerCase()]++;
+      accessibility.issues.push({
+        severity: result.aa ? 'suggestion' : 'important',
+        message: `${pair.element} contrast ${result.ratio}:1 (${result.foreground.color} on ${result.background.color}) fails WCAG ${level} (${target}:1)`,
+        fix: suggestion
+          ? `Set ${suggestion.variable}: ${suggestion.color} (${suggestion.ratio}:1)`
+          : `Choose different colors for ${result.foreground.variable} and ${result.background.variable}`,
+        docRef: 'https://www.w3.org/WAI/WCAG21/Understanding/contrast-minimum.html',
+      });
+    }
+
+    accessibility.score = Math.max(
+      0,
+      100 - accessibility.failures.aa * 15 - accessibility.failures.aaa * 5
+    );
+    return accessibility;
+  }
+
+  /**
+   * Adjusted text color reaching `target`, or - when no text color can - an adjusted background
+   */
+  suggestContrastFix(pair, foreground, background, target) {
+    const text = adjustForContrast(foreground, background, target);
+    if (text) {
+      return {
+        variable: `$${pair.foreground}`,
+        color: toHex(text.color),
+        ratio: Math.floor(text.ratio * 100) / 100,
+      };
+    }
+
+    const fill = adjustForContrast(background, foreground, target, { background: true });
+    if (fill) {
+      return {
+        variable: `$${pair.background}`,
+        color: toHex(fill.color),
+        ratio: Math.floor(fill.ratio * 100) / 100,
+      };
+    }
+    return null;
+  }
+
+  // ========================================
+  // NATIVE THEME ANALYSIS
+  // ========================================
+
+  async analyzeNative(projectDir) {
+    const native = {
+      present: false,
+      files: [],
+      variables: { defined: 0, references: 0 },
+      hardcodedValues: { count: 0, examples: [] },
+      undefinedVariables: [],
+      unknownVariables: [],
+      platformOverrides: [],
+      parseErrors: [],
+      issues: [],
+      // null while there is no native theme, so it doesn't count for the score
+      score: null,
+    };
+
+    const nativePath = path.join(projectDir, 'theme', 'native');
+    if (!(await this.pathExists(nativePath))) return native;
+
+    native.present = true;
+    native.score = 100;
+
+    // Findings name files relative to theme/native
+    const relative = (file) => path.relative(nativePath, file).split(path.sep).join('/');
+    const files = await this.findFiles(nativePath, '.js');
+    native.files = files.map((file) => `theme/native/${relative(file)}`);
+
+    const modules = new Map();
+    for (const file of files) {
+      const content = await this.safeReadFile(file);
+      if (content === null) continue;
+      try {
+        modules.set(file, parseStyleModule(content));
+      } catch (error) {
+        native.parseErrors.push({ file: relative(file), message: error.message });
+      }
+    }
+
+    // Groups exported by custom-variables.js; null keys when a spread hides them
+    const variablesFile = path.join(nativePath, 'custom-variables.js');
+    const variables = modules.get(variablesFile);
+    const groups = new Map();
+
+    if (!files.includes(variablesFile)) {
+      native.score -= 20;
+      native.issues.push({
+        severity: 'important',
+        message: 'Missing theme/native/custom-variables.js',
+        fix: 'Create theme/native/custom-variables.js with the brand, font and spacing variables',
+        docRef: NATIVE_DOC_REF,
+      });
+    }
+
+    for (const { name, exported, value } of variables?.declarations || []) {
+      if (!exported || value.type !== 'object') continue;
+
+      const properties = value.properties.filter((property) => !property.spread);
+      const hidden = properties.length < value.properties.length;
+      groups.set(name, hidden ? null : new Set(properties.map((property) => property.key)));
+      native.variables.defined += properties.length;
+
+      const atlasKeys = this.nativeAtlasVariables[name];
+      for (const { key, line } of properties) {
+        if (atlasKeys && !atlasKeys.includes(key)) {
+          native.unknownVariables.push({ variable: `${name}.${key}`, line });
+        }
+      }
+    }
+
+    for (const [file, module] of modules) {
+      if (file === variablesFile) continue;
+
+      const fileName = relative(file);
+      const platformFile = fileName.match(/\.(ios|android)\.js$/);
+      if (platformFile) {
+        native.platformOverrides.push({ file: fileName, line: 1, kind: `${platformFile[1]} file` });
+      }
+
+      // Local names bound to custom-variables.js: namespace imports and named groups
+      const namespaces = [];
+      const named = new Map();
+      for (const entry of module.imports) {
+        const source = path.resolve(path.dirname(file), entry.source || '');
+        if (source.replace(/\.js$/, '') !== variablesFile.replace(/\.js$/, '')) continue;
+        if (entry.namespace) namespaces.push(entry.namespace);
+        for (const { imported, local } of entry.named) named.set(local, imported);
+      }
+
+      const variableOf = (reference) => {
+        const [head, ...rest] = reference.split('.');
+        if (namespaces.includes(head)) return rest;
+        return named.has(head) ? [named.get(head), ...rest] : null;
+      };
+
+      for (const declaration of module.declarations) {
+        // Numbers in arithmetic (`font.size * 1.5`) scale a value, they aren't sizes
+        const computed = new WeakSet();
+
+        walkStyles(declaration.value, (node, { key, path: stylePath }) => {
+          const location = { file: fileName, line: node.line };
+          const property = [...stylePath].reverse().find((k) => !PLATFORM_KEYS.includes(k));
+          const where = [declaration.name, ...stylePath].join('.');
+
+          if (node.type === 'expression') {
+            node.operands.forEach((operand) => computed.add(operand));
+          } else if (node.type === 'reference') {
+            const variable = variableOf(node.path);
+            if (!variable) return;
+            native.variables.references++;
+
+            const [group, name] = variable;
+            const keys = groups.get(group);
+            const known = groups.has(group) && (!name || !keys || keys.has(name));
+            if (variables && !known) {
+              native.undefinedVariables.push({ ...location, reference: node.path });
+            }
+          } else if (node.type === 'call' && /(^|\.)Platform\.select$/.test(node.callee || '')) {
+            native.platformOverrides.push({ ...location, kind: 'Platform.select', style: where });
+          } else if (node.type === 'conditional') {
+            let platformTest = false;
+            walkStyles(node.test, (test) => {
+              if (test.type === 'reference' && /(^|\.)Platform\.OS$/.test(test.path)) {
+                platformTest = true;
+              }
+            });
+            if (platformTest) {
+              native.platformOverrides.push({ ...location, kind: 'Platform.OS', style: where });
+            }
+          } else if (key !== null && node.type === 'string' && parseColor(node.value)) {
+            native.hardcodedValues.examples.push({ ...location, style: where, value: node.value });
+          } else if (
+            key !== null &&
+            node.type === 'number' &&
+            !computed.has(node) &&
+            Math.abs(node.value) > 1 &&
+            NATIVE_SIZE_PROPERTY.test(property || '')
+          ) {
+            native.hardcodedValues.examples.push({ ...location, style: where, value: node.value });
+          }
+        });
+      }
+    }
+
+    native.hardcodedValues.count = native.hardcodedValues.examples.length;
+    native.hardcodedValues.examples = native.hardcodedValues.examples.slice(0, 10);
+    const at = ({ file, line }) => `${file}:${line}`;
+
+    // Scoring - hardcoded values like the web theme
+    const hardcoded = native.hardcodedValues.count;
+    if (hardcoded > 5) {
+      native.score -= hardcoded > 20 ? 30 : 15;
+      native.issues.push({
+        severity: hardcoded > 20 ? 'important' : 'suggestion',
+        message: `${hardcoded} hardcoded colors/sizes in native styles`,
+        examples: native.hardcodedValues.examples
+          .slice(0, 5)
+          .map((example) => `${at(example)} ${example.style}: ${example.value}`),
+        fix: 'Define values in theme/native/custom-variables.js and import them in the style files',
+        docRef: NATIVE_DOC_REF,
+      });
+    }
+
+    for (const variable of native.undefinedVariables) {
+      native.issues.push({
+        severity: 'important',
+        message: `${variable.reference} is not defined in custom-variables.js (${at(variable)})`,
+        fix: 'Define the variable in theme/native/custom-variables.js or fix the reference',
+        docRef: NATIVE_DOC_REF,
+      });
+    }
+    native.score -= Math.min(30, native.undefinedVariables.length * 10);
+
+    for (const { variable, line } of native.unknownVariables) {
+      const group = variable.split('.')[0];
+      native.issues.push({
+        severity: 'suggestion',
+        message: `custom-variables.js:${line} defines ${variable}, which Atlas native styles don't read`,
+        fix: `Check the name - Atlas reads these ${group} keys: ${this.nativeAtlasVariables[
+          group
+        ].join(', ')}`,
+        docRef: NATIVE_DOC_REF,
+      });
+    }
+    native.score -= Math.min(15, native.unknownVariables.length * 5);
+
+    const overrides = native.platformOverrides.length;
+    if (overrides > 0) {
+      native.score -= overrides > 10 ? 15 : 5;
+      native.issues.push({
+        severity: overrides > 10 ? 'important' : 'suggestion',
+        message: `${overrides} platform-specific overrides in native styles`,
+        examples: native.platformOverrides
+          .slice(0, 5)
+          .map((override) =>
+            [at(override), override.style, `(${override.kind})`].filter(Boolean).join(' ')
+          ),
+        fix: 'Keep iOS/Android differences in custom-variables.js so the styles stay shared',
+        docRef: NATIVE_DOC_REF,
+      });
+    }
+
+    if (native.parseErrors.length > 0) {
+      native.issues.push({
+        severity: 'suggestion',
+        message: `${native.parseErrors.length} native style files could not be analyzed`,
+        examples: native.parseErrors.map(({ file, message }) => `${file}: ${message}`),
+        fix: 'Keep style files to plain style objects; computed styles are not checked',
+      });
+    }
+
+    native.score = Math.max(0, native.score);
+    return native;
+  }
+
   // ========================================
   // MODULE INVENTORY (Informational Only)
   // ========================================
@@ -662,6 +1134,7 @@ class ThemeAnalyzer {
         const modInfo = {
           name: mod,
           hasWebTheme: await this.pathExists(path.join(themesourcePath, mod, 'web')),
+          hasNativeTheme: await this.pathExists(path.join(themesourcePath, mod, 'native')),
           hasDesignProperties: await this.pathExists(
             path.join(themesourcePath, mod, 'web', 'design-properties.json')
           ),
@@ -673,7 +1146,7 @@ class ThemeAnalyzer {
           inventory.project.push(modInfo);
 
           // Check if it's marked as UI resource (has styling)
-          if (modInfo.hasWebTheme) {
+          if (modInfo.hasWebTheme || modInfo.hasNativeTheme) {
             inventory.uiResourceModules.push(mod);
           }
         }
@@ -781,6 +1254,39 @@ class ThemeAnalyzer {
         : 'Add comments to improve maintainability',
     });
 
+    // Verdict 7: Accessibility
+    const { failures, pairs } = results.accessibility;
+    const themedPairs = pairs.filter((pair) => pair.themed);
+    verdicts.push({
+      check: 'Accessibility Contrast',
+      status: failures.aa > 0 ? 'FAIL' : failures.aaa > 0 ? 'WARN' : 'PASS',
+      score: results.accessibility.score,
+      detail:
+        failures.aa > 0
+          ? `${failures.aa} color pairs fail WCAG AA: ${themedPairs
+              .filter((pair) => !pair.aa)
+              .map((pair) => pair.element)
+              .join(', ')}`
+          : `${themedPairs.length} theme color pairs meet WCAG AA` +
+            (failures.aaa > 0 ? ` (${failures.aaa} miss AAA)` : ''),
+    });
+
+    // Verdict 8: Native Theme (only when the project has one)
+    const { native } = results;
+    if (native.present) {
+      verdicts.push({
+        check: 'Native Theme',
+        status: native.score >= 75 ? 'PASS' : native.score >= 50 ? 'WARN' : 'FAIL',
+        score: native.score,
+        detail: [
+          `${native.files.length} style files`,
+          `${native.variables.references} variable references`,
+          `${native.hardcodedValues.count} hardcoded values`,
+          `${native.platformOverrides.length} platform-specific overrides`,
+        ].join(', '),
+      });
+    }
+
     return verdicts;
   }
 
@@ -789,8 +1295,6 @@ class ThemeAnalyzer {
   // ========================================
 
   generateRecommendations(results) {
-    const recommendations = [];
-
     // Collect all issues from all sections
     const allIssues = [
       ...(results.structure.issues || []),
@@ -800,28 +1304,11 @@ class ThemeAnalyzer {
       ...(results.overridePatterns.issues || []),
       ...(results.performance.issues || []),
       ...(results.maintainability.issues || []),
+      ...(results.accessibility.issues || []),
+      ...(results.native.issues || []),
     ];
 
-    // Sort by severity
-    const severityOrder = { critical: 0, important: 1, suggestion: 2 };
-    allIssues.sort((a, b) => (severityOrder[a.severity] || 99) - (severityOrder[b.severity] || 99));
-
-    // Convert to recommendations
-    for (const issue of allIssues) {
-      recommendations.push({
-        priority:
-          issue.severity === 'critical'
-            ? 'HIGH'
-            : issue.severity === 'important'
-            ? 'MEDIUM'
-            : 'LOW',
-        issue: issue.message,
-        recommendation: issue.fix || 'Review and address this issue',
-        docRef: issue.docRef,
-      });
-    }
-
-    return recommendations;
+    return recommendationsFrom(allIssues);
   }
 
   // ========================================
@@ -829,36 +1316,9 @@ class ThemeAnalyzer {
   // ========================================
 
   calculateScore(results) {
-    // Weight the different areas
-    const weights = {
-      structure: 0.2,
-      scssQuality: 0.25,
-      colorScheme: 0.15,
-      overridePatterns: 0.1,
-      performance: 0.15,
-      maintainability: 0.15,
-    };
-
-    let weightedSum = 0;
-
-    weightedSum += (results.structure.score || 0) * weights.structure;
-    weightedSum += (results.scssQuality.score || 0) * weights.scssQuality;
-    weightedSum += (results.colorScheme.score || 0) * weights.colorScheme;
-    weightedSum += (results.overridePatterns.score || 0) * weights.overridePatterns;
-    weightedSum += (results.performance.score || 0) * weights.performance;
-    weightedSum += (results.maintainability.score || 0) * weights.maintainability;
-
-    const score = Math.round(weightedSum);
-
-    // Grade assignment
-    let grade;
-    if (score >= 90) grade = 'A';
-    else if (score >= 80) grade = 'B';
-    else if (score >= 70) grade = 'C';
-    else if (score >= 60) grade = 'D';
-    else grade = 'F';
-
-    return { score, grade };
+    // Sections without a score (no native theme) don't count
+    const score = weightedScore(results, THEME_WEIGHTS);
+    return { score, grade: gradeFor(score) };
   }
 
   // ========================================
@@ -868,7 +1328,9 @@ class ThemeAnalyzer {
   generateSummary(results) {
     let summary = `## Theme Analysis Summary\n\n`;
     summary += `**Overall Grade: ${results.grade}** (Score: ${results.score}/100)\n\n`;
-    summary += `_Scope: Web app themes only. Native mobile themes not analyzed._\n\n`;
+    summary += results.native.present
+      ? `_Scope: Web theme (SCSS) and native mobile theme (JS)._\n\n`
+      : `_Scope: Web theme (SCSS). No theme/native folder, so no native mobile analysis._\n\n`;
 
     // Verdicts section
     summary += `### Verdicts\n\n`;
@@ -883,6 +1345,11 @@ class ThemeAnalyzer {
     summary += `- SCSS variables used: ${results.scssQuality.variableUsage?.count || 0}\n`;
     summary += `- Hardcoded values: ${results.scssQuality.hardcodedValues?.count || 0}\n`;
     summary += `- Project modules with themes: ${results.modules.uiResourceModules?.length || 0}\n`;
+    summary += `- Contrast pairs failing WCAG AA: ${results.accessibility.failures.aa}\n`;
+    if (results.native.present) {
+      summary += `- Native style files: ${results.native.files.length}\n`;
+      summary += `- Native hardcoded values: ${results.native.hardcodedValues.count}\n`;
+    }
 
     // Top recommendations
     const highPriority = results.recommendations.filter((r) => r.priority === 'HIGH');
@@ -918,14 +1385,18 @@ class ThemeAnalyzer {
   }
 
   async findScssFiles(dir) {
+    return this.findFiles(dir, '.scss');
+  }
+
+  async findFiles(dir, extension) {
     const files = [];
     try {
       const entries = await fs.readdir(dir, { withFileTypes: true });
       for (const entry of entries) {
         const fullPath = path.join(dir, entry.name);
         if (entry.isDirectory()) {
-          files.push(...(await this.findScssFiles(fullPath)));
-        } else if (entry.name.endsWith('.scss')) {
+          files.push(...(await this.findFiles(fullPath, extension)));
+        } else if (entry.name.endsWith(extension)) {
           files.push(fullPath);
         }
       }
@@ -993,6 +1464,249 @@ class ThemeAnalyzer {
     // No import found or couldn't resolve - use original content
     return { content, resolvedPath: path.relative(projectDir, startFile) };
   }
+
+  /**
+   * Variables of custom-variables.scss and the file it imports, the theme's own
+   * definitions overriding imported ones
+   * @returns {Map<string, {value: string, description: string|null}>}
+   */
+  async resolveThemeVariables(projectDir) {
+    const variablesPath = path.join(projectDir, 'theme', 'web', 'custom-variables.scss');
+    const own = await this.safeReadFile(variablesPath);
+    const { content } = await this.resolveVariablesContent(projectDir, variablesPath);
+
+    return new Map([
+      ...(content && content !== own ? parseVariables(content) : []),
+      ...parseVariables(own),
+    ]);
+  }
 }
 
+const section = (description) => ({
+  type: 'object',
+  description,
+  properties: { score: { type: ['number', 'null'] }, issues: { type: 'array' } },
+});
+const colorOf = {
+  type: 'object',
+  properties: { variable: { type: 'string' }, color: { type: 'string' } },
+};
+
+const sectionsSchema = {
+  type: 'object',
+  properties: {
+    structure: section('Required theme files and folders'),
+    scssQuality: section('Variable usage, hardcoded values and Atlas imports'),
+    colorScheme: section('Brand color configuration'),
+    overridePatterns: section('Exclusion variables and main.scss organization'),
+    performance: section('Nesting depth and theme size'),
+    maintainability: section('Comments and file organization'),
+    accessibility: {
+      type: 'object',
+      description:
+        'WCAG contrast audit of the color pairs Atlas uses (text on backgrounds, buttons, alerts, labels)',
+      properties: {
+        pairs: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              element: { type: 'string' },
+              foreground: colorOf,
+              background: colorOf,
+              ratio: { type: 'number' },
+              largeText: { type: 'boolean' },
+              aa: { type: 'boolean' },
+              aaa: { type: 'boolean' },
+              themed: {
+                type: 'boolean',
+                description: 'Whether the theme sets a variable of this pair; only themed pairs raise issues',
+              },
+              suggestions: {
+                type: 'object',
+                description: 'Adjusted colors that pass AA / AAA: { variable, color, ratio }',
+              },
+            },
+          },
+        },
+        unresolved: { type: 'array', items: { type: 'object' } },
+        failures: {
+          type: 'object',
+          properties: { aa: { type: 'integer' }, aaa: { type: 'integer' } },
+        },
+        score: { type: 'number' },
+      },
+    },
+    native: {
+      type: 'object',
+      description: 'theme/native JS styles; score is null when the project has no native theme',
+      properties: {
+        present: { type: 'boolean' },
+        files: { type: 'array', items: { type: 'string' } },
+        hardcodedValues: { type: 'object' },
+        undefinedVariables: { type: 'array' },
+        unknownVariables: { type: 'array' },
+        platformOverrides: { type: 'array' },
+        score: { type: ['number', 'null'] },
+      },
+    },
+    modules: { type: 'object', description: 'Theme modules in themesource (informational)' },
+  },
+};
+
+/**
+ * Registration of the theme analysis (see AnalyzerRegistry) - analyze_theme and
+ * POST /analyze-theme
+ */
+export const themeAnalyzer = {
+  id: 'theme',
+  title: 'Theme Analysis',
+  icon: '🎨',
+  description: `Deep analysis of a Mendix project's custom theme against best practices.
+Analyzes folder structure, SCSS files, color contrast, organization and performance patterns,
+plus theme/native JS styles (Atlas variables, hardcoded values, platform-specific overrides).
+Returns a letter grade (A to F), detailed scores, and actionable recommendations.`,
+  toolDescription: `Use this to evaluate and improve custom themes for web and native mobile apps.
+With patch="preview" it returns a unified diff of mechanical fixes instead (brand color variables,
+missing theme files, Atlas exclusion variables); patch="apply" with the previewed patch_id writes it.`,
+  input: 'project',
+  toolOptions: {
+    patch: z
+      .enum(['preview', 'apply'])
+      .optional()
+      .describe('Preview mechanical fixes as a unified diff, or apply a previewed patch'),
+    patch_id: z.string().optional().describe('Patch id from the preview (required to apply)'),
+    fix_types: z
+      .array(z.string())
+      .optional()
+      .describe('Limit fixes to brand-colors, missing-files and/or exclusions (default: all)'),
+  },
+  weights: THEME_WEIGHTS,
+  labels: {
+    structure: 'Structure',
+    scssQuality: 'SCSS Quality',
+    colorScheme: 'Color Scheme',
+    overridePatterns: 'Override Patterns',
+    performance: 'Performance',
+    maintainability: 'Maintainability',
+    accessibility: 'Accessibility',
+    native: 'Native Theme',
+  },
+  resultSchema: sectionsSchema,
+  responseSchema: {
+    type: 'object',
+    properties: {
+      project_path: { type: 'string' },
+      score: { type: 'number', description: 'Weighted score 0-100' },
+      grade: { type: 'string', enum: ['A', 'B', 'C', 'D', 'F'] },
+      scores: {
+        type: 'object',
+        description: 'overall plus the score of every section (null when it does not apply)',
+      },
+      verdicts: { type: 'array', items: VERDICT_SCHEMA },
+      recommendations: {
+        type: 'object',
+        properties: {
+          critical: { type: 'array', items: RECOMMENDATION_SCHEMA },
+          important: { type: 'array', items: RECOMMENDATION_SCHEMA },
+          suggestions: { type: 'array', items: RECOMMENDATION_SCHEMA },
+        },
+      },
+      accessibility: sectionsSchema.properties.accessibility,
+      summary: { type: 'string', description: 'Markdown summary' },
+      analysis: { ...sectionsSchema, description: 'The sections, when detailed is true' },
+    },
+  },
+
+  async analyze(projectDir) {
+    const results = await new ThemeAnalyzer().analyze(projectDir);
+    return {
+      sections: Object.fromEntries(
+        [...Object.keys(THEME_WEIGHTS), 'modules'].map((name) => [name, results[name]])
+      ),
+      verdicts: results.verdicts,
+      recommendations: results.recommendations,
+      summary: results.summary,
+    };
+  },
+
+  // POST /analyze-theme keeps the response it had before the analyzer registry
+  toResponse(report, { detailed }) {
+    const byPriority = (priority) => report.recommendations.filter((r) => r.priority === priority);
+    const sectionScores = Object.keys(THEME_WEIGHTS).map((name) => [
+      name,
+      report.sections[name]?.score ?? null,
+    ]);
+
+    return {
+      project_path: report.target,
+      score: report.score,
+      grade: report.grade,
+      scores: { overall: report.score, ...Object.fromEntries(sectionScores) },
+      verdicts: report.verdicts,
+      recommendations: {
+        critical: byPriority('HIGH'),
+        important: byPriority('MEDIUM'),
+        suggestions: byPriority('LOW'),
+      },
+      accessibility: report.sections.accessibility,
+      summary: report.summary,
+      analysis: detailed ? report.sections : undefined,
+    };
+  },
+
+  // patch="preview" / "apply" answers with the ThemeFixer patch instead of a report
+  async handleTool(projectPath, { patch, patch_id, fix_types }) {
+    if (!patch) return null;
+
+    const { default: ThemeFixer } = await import('./ThemeFixer.js');
+    const fixer = new ThemeFixer();
+    const plan =
+      patch === 'apply'
+        ? await fixer.apply(projectPath, { id: patch_id, types: fix_types })
+        : await fixer.plan(projectPath, { types: fix_types });
+    return fixer.toMarkdown(plan);
+  },
+
+  formatDetails(report, { detailed }) {
+    const { accessibility, modules } = report.sections;
+    let text = '';
+
+    if (detailed && accessibility.pairs.length > 0) {
+      text += `## ♿ Accessibility Contrast\n\n`;
+      text += `| Element | Foreground | Background | Ratio | AA | AAA |\n`;
+      text += `|---------|------------|------------|-------|----|-----|\n`;
+      for (const pair of accessibility.pairs) {
+        text += `| ${pair.element}${pair.largeText ? ' (large)' : ''} | \`${
+          pair.foreground.variable
+        }\` ${pair.foreground.color} | \`${pair.background.variable}\` ${
+          pair.background.color
+        } | ${pair.ratio}:1 | ${pair.aa ? '✅' : '❌'} | ${pair.aaa ? '✅' : '❌'} |\n`;
+      }
+      for (const { element, reason } of accessibility.unresolved) {
+        text += `\n_${element} not checked: ${reason}_\n`;
+      }
+      text += `\n`;
+    }
+
+    const themeModules = [...modules.project, ...modules.marketplace];
+    if (detailed && themeModules.length > 0) {
+      text += `## 📁 Theme Modules\n\n`;
+      text += `| Module | Web | Native | Design Props |\n`;
+      text += `|--------|-----|--------|--------------|\n`;
+      for (const mod of themeModules) {
+        text += `| ${mod.name} | ${mod.hasWebTheme ? '✅' : '❌'} | ${
+          mod.hasNativeTheme ? '✅' : '❌'
+        } | ${mod.hasDesignProperties ? '✅' : '❌'} |\n`;
+      }
+      text += `\n`;
+    }
+
+    text += `\n## 📚 Best Practices Reference\n\n`;
+    text += `For detailed theme best practices, use: \`query_mendix_knowledge topic="theme best practices"\`\n`;
+    text += `For design tokens info: \`get_best_practice scenario="design tokens"\`\n`;
+    return text;
+  },
+};
+
 export default ThemeAnalyzer;
@@ -0,0 +1,447 @@
+/**
+ * Mendix Theme Fixer
+ *
+ * Mechanical fixes for ThemeAnalyzer findings. Fixes are planned as a unified diff
+ * first, so they can be reviewed (or applied with `git apply`) before anything is
+ * written; apply() only writes a plan whose id matches the previewed one.
+ *
+ * FIXES:
+ * - brand-colors:  hardcoded hex colors equal to a $brand-* value become the variable
+ * - missing-files: missing required theme/web files are created from templates
+ * - exclusions:    !important overrides of Atlas widgets are dropped and the widget's
+ *                  $exclude-* variable is enabled in exclusion-variables.scss instead
+ *
+ * Deep nesting and the other findings need judgement and stay recommendations.
+ *
+ * @version 1.0.0
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import Logger from '../utils/logger.js';
+import { createPatch } from '../utils/UnifiedDiff.js';
+import { ValidationError } from '../utils/validator.js';
+import ThemeAnalyzer from './ThemeAnalyzer.js';
+
+const logger = new Logger('ThemeFixer');
+
+export const FIX_TYPES = ['brand-colors', 'missing-files', 'exclusions'];
+
+const WEB_DIR = 'theme/web';
+const VARIABLES_FILE = `${WEB_DIR}/custom-variables.scss`;
+const EXCLUSIONS_FILE = `${WEB_DIR}/exclusion-variables.scss`;
+
+const TEMPLATES = {
+  'custom-variables.scss': `// Theme settings - loaded before Atlas, overriding its defaults
+// https://docs.mendix.com/howto/front-end/customize-styling-new/
+
+// Brand colors (Atlas defaults - replace with your own)
+$brand-default: #dde3e9;
+$brand-primary: #264ae5;
+$brand-success: #3cb33d;
+$brand-warning: #eca51c;
+$brand-danger: #e33f4e;
+$brand-info: #0086d9;
+`,
+  'main.scss': `// Entry point for custom styling - import your own partials here
+// https://docs.mendix.com/howto/front-end/customize-styling-new/
+
+// @import 'components/buttons';
+`,
+  'settings.json': `${JSON.stringify({ cssFiles: ['theme.compiled.css'] }, null, 2)}\n`,
+  'exclusion-variables.scss': `// Disable default Atlas styling for widgets styled by this theme
+// https://docs.mendix.com/howto/front-end/customize-styling-new/#disable-default-styling
+`,
+};
+
+// Atlas widget classes and the variable that turns off Atlas' styling for them
+const ATLAS_EXCLUSIONS = {
+  btn: '$exclude-button',
+  badge: '$exclude-badge',
+  label: '$exclude-label',
+  'form-control': '$exclude-input',
+  'mx-checkbox': '$exclude-check-box',
+  'mx-radiobuttons': '$exclude-radio-button',
+  'mx-datagrid': '$exclude-data-grid',
+  'mx-dataview': '$exclude-data-view',
+  'mx-groupbox': '$exclude-group-box',
+  'mx-layoutgrid': '$exclude-layout-grid',
+  'mx-listview': '$exclude-list-view',
+  'mx-navbar': '$exclude-navigation-bar',
+  'mx-navigationtree': '$exclude-navigation-tree',
+  'mx-menubar': '$exclude-simple-menu-bar',
+  'mx-progress': '$exclude-progress',
+  'mx-tabcontainer': '$exclude-tab-container',
+  'mx-templategrid': '$exclude-template-grid',
+  'mx-table': '$exclude-table',
+  'mx-dialog': '$exclude-modal',
+};
+
+/**
+ * Lowercase 6 or 8 digit form of a hex color ("#FFF" -> "#ffffff")
+ */
+function normalizeHex(hex) {
+  const digits = hex.slice(1).toLowerCase();
+  if (digits.length === 3 || digits.length === 4) {
+    return `#${[...digits].map((d) => d + d).join('')}`;
+  }
+  return `#${digits}`;
+}
+
+/**
+ * Offsets of every !important outside comments, with the selectors of the rules
+ * it is nested in
+ */
+function findImportant(content) {
+  const found = [];
+  const selectors = [];
+  let buffer = '';
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (char === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2);
+      i = end === -1 ? content.length : end + 1;
+    } else if (char === '/' && content[i + 1] === '/' && content[i - 1] !== ':') {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? content.length : end - 1;
+    } else if (char === '{') {
+      // Interpolation (#{...}) is part of the selector or value, not a block
+      if (content[i - 1] === '#') {
+        const end = content.indexOf('}', i);
+        buffer += content.slice(i, end + 1);
+        i = end === -1 ? content.length : end;
+      } else {
+        selectors.push(buffer.trim());
+        buffer = '';
+      }
+    } else if (char === '}') {
+      selectors.pop();
+      buffer = '';
+    } else if (char === ';') {
+      buffer = '';
+    } else if (content.startsWith('!important', i)) {
+      found.push({ index: i, selectors: [...selectors] });
+      i += '!important'.length - 1;
+    } else {
+      buffer += char;
+    }
+  }
+
+  return found;
+}
+
+class ThemeFixer {
+  /**
+   * @param {Object} options
+   * @param {ThemeAnalyzer} options.analyzer - Supplies expected files and SCSS helpers
+   * @param {number} options.context - Context lines around each change in the patch
+   */
+  constructor(options = {}) {
+    this.analyzer = options.analyzer || new ThemeAnalyzer();
+    this.context = options.context ?? 3;
+  }
+
+  /**
+   * Plan fixes without writing anything
+   * @param {string} projectPath - Path to .mpr file or project directory
+   * @param {Object} options - { types } to limit the kinds of fixes
+   * @returns {Promise<Object>} { projectPath, id, fixes, changes, patch }
+   */
+  async plan(projectPath, { types = FIX_TYPES } = {}) {
+    const unknown = (types || []).find((type) => !FIX_TYPES.includes(type));
+    if (unknown) {
+      throw new ValidationError(`Unknown fix type "${unknown}". Use ${FIX_TYPES.join(', ')}`);
+    }
+
+    const projectDir = projectPath.endsWith('.mpr') ? path.dirname(projectPath) : projectPath;
+    const files = new Map();
+    const fixes = [];
+
+    // Planned content of a file; reads it from disk the first time
+    const load = async (file) => {
+      if (!files.has(file)) {
+        const content = await this.analyzer.safeReadFile(path.join(projectDir, file));
+        files.set(file, { before: content, after: content });
+      }
+      return files.get(file).after;
+    };
+    const save = (file, content) => {
+      files.get(file).after = content;
+    };
+
+    const styleFiles = await this.styleFiles(projectDir);
+    const selected = types?.length ? types : FIX_TYPES;
+
+    if (selected.includes('brand-colors')) {
+      const brandColors = await this.brandColorValues(projectDir);
+      for (const file of styleFiles) {
+        const { content, replaced } = this.replaceBrandColors(await load(file), brandColors);
+        save(file, content);
+        for (const [key, count] of replaced) {
+          const [hex, variable] = key.split(' ');
+          fixes.push({
+            type: 'brand-colors',
+            file,
+            description: `Replace ${hex} with ${variable} (${count}x)`,
+          });
+        }
+      }
+    }
+
+    if (selected.includes('missing-files')) {
+      for (const [file, info] of Object.entries(this.analyzer.expectedFiles)) {
+        if (!info.required || (await load(file)) !== null) continue;
+        save(file, TEMPLATES[path.basename(file)]);
+        fixes.push({
+          type: 'missing-files',
+          file,
+          description: `Create ${file} - ${info.purpose}`,
+        });
+      }
+    }
+
+    if (selected.includes('exclusions')) {
+      const excluded = new Set();
+      for (const file of styleFiles) {
+        const { content, variables } = this.dropImportant(await load(file));
+        save(file, content);
+        for (const [variable, count] of variables) {
+          excluded.add(variable);
+          fixes.push({
+            type: 'exclusions',
+            file,
+            description: `Drop ${count} !important override(s) in favour of ${variable}`,
+          });
+        }
+      }
+
+      if (excluded.size > 0) {
+        const current = await load(EXCLUSIONS_FILE);
+        const { content, enabled } = this.enableExclusions(current, [...excluded].sort());
+        save(EXCLUSIONS_FILE, content);
+        if (enabled.length > 0) {
+          const action = current === null ? 'Create file and enable' : 'Enable';
+          fixes.push({
+            type: 'exclusions',
+            file: EXCLUSIONS_FILE,
+            description: `${action} ${enabled.join(', ')}`,
+          });
+        }
+      }
+    }
+
+    const changes = [...files]
+      .filter(([, { before, after }]) => before !== after)
+      .map(([file, { before, after }]) => ({ file, created: before === null, before, after }))
+      .sort((a, b) => a.file.localeCompare(b.file));
+    const patch = changes
+      .map(({ file, before, after }) => createPatch(file, before, after, { context: this.context }))
+      .join('');
+
+    return {
+      projectPath: projectDir,
+      id: patch ? createHash('sha256').update(patch).digest('hex').slice(0, 12) : null,
+      fixes,
+      changes,
+      patch,
+    };
+  }
+
+  /**
+   * Write a previewed plan. The plan is made again and only written when its id
+   * still matches, so files changed since the preview are never overwritten.
+   * @param {string} projectPath - Path to .mpr file or project directory
+   * @param {Object} options - { id } of the previewed plan, { types } as for plan()
+   */
+  async apply(projectPath, { id, types } = {}) {
+    if (!id) {
+      throw new ValidationError('Preview the fixes first and pass their patch id to apply', 'id');
+    }
+
+    const plan = await this.plan(projectPath, { types });
+    if (plan.id !== id) {
+      throw new Error(
+        plan.id
+          ? `Theme changed since patch ${id} was previewed - preview again (now ${plan.id})`
+          : `Nothing left to fix - patch ${id} is already applied`
+      );
+    }
+
+    for (const { file, after } of plan.changes) {
+      const fullPath = path.join(plan.projectPath, file);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, after, 'utf-8');
+    }
+
+    logger.info('Applied theme fixes', { id, files: plan.changes.length });
+    return { ...plan, applied: plan.changes.map((change) => change.file) };
+  }
+
+  /**
+   * Custom SCSS files under theme/web, relative to the project, minus the variable files
+   */
+  async styleFiles(projectDir) {
+    const files = await this.analyzer.findScssFiles(path.join(projectDir, WEB_DIR));
+    return files
+      .map((file) => path.relative(projectDir, file).split(path.sep).join('/'))
+      .filter((file) => file !== VARIABLES_FILE && file !== EXCLUSIONS_FILE)
+      .sort();
+  }
+
+  /**
+   * Normalized hex value -> brand variable, from custom-variables.scss (following its
+   * import like the analyzer does). Values shared by several brand colors are left
+   * out - there is no telling which one was meant.
+   */
+  async brandColorValues(projectDir) {
+    const { content } = await this.analyzer.resolveVariablesContent(
+      projectDir,
+      path.join(projectDir, VARIABLES_FILE)
+    );
+
+    const candidates = new Map();
+    const definitions = (content || '').matchAll(
+      /(\$brand-[\w-]+|--brand-[\w-]+)\s*:\s*(#[0-9a-fA-F]{3,8})\b/g
+    );
+    for (const [, name, hex] of definitions) {
+      const key = normalizeHex(hex);
+      const names = candidates.get(key) || new Set();
+      names.add(name);
+      candidates.set(key, names);
+    }
+
+    const values = new Map();
+    for (const [key, names] of candidates) {
+      // SCSS variables win over custom properties
+      const scss = [...names].filter((name) => name.startsWith('$'));
+      const usable = scss.length > 0 ? scss : [...names];
+      if (usable.length !== 1) continue;
+      values.set(key, usable[0].startsWith('$') ? usable[0] : `var(${usable[0]})`);
+    }
+    return values;
+  }
+
+  /**
+   * Replace brand color literals in declaration values, skipping comments, brand
+   * variable definitions and values marked with the analyzer's "// var" escape
+   * @returns {{content: string, replaced: Map<string, number>}} "hex variable" -> count
+   */
+  replaceBrandColors(content, brandColors) {
+    const replaced = new Map();
+    if (!content || brandColors.size === 0) return { content, replaced };
+
+    const lines = content.split('\n').map((line) => {
+      const trimmed = line.trim();
+      if (/^(\/\/|\/\*|\*)/.test(trimmed) || /\/\/\s*var/.test(line)) return line;
+
+      // Leave trailing comments alone (but not the // of a URL)
+      const commentAt = line.search(/(?<!:)\/\//);
+      const split = commentAt === -1 ? line.length : commentAt;
+      const code = line.slice(0, split);
+
+      const fixed = code.replace(
+        /((?:\$|--)?[\w-]+\s*:\s*)([^;{}]+)(?=;|}|$)/g,
+        (declaration, property, value) => {
+          if (/^(\$|--)brand-/.test(property)) return declaration;
+          const newValue = value.replace(/#[0-9a-fA-F]{3,8}\b/g, (hex) => {
+            const variable = brandColors.get(normalizeHex(hex));
+            if (!variable) return hex;
+            const key = `${hex} ${variable}`;
+            replaced.set(key, (replaced.get(key) || 0) + 1);
+            return variable;
+          });
+          return property + newValue;
+        }
+      );
+      return fixed + line.slice(split);
+    });
+
+    return { content: lines.join('\n'), replaced };
+  }
+
+  /**
+   * Remove !important from declarations in rules for Atlas widgets that have an
+   * exclusion variable
+   * @returns {{content: string, variables: Map<string, number>}} variable -> count
+   */
+  dropImportant(content) {
+    const variables = new Map();
+    if (!content) return { content, variables };
+
+    let fixed = content;
+    for (const { index, selectors } of findImportant(content).reverse()) {
+      const classes = selectors.flatMap((selector) =>
+        [...selector.matchAll(/\.([\w-]+)/g)].map((m) => m[1])
+      );
+      const widget = classes.find((name) => ATLAS_EXCLUSIONS[name]);
+      if (!widget) continue;
+
+      const variable = ATLAS_EXCLUSIONS[widget];
+      variables.set(variable, (variables.get(variable) || 0) + 1);
+
+      let start = index;
+      while (start > 0 && (fixed[start - 1] === ' ' || fixed[start - 1] === '\t')) start--;
+      fixed = fixed.slice(0, start) + fixed.slice(index + '!important'.length);
+    }
+
+    return { content: fixed, variables };
+  }
+
+  /**
+   * Turn exclusion variables on, creating exclusion-variables.scss from its template
+   * @returns {{content: string, enabled: string[]}}
+   */
+  enableExclusions(content, variables) {
+    let fixed = content ?? TEMPLATES['exclusion-variables.scss'];
+    const enabled = [];
+
+    for (const variable of variables) {
+      const name = variable.replace('$', '\\$');
+      const definition = new RegExp(`^(\\s*${name}\\s*:\\s*)(true|false)\\b`, 'm');
+      const match = fixed.match(definition);
+      if (match?.[2] === 'true') continue;
+
+      fixed = match
+        ? fixed.replace(definition, '$1true')
+        : `${fixed}${!fixed || fixed.endsWith('\n') ? '' : '\n'}${variable}: true;\n`;
+      enabled.push(variable);
+    }
+
+    return { content: fixed, enabled };
+  }
+
+  /**
+   * Reviewable markdown: the fixes, the patch and how to apply it
+   */
+  toMarkdown(plan) {
+    let text = `# 🛠️ Theme Fixes\n\n`;
+    text += `**Project:** ${plan.projectPath}\n`;
+
+    if (!plan.patch) {
+      return `${text}\nNo mechanical fixes found - see \`analyze_theme\` recommendations.\n`;
+    }
+
+    text += `**Patch id:** \`${plan.id}\`\n`;
+    if (plan.applied) {
+      text += `**Applied to:** ${plan.applied.map((file) => `\`${file}\``).join(', ')}\n`;
+    }
+
+    text += `\n## Fixes (${plan.fixes.length})\n\n`;
+    text += `| Type | File | Fix |\n|------|------|-----|\n`;
+    for (const fix of plan.fixes) {
+      text += `| ${fix.type} | \`${fix.file}\` | ${fix.description} |\n`;
+    }
+
+    text += `\n## Patch\n\n\`\`\`diff\n${plan.patch}\`\`\`\n`;
+    if (!plan.applied) {
+      text += `\nNothing has been written. Apply with \`patch="apply" patch_id="${plan.id}"\`, `;
+      text += `or save the patch and run \`git apply\` in the project directory.\n`;
+    }
+    return text;
+  }
+}
+
+export default ThemeFixer;
@@ -0,0 +1,471 @@
+/**
+ * ExpansionDictionary - Query expansions shared by SearchEngine and HybridSearch
+ *
+ * Seeded with the Mendix abbreviations and synonyms both engines used to hard-code
+ * ("mf" → microflow, "np" → non-persistent) and grown from search behaviour:
+ * - reformulation - a query without hits followed by one with hits in the same session
+ * - answered      - a query without hits that a later, similar query answers
+ * - usage         - a result that was used although it lacks a query term
+ *
+ * Learned expansions start as pending and only affect search once approved
+ * (query_expansions tool). Rejected ones are kept so they are not proposed again.
+ *
+ * Stored in data/query-expansions.json (learned and reviewed expansions only -
+ * seeds live here in code). Without a file path the dictionary stays in memory.
+ */
+
+import { createHash } from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getConfig } from '../utils/config.js';
+import LockedJsonFile from '../utils/LockedJsonFile.js';
+import Logger from '../utils/logger.js';
+import { ValidationError } from '../utils/validator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SERVER_ROOT = path.resolve(__dirname, '../..');
+
+const FORMAT_VERSION = 1;
+
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'can',
+  'do',
+  'does',
+  'for',
+  'from',
+  'how',
+  'i',
+  'in',
+  'is',
+  'it',
+  'mendix',
+  'my',
+  'of',
+  'on',
+  'or',
+  'the',
+  'to',
+  'what',
+  'when',
+  'why',
+  'with',
+]);
+
+/**
+ * Expansions both engines used before the dictionary existed
+ */
+export const SEED_EXPANSIONS = {
+  // Abbreviations
+  mf: ['microflow', 'microflows'],
+  microflow: ['mf'],
+  nf: ['nanoflow', 'nanoflows'],
+  nanoflow: ['nf'],
+  dm: ['domain', 'domainmodel', 'domain model', 'domain modeling'],
+  domainmodel: ['dm', 'domain'],
+  np: ['nonpersistent', 'non-persistent', 'transient', 'non persistent entity'],
+  nonpersistent: ['np'],
+  pe: ['persistent entity', 'database entity'],
+  sdk: [
+    'modelsdk',
+    'platformsdk',
+    'software development kit',
+    'platform sdk',
+    'model sdk',
+    'mendixmodelsdk',
+  ],
+  modelsdk: ['sdk', 'model-sdk'],
+  platformsdk: ['sdk', 'platform-sdk'],
+  sp: ['studio pro'],
+  mx: ['mendix'],
+  attr: ['attribute', 'attributes'],
+  assoc: ['association', 'associations', 'relationship'],
+  enum: ['enumeration', 'enumerations'],
+  crud: ['create read update delete', 'basic operations'],
+  api: ['application programming interface', 'rest api', 'odata'],
+  acl: ['access control list', 'security rules', 'xpath constraints'],
+  jwt: ['json web token', 'authentication token'],
+  sso: ['single sign-on', 'authentication'],
+  saml: ['security assertion markup language', 'sso authentication'],
+  oidc: ['openid connect', 'oauth authentication'],
+  ci: ['continuous integration', 'pipeline', 'automation'],
+  cd: ['continuous deployment', 'deployment pipeline'],
+  // Common terms
+  entity: ['entities', 'object', 'objects'],
+  attribute: ['attributes', 'field', 'fields', 'property', 'properties'],
+  association: ['associations', 'relationship', 'relationships', 'reference', 'references'],
+  page: ['pages', 'form', 'forms', 'screen', 'screens'],
+  widget: ['widgets', 'component', 'components'],
+  module: ['modules'],
+  xpath: ['x-path', 'query', 'queries', 'query language', 'retrieve expressions'],
+  oql: ['o-q-l', 'object query language', 'reporting queries'],
+  rest: ['restful', 'api', 'apis'],
+  commit: ['commits', 'save', 'persist'],
+  rollback: ['rollbacks', 'revert', 'undo'],
+  loop: ['loops', 'iteration', 'iterate', 'foreach', 'for-each'],
+  error: ['errors', 'exception', 'exceptions', 'bug', 'bugs', 'issue', 'issues'],
+  performance: ['perf', 'speed', 'optimization', 'optimize', 'fast', 'slow'],
+  security: ['secure', 'permission', 'permissions', 'access', 'role', 'roles'],
+};
+
+const keyOf = (term, expansion) => `${term}\u0000${expansion}`;
+
+const singular = (word) =>
+  word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+
+class ExpansionDictionary {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.filePath - Where learned expansions are stored (null = memory)
+   * @param {number} options.sessionWindowMinutes - How long a query counts as reformulated
+   * @param {number} options.similarity - Token overlap for a later query to answer a miss
+   * @param {number} options.maxTerms - Largest term difference still learned from
+   * @param {number} options.maxMisses - Queries without hits remembered for "answered"
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('ExpansionDictionary');
+
+    this.file = options.filePath
+      ? new LockedJsonFile(options.filePath, { label: 'Expansion dictionary' })
+      : null;
+    this.sessionWindowMs = (options.sessionWindowMinutes ?? 5) * 60 * 1000;
+    this.similarity = options.similarity ?? 0.3;
+    this.maxTerms = options.maxTerms ?? 2;
+    this.maxMisses = options.maxMisses ?? 100;
+
+    // Last query per search session, least recently active first - in memory only
+    this.sessions = new Map();
+
+    this.apply(null);
+  }
+
+  /**
+   * Dictionary stored where config "expansions" says (default data/query-expansions.json)
+   */
+  static fromConfig() {
+    const config = getConfig();
+    const filePath = config.get('expansions.path', 'data/query-expansions.json');
+    return new ExpansionDictionary({
+      filePath: path.resolve(SERVER_ROOT, filePath),
+      sessionWindowMinutes: config.get('expansions.sessionWindowMinutes', 5),
+      similarity: config.get('expansions.similarity', 0.3),
+      maxTerms: config.get('expansions.maxTerms', 2),
+      maxMisses: config.get('expansions.maxMisses', 100),
+    });
+  }
+
+  /**
+   * Settles when all changes queued in this process are written
+   */
+  get pending() {
+    return this.file ? this.file.pending : Promise.resolve();
+  }
+
+  /**
+   * Significant, singularized words of a query
+   */
+  static tokens(text) {
+    const words = String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((w) => w.length > 1 && !STOP_WORDS.has(w))
+      .map(singular);
+    return [...new Set(words)];
+  }
+
+  static idOf(term, expansion) {
+    return createHash('sha1').update(keyOf(term, expansion)).digest('hex').slice(0, 8);
+  }
+
+  /**
+   * Reset to the seeds, then lay stored expansions and misses over them
+   */
+  apply(data) {
+    this.expansions = new Map();
+    for (const [term, list] of Object.entries(SEED_EXPANSIONS)) {
+      for (const expansion of list) {
+        this.expansions.set(keyOf(term, expansion), {
+          id: ExpansionDictionary.idOf(term, expansion),
+          term,
+          expansion,
+          status: 'approved',
+          source: 'seed',
+          evidence: {},
+        });
+      }
+    }
+
+    for (const record of data?.expansions || []) {
+      this.expansions.set(keyOf(record.term, record.expansion), record);
+    }
+    this.misses = data?.misses || [];
+    this.rebuild();
+  }
+
+  rebuild() {
+    // All approved expansions, and the learned/manual ones on their own
+    this.index = new Map();
+    this.learnedIndex = new Map();
+    for (const record of this.expansions.values()) {
+      if (record.status !== 'approved') continue;
+      const indexes = record.source === 'seed' ? [this.index] : [this.index, this.learnedIndex];
+      for (const index of indexes) {
+        if (!index.has(record.term)) index.set(record.term, []);
+        index.get(record.term).push(record.expansion);
+      }
+    }
+  }
+
+  /**
+   * What goes to disk - seeds only once they were reviewed
+   */
+  serialize() {
+    return {
+      version: FORMAT_VERSION,
+      expansions: [...this.expansions.values()].filter(
+        (r) => r.source !== 'seed' || r.status !== 'approved' || r.reviewedAt
+      ),
+      misses: this.misses,
+    };
+  }
+
+  /**
+   * Pick up changes written by other processes
+   */
+  async load() {
+    if (this.file) this.apply(await this.file.read());
+    return this;
+  }
+
+  /**
+   * Apply a change to the latest dictionary and save it
+   */
+  async mutate(change) {
+    if (!this.file) {
+      const result = change();
+      this.rebuild();
+      return result;
+    }
+
+    return this.file.update(async (data) => {
+      this.apply(data);
+      const result = change();
+      this.rebuild();
+      return { data: this.serialize(), result };
+    });
+  }
+
+  /**
+   * Approved expansions of a term
+   * @param {string} term
+   * @param {Object} options - { seeds: false } skips the seeded expansions
+   */
+  lookup(term, { seeds = true } = {}) {
+    const index = seeds ? this.index : this.learnedIndex;
+    return index.get(term) || index.get(singular(term)) || [];
+  }
+
+  has(term) {
+    return this.index.has(term);
+  }
+
+  /**
+   * Words followed by the approved expansions of each
+   */
+  expand(words) {
+    const expanded = [...words];
+    for (const word of words) expanded.push(...this.lookup(word));
+    return [...new Set(expanded)];
+  }
+
+  /**
+   * Record a search and learn from how it relates to earlier ones
+   * @param {string} query
+   * @param {Object} outcome - { hit: boolean, session: string }
+   * @returns {Promise<Object[]>} Expansions that gained evidence
+   */
+  async observe(query, { hit, session = 'default', at = new Date().toISOString() } = {}) {
+    const tokens = ExpansionDictionary.tokens(query);
+    if (tokens.length === 0) return [];
+
+    const normalized = tokens.join(' ');
+    const previous = this.sessions.get(session);
+    this.sessions.delete(session);
+    this.sessions.set(session, { query: normalized, tokens, hit, at });
+    this.pruneSessions(at);
+
+    if (!hit) {
+      return this.mutate(() => {
+        this.misses = this.misses.filter((m) => m.query !== normalized);
+        this.misses.push({ query: normalized, tokens, at });
+        this.misses = this.misses.slice(-this.maxMisses);
+        return [];
+      });
+    }
+
+    const reformulated =
+      previous &&
+      !previous.hit &&
+      previous.query !== normalized &&
+      Date.parse(at) - Date.parse(previous.at) <= this.sessionWindowMs;
+    if (!reformulated && !this.misses.some((m) => this.answers(m.tokens, tokens))) return [];
+
+    return this.mutate(() => {
+      const learned = [];
+      if (reformulated) {
+        learned.push(...this.learn(previous.tokens, tokens, 'reformulation', at));
+        this.misses = this.misses.filter((m) => m.query !== previous.query);
+      }
+
+      for (const miss of this.misses.filter((m) => this.answers(m.tokens, tokens))) {
+        learned.push(...this.learn(miss.tokens, tokens, 'answered', at));
+      }
+      this.misses = this.misses.filter((m) => !this.answers(m.tokens, tokens));
+      return learned;
+    });
+  }
+
+  /**
+   * Forget sessions idle for longer than the session window - one per client otherwise
+   */
+  pruneSessions(at) {
+    const cutoff = Date.parse(at) - this.sessionWindowMs;
+    for (const [session, last] of this.sessions) {
+      if (Date.parse(last.at) >= cutoff) break;
+      this.sessions.delete(session);
+    }
+  }
+
+  /**
+   * Learn from a result that was used: query terms the entry lacks → its title terms
+   */
+  async learnFromUsage(query, entry, { at = new Date().toISOString() } = {}) {
+    const title = entry?.title || entry?.practice || entry?.topic || entry?.feature || entry?.name;
+    const entryTokens = new Set(ExpansionDictionary.tokens(JSON.stringify(entry || {})));
+    const missing = ExpansionDictionary.tokens(query).filter((t) => !entryTokens.has(t));
+    if (!title || missing.length === 0) return [];
+
+    const titleTokens = ExpansionDictionary.tokens(title);
+    return this.mutate(() => this.learn(missing, titleTokens, 'usage', at));
+  }
+
+  /**
+   * Did a query with hits answer an earlier miss? Similar, but not the same words
+   */
+  answers(missTokens, tokens) {
+    const shared = missTokens.filter((t) => tokens.includes(t)).length;
+    const union = missTokens.length + tokens.length - shared;
+    return shared > 0 && shared < missTokens.length && shared / union >= this.similarity;
+  }
+
+  /**
+   * Propose expansions from the words only one side has - small differences only
+   */
+  learn(fromTokens, toTokens, source, at) {
+    const from = fromTokens.filter((t) => !toTokens.includes(t));
+    const to = toTokens.filter((t) => !fromTokens.includes(t));
+    if (from.length === 0 || to.length === 0) return [];
+    if (from.length > this.maxTerms || to.length > this.maxTerms) return [];
+
+    const learned = [];
+    for (const term of from) {
+      for (const expansion of to) {
+        learned.push(this.propose(term, expansion, source, at));
+      }
+    }
+    return learned;
+  }
+
+  propose(term, expansion, source, at = new Date().toISOString()) {
+    const key = keyOf(term, expansion);
+    const record = this.expansions.get(key) || {
+      id: ExpansionDictionary.idOf(term, expansion),
+      term,
+      expansion,
+      status: 'pending',
+      source,
+      evidence: {},
+      firstSeen: at,
+    };
+
+    record.evidence[source] = (record.evidence[source] || 0) + 1;
+    record.lastSeen = at;
+    this.expansions.set(key, record);
+    this.logger.debug('Expansion evidence', { term, expansion, source });
+    return record;
+  }
+
+  /**
+   * Expansions with a status, the best supported first
+   */
+  list({ status = 'pending', limit = 20 } = {}) {
+    const weight = (r) => Object.values(r.evidence).reduce((sum, n) => sum + n, 0);
+    return [...this.expansions.values()]
+      .filter((r) => !status || r.status === status)
+      .sort((a, b) => weight(b) - weight(a) || a.term.localeCompare(b.term))
+      .slice(0, limit);
+  }
+
+  getStats() {
+    const stats = { approved: 0, pending: 0, rejected: 0, learned: 0, misses: this.misses.length };
+    for (const record of this.expansions.values()) {
+      stats[record.status]++;
+      if (record.source !== 'seed') stats.learned++;
+    }
+    return stats;
+  }
+
+  find(id) {
+    const matches = [...this.expansions.values()].filter((r) => r.id.startsWith(id));
+    if (matches.length !== 1) {
+      throw new ValidationError(
+        matches.length === 0 ? `Expansion "${id}" not found` : `Expansion id "${id}" is ambiguous`
+      );
+    }
+    return matches[0];
+  }
+
+  /**
+   * Review a learned (or seeded) expansion by id or id prefix
+   */
+  async review(id, status, { note, by = 'reviewer' } = {}) {
+    return this.mutate(() => {
+      const record = this.find(id);
+      Object.assign(record, { status, reviewedAt: new Date().toISOString(), reviewedBy: by });
+      if (note) record.note = note;
+      return record;
+    });
+  }
+
+  async approve(id, details = {}) {
+    return this.review(id, 'approved', details);
+  }
+
+  async reject(id, details = {}) {
+    return this.review(id, 'rejected', details);
+  }
+
+  /**
+   * Add an approved expansion by hand
+   */
+  async add(term, expansion, { note, by = 'reviewer' } = {}) {
+    const from = String(term || '').trim().toLowerCase();
+    const to = String(expansion || '').trim().toLowerCase();
+    if (!from || !to || from === to) {
+      throw new ValidationError('An expansion needs a term and a different expansion');
+    }
+
+    return this.mutate(() => {
+      const record = this.propose(from, to, 'manual');
+      Object.assign(record, { status: 'approved', reviewedAt: record.lastSeen, reviewedBy: by });
+      if (note) record.note = note;
+      return record;
+    });
+  }
+}
+
+export default ExpansionDictionary;
@@ -0,0 +1,393 @@
+/**
+ * KnowledgeGapQueue - One queue of topics the knowledge base cannot answer
+ *
+ * SOURCES:
+ * - report - POST /knowledge-gap (a client noticed missing knowledge)
+ * - search - SearchEngine zero-result queries (SearchEngine.onMiss)
+ *
+ * Similar topics are merged ("REST call timeouts" / "rest call timeout"), and open
+ * gaps are ranked by how often they were hit. HarvestScheduler feeds the top gaps to
+ * KnowledgeHarvester.harvestTopic and adds what it finds to the knowledge base; gaps
+ * are marked addressed when research finds entries or when the knowledge base starts
+ * answering them better than when they were first seen.
+ *
+ * Stored in knowledge/knowledge-gaps.json. Every change re-reads the file under a
+ * lock file and writes it atomically, so the stdio server and REST proxy can share it.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { getConfig } from '../utils/config.js';
+import LockedJsonFile from '../utils/LockedJsonFile.js';
+import Logger from '../utils/logger.js';
+import { ValidationError } from '../utils/validator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SERVER_ROOT = path.resolve(__dirname, '../..');
+
+const FORMAT_VERSION = 2;
+const MAX_TOPIC_LENGTH = 200;
+const MAX_SAMPLES = 5;
+
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'can',
+  'do',
+  'does',
+  'for',
+  'how',
+  'i',
+  'in',
+  'is',
+  'mendix',
+  'of',
+  'on',
+  'the',
+  'to',
+  'what',
+  'when',
+  'why',
+  'with',
+]);
+
+class KnowledgeGapQueue {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Queue file (default knowledge/knowledge-gaps.json)
+   * @param {number} options.similarity - Token overlap (Jaccard) at which topics are merged
+   * @param {number} options.maxGaps - Gaps kept; closed ones are dropped first
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('KnowledgeGapQueue');
+    this.config = getConfig();
+
+    this.filePath =
+      options.filePath || path.join(SERVER_ROOT, 'knowledge', 'knowledge-gaps.json');
+    this.similarity = options.similarity ?? this.config.get('knowledgeGaps.similarity', 0.6);
+    this.maxGaps = options.maxGaps ?? this.config.get('knowledgeGaps.maxGaps', 500);
+    this.file = new LockedJsonFile(this.filePath, { label: 'Knowledge gap queue' });
+  }
+
+  /**
+   * Settles when all changes queued in this process are written
+   */
+  get pending() {
+    return this.file.pending;
+  }
+
+  /**
+   * Significant, singularized words of a topic - the basis for deduplication
+   */
+  static tokens(topic) {
+    const words = String(topic)
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((w) => w.length > 1 && !STOP_WORDS.has(w))
+      .map((w) => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+    return [...new Set(words)].sort();
+  }
+
+  static overlap(a, b) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const setB = new Set(b);
+    const shared = a.filter((t) => setB.has(t)).length;
+    return shared / (a.length + b.length - shared);
+  }
+
+  /**
+   * Read the queue, migrating the old flat array written by POST /knowledge-gap
+   */
+  async load() {
+    return this.normalize(await this.file.read());
+  }
+
+  normalize(data) {
+    if (Array.isArray(data)) {
+      const state = { version: FORMAT_VERSION, gaps: [] };
+      for (const legacy of data) {
+        this.merge(state, legacy.topic, {
+          source: 'report',
+          query: legacy.query,
+          context: legacy.context,
+          at: legacy.timestamp,
+        });
+      }
+      return state;
+    }
+
+    return data?.gaps ? data : { version: FORMAT_VERSION, gaps: [] };
+  }
+
+  /**
+   * Apply a change to the latest queue on disk and save it.
+   * Serialized in this process, and across processes by a lock file.
+   */
+  async mutate(change) {
+    return this.file.update(async (data) => {
+      const state = this.normalize(data);
+      const result = await change(state);
+      this.trim(state);
+      return { data: state, result };
+    });
+  }
+
+  /**
+   * Record a gap, merging it into a similar existing one
+   * @param {string} topic
+   * @param {Object} details - { source: 'report'|'search', query, context }
+   * @returns {Promise<Object|null>} The gap, or null for topics that cannot be a gap
+   */
+  async record(topic, details = {}) {
+    const text = String(topic || '').trim();
+    if (!text || text.length > MAX_TOPIC_LENGTH || KnowledgeGapQueue.tokens(text).length === 0) {
+      return null;
+    }
+    return this.mutate((state) => this.merge(state, text, details));
+  }
+
+  merge(state, topic, { source = 'report', query, context, at } = {}) {
+    const tokens = KnowledgeGapQueue.tokens(topic);
+    const now = at || new Date().toISOString();
+
+    let gap = state.gaps.find((g) => g.tokens.join(' ') === tokens.join(' '));
+    if (!gap) {
+      const candidates = state.gaps
+        .map((g) => ({ g, score: KnowledgeGapQueue.overlap(g.tokens, tokens) }))
+        .filter(({ score }) => score >= this.similarity)
+        .sort((a, b) => b.score - a.score);
+      gap = candidates[0]?.g;
+    }
+
+    if (!gap) {
+      gap = {
+        id: uuidv4(),
+        topic,
+        tokens,
+        status: 'open',
+        count: 0,
+        sources: {},
+        queries: [],
+        contexts: [],
+        firstSeen: now,
+        lastSeen: now,
+        // Zero-result searches start from "no answer at all"
+        baselineScore: source === 'search' ? 0 : null,
+        research: { attempts: 0, lastAttempt: null },
+      };
+      state.gaps.push(gap);
+    }
+
+    gap.count++;
+    gap.sources[source] = (gap.sources[source] || 0) + 1;
+    gap.lastSeen = now > gap.lastSeen ? now : gap.lastSeen;
+
+    const sample = query || topic;
+    if (!gap.queries.includes(sample)) {
+      gap.queries = [...gap.queries, sample].slice(-MAX_SAMPLES);
+    }
+    if (context && !gap.contexts.includes(context)) {
+      gap.contexts = [...gap.contexts, context].slice(-MAX_SAMPLES);
+    }
+
+    // Still missing after it was addressed - reopen (dismissed gaps stay dismissed)
+    if (gap.status === 'addressed') {
+      gap.status = 'open';
+      gap.reopenedAt = now;
+      gap.baselineScore = source === 'search' ? 0 : null;
+    }
+
+    return gap;
+  }
+
+  /**
+   * Keep the file bounded - drop the oldest closed gaps first, then the least
+   * requested open ones (oldest first among equal counts)
+   */
+  trim(state) {
+    if (state.gaps.length <= this.maxGaps) return;
+
+    const byAge = (a, b) => a.lastSeen.localeCompare(b.lastSeen);
+    const closed = state.gaps.filter((g) => g.status !== 'open').sort(byAge);
+    const open = state.gaps
+      .filter((g) => g.status === 'open')
+      .sort((a, b) => a.count - b.count || byAge(a, b));
+
+    const excess = state.gaps.length - this.maxGaps;
+    const drop = new Set([...closed, ...open].slice(0, excess).map((g) => g.id));
+    state.gaps = state.gaps.filter((g) => !drop.has(g.id));
+  }
+
+  static rank(gaps) {
+    return [...gaps].sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen));
+  }
+
+  /**
+   * Gaps ranked by frequency
+   * @param {Object} options - { status: 'open'|'addressed'|'dismissed'|'all', limit }
+   */
+  async list(options = {}) {
+    const { status = 'open', limit = 20 } = options;
+    const state = await this.load();
+    const gaps = state.gaps.filter((g) => status === 'all' || g.status === status);
+    return KnowledgeGapQueue.rank(gaps).slice(0, limit);
+  }
+
+  async getStats() {
+    const state = await this.load();
+    const byStatus = { open: 0, addressed: 0, dismissed: 0 };
+    for (const gap of state.gaps) {
+      byStatus[gap.status] = (byStatus[gap.status] || 0) + 1;
+    }
+    return { total: state.gaps.length, ...byStatus };
+  }
+
+  async close(id, status, details = {}) {
+    return this.mutate((state) => {
+      const gap = state.gaps.find((g) => g.id === id || g.id.startsWith(id));
+      if (!gap) {
+        throw new ValidationError(`Knowledge gap not found: ${id}`, 'id');
+      }
+      gap.status = status;
+      gap.closedAt = new Date().toISOString();
+      gap.resolution = { by: details.by || 'manual', note: details.note || null };
+      if (details.entries) gap.resolution.entries = details.entries;
+      return gap;
+    });
+  }
+
+  /**
+   * Mark a gap as addressed (the knowledge now exists)
+   */
+  resolve(id, details = {}) {
+    return this.close(id, 'addressed', details);
+  }
+
+  /**
+   * Dismiss a gap (out of scope, noise) - it is not researched again
+   */
+  dismiss(id, details = {}) {
+    return this.close(id, 'dismissed', details);
+  }
+
+  /**
+   * Mark open gaps addressed when the knowledge base answers them better than
+   * when they were first seen
+   * @param {Function} scoreTopic - topic → best search score (0 when nothing matches)
+   * @returns {Promise<Array>} Gaps addressed by this refresh
+   */
+  async refresh(scoreTopic) {
+    return this.mutate((state) => {
+      const addressed = [];
+      for (const gap of state.gaps.filter((g) => g.status === 'open')) {
+        const score = scoreTopic(gap.topic);
+
+        if (gap.baselineScore === null || gap.baselineScore === undefined) {
+          gap.baselineScore = score;
+        } else if (score > gap.baselineScore) {
+          gap.status = 'addressed';
+          gap.closedAt = new Date().toISOString();
+          gap.resolution = { by: 'knowledge-base', note: `Search now matches (score ${score})` };
+          addressed.push(gap);
+        }
+      }
+
+      if (addressed.length > 0) {
+        this.logger.info('Knowledge gaps addressed by new entries', { count: addressed.length });
+      }
+      return addressed;
+    });
+  }
+
+  /**
+   * Research the top open gaps with the harvester. Found entries are added to the
+   * knowledge base (knowledgeGaps.knowledgeFile), where search picks them up.
+   * @param {Object} harvester - KnowledgeHarvester (harvestTopic)
+   * @param {Object} knowledgeManager - Knowledge manager the entries are added to
+   * @param {Object} options - { limit, retryAfterHours, fileName, category }
+   * @returns {Promise<Object>} - { researched, addressed, entries }
+   */
+  async research(harvester, knowledgeManager, options = {}) {
+    const {
+      limit = this.config.get('knowledgeGaps.researchLimit', 5),
+      retryAfterHours = this.config.get('knowledgeGaps.retryAfterHours', 72),
+      fileName = this.config.get('knowledgeGaps.knowledgeFile', 'best-practices'),
+      category = 'knowledge-gaps',
+    } = options;
+
+    const retryBefore = Date.now() - retryAfterHours * 60 * 60 * 1000;
+    const due = KnowledgeGapQueue.rank(
+      (await this.load()).gaps.filter(
+        (g) =>
+          g.status === 'open' &&
+          (!g.research.lastAttempt || Date.parse(g.research.lastAttempt) < retryBefore)
+      )
+    ).slice(0, limit);
+
+    const summary = { researched: 0, addressed: [], entries: [] };
+
+    for (const gap of due) {
+      let saved = { new: [], updated: [] };
+      try {
+        const entries = await harvester.harvestTopic({ query: gap.topic, category }, false);
+        saved = await this.addEntries(knowledgeManager, entries, fileName, category);
+      } catch (error) {
+        this.logger.warn('Gap research failed', { topic: gap.topic, error: error.message });
+      }
+
+      const found = [...saved.new, ...saved.updated];
+      summary.researched++;
+      summary.entries.push(...saved.new);
+
+      await this.mutate((state) => {
+        const current = state.gaps.find((g) => g.id === gap.id);
+        if (!current) return;
+
+        current.research.attempts++;
+        current.research.lastAttempt = new Date().toISOString();
+        if (found.length > 0 && current.status === 'open') {
+          current.status = 'addressed';
+          current.closedAt = current.research.lastAttempt;
+          current.resolution = { by: 'harvester', note: null, entries: found };
+          summary.addressed.push(current);
+        }
+      });
+    }
+
+    this.logger.info('Knowledge gap research complete', {
+      researched: summary.researched,
+      addressed: summary.addressed.length,
+      newEntries: summary.entries.length,
+    });
+    return summary;
+  }
+
+  /**
+   * Add harvested entries to the knowledge base; duplicates merge into the
+   * existing entry
+   * @returns {Promise<Object>} Entry ids - { new, updated }
+   */
+  async addEntries(knowledgeManager, entries, fileName, category) {
+    const saved = { new: [], updated: [] };
+
+    for (const { title, content, source, tags, mendix_version_range } of entries) {
+      const entry = { title, content, tags, ...(mendix_version_range && { mendix_version_range }) };
+      try {
+        const result = await knowledgeManager.add(fileName, category, entry, source, {
+          mergeDuplicates: true,
+          addedBy: 'knowledge-gap-research',
+        });
+        (result.merged || result.duplicate ? saved.updated : saved.new).push(result.id);
+      } catch (error) {
+        this.logger.warn('Could not add researched entry', { title, error: error.message });
+      }
+    }
+    return saved;
+  }
+}
+
+export default KnowledgeGapQueue;
@@ -1,6 +1,7 @@
 /**
  * KnowledgeManager - Comprehensive knowledge base management
  * Handles CRUD operations, versioning, metadata, quality scoring, and conflict detection
+ * Every change is recorded in the RevisionLog (knowledge/revisions/), see rollback()
  */
 
 import fs from 'fs-extra';
@@ -9,8 +10,10 @@ import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
 import { getConfig } from '../utils/config.js';
 import Logger from '../utils/logger.js';
+import { getVersionRange } from '../utils/MendixVersion.js';
 import { validateObject, validateString, ValidationError } from '../utils/validator.js';
 import QualityScorer from './QualityScorer.js';
+import RevisionLog, { revisionsFileFor } from './RevisionLog.js';
 
 // Get absolute path to the server root
 const __filename = fileURLToPath(import.meta.url);
@@ -18,9 +21,14 @@ const __dirname = path.dirname(__filename);
 const SERVER_ROOT = path.resolve(__dirname, '../..');
 
 class KnowledgeManager {
-  constructor(knowledgeBasePath = null) {
+  /**
+   * @param {string} knowledgeBasePath - Knowledge directory (default paths.knowledgeBase)
+   * @param {Object} options - { revisions } RevisionLog (default knowledge/revisions/)
+   */
+  constructor(knowledgeBasePath = null, options = {}) {
     this.logger = new Logger('KnowledgeManager');
     this.config = getConfig();
+    this.storage = 'json';
     this.qualityScorer = new QualityScorer();
 
     // Use absolute path to knowledge folder (relative to server root)
@@ -46,6 +54,9 @@ class KnowledgeManager {
     this.knowledgeBase = {};
     this.loaded = false;
 
+    this.revisions =
+      options.revisions || new RevisionLog({ filePath: revisionsFileFor(this.knowledgeBasePath) });
+
     this.logger.info('KnowledgeManager initialized', {
       path: this.knowledgeBasePath,
     });
@@ -158,6 +169,12 @@ class KnowledgeManager {
 
       // Save to disk
       await this._saveFile(fileName, fileData);
+      await this._recordRevision(enhancedContent._metadata.id, 'add', enhancedContent, {
+        fileName,
+        category,
+        actor: options.addedBy || 'mendix-expert-mcp',
+        source,
+      });
 
       this.logger.info('Knowledge added', {
         file: fileName,
@@ -182,6 +199,8 @@ class KnowledgeManager {
 
   /**
    * Update existing knowledge entry
+   * @param {Object} options - { updatedBy, source, note, action } (action: update, merge
+   *   or rollback - how the revision is recorded)
    */
   async update(fileName, entryId, updates, options = {}) {
     try {
@@ -199,20 +218,10 @@ class KnowledgeManager {
       if (!entry) {
         throw new Error(`Entry not found: ${entryId}`);
       }
-
-      // Create version history if enabled
-      if (this.config.get('knowledge.enableVersioning', true)) {
-        if (!entry._metadata.versions) {
-          entry._metadata.versions = [];
-        }
-
-        // Save current version
-        entry._metadata.versions.push({
-          content: { ...entry },
-          timestamp: entry._metadata.updated_at || entry._metadata.added_at,
-          version: entry._metadata.version || 1,
-        });
-      }
+      await this._recordBaseline(entryId, entry, {
+        fileName,
+        category: location.type === 'category' ? location.name : null,
+      });
 
       // Apply updates
       Object.assign(entry, updates);
@@ -227,6 +236,13 @@ class KnowledgeManager {
 
       // Save to disk
       await this._saveFile(fileName, fileData);
+      await this._recordRevision(entryId, options.action || 'update', entry, {
+        fileName,
+        category: location.type === 'category' ? location.name : null,
+        actor: entry._metadata.updated_by,
+        source: options.source,
+        note: options.note,
+      });
 
       this.logger.info('Knowledge updated', {
         file: fileName,
@@ -252,8 +268,9 @@ class KnowledgeManager {
 
   /**
    * Delete knowledge entry
+   * @param {Object} options - { deletedBy, note, action } (action: delete or rollback)
    */
-  async delete(fileName, entryId) {
+  async delete(fileName, entryId, options = {}) {
     try {
       if (!this.loaded) {
         await this.load();
@@ -264,10 +281,23 @@ class KnowledgeManager {
         throw new Error(`Knowledge file not found: ${fileName}`);
       }
 
+      const { entry, location } = this._findEntryById(fileData, entryId);
+      if (entry) {
+        await this._recordBaseline(entryId, entry, {
+          fileName,
+          category: location.type === 'category' ? location.name : null,
+        });
+      }
       const deleted = this._deleteEntryById(fileData, entryId);
 
       if (deleted) {
         await this._saveFile(fileName, fileData);
+        await this._recordRevision(entryId, options.action || 'delete', null, {
+          fileName,
+          category: location.type === 'category' ? location.name : null,
+          actor: options.deletedBy || 'system',
+          note: options.note,
+        });
         this.logger.info('Knowledge deleted', { file: fileName, id: entryId });
       }
 
@@ -282,6 +312,72 @@ class KnowledgeManager {
     }
   }
 
+  /**
+   * Restore an entry to an earlier revision. Rolling back to a delete deletes the
+   * entry again; an entry deleted since is re-created with its id.
+   * @param {number} revision - Revision number (see revisions.history(entryId))
+   * @param {Object} options - { rolledBackBy, note }
+   * @throws {ValidationError} For unknown revisions, or a delete of a deleted entry
+   */
+  async rollback(entryId, revision, options = {}) {
+    if (!this.loaded) {
+      await this.load();
+    }
+
+    const target = await this.revisions.get(entryId, revision);
+    const actor = options.rolledBackBy || 'system';
+    const note = options.note || `Rolled back to revision ${target.revision}`;
+    const current = this._locateEntry(entryId);
+
+    if (!target.snapshot) {
+      if (!current) {
+        throw new ValidationError(`Entry ${entryId} is already deleted`, 'revision');
+      }
+      const result = await this.delete(current.fileName, entryId, {
+        deletedBy: actor,
+        action: 'rollback',
+        note,
+      });
+      return { ...result, id: entryId, rolledBackTo: target.revision, restored: 'deleted' };
+    }
+
+    if (current) {
+      // Fields added after the target revision go too; metadata stays
+      for (const field of Object.keys(current.entry)) {
+        if (field !== '_metadata' && !(field in target.snapshot)) delete current.entry[field];
+      }
+      const result = await this.update(current.fileName, entryId, target.snapshot, {
+        updatedBy: actor,
+        action: 'rollback',
+        note,
+      });
+      return { ...result, rolledBackTo: target.revision, restored: 'updated' };
+    }
+
+    // Deleted since - re-create it where it was
+    const fileData = this.knowledgeBase[target.fileName];
+    if (!fileData) {
+      throw new Error(`Knowledge file not found: ${target.fileName}`);
+    }
+    const entry = this._createMetadata(target.snapshot, target.source || 'revision-log', {
+      addedBy: actor,
+    });
+    entry._metadata.id = entryId;
+    this._addToCategory(fileData, target.category, entry);
+    entry._metadata.quality_score = this.qualityScorer.calculateScore(entry);
+
+    await this._saveFile(target.fileName, fileData);
+    await this._recordRevision(entryId, 'rollback', entry, {
+      fileName: target.fileName,
+      category: target.category,
+      actor,
+      note,
+    });
+
+    this.logger.info('Knowledge restored', { file: target.fileName, id: entryId });
+    return { success: true, id: entryId, rolledBackTo: target.revision, restored: 'recreated' };
+  }
+
   /**
    * Record usage of a knowledge entry
    */
@@ -327,19 +423,23 @@ class KnowledgeManager {
   }
 
   /**
-   * Create metadata for new knowledge entry
+   * Create metadata for new knowledge entry (options.id keeps an id from elsewhere,
+   * e.g. a Supabase row pulled by KnowledgeSync)
    */
   _createMetadata(content, source, options = {}) {
     return {
       ...content,
       _metadata: {
-        id: uuidv4(),
+        id: options.id || uuidv4(),
         added_at: new Date().toISOString(),
         source,
         added_by: options.addedBy || 'mendix-expert-mcp',
         version: 1,
         verified: options.verified || false,
         mendix_version: options.mendixVersion || null,
+        mendix_version_range: options.mendixVersion
+          ? getVersionRange({ mendix_version: options.mendixVersion })
+          : null,
         usage_count: 0,
         access_count: 0,
         feedback: { positive: 0, negative: 0, total: 0 },
@@ -400,6 +500,59 @@ class KnowledgeManager {
     return { entry: null, location: null };
   }
 
+  /**
+   * Find entry by ID in any knowledge file
+   * @returns {{ fileName, entry }|null}
+   */
+  _locateEntry(entryId) {
+    for (const [fileName, fileData] of Object.entries(this.knowledgeBase)) {
+      const { entry } = this._findEntryById(fileData, entryId);
+      if (entry) return { fileName, entry };
+    }
+    return null;
+  }
+
+  /**
+   * Append a revision of an entry (knowledge.enableVersioning). The change is already
+   * saved, so a revision that cannot be written is logged, not thrown.
+   * @param {Object|null} entry - Entry after the change, null when deleted
+   */
+  async _recordRevision(entryId, action, entry, details = {}) {
+    if (!this.config.get('knowledge.enableVersioning', true)) return null;
+
+    try {
+      const { _metadata, ...snapshot } = entry || {};
+      return await this.revisions.record({
+        entryId,
+        action,
+        snapshot: entry ? snapshot : null,
+        ...details,
+      });
+    } catch (error) {
+      this.logger.warn('Could not record revision', { id: entryId, action, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record the state of an entry from before the revision log ahead of its first
+   * change, so that change can be rolled back. Not thrown, like _recordRevision.
+   */
+  async _recordBaseline(entryId, entry, details = {}) {
+    if (!this.config.get('knowledge.enableVersioning', true)) return null;
+
+    try {
+      const { _metadata, ...snapshot } = structuredClone(entry);
+      return await this.revisions.baseline({ entryId, snapshot, ...details });
+    } catch (error) {
+      this.logger.warn('Could not record baseline revision', {
+        id: entryId,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
   /**
    * Delete entry by ID
    */
@@ -516,12 +669,23 @@ class KnowledgeManager {
 
     if (newScore > existingScore) {
       // Update existing with new content
-      return await this.update(fileName, existing._metadata.id, newContent, {
+      const updated = await this.update(fileName, existing._metadata.id, newContent, {
         updatedBy: 'merge',
+        action: 'merge',
+        source,
       });
+      return { ...updated, merged: true };
     }
 
-    // Keep existing
+    // Keep existing - the revision records that the duplicate was dropped
+    await this._recordBaseline(existing._metadata.id, existing, { fileName, category });
+    await this._recordRevision(existing._metadata.id, 'merge', existing, {
+      fileName,
+      category,
+      actor: 'merge',
+      source,
+      note: `Kept the existing content; "${newContent.title || 'untitled'}" scored lower`,
+    });
     return {
       success: true,
       id: existing._metadata.id,
@@ -565,6 +729,7 @@ class KnowledgeManager {
       filesLoaded: Object.keys(this.knowledgeBase).length,
       totalEntries: 0,
       byFile: {},
+      storage: this.storage,
     };
 
     for (const [fileName, fileData] of Object.entries(this.knowledgeBase)) {
@@ -0,0 +1,95 @@
+/**
+ * Knowledge Storage - The contract of knowledge storage adapters
+ *
+ * The MCP server, REST proxy and SSE server use one knowledge manager and don't
+ * care where it keeps entries. Every adapter provides:
+ *
+ * - storage       - Adapter name (STORAGES)
+ * - knowledgeBase - { [fileName]: { ...file fields, categories: { [name]: [entry] } } },
+ *                   the view SearchEngine and HybridSearch index; entries carry _metadata.id
+ * - knowledgeFiles, loaded, revisions (RevisionLog)
+ * - the methods in ADAPTER_METHODS, with the signatures of KnowledgeManager
+ *
+ * and optionally search(query, limit) -> [{ id, title, category, rank }] (native
+ * full-text search) and setVectorStore(vectorStore) (indexes new entries itself).
+ *
+ * tests/storage-adapters.test.js runs one conformance suite against every adapter.
+ *
+ * @version 1.0.0
+ */
+
+import { getConfig } from '../utils/config.js';
+import KnowledgeManager from './KnowledgeManager.js';
+import SqliteKnowledgeManager from './SqliteKnowledgeManager.js';
+import SupabaseKnowledgeManager from './SupabaseKnowledgeManager.js';
+
+export const STORAGES = ['json', 'supabase', 'sqlite'];
+
+export const ADAPTER_METHODS = [
+  'load',
+  'reload',
+  'add',
+  'update',
+  'delete',
+  'rollback',
+  'recordUsage',
+  'getFile',
+  'getCategory',
+  'getStats',
+  'validateKnowledgeBase',
+  'quickValidate',
+  'getStaleEntries',
+];
+
+const ADAPTERS = {
+  json: (options) => new KnowledgeManager(options.knowledgeBasePath, options),
+  supabase: (options) => new SupabaseKnowledgeManager(options),
+  sqlite: (options) => new SqliteKnowledgeManager(options),
+};
+
+/**
+ * The adapter a knowledge.storage setting means. "auto" is Supabase when
+ * SUPABASE_URL and SUPABASE_ANON_KEY are set, otherwise the JSON files.
+ */
+export function resolveStorage(setting = 'auto') {
+  if (setting === 'auto') {
+    return process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY ? 'supabase' : 'json';
+  }
+  if (!STORAGES.includes(setting)) {
+    throw new Error(`Unknown knowledge storage "${setting}". Use: auto, ${STORAGES.join(', ')}`);
+  }
+  return setting;
+}
+
+/**
+ * Throw when an adapter misses part of the contract
+ */
+export function assertKnowledgeAdapter(adapter) {
+  const missing = ADAPTER_METHODS.filter((method) => typeof adapter[method] !== 'function');
+  for (const property of ['storage', 'knowledgeBase', 'knowledgeFiles', 'revisions']) {
+    if (adapter[property] === undefined) missing.push(property);
+  }
+  if (missing.length > 0) {
+    const name = adapter.storage || adapter.constructor?.name || 'Knowledge adapter';
+    throw new Error(`${name} does not implement: ${missing.join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * The knowledge manager knowledge.storage selects (KNOWLEDGE_STORAGE), not loaded yet
+ * @param {Object} options - { storage } plus options of the adapter (knowledgeBasePath,
+ *   filePath, revisions, ...)
+ */
+export function createKnowledgeManager(options = {}) {
+  const storage = resolveStorage(options.storage || getConfig().get('knowledge.storage', 'auto'));
+  return assertKnowledgeAdapter(ADAPTERS[storage](options));
+}
+
+export default {
+  STORAGES,
+  ADAPTER_METHODS,
+  resolveStorage,
+  assertKnowledgeAdapter,
+  createKnowledgeManager,
+};
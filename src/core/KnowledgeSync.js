@@ -0,0 +1,506 @@
+/**
+ * KnowledgeSync - Two-way sync between the local knowledge/*.json files and Supabase
+ *
+ * scripts/migrate-to-supabase.js uploads the JSON files once; afterwards local edits
+ * and cloud /learn additions drift apart. A sync compares both sides by content_hash:
+ *
+ * - pull - cloud entries the JSON files don't have are added to them (same id)
+ * - push - local entries the cloud doesn't have are uploaded (same id, source json:<file>)
+ * - entries edited on one side since the last sync are updated on the other
+ * - conflicts - entries edited on both sides - are resolved by a policy (POLICIES)
+ *
+ * Which local entry belongs to which row, and the content_hash both had at the last
+ * sync, is kept in knowledge.sync.statePath (default data/knowledge-sync.json).
+ * Entries that match by content_hash are linked without changes. Deletions are
+ * reported but not copied to the other side, and a deleted entry is not brought back.
+ * Rows whose source is json:<file> came from the JSON files and are never pulled.
+ *
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { SERVER_ROOT } from '../storage/RecordStore.js';
+import SupabaseKnowledgeStore, { contentHash } from '../storage/SupabaseKnowledgeStore.js';
+import { getConfig } from '../utils/config.js';
+import LockedJsonFile from '../utils/LockedJsonFile.js';
+import Logger from '../utils/logger.js';
+import { ValidationError } from '../utils/validator.js';
+import KnowledgeManager from './KnowledgeManager.js';
+
+/**
+ * Conflict policies:
+ * - report - change neither side, list the conflict (default)
+ * - local  - the JSON entry wins
+ * - cloud  - the Supabase row wins
+ * - newest - the side edited last wins
+ */
+export const POLICIES = ['report', 'local', 'cloud', 'newest'];
+
+const FORMAT_VERSION = 1;
+const ACTOR = 'knowledge-sync';
+
+// Entries listed per section of a report
+const MAX_LISTED = 20;
+
+// Fields that name a local entry, in the order they are preferred as its title
+const TITLE_FIELDS = [
+  'title',
+  'name',
+  'practice',
+  'pattern',
+  'feature',
+  'topic',
+  'issue',
+  'method',
+  'error',
+  'question',
+];
+
+/**
+ * Title and content a local entry has in Supabase. Entries without a content
+ * string are uploaded as their JSON.
+ */
+export function toCloudEntry(entry, category) {
+  const { _metadata, ...fields } = entry;
+  const titleField = TITLE_FIELDS.find((field) => typeof fields[field] === 'string');
+  return {
+    title: titleField ? fields[titleField] : `${category || 'knowledge'} entry`,
+    content:
+      typeof fields.content === 'string' ? fields.content : JSON.stringify(fields, null, 2),
+  };
+}
+
+/**
+ * Fields of a local entry updated from its Supabase row - the reverse of toCloudEntry.
+ * Entries uploaded as their JSON get their fields back (fields the row no longer has
+ * are cleared); entries with a content string get the title and content.
+ */
+export function fromCloudEntry(row, entry) {
+  const { _metadata, ...fields } = entry;
+  const titleField = TITLE_FIELDS.find((field) => typeof fields[field] === 'string');
+
+  if (typeof fields.content !== 'string') {
+    const parsed = parseFields(row.content);
+    if (parsed) {
+      const cleared = Object.keys(fields).filter((field) => !Object.hasOwn(parsed, field));
+      return {
+        ...Object.fromEntries(cleared.map((field) => [field, undefined])),
+        ...parsed,
+        ...(titleField && { [titleField]: row.title }),
+      };
+    }
+  }
+  return { [titleField || 'title']: row.title, content: row.content };
+}
+
+/**
+ * Entry fields from a row's JSON content, or null when it is not a JSON object
+ */
+function parseFields(content) {
+  try {
+    const parsed = JSON.parse(content);
+    const isObject = parsed && typeof parsed === 'object' && !Array.isArray(parsed);
+    return isObject ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Markdown report of a sync result (MCP tool and scripts/sync-knowledge.js)
+ */
+export function formatSyncReport(result) {
+  const list = (entries) =>
+    entries
+      .slice(0, MAX_LISTED)
+      .map((e) => `- ${e.title} (\`${e.id || 'new id'}\`, ${e.fileName})\n`)
+      .join('') +
+    (entries.length > MAX_LISTED ? `- ... and ${entries.length - MAX_LISTED} more\n` : '');
+
+  let text = `# 🔄 Knowledge Sync${result.dryRun ? ' (dry run)' : ''}\n\n`;
+  text += `| Change | Entries |\n|--------|---------|\n`;
+  text += `| Pulled from Supabase | ${result.pulled.length} |\n`;
+  text += `| Pushed to Supabase | ${result.pushed.length} |\n`;
+  text += `| Updated locally | ${result.updated.local.length} |\n`;
+  text += `| Updated in Supabase | ${result.updated.cloud.length} |\n`;
+  text += `| Conflicts (${result.policy}) | ${result.conflicts.length} |\n`;
+  text += `| Linked by content_hash | ${result.linked} |\n`;
+  text += `| Unchanged | ${result.unchanged} |\n\n`;
+
+  const sections = [
+    ['⬇️ Pulled', result.pulled],
+    ['⬆️ Pushed', result.pushed],
+    ['✏️ Updated locally', result.updated.local],
+    ['✏️ Updated in Supabase', result.updated.cloud],
+  ];
+  for (const [title, entries] of sections) {
+    if (entries.length > 0) text += `## ${title}\n\n${list(entries)}\n`;
+  }
+
+  if (result.conflicts.length > 0) {
+    text += `## ⚠️ Conflicts\n\nEdited on both sides since the last sync:\n\n`;
+    text += `| Entry | Local edit | Supabase edit | Resolution |\n`;
+    text += `|-------|------------|---------------|------------|\n`;
+    for (const c of result.conflicts) {
+      text += `| ${c.title} (\`${c.id}\`) | ${c.localUpdatedAt || '-'} | ${
+        c.cloudUpdatedAt || '-'
+      } | ${c.resolution} |\n`;
+    }
+    text += `\nResolve them with \`policy: "local"\`, \`"cloud"\` or \`"newest"\`.\n\n`;
+  }
+
+  const { local, cloud } = result.deleted;
+  if (local.length + cloud.length > 0) {
+    text += `🗑️ ${local.length} deleted locally, ${cloud.length} deleted in Supabase (not synced)\n\n`;
+  }
+  for (const error of result.errors) {
+    text += `❌ ${error.title || error.id}: ${error.error}\n`;
+  }
+  text += result.dryRun
+    ? 'Nothing was changed. Run again without dry run to apply.\n'
+    : `Synced at ${result.lastSyncAt}.\n`;
+  return text;
+}
+
+function rowHash(row) {
+  return row.content_hash || contentHash(row.title || '', row.content || '');
+}
+
+function timeOf(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+class KnowledgeSync {
+  /**
+   * @param {Object} options
+   * @param {Object} options.local - JSON KnowledgeManager (default: paths.knowledgeBase)
+   * @param {Object} options.store - SupabaseKnowledgeStore
+   * @param {string} options.statePath - Sync state file (default knowledge.sync.statePath)
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('KnowledgeSync');
+    this.config = getConfig();
+
+    this.local = options.local || new KnowledgeManager();
+    this.store = options.store || new SupabaseKnowledgeStore();
+
+    const statePath =
+      options.statePath || this.config.get('knowledge.sync.statePath', 'data/knowledge-sync.json');
+    this.statePath = path.isAbsolute(statePath) ? statePath : path.join(SERVER_ROOT, statePath);
+    this.state = new LockedJsonFile(this.statePath, { label: 'Knowledge sync state' });
+  }
+
+  /**
+   * Compare both sides and, unless dryRun, apply the changes
+   * @param {Object} options
+   * @param {string} options.policy - Conflict policy (default knowledge.sync.conflictPolicy)
+   * @param {boolean} options.dryRun - Only report what a sync would change
+   * @returns {Promise<Object>} { dryRun, policy, pulled, pushed, updated: { local, cloud },
+   *   conflicts, deleted: { local, cloud }, linked, unchanged, errors, lastSyncAt }
+   */
+  async sync(options = {}) {
+    const policy = options.policy || this.config.get('knowledge.sync.conflictPolicy', 'report');
+    if (!POLICIES.includes(policy)) {
+      throw new ValidationError(
+        `Unknown conflict policy "${policy}". Use: ${POLICIES.join(', ')}`,
+        'policy'
+      );
+    }
+    const dryRun = options.dryRun === true;
+
+    if (!(await this.store.initialize())) {
+      throw new Error('Supabase is not configured (set SUPABASE_URL and SUPABASE_ANON_KEY)');
+    }
+
+    await this.local.reload();
+    const rows = await this.store.getAll();
+    const state = (await this.state.read()) || { version: FORMAT_VERSION, links: {} };
+
+    const plan = this._plan(this._localEntries(), rows, state.links, policy);
+    const result = {
+      dryRun,
+      policy,
+      pulled: plan.pull.map(({ row, fileName }) => this._describeRow(row, fileName)),
+      pushed: plan.push.map((local) => this._describeLocal(local)),
+      updated: {
+        local: plan.pullUpdates.map(({ local }) => this._describeLocal(local)),
+        cloud: plan.pushUpdates.map(({ local }) => this._describeLocal(local)),
+      },
+      conflicts: plan.conflicts.map(({ local, row, resolution }) => ({
+        ...this._describeLocal(local),
+        cloudId: row.id,
+        cloudTitle: row.title,
+        localUpdatedAt: local.updatedAt,
+        cloudUpdatedAt: row.updated_at || row.created_at || null,
+        resolution: resolution || 'unresolved',
+      })),
+      deleted: plan.deleted,
+      linked: plan.link.length,
+      unchanged: plan.unchanged,
+      errors: [],
+      lastSyncAt: state.lastSyncAt || null,
+    };
+
+    if (!dryRun) {
+      const links = await this._apply(plan, state.links, result.errors);
+      await this.state.update(() => ({
+        data: { version: FORMAT_VERSION, lastSyncAt: new Date().toISOString(), links },
+      }));
+      result.lastSyncAt = new Date().toISOString();
+    }
+
+    this.logger.info(dryRun ? 'Sync dry run' : 'Knowledge synced', {
+      policy,
+      pulled: result.pulled.length,
+      pushed: result.pushed.length,
+      updatedLocal: result.updated.local.length,
+      updatedCloud: result.updated.cloud.length,
+      conflicts: result.conflicts.length,
+      errors: result.errors.length,
+    });
+    return result;
+  }
+
+  /**
+   * Entries of the JSON files in the form the sync compares
+   */
+  _localEntries() {
+    const entries = [];
+    const collect = (fileName, category, items) => {
+      for (const entry of items) {
+        if (!entry || typeof entry !== 'object') continue;
+        const { title, content } = toCloudEntry(entry, category);
+        entries.push({
+          id: entry._metadata?.id || null,
+          fileName,
+          category,
+          entry,
+          title,
+          content,
+          hash: contentHash(title, content),
+          updatedAt: entry._metadata?.updated_at || entry._metadata?.added_at || null,
+        });
+      }
+    };
+
+    for (const fileName of this.local.knowledgeFiles) {
+      const fileData = this.local.knowledgeBase[fileName];
+      if (!fileData) continue;
+      for (const [category, items] of Object.entries(fileData.categories || {})) {
+        if (Array.isArray(items)) collect(fileName, category, items);
+      }
+      if (Array.isArray(fileData.items)) collect(fileName, null, fileData.items);
+    }
+    return entries;
+  }
+
+  /**
+   * What a sync changes. links: { [localId]: { cloudId, hash } } from the last sync.
+   */
+  _plan(localEntries, rows, links, policy) {
+    const plan = {
+      pull: [],
+      push: [],
+      pullUpdates: [],
+      pushUpdates: [],
+      conflicts: [],
+      link: [],
+      deleted: { local: [], cloud: [] },
+      forget: [],
+      unchanged: 0,
+    };
+    const rowsById = new Map(rows.map((row) => [row.id, row]));
+    const rowsByHash = new Map(rows.map((row) => [rowHash(row), row]));
+    const claimed = new Set(Object.values(links).map((link) => link.cloudId));
+    const localIds = new Set();
+
+    for (const local of localEntries) {
+      const link = local.id && links[local.id];
+      if (local.id) localIds.add(local.id);
+
+      if (!link) {
+        const match = rowsByHash.get(local.hash);
+        if (match && !claimed.has(match.id)) {
+          claimed.add(match.id);
+          plan.link.push({ local, row: match });
+        } else if (!match) {
+          plan.push.push(local);
+        } else {
+          plan.unchanged++;
+        }
+        continue;
+      }
+
+      const row = rowsById.get(link.cloudId);
+      if (!row) {
+        plan.deleted.cloud.push({ id: local.id, cloudId: link.cloudId, title: local.title });
+        continue;
+      }
+
+      const cloudHash = rowHash(row);
+      const localChanged = local.hash !== link.hash;
+      const cloudChanged = cloudHash !== link.hash;
+      if (local.hash === cloudHash) {
+        if (localChanged) plan.link.push({ local, row });
+        plan.unchanged++;
+      } else if (localChanged && !cloudChanged) {
+        plan.pushUpdates.push({ local, row });
+      } else if (cloudChanged && !localChanged) {
+        plan.pullUpdates.push({ local, row });
+      } else {
+        const resolution = this._resolve(policy, local, row);
+        plan.conflicts.push({ local, row, resolution });
+        if (resolution === 'local') plan.pushUpdates.push({ local, row });
+        if (resolution === 'cloud') plan.pullUpdates.push({ local, row });
+      }
+    }
+
+    // Links of entries deleted locally stay, so the row is not pulled back
+    for (const [localId, link] of Object.entries(links)) {
+      if (localIds.has(localId)) continue;
+      if (rowsById.has(link.cloudId)) {
+        plan.deleted.local.push({ id: localId, cloudId: link.cloudId });
+      } else {
+        plan.forget.push(localId);
+      }
+    }
+
+    for (const row of rows) {
+      if (claimed.has(row.id) || String(row.source || '').startsWith('json:')) continue;
+      plan.pull.push({ row, fileName: this._fileFor(row.category) });
+    }
+
+    return plan;
+  }
+
+  /**
+   * Side that wins a conflict, or null to leave both
+   */
+  _resolve(policy, local, row) {
+    if (policy === 'local' || policy === 'cloud') return policy;
+    if (policy === 'newest') {
+      const localTime = timeOf(local.updatedAt);
+      const cloudTime = timeOf(row.updated_at || row.created_at);
+      if (localTime === null || cloudTime === null || localTime === cloudTime) return null;
+      return localTime > cloudTime ? 'local' : 'cloud';
+    }
+    return null;
+  }
+
+  /**
+   * Carry out a plan. A failed entry is listed in errors and the sync goes on.
+   * @returns {Promise<Object>} The links to keep for the next sync
+   */
+  async _apply(plan, previousLinks, errors) {
+    const links = { ...previousLinks };
+    const attempt = async (item, fn) => {
+      try {
+        await fn();
+      } catch (error) {
+        errors.push({ ...item, error: error.message });
+        this.logger.warn('Sync of an entry failed', { ...item, error: error.message });
+      }
+    };
+
+    // Local entries without an id get one, so they can be linked
+    const changedFiles = new Set();
+    for (const local of [...plan.push, ...plan.link.map(({ local }) => local)]) {
+      if (!local.id) {
+        local.id = uuidv4();
+        local.entry._metadata = { ...local.entry._metadata, id: local.id };
+        changedFiles.add(local.fileName);
+      }
+    }
+    for (const fileName of changedFiles) {
+      await this.local._saveFile(fileName, this.local.knowledgeBase[fileName]);
+    }
+
+    for (const { local, row } of plan.link) {
+      links[local.id] = { cloudId: row.id, hash: local.hash };
+    }
+
+    for (const { row, fileName } of plan.pull) {
+      await attempt({ id: row.id, title: row.title }, async () => {
+        const category = row.category || 'general';
+        await this.local.add(
+          fileName,
+          category,
+          { title: row.title, content: row.content, ...(row.tags?.length && { tags: row.tags }) },
+          row.source || 'supabase',
+          {
+            id: row.id,
+            addedBy: ACTOR,
+            mendixVersion: row.mendix_version || null,
+            allowDuplicates: true,
+          }
+        );
+        links[row.id] = { cloudId: row.id, hash: rowHash(row) };
+      });
+    }
+
+    for (const local of plan.push) {
+      await attempt({ id: local.id, title: local.title }, async () => {
+        const result = await this.store.add({
+          id: local.id,
+          title: local.title,
+          content: local.content,
+          category: local.category || local.fileName,
+          source: `json:${local.fileName}`,
+          tags: local.entry.tags || [],
+          mendixVersion: local.entry._metadata?.mendix_version || null,
+          learnedFrom: 'sync',
+        });
+        links[local.id] = { cloudId: result.id, hash: local.hash };
+      });
+    }
+
+    for (const { local, row } of plan.pullUpdates) {
+      await attempt({ id: local.id, title: local.title }, async () => {
+        await this.local.update(
+          local.fileName,
+          local.id,
+          fromCloudEntry(row, local.entry),
+          { updatedBy: ACTOR, source: 'supabase', note: 'Pulled from Supabase' }
+        );
+        links[local.id] = { cloudId: row.id, hash: rowHash(row) };
+      });
+    }
+
+    for (const { local, row } of plan.pushUpdates) {
+      await attempt({ id: local.id, title: local.title }, async () => {
+        const success = await this.store.update(row.id, {
+          title: local.title,
+          content: local.content,
+          updated_at: new Date().toISOString(),
+        });
+        if (!success) throw new Error('Supabase update failed');
+        links[local.id] = { cloudId: row.id, hash: local.hash };
+      });
+    }
+
+    for (const localId of plan.forget) {
+      delete links[localId];
+    }
+
+    return links;
+  }
+
+  /**
+   * Knowledge file a pulled row goes to: its category when that names a file
+   */
+  _fileFor(category) {
+    return this.local.knowledgeFiles.includes(category) ? category : 'best-practices';
+  }
+
+  _describeLocal(local) {
+    return { id: local.id, title: local.title, fileName: local.fileName, category: local.category };
+  }
+
+  _describeRow(row, fileName) {
+    return { id: row.id, title: row.title, fileName, category: row.category || 'general' };
+  }
+}
+
+export default KnowledgeSync;
@@ -0,0 +1,388 @@
+/**
+ * ModerationQueue - Review of knowledge submitted through /learn
+ *
+ * With moderation.enabled, POST /learn (and add_to_knowledge_base over MCP-SSE)
+ * submit entries here instead of writing them to the knowledge base. A submission
+ * keeps its provenance - caller, source URL, relevance score and the near-duplicates
+ * found at submit time - until a reviewer acts on it:
+ *
+ * - approve - publish the entry (optionally edited) to the knowledge base
+ * - edit    - change a pending entry without publishing it
+ * - merge   - append it to an existing entry instead of adding a new one
+ * - reject  - drop it; it stays in the queue for the record
+ *
+ * Only publishing touches the knowledge manager; onPublished lets the server
+ * re-index SearchEngine and VectorStore, so pending entries are never searchable.
+ *
+ * STORES: data/moderation-queue.json (shared by local server processes), or
+ * the Supabase knowledge_submissions table (moderation.store, like auth.store).
+ * Not under knowledge/, whose JSON files the reindex and migration scripts read.
+ *
+ * @version 1.0.0
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { JsonRecordStore, SupabaseRecordStore, useSupabase } from '../storage/RecordStore.js';
+import { getConfig } from '../utils/config.js';
+import Logger from '../utils/logger.js';
+import { ValidationError } from '../utils/validator.js';
+import KnowledgeGapQueue from './KnowledgeGapQueue.js';
+
+export const STATUSES = ['pending', 'approved', 'merged', 'rejected'];
+
+const EDITABLE_FIELDS = [
+  'title',
+  'content',
+  'category',
+  'source',
+  'sourceUrl',
+  'mendixVersion',
+  'tags',
+];
+const MAX_DUPLICATES = 3;
+
+/**
+ * Submissions store moderation.store selects ("file", "supabase" or "auto")
+ */
+export function createSubmissionStore(options = {}) {
+  const config = getConfig();
+  const setting = options.store || config.get('moderation.store', 'auto');
+
+  if (useSupabase(setting)) {
+    return new SupabaseRecordStore({
+      ...options,
+      table: 'knowledge_submissions',
+      orderBy: 'submitted_at',
+      columns: {
+        id: 'id',
+        status: 'status',
+        entry: 'entry',
+        provenance: 'provenance',
+        duplicates: 'duplicates',
+        submittedAt: 'submitted_at',
+        reviewedAt: 'reviewed_at',
+        reviewedBy: 'reviewed_by',
+        reviewNote: 'review_note',
+        knowledgeId: 'knowledge_id',
+      },
+    });
+  }
+  return new JsonRecordStore({
+    filePath:
+      options.filePath || config.get('moderation.path', 'data/moderation-queue.json'),
+    collection: 'submissions',
+    label: 'Moderation queue',
+  });
+}
+
+class ModerationQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Record store (default createSubmissionStore())
+   * @param {string} options.filePath - Queue file of the default file store
+   * @param {Object} options.knowledgeManager - KnowledgeManager or SupabaseKnowledgeManager
+   * @param {Function} options.onPublished - async () => {} after approve/merge, to re-index
+   * @param {number} options.duplicateSimilarity - Token overlap that counts as a near-duplicate
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('ModerationQueue');
+    this.config = getConfig();
+
+    this.store = options.store || createSubmissionStore({ filePath: options.filePath });
+    this.knowledgeManager = options.knowledgeManager || null;
+    this.onPublished = options.onPublished || null;
+    this.duplicateSimilarity =
+      options.duplicateSimilarity ?? this.config.get('moderation.duplicateSimilarity', 0.5);
+  }
+
+  /**
+   * Whether /learn submissions need review (moderation.enabled / MODERATION_ENABLED)
+   */
+  get enabled() {
+    return this.config.get('moderation.enabled', false) === true;
+  }
+
+  /**
+   * Queue an entry for review
+   * @param {Object} entry - { title, content, category, source, sourceUrl, mendixVersion, tags }
+   * @param {Object} provenance - { caller, via, relevance }
+   * @returns {Promise<Object>} The submission, with the near-duplicates found
+   */
+  async submit(entry, provenance = {}) {
+    const submission = {
+      id: uuidv4(),
+      status: 'pending',
+      entry: pick(entry),
+      provenance: { ...provenance, sourceUrl: entry.sourceUrl || null },
+      duplicates: await this.findDuplicates(entry),
+      submittedAt: new Date().toISOString(),
+      reviewedAt: null,
+      reviewedBy: null,
+      reviewNote: null,
+      knowledgeId: null,
+    };
+
+    await this.store.add(submission);
+    this.logger.info('Knowledge submitted for review', {
+      id: submission.id,
+      title: entry.title,
+      duplicates: submission.duplicates.length,
+    });
+    return submission;
+  }
+
+  /**
+   * Knowledge entries and pending submissions similar to an entry, most similar first
+   * @returns {Promise<Array>} [{ kind: 'entry'|'submission', id, title, similarity }]
+   */
+  async findDuplicates(entry) {
+    const tokens = KnowledgeGapQueue.tokens(`${entry.title} ${entry.content}`);
+    const candidates = entriesOf(this.knowledgeManager).map(({ entry: item }) => ({
+      kind: 'entry',
+      id: item._metadata?.id,
+      title: item.title,
+      item,
+    }));
+    for (const submission of await this.store.list()) {
+      if (submission.status !== 'pending') continue;
+      candidates.push({
+        kind: 'submission',
+        id: submission.id,
+        title: submission.entry.title,
+        item: submission.entry,
+      });
+    }
+
+    return candidates
+      .map(({ item, ...candidate }) => {
+        const text = `${item.title || ''} ${
+          typeof item.content === 'string' ? item.content : JSON.stringify(item.content ?? '')
+        }`;
+        const similarity = KnowledgeGapQueue.overlap(tokens, KnowledgeGapQueue.tokens(text));
+        return { ...candidate, similarity: Math.round(similarity * 100) / 100 };
+      })
+      .filter((candidate) => candidate.id && candidate.similarity >= this.duplicateSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, MAX_DUPLICATES);
+  }
+
+  /**
+   * Submissions, oldest first
+   * @param {Object} options - { status: 'pending'|'approved'|'merged'|'rejected'|'all', limit }
+   */
+  async list(options = {}) {
+    const { status = 'pending', limit = 20 } = options;
+    const submissions = await this.store.list();
+    return submissions
+      .filter((s) => status === 'all' || s.status === status)
+      .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt))
+      .slice(0, limit);
+  }
+
+  async getStats() {
+    const stats = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+    for (const submission of await this.store.list()) {
+      stats[submission.status] = (stats[submission.status] || 0) + 1;
+    }
+    return stats;
+  }
+
+  /**
+   * A submission by id or id prefix
+   * @throws {ValidationError} When no submission matches
+   */
+  async get(id) {
+    const submissions = await this.store.list();
+    const submission =
+      submissions.find((s) => s.id === id) ||
+      (id && id.length >= 4 ? submissions.find((s) => s.id.startsWith(id)) : null);
+    if (!submission) {
+      throw new ValidationError(`Submission not found: ${id}`, 'id');
+    }
+    return submission;
+  }
+
+  async pending(id) {
+    const submission = await this.get(id);
+    if (submission.status !== 'pending') {
+      throw new ValidationError(
+        `Submission ${submission.id} was already ${submission.status}`,
+        'id'
+      );
+    }
+    return submission;
+  }
+
+  /**
+   * Change a pending entry
+   * @param {Object} changes - Entry fields: title, content, category, source, sourceUrl,
+   *   mendixVersion, tags
+   */
+  async edit(id, changes, { reviewer = 'reviewer' } = {}) {
+    const submission = await this.pending(id);
+    const entry = { ...submission.entry, ...pick(changes) };
+    if (!entry.title || !entry.content) {
+      throw new ValidationError('An entry needs a title and content', 'content');
+    }
+
+    this.logger.info('Submission edited', { id: submission.id, reviewer });
+    return this.store.update(submission.id, {
+      entry,
+      reviewNote: `Edited by ${reviewer}`,
+    });
+  }
+
+  /**
+   * Publish a pending entry to the knowledge base
+   * @param {Object} options - { reviewer, note, changes }
+   */
+  async approve(id, { reviewer = 'reviewer', note = null, changes = {} } = {}) {
+    let submission = await this.pending(id);
+    if (Object.keys(pick(changes)).length > 0) {
+      submission = await this.edit(submission.id, changes, { reviewer });
+    }
+
+    const { entry, provenance } = submission;
+    const result = await this.requireKnowledgeManager().add(
+      this.fileFor(entry.category),
+      entry.category,
+      { title: entry.title, content: entry.content },
+      entry.source || 'api-learned',
+      {
+        sourceUrl: entry.sourceUrl,
+        mendixVersion: entry.mendixVersion,
+        tags: entry.tags,
+        learnedFrom: 'api-learn-endpoint',
+        relevanceScore: provenance.relevance?.score,
+        relevanceCategories: provenance.relevance?.matchedCategories,
+        addedBy: reviewer,
+        verified: true,
+        // The reviewer has seen the near-duplicates and chose a new entry
+        allowDuplicates: true,
+      }
+    );
+
+    const approved = await this.close(submission, 'approved', {
+      reviewer,
+      note,
+      knowledgeId: result.id,
+    });
+    await this.published();
+    return { submission: approved, result };
+  }
+
+  /**
+   * Append a pending entry to an existing knowledge entry
+   * @param {string} into - Knowledge entry id
+   */
+  async merge(id, into, { reviewer = 'reviewer', note = null } = {}) {
+    if (!into) {
+      throw new ValidationError('into is required: the id of the entry to merge into', 'into');
+    }
+    const submission = await this.pending(id);
+    const knowledgeManager = this.requireKnowledgeManager();
+    const target = this.findEntry(into);
+    if (!target) {
+      throw new ValidationError(`Knowledge entry not found: ${into}`, 'into');
+    }
+
+    const existing =
+      typeof target.entry.content === 'string'
+        ? target.entry.content
+        : JSON.stringify(target.entry.content);
+    const source = submission.entry.sourceUrl ? ` (${submission.entry.sourceUrl})` : '';
+    const result = await knowledgeManager.update(
+      target.fileName,
+      target.entry._metadata.id,
+      {
+        title: target.entry.title,
+        content: `${existing}\n\n${submission.entry.content}${source}`,
+      },
+      { updatedBy: reviewer }
+    );
+
+    const merged = await this.close(submission, 'merged', {
+      reviewer,
+      note,
+      knowledgeId: target.entry._metadata.id,
+    });
+    await this.published();
+    return { submission: merged, result };
+  }
+
+  /**
+   * Reject a pending entry
+   */
+  async reject(id, { reviewer = 'reviewer', note = null } = {}) {
+    const submission = await this.pending(id);
+    return this.close(submission, 'rejected', { reviewer, note });
+  }
+
+  async close(submission, status, { reviewer, note, knowledgeId = null }) {
+    this.logger.info(`Submission ${status}`, { id: submission.id, reviewer, knowledgeId });
+    return this.store.update(submission.id, {
+      status,
+      reviewedAt: new Date().toISOString(),
+      reviewedBy: reviewer,
+      reviewNote: note,
+      knowledgeId,
+    });
+  }
+
+  async published() {
+    if (!this.onPublished) return;
+    try {
+      await this.onPublished();
+    } catch (error) {
+      this.logger.warn('Re-indexing after review failed', { error: error.message });
+    }
+  }
+
+  requireKnowledgeManager() {
+    if (!this.knowledgeManager) {
+      throw new Error('ModerationQueue needs a knowledgeManager to publish entries');
+    }
+    return this.knowledgeManager;
+  }
+
+  /**
+   * Knowledge file for a category: the Supabase category map, a file of that name,
+   * or best-practices
+   */
+  fileFor(category) {
+    const { categoryFileMap, knowledgeFiles = [] } = this.knowledgeManager || {};
+    if (categoryFileMap?.[category]) return categoryFileMap[category];
+    return knowledgeFiles.includes(category) ? category : 'best-practices';
+  }
+
+  /**
+   * A knowledge entry by id: { fileName, entry }
+   */
+  findEntry(id) {
+    return entriesOf(this.knowledgeManager).find(({ entry }) => entry._metadata?.id === id) || null;
+  }
+}
+
+// Every entry of a loaded knowledge base: [{ fileName, entry }]
+function entriesOf(knowledgeManager) {
+  const entries = [];
+  for (const [fileName, file] of Object.entries(knowledgeManager?.knowledgeBase || {})) {
+    const lists = [...Object.values(file?.categories || {}), file?.items];
+    for (const items of lists.filter(Array.isArray)) {
+      entries.push(...items.map((entry) => ({ fileName, entry })));
+    }
+  }
+  return entries;
+}
+
+// Only the entry fields a submission keeps
+function pick(entry) {
+  return Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => entry[field] !== undefined).map((field) => [
+      field,
+      entry[field],
+    ])
+  );
+}
+
+export default ModerationQueue;
@@ -0,0 +1,279 @@
+/**
+ * MprReader - Reads Mendix .mpr project files directly
+ *
+ * A .mpr file is a SQLite database. Every model document (module, domain model,
+ * microflow, page, enumeration, ...) is a "unit" whose contents are a BSON document.
+ * - MPR v1: contents live in the Unit.Contents column
+ * - MPR v2 (Studio Pro 10.18+): contents live next to the .mpr in mprcontents/xx/yy/<id>.mxunit
+ *
+ * Units are converted to the same JSON shape the Mendix Model SDK produces with toJSON():
+ * camelCase property names plus $ID and $Type.
+ */
+
+import { BSON, Binary } from 'bson';
+import fs from 'fs-extra';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import Logger from '../utils/logger.js';
+
+// Storage names that differ from the public Model SDK property names
+const PROPERTY_RENAMES = {
+  NewType: 'type',
+  MaybeGeneralization: 'generalization',
+  ParentPointer: 'parent',
+  ChildPointer: 'child',
+  OriginPointer: 'origin',
+  DestinationPointer: 'destination',
+  AttributePointer: 'attribute',
+};
+
+const UNIT_TYPES = {
+  module: ['Projects$ModuleImpl', 'Projects$Module'],
+  domainModel: ['DomainModels$DomainModel'],
+  microflow: ['Microflows$Microflow', 'Microflows$Nanoflow', 'Microflows$Rule'],
+  page: ['Forms$Page'],
+  enumeration: ['Enumerations$Enumeration'],
+};
+
+let sqlJsPromise = null;
+
+/**
+ * Load the sql.js WebAssembly module once per process
+ */
+function getSqlJs() {
+  if (!sqlJsPromise) {
+    sqlJsPromise = initSqlJs();
+  }
+  return sqlJsPromise;
+}
+
+/**
+ * Convert a 16-byte Mendix GUID to its string form (.NET byte order)
+ */
+function guidToString(bytes) {
+  const hex = (indices) => indices.map((i) => bytes[i].toString(16).padStart(2, '0')).join('');
+  return [
+    hex([3, 2, 1, 0]),
+    hex([5, 4]),
+    hex([7, 6]),
+    hex([8, 9]),
+    hex([10, 11, 12, 13, 14, 15]),
+  ].join('-');
+}
+
+class MprReader {
+  constructor() {
+    this.logger = new Logger('MprReader');
+  }
+
+  /**
+   * Read a .mpr file and return its modules in the ProjectLoader module shape
+   * @param {string} mprPath - Path to the .mpr file
+   * @param {Object} options - loadMicroflows / loadPages flags (same as extracted loading)
+   * @returns {Promise<Object[]>} Modules with domainModel, microflows, pages, enumerations
+   */
+  async readModules(mprPath, options = {}) {
+    const units = await this.readUnits(mprPath);
+
+    const modules = new Map();
+    for (const unit of units.values()) {
+      if (UNIT_TYPES.module.includes(unit.type)) {
+        modules.set(unit.id, {
+          name: unit.contents.name,
+          domainModel: null,
+          microflows: [],
+          pages: [],
+          enumerations: [],
+        });
+      }
+    }
+
+    for (const unit of units.values()) {
+      const moduleId = this._findModuleId(unit, units);
+      const moduleData = moduleId ? modules.get(moduleId) : null;
+      if (!moduleData) continue;
+
+      if (UNIT_TYPES.domainModel.includes(unit.type)) {
+        moduleData.domainModel = this._resolveDomainModel(unit.contents);
+      } else if (UNIT_TYPES.microflow.includes(unit.type)) {
+        if (options.loadMicroflows !== false) moduleData.microflows.push(unit.contents);
+      } else if (UNIT_TYPES.page.includes(unit.type)) {
+        if (options.loadPages !== false) moduleData.pages.push(unit.contents);
+      } else if (UNIT_TYPES.enumeration.includes(unit.type)) {
+        moduleData.enumerations.push(unit.contents);
+      }
+    }
+
+    const result = Array.from(modules.values());
+    this.logger.info('Read .mpr file', {
+      path: mprPath,
+      modules: result.length,
+      units: units.size,
+    });
+    return result;
+  }
+
+  /**
+   * Read all units from a .mpr file
+   * @returns {Promise<Map<string, Object>>} Units keyed by id: { id, containerId, type, contents }
+   */
+  async readUnits(mprPath) {
+    const SQL = await getSqlJs();
+    const db = new SQL.Database(await fs.readFile(mprPath));
+
+    try {
+      const columns = this._query(db, 'PRAGMA table_info(Unit)').map((c) => c.name);
+      if (columns.length === 0) {
+        throw new Error(`Not a Mendix project file (no Unit table): ${mprPath}`);
+      }
+
+      const hasInlineContents = columns.includes('Contents');
+      const rows = this._query(
+        db,
+        `SELECT UnitID, ContainerID${hasInlineContents ? ', Contents' : ''} FROM Unit`
+      );
+
+      const units = new Map();
+      for (const row of rows) {
+        const id = guidToString(row.UnitID);
+        const raw = hasInlineContents
+          ? row.Contents
+          : await this._readExternalContents(mprPath, row.UnitID);
+
+        if (!raw || raw.length === 0) continue;
+
+        try {
+          const document = BSON.deserialize(Buffer.from(raw), { promoteBuffers: false });
+          const contents = this._toPlain(document);
+          units.set(id, {
+            id,
+            containerId: row.ContainerID ? guidToString(row.ContainerID) : null,
+            type: contents.$Type,
+            contents,
+          });
+        } catch (error) {
+          this.logger.warn('Skipping unreadable unit', { unit: id, error: error.message });
+        }
+      }
+
+      return units;
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Run a query and return rows as objects
+   */
+  _query(db, sql) {
+    const [result] = db.exec(sql);
+    if (!result) return [];
+    return result.values.map((values) =>
+      Object.fromEntries(result.columns.map((column, i) => [column, values[i]]))
+    );
+  }
+
+  /**
+   * Read unit contents stored outside the database (MPR v2)
+   */
+  async _readExternalContents(mprPath, unitIdBytes) {
+    const contentsDir = path.join(path.dirname(mprPath), 'mprcontents');
+    const candidates = [guidToString(unitIdBytes), Buffer.from(unitIdBytes).toString('hex')];
+
+    for (const name of candidates) {
+      const plain = name.replace(/-/g, '');
+      const file = path.join(contentsDir, plain.slice(0, 2), plain.slice(2, 4), `${name}.mxunit`);
+      if (await fs.pathExists(file)) {
+        return fs.readFile(file);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Walk up the container chain until a module unit is found
+   */
+  _findModuleId(unit, units) {
+    let current = unit;
+    const seen = new Set();
+
+    while (current && !seen.has(current.id)) {
+      if (UNIT_TYPES.module.includes(current.type)) return current.id;
+      seen.add(current.id);
+      current = current.containerId ? units.get(current.containerId) : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a deserialized BSON value into plain JSON in Model SDK style
+   */
+  _toPlain(value) {
+    if (value instanceof Binary) {
+      return value.buffer.length === 16 ? guidToString(value.buffer) : value.toString('base64');
+    }
+
+    if (Array.isArray(value)) {
+      // Mendix prefixes stored lists with a numeric list-kind marker
+      const hasMarker =
+        typeof value[0] === 'number' && value.slice(1).every((v) => typeof v !== 'number');
+      const items = hasMarker ? value.slice(1) : value;
+      return items.map((item) => this._toPlain(item));
+    }
+
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+
+    if (value && typeof value === 'object') {
+      if (typeof value.toNumber === 'function') return value.toNumber();
+
+      const plain = {};
+      for (const [key, child] of Object.entries(value)) {
+        const name = key.startsWith('$')
+          ? key
+          : PROPERTY_RENAMES[key] || key.charAt(0).toLowerCase() + key.slice(1);
+        plain[name] = this._toPlain(child);
+      }
+      return plain;
+    }
+
+    return value;
+  }
+
+  /**
+   * Replace association parent/child ids with entity names
+   */
+  _resolveDomainModel(domainModel) {
+    const entityNames = new Map((domainModel.entities || []).map((e) => [e.$ID, e.name]));
+    const attributeNames = new Map();
+    for (const entity of domainModel.entities || []) {
+      for (const attribute of entity.attributes || []) {
+        attributeNames.set(attribute.$ID, attribute.name);
+      }
+    }
+
+    for (const association of domainModel.associations || []) {
+      association.parent = entityNames.get(association.parent) || association.parent;
+      association.child = entityNames.get(association.child) || association.child;
+    }
+
+    for (const association of domainModel.crossAssociations || []) {
+      association.parent = entityNames.get(association.parent) || association.parent;
+    }
+
+    for (const entity of domainModel.entities || []) {
+      for (const index of entity.indexes || []) {
+        for (const indexed of index.attributes || []) {
+          indexed.attribute = attributeNames.get(indexed.attribute) || indexed.attribute;
+        }
+      }
+    }
+
+    return domainModel;
+  }
+}
+
+export default MprReader;
@@ -3,18 +3,25 @@
  * Handles loading of any .mpr file with module discovery and caching
  */
 
+import { execFile } from 'child_process';
 import fs from 'fs-extra';
+import os from 'os';
 import path from 'path';
+import { promisify } from 'util';
 import { getConfig } from '../utils/config.js';
 import Logger from '../utils/logger.js';
 import { validatePath, ValidationError } from '../utils/validator.js';
 import CacheManager from './CacheManager.js';
+import MprReader from './MprReader.js';
+
+const execFileAsync = promisify(execFile);
 
 class ProjectLoader {
   constructor(cacheManager = null) {
     this.logger = new Logger('ProjectLoader');
     this.config = getConfig();
     this.cache = cacheManager || new CacheManager();
+    this.mprReader = new MprReader();
     this.loadedProjects = new Map();
 
     this.logger.info('ProjectLoader initialized');
@@ -82,19 +89,118 @@ class ProjectLoader {
   }
 
   /**
-   * Load project from .mpr file (requires extraction)
-   * For now, this throws an error directing to use extracted data
-   * TODO: Implement direct .mpr reading using Mendix SDK
+   * Load a project as it was at a git revision (commit, branch or tag).
+   * The .mpr file (plus mprcontents/ for MPR v2) or extracted data directory is
+   * checked out from git into a temporary directory, loaded and removed again.
+   * @param {string} projectPath - Path to .mpr file or extracted directory inside a git repository
+   * @param {string} revision - Git revision
+   * @param {Object} options - Loading options
+   * @returns {Promise<Object>} Project data with `revision` and `commit` set
    */
-  async _loadFromMpr(mprPath, options = {}) {
-    throw new Error(
-      'Direct .mpr loading not yet implemented. Please extract domain model data first using Mendix SDK Toolkit, then load the extracted directory.'
+  async loadRevision(projectPath, revision, options = {}) {
+    const absolutePath = path.resolve(projectPath);
+    const isMpr = path.extname(absolutePath) === '.mpr';
+    // The project may not exist in the working copy any more - run git from the nearest parent
+    let gitDir = isMpr ? path.dirname(absolutePath) : absolutePath;
+    while (!(await fs.pathExists(gitDir)) && path.dirname(gitDir) !== gitDir) {
+      gitDir = path.dirname(gitDir);
+    }
+    const git = async (...args) => {
+      const { stdout } = await execFileAsync('git', ['-C', gitDir, ...args], {
+        encoding: 'buffer',
+        maxBuffer: 512 * 1024 * 1024,
+      });
+      return stdout;
+    };
+
+    let commit;
+    let prefix;
+    try {
+      commit = (await git('rev-parse', '--verify', `${revision}^{commit}`)).toString().trim();
+      prefix = (await git('rev-parse', '--show-prefix')).toString().trim();
+    } catch (error) {
+      const reason = (error.stderr || error.message).toString().trim();
+      throw new ValidationError(
+        `Unknown git revision "${revision}" for ${projectPath}: ${reason}`,
+        'revision'
+      );
+    }
+
+    const cacheKey = `project:${absolutePath}@${commit}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && !options.forceReload) {
+      return cached;
+    }
+
+    // Paths to check out, relative to the repository root (git always uses "/")
+    const relative = path.posix.join(
+      prefix || '.',
+      path.relative(gitDir, absolutePath).split(path.sep).join('/')
     );
+    const prefixes = isMpr
+      ? [relative, path.posix.join(path.posix.dirname(relative), 'mprcontents')]
+      : [relative];
+    const listArgs = ['ls-tree', '-r', '--name-only', '--full-tree', commit, '--', ...prefixes];
+    const files = (await git(...listArgs)).toString().split('\n').filter(Boolean);
+
+    if (files.length === 0) {
+      throw new ValidationError(`${relative} does not exist at revision ${revision}`, 'revision');
+    }
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-revision-'));
+    try {
+      const base = isMpr ? path.posix.dirname(relative) : relative;
+      const target = path.join(tempDir, path.basename(absolutePath));
+      for (const file of files) {
+        const destination = isMpr
+          ? path.join(tempDir, path.posix.relative(base, file))
+          : path.join(target, path.posix.relative(base, file));
+        await fs.outputFile(destination, await git('show', `${commit}:${file}`));
+      }
+
+      const projectData = isMpr
+        ? await this._loadFromMpr(target, options)
+        : await this._loadFromExtractedData(target, options);
 
-    // Future implementation:
-    // 1. Use Mendix Platform SDK to create online working copy
-    // 2. Extract domain models, microflows, pages
-    // 3. Parse and return structured data
+      projectData.path = absolutePath;
+      projectData.revision = revision;
+      projectData.commit = commit;
+
+      this.cache.set(cacheKey, projectData, this.config.get('projects.cacheDuration', 7200));
+      this.logger.info('Project loaded from git revision', {
+        path: absolutePath,
+        revision,
+        commit,
+        modules: projectData.modules.length,
+      });
+
+      return projectData;
+    } finally {
+      await fs.remove(tempDir);
+    }
+  }
+
+  /**
+   * Load project from .mpr file
+   * Reads the SQLite model database directly and produces the same
+   * modules[] shape as extracted data directories
+   */
+  async _loadFromMpr(mprPath, options = {}) {
+    const projectData = {
+      path: mprPath,
+      name: path.basename(mprPath, '.mpr'),
+      type: 'mpr',
+      modules: [],
+      loadedAt: new Date().toISOString(),
+    };
+
+    try {
+      projectData.modules = await this.mprReader.readModules(mprPath, options);
+    } catch (error) {
+      throw new Error(`Failed to read .mpr file ${mprPath}: ${error.message}`);
+    }
+
+    return projectData;
   }
 
   /**
@@ -219,7 +325,8 @@ class ProjectLoader {
    * Get specific module from loaded project
    */
   getModule(projectPath, moduleName) {
-    const project = this.loadedProjects.get(projectPath);
+    // Loaded projects are keyed by the normalized path loadProject() validated
+    const project = this.loadedProjects.get(path.normalize(projectPath));
 
     if (!project) {
       throw new Error(`Project not loaded: ${projectPath}`);
@@ -269,13 +376,14 @@ class ProjectLoader {
    * Unload a project from memory
    */
   unloadProject(projectPath) {
-    const removed = this.loadedProjects.delete(projectPath);
+    const validPath = path.normalize(projectPath);
+    const removed = this.loadedProjects.delete(validPath);
 
     // Also clear from cache
-    this.cache.delete(`project:${projectPath}`);
+    this.cache.delete(`project:${validPath}`);
 
     if (removed) {
-      this.logger.info('Project unloaded', { path: projectPath });
+      this.logger.info('Project unloaded', { path: validPath });
     }
 
     return removed;
@@ -0,0 +1,340 @@
+/**
+ * RelevanceEvaluator - Measures search quality against a golden query set
+ *
+ * A golden set lists queries together with the entries that should come back:
+ *
+ *   {
+ *     "name": "core",
+ *     "k": 10,
+ *     "queries": [
+ *       {
+ *         "id": "sdk-create-entity",
+ *         "query": "create entity with model sdk",
+ *         "relevant": [
+ *           { "id": "create-entity-with-attributes", "grade": 2 },
+ *           "domain-model-manipulation"
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * Entries are identified by `_metadata.id` or, for entries without one, by the slug of
+ * their title - the same key HybridSearch fuses on. Grades default to 1.
+ *
+ * Every query runs in keyword, vector and hybrid mode and is scored with MRR,
+ * nDCG@k and recall@k. Reports are plain JSON; compareReports() lists the metrics
+ * that dropped by more than a tolerance so a regression can fail a test run.
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import Logger from '../utils/logger.js';
+import { ValidationError } from '../utils/validator.js';
+import HybridSearch from '../vector/HybridSearch.js';
+import VectorStore from '../vector/VectorStore.js';
+
+const logger = new Logger('RelevanceEvaluator');
+
+const REPORT_VERSION = 1;
+const METRICS = ['mrr', 'ndcg', 'recall'];
+
+const MODES = {
+  keyword: { keywordOnly: true },
+  vector: { vectorOnly: true },
+  hybrid: {},
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * "Create Entity with Attributes" → "create-entity-with-attributes"
+ */
+export function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Keys a search result can be matched on
+ */
+export function resultKeys(result) {
+  const entry = result.entry || {};
+  return [entry._metadata?.id, entry.id, slugify(result.title)].filter(Boolean);
+}
+
+/**
+ * Reciprocal rank of the first relevant result
+ * @param {number[]} grades - Relevance grade per result position (0 = not relevant)
+ */
+export function reciprocalRank(grades) {
+  const index = grades.findIndex((grade) => grade > 0);
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+/**
+ * Normalized discounted cumulative gain over the first k results
+ * @param {number[]} grades - Relevance grade per result position
+ * @param {number[]} idealGrades - Grades of all relevant entries
+ */
+export function ndcgAtK(grades, idealGrades, k) {
+  const dcg = (list) =>
+    list.slice(0, k).reduce((sum, grade, i) => sum + (2 ** grade - 1) / Math.log2(i + 2), 0);
+
+  const ideal = dcg([...idealGrades].sort((a, b) => b - a));
+  return ideal > 0 ? dcg(grades) / ideal : 0;
+}
+
+/**
+ * Share of relevant entries found in the first k results
+ */
+export function recallAtK(grades, relevantCount, k) {
+  if (relevantCount === 0) return 0;
+  return grades.slice(0, k).filter((grade) => grade > 0).length / relevantCount;
+}
+
+class RelevanceEvaluator {
+  /**
+   * @param {Object} options
+   * @param {HybridSearch} options.hybridSearch - Indexed search to evaluate
+   * @param {number} options.k - Cut-off for nDCG and recall (golden set k wins)
+   * @param {string[]} options.modes - Subset of keyword, vector, hybrid
+   * @param {Object} options.searchOptions - Extra HybridSearch.search options (e.g. rerank)
+   */
+  constructor(options = {}) {
+    this.hybridSearch = options.hybridSearch;
+    this.k = options.k || 10;
+    this.modes = options.modes || Object.keys(MODES);
+    this.searchOptions = options.searchOptions || {};
+
+    const unknown = this.modes.filter((mode) => !MODES[mode]);
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Unknown evaluation mode(s): ${unknown.join(', ')}. Use ${Object.keys(MODES).join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Index a knowledge base into a throwaway local vector index, so evaluation
+   * never touches the live index. The local TF-IDF embedder keeps runs reproducible;
+   * pass another provider name to compare embedders.
+   * @returns {Promise<{hybridSearch: HybridSearch, cleanup: Function}>}
+   */
+  static async createSearch(knowledgeBase, options = {}) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-relevance-'));
+    const vectorStore = new VectorStore({
+      backend: 'local',
+      localPath: directory,
+      embeddingProvider: options.embeddingProvider || 'local',
+      embeddingStore: options.embeddingStore,
+    });
+    const hybridSearch = new HybridSearch({ vectorStore, reranker: options.reranker });
+
+    await hybridSearch.initialize();
+    await hybridSearch.indexKnowledgeBase(knowledgeBase);
+
+    return { hybridSearch, cleanup: () => fs.remove(directory) };
+  }
+
+  /**
+   * Load and validate a golden set file
+   */
+  static async loadGoldenSet(filePath) {
+    const data = await fs.readJson(filePath);
+    return RelevanceEvaluator.normalizeGoldenSet(data, path.basename(filePath, '.json'));
+  }
+
+  /**
+   * Validate a golden set and give every relevant entry an id and grade
+   */
+  static normalizeGoldenSet(data, defaultName = 'golden') {
+    if (!Array.isArray(data?.queries) || data.queries.length === 0) {
+      throw new ValidationError('Golden set needs a non-empty "queries" array');
+    }
+
+    const seen = new Set();
+    const queries = data.queries.map((item, i) => {
+      if (typeof item.query !== 'string' || item.query.trim() === '') {
+        throw new ValidationError(`Golden query #${i + 1} has no "query"`);
+      }
+      const relevant = (item.relevant || []).map((r) =>
+        typeof r === 'string' ? { id: r, grade: 1 } : { id: r.id, grade: r.grade ?? 1 }
+      );
+      if (relevant.length === 0 || relevant.some((r) => !r.id || !(r.grade > 0))) {
+        throw new ValidationError(`Golden query "${item.query}" needs relevant entries`);
+      }
+
+      const id = item.id || slugify(item.query);
+      if (seen.has(id)) throw new ValidationError(`Duplicate golden query id "${id}"`);
+      seen.add(id);
+
+      return { id, query: item.query, relevant };
+    });
+
+    const hash = createHash('sha256').update(JSON.stringify(queries)).digest('hex').slice(0, 16);
+    return { name: data.name || defaultName, k: data.k, queries, hash };
+  }
+
+  /**
+   * Run every golden query in every mode
+   * @returns {Promise<Object>} Report (see compareReports)
+   */
+  async evaluate(goldenSet) {
+    const k = goldenSet.k || this.k;
+    const report = {
+      version: REPORT_VERSION,
+      generatedAt: new Date().toISOString(),
+      goldenSet: { name: goldenSet.name, queries: goldenSet.queries.length, hash: goldenSet.hash },
+      k,
+      config: this.describeSearch(),
+      modes: {},
+    };
+
+    for (const mode of this.modes) {
+      if (mode !== 'keyword' && !this.hybridSearch.vectorStore?.initialized) {
+        report.modes[mode] = { skipped: 'Vector store not initialized' };
+        continue;
+      }
+
+      const queries = [];
+      for (const item of goldenSet.queries) {
+        queries.push(await this.evaluateQuery(item, mode, k));
+      }
+
+      const metrics = {};
+      for (const metric of METRICS) {
+        metrics[metric] = round(queries.reduce((sum, q) => sum + q[metric], 0) / queries.length);
+      }
+      report.modes[mode] = { metrics, queries };
+      logger.info('Evaluated mode', { mode, ...metrics });
+    }
+
+    return report;
+  }
+
+  /**
+   * Score one golden query in one mode
+   */
+  async evaluateQuery(item, mode, k) {
+    const results = await this.hybridSearch.search(item.query, {
+      limit: k,
+      ...this.searchOptions,
+      ...MODES[mode],
+    });
+
+    // Each relevant entry counts once, at its best position
+    const found = new Set();
+    const grades = results.slice(0, k).map((result) => {
+      const keys = resultKeys(result);
+      const match = item.relevant.find((r) => !found.has(r.id) && keys.includes(r.id));
+      if (!match) return 0;
+      found.add(match.id);
+      return match.grade;
+    });
+
+    const firstHit = grades.findIndex((grade) => grade > 0);
+    return {
+      id: item.id,
+      query: item.query,
+      mrr: round(reciprocalRank(grades)),
+      ndcg: round(ndcgAtK(grades, item.relevant.map((r) => r.grade), k)),
+      recall: round(recallAtK(grades, item.relevant.length, k)),
+      firstHit: firstHit === -1 ? null : firstHit + 1,
+      missing: item.relevant.filter((r) => !found.has(r.id)).map((r) => r.id),
+      top: results.slice(0, 3).map((result) => resultKeys(result)[0]),
+    };
+  }
+
+  /**
+   * Search settings that affect results - recorded so reports explain themselves
+   */
+  describeSearch() {
+    const search = this.hybridSearch;
+    return {
+      keywordWeight: search.keywordWeight,
+      vectorWeight: search.vectorWeight,
+      embeddingProvider: search.vectorStore?.embedder?.id || null,
+      reranker: search.reranker?.name || null,
+      searchOptions: this.searchOptions,
+    };
+  }
+
+  /**
+   * Compare a report with a baseline report
+   * @param {Object} baseline - Earlier report
+   * @param {Object} current - New report
+   * @param {Object} options
+   * @param {number} options.tolerance - Allowed drop per metric before it counts as a regression
+   * @returns {{passed, goldenSetChanged, configChanged, regressions, improvements,
+   *   queryRegressions, skipped}}
+   */
+  static compareReports(baseline, current, { tolerance = 0.01 } = {}) {
+    const comparison = {
+      passed: true,
+      goldenSetChanged: baseline.goldenSet?.hash !== current.goldenSet?.hash,
+      // Settings that differ - a drop may be intended (e.g. another embedder)
+      configChanged: Object.keys({ ...baseline.config, ...current.config }).filter(
+        (key) => JSON.stringify(baseline.config?.[key]) !== JSON.stringify(current.config?.[key])
+      ),
+      regressions: [],
+      improvements: [],
+      queryRegressions: [],
+      skipped: [],
+    };
+
+    for (const [mode, before] of Object.entries(baseline.modes || {})) {
+      const after = current.modes?.[mode];
+      if (before.skipped) continue;
+      if (!after || after.skipped) {
+        comparison.skipped.push(mode);
+        continue;
+      }
+
+      for (const metric of METRICS) {
+        const delta = round(after.metrics[metric] - before.metrics[metric]);
+        const change = {
+          mode,
+          metric,
+          baseline: before.metrics[metric],
+          current: after.metrics[metric],
+          delta,
+        };
+        if (delta < -tolerance) comparison.regressions.push(change);
+        else if (delta > tolerance) comparison.improvements.push(change);
+      }
+
+      // Per-query drops - not a failure on their own, but where to look first
+      const previous = new Map(before.queries.map((q) => [q.id, q]));
+      for (const query of after.queries) {
+        const was = previous.get(query.id);
+        if (was && query.ndcg < was.ndcg - tolerance) {
+          comparison.queryRegressions.push({
+            mode,
+            id: query.id,
+            query: query.query,
+            baseline: was.ndcg,
+            current: query.ndcg,
+          });
+        }
+      }
+    }
+
+    comparison.passed = comparison.regressions.length === 0;
+    return comparison;
+  }
+
+  /**
+   * Write a report as pretty JSON
+   */
+  static async writeReport(report, filePath) {
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeJson(filePath, report, { spaces: 2 });
+    logger.info('Relevance report written', { path: filePath });
+  }
+}
+
+export default RelevanceEvaluator;
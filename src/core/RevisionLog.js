@@ -0,0 +1,232 @@
+/**
+ * RevisionLog - Immutable history of knowledge entries
+ *
+ * Every add, update, merge, delete and rollback of a knowledge entry appends a
+ * revision: who made it, when, from which source, the entry as it was afterwards
+ * (snapshot) and a unified diff against the revision before. Revisions are never
+ * changed, so any earlier state of an entry - including a deleted one - can be
+ * shown, compared and restored (KnowledgeManager.rollback).
+ *
+ * Entries that existed before revisions were kept get a "baseline" revision of their
+ * current state before their first recorded change, so that change can be undone.
+ *
+ * A revision is:
+ *   { id, entryId, revision, action, fileName, category, actor, source, note,
+ *     createdAt, snapshot, diff }
+ * snapshot is null after a delete.
+ *
+ * STORES: knowledge/revisions/revisions.json next to the JSON knowledge files, or
+ * the Supabase knowledge_revisions table for SupabaseKnowledgeManager.
+ *
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { JsonRecordStore, SupabaseRecordStore } from '../storage/RecordStore.js';
+import Logger from '../utils/logger.js';
+import { createPatch } from '../utils/UnifiedDiff.js';
+import { ValidationError } from '../utils/validator.js';
+
+export const ACTIONS = ['baseline', 'add', 'update', 'merge', 'delete', 'rollback'];
+
+/**
+ * Revisions file of a JSON knowledge base. In a subdirectory, so scripts that read
+ * every knowledge/*.json file skip it.
+ */
+export function revisionsFileFor(knowledgeBasePath) {
+  return path.join(knowledgeBasePath, 'revisions', 'revisions.json');
+}
+
+/**
+ * Revisions in the Supabase knowledge_revisions table. Uses the key of the knowledge
+ * table; the table policies only allow reads and inserts.
+ */
+export function createSupabaseRevisionStore(options = {}) {
+  return new SupabaseRecordStore({
+    supabaseKey: process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY,
+    ...options,
+    table: 'knowledge_revisions',
+    orderBy: 'created_at',
+    columns: {
+      id: 'id',
+      entryId: 'entry_id',
+      revision: 'revision',
+      action: 'action',
+      fileName: 'file_name',
+      category: 'category',
+      actor: 'actor',
+      source: 'source',
+      note: 'note',
+      createdAt: 'created_at',
+      snapshot: 'snapshot',
+      diff: 'diff',
+    },
+  });
+}
+
+/**
+ * Readable text of a snapshot for diffs: one `field: value` per line, multi-line
+ * strings indented below their field
+ */
+export function formatSnapshot(snapshot) {
+  if (!snapshot) return null;
+
+  const lines = Object.entries(snapshot).flatMap(([field, value]) => {
+    if (typeof value === 'string' && value.includes('\n')) {
+      return [`${field}:`, ...value.split('\n').map((line) => `  ${line}`)];
+    }
+    if (typeof value === 'string') return [`${field}: ${value}`];
+    const json = JSON.stringify(value, null, 2) ?? 'null';
+    return json.includes('\n')
+      ? [`${field}:`, ...json.split('\n').map((line) => `  ${line}`)]
+      : [`${field}: ${json}`];
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+class RevisionLog {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Record store (default a JsonRecordStore at filePath)
+   * @param {string} options.filePath - Revisions file of the default store
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('RevisionLog');
+    this.store =
+      options.store ||
+      new JsonRecordStore({
+        filePath: options.filePath,
+        collection: 'revisions',
+        label: 'Revision log',
+      });
+  }
+
+  /**
+   * Append a revision
+   * @param {Object} change - { entryId, action, fileName, category, actor, source, note,
+   *   snapshot } with the entry as it is after the change (null when deleted)
+   * @returns {Promise<Object>} The revision
+   */
+  async record(change) {
+    if (!ACTIONS.includes(change.action)) {
+      throw new Error(`Unknown revision action "${change.action}"`);
+    }
+
+    const history = await this.history(change.entryId);
+    const previous = history[history.length - 1] || null;
+    const snapshot = change.snapshot ?? null;
+
+    const revision = await this.store.add({
+      id: uuidv4(),
+      entryId: change.entryId,
+      revision: (previous?.revision || 0) + 1,
+      action: change.action,
+      fileName: change.fileName || previous?.fileName || null,
+      category: change.category || previous?.category || null,
+      actor: change.actor || 'system',
+      source: change.source || null,
+      note: change.note || null,
+      createdAt: new Date().toISOString(),
+      snapshot,
+      diff: createPatch(
+        `${change.entryId}.txt`,
+        formatSnapshot(previous?.snapshot),
+        formatSnapshot(snapshot)
+      ),
+    });
+
+    this.logger.debug('Revision recorded', {
+      entryId: revision.entryId,
+      revision: revision.revision,
+      action: revision.action,
+    });
+    return revision;
+  }
+
+  /**
+   * Record the current state of an entry that has no revisions yet, before it is
+   * changed. Does nothing for entries with a history.
+   * @param {Object} change - { entryId, fileName, category, snapshot, ... } as for record()
+   * @returns {Promise<Object|null>} The baseline revision, or null
+   */
+  async baseline(change) {
+    if ((await this.history(change.entryId)).length > 0) return null;
+    return this.record({
+      note: 'State before the first recorded change',
+      ...change,
+      action: 'baseline',
+    });
+  }
+
+  /**
+   * Revisions of an entry, oldest first
+   */
+  async history(entryId) {
+    const revisions = await this.store.list({ entryId });
+    return revisions.sort((a, b) => a.revision - b.revision);
+  }
+
+  /**
+   * One revision of an entry; the latest when revision is not given
+   * @throws {ValidationError} When the entry has no such revision
+   */
+  async get(entryId, revision = null) {
+    const history = await this.history(entryId);
+    const found =
+      revision === null
+        ? history[history.length - 1]
+        : history.find((r) => r.revision === Number(revision));
+    if (!found) {
+      throw new ValidationError(
+        revision === null
+          ? `No revisions for entry ${entryId}`
+          : `Entry ${entryId} has no revision ${revision}`,
+        'revision'
+      );
+    }
+    return found;
+  }
+
+  /**
+   * Unified diff between two revisions of an entry
+   * @param {number} from - Older revision (default the one before `to`)
+   * @param {number} to - Newer revision (default the latest)
+   * @returns {Promise<{ from: Object|null, to: Object, diff: string }>}
+   */
+  async diff(entryId, from = null, to = null) {
+    const target = await this.get(entryId, to);
+    let base = null;
+    if (from !== null) base = await this.get(entryId, from);
+    else if (target.revision > 1) base = await this.get(entryId, target.revision - 1);
+
+    return {
+      from: base,
+      to: target,
+      diff: createPatch(
+        `${entryId}.txt`,
+        formatSnapshot(base?.snapshot),
+        formatSnapshot(target.snapshot)
+      ),
+    };
+  }
+
+  /**
+   * Recent revisions across entries, newest first - e.g. everything a harvest changed
+   * @param {Object} options - { actor, action, since (ISO date), limit }
+   */
+  async recent(options = {}) {
+    const { actor, action, since, limit = 20 } = options;
+    const where = {};
+    if (actor) where.actor = actor;
+    if (action) where.action = action;
+
+    const revisions = await this.store.list(where);
+    return revisions
+      .filter((r) => !since || r.createdAt >= since)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+}
+
+export default RevisionLog;
@@ -5,9 +5,21 @@
 
 import { getConfig } from '../utils/config.js';
 import Logger from '../utils/logger.js';
+import { DEPRECATED_PENALTY, checkVersion, getVersionRange } from '../utils/MendixVersion.js';
+import ExpansionDictionary from './ExpansionDictionary.js';
+import SearchFacets from './SearchFacets.js';
+
+// Score of the best full-text match the keyword index missed; others scale by rank
+const FULL_TEXT_WEIGHT = 0.6;
 
 class SearchEngine {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {ExpansionDictionary} options.expansions - Shared synonyms (default: seeds only)
+   * @param {Function} options.fullText - (query, limit) => [{ id, rank }] from the knowledge
+   *   storage's own full-text index, e.g. SqliteKnowledgeManager.fullTextSearch
+   */
+  constructor(options = {}) {
     this.logger = new Logger('SearchEngine');
     this.config = getConfig();
 
@@ -33,6 +45,12 @@ class SearchEngine {
     };
     this.maxHistorySize = 100;
 
+    // Called with (query) for every zero-result search - feeds KnowledgeGapQueue
+    this.onMiss = null;
+
+    // Native full-text search of the storage (sqlite) - merged into keyword matches
+    this.fullText = options.fullText || null;
+
     // Stopwords to ignore
     this.stopWords = new Set([
       'a',
@@ -61,37 +79,8 @@ class SearchEngine {
       'with',
     ]);
 
-    // Mendix-specific synonyms (bidirectional)
-    this.synonyms = new Map([
-      // Abbreviations
-      ['mf', ['microflow', 'microflows']],
-      ['microflow', ['mf']],
-      ['nf', ['nanoflow', 'nanoflows']],
-      ['nanoflow', ['nf']],
-      ['dm', ['domain', 'domainmodel']],
-      ['domainmodel', ['dm', 'domain']],
-      ['np', ['nonpersistent', 'non-persistent']],
-      ['nonpersistent', ['np']],
-      ['sdk', ['modelsdk', 'platformsdk']],
-      ['modelsdk', ['sdk', 'model-sdk']],
-      ['platformsdk', ['sdk', 'platform-sdk']],
-      // Common terms
-      ['entity', ['entities', 'object', 'objects']],
-      ['attribute', ['attributes', 'field', 'fields', 'property', 'properties']],
-      ['association', ['associations', 'relationship', 'relationships', 'reference', 'references']],
-      ['page', ['pages', 'form', 'forms', 'screen', 'screens']],
-      ['widget', ['widgets', 'component', 'components']],
-      ['module', ['modules']],
-      ['xpath', ['x-path', 'query', 'queries']],
-      ['oql', ['o-q-l']],
-      ['rest', ['restful', 'api', 'apis']],
-      ['commit', ['commits', 'save', 'persist']],
-      ['rollback', ['rollbacks', 'revert', 'undo']],
-      ['loop', ['loops', 'iteration', 'iterate', 'foreach', 'for-each']],
-      ['error', ['errors', 'exception', 'exceptions', 'bug', 'bugs', 'issue', 'issues']],
-      ['performance', ['perf', 'speed', 'optimization', 'optimize', 'fast', 'slow']],
-      ['security', ['secure', 'permission', 'permissions', 'access', 'role', 'roles']],
-    ]);
+    // Mendix-specific synonyms plus approved learned expansions (shared with HybridSearch)
+    this.expansions = options.expansions || new ExpansionDictionary();
 
     // Simple stemming rules (suffix stripping)
     this.stemmingRules = [
@@ -163,14 +152,16 @@ class SearchEngine {
     const enableFuzzy = options.fuzzy !== false; // Default: enabled
 
     // Tokenize and normalize query (with synonym expansion)
-    let queryTerms = this._tokenize(query, { expandSynonyms: true });
+    let queryTerms = this._tokenize(query, { expandSynonyms: options.expand !== false });
     const originalTerms = query
       .toLowerCase()
       .split(/\s+/)
       .filter((t) => t.length > 2);
 
     if (queryTerms.length === 0) {
-      this._recordAnalytics(query, 0, performance.now() - startTime);
+      if (options.recordAnalytics !== false) {
+        this._recordAnalytics(query, 0, performance.now() - startTime, options);
+      }
       return [];
     }
 
@@ -196,6 +187,11 @@ class SearchEngine {
       score: this._calculateRelevance(match, queryTerms, query),
     }));
 
+    // FULL TEXT: Stemmed matches from the storage's index that the keyword index missed
+    if (this.fullText) {
+      this._mergeFullText(scored, query, maxResults);
+    }
+
     // Filter by score threshold
     let filtered = scored.filter((item) => item.score >= minScore);
 
@@ -210,6 +206,11 @@ class SearchEngine {
       );
     }
 
+    // VERSION: Drop advice that does not apply to the project's Mendix version
+    if (options.mendixVersion) {
+      filtered = this._applyMendixVersion(filtered, options.mendixVersion);
+    }
+
     // Sort by score descending
     filtered.sort((a, b) => b.score - a.score);
 
@@ -222,12 +223,33 @@ class SearchEngine {
       returned: results.length,
     });
 
-    // ANALYTICS: Record this search
-    this._recordAnalytics(query, results.length, performance.now() - startTime);
+    // ANALYTICS: Record this search (internal lookups such as gap checks opt out)
+    if (options.recordAnalytics !== false) {
+      this._recordAnalytics(query, results.length, performance.now() - startTime, options);
+    }
 
     return results;
   }
 
+  /**
+   * Search with facet filters, returning facet counts next to the results.
+   * Facets are counted over the best `search.facets.pool` matches.
+   * @param {string} query
+   * @param {Object} options - search() options plus filters ({ facet: value | [values] })
+   * @returns {{results: Object[], facets: Object, total: number, filters: Object}}
+   */
+  facetedSearch(query, options = {}) {
+    SearchFacets.normalizeFilters(options.filters); // Fail before searching
+    this.facets = this.facets || new SearchFacets();
+
+    const limit = options.maxResults || options.limit || this.config.get('search.maxResults', 10);
+    const matches = this.search(query, {
+      ...options,
+      maxResults: Math.max(limit, this.config.get('search.facets.pool', 100)),
+    });
+    return this.facets.apply(matches, options.filters, { limit });
+  }
+
   /**
    * Find entries similar to given content
    */
@@ -302,7 +324,8 @@ class SearchEngine {
    * Index a single entry
    */
   _indexEntry(fileName, category, entry) {
-    const entryId = entry._metadata?.id || `${fileName}_${Date.now()}`;
+    // Entries without an id get a positional one - Date.now() collides within a millisecond
+    const entryId = entry._metadata?.id || `${fileName}_${this.documents.size}`;
 
     // Store full document
     this.documents.set(entryId, {
@@ -372,16 +395,20 @@ class SearchEngine {
   /**
    * Expand query with synonyms
    */
-  _expandWithSynonyms(terms) {
+  _expandWithSynonyms(terms, rawTerms = []) {
     const expanded = new Set(terms);
 
-    for (const term of terms) {
-      const synonymList = this.synonyms.get(term);
-      if (synonymList) {
-        for (const syn of synonymList) {
-          expanded.add(syn);
-          expanded.add(this._stem(syn)); // Also stem synonyms
-        }
+    // Seeds are keyed by stem; learned expansions by the word as typed
+    const expansions = [
+      ...terms.flatMap((term) => this.expansions.lookup(term)),
+      ...rawTerms.flatMap((term) => this.expansions.lookup(term, { seeds: false })),
+    ];
+
+    for (const expansion of new Set(expansions)) {
+      // Phrases ("studio pro") expand to their words
+      for (const syn of expansion.split(/\s+/)) {
+        expanded.add(syn);
+        expanded.add(this._stem(syn)); // Also stem synonyms
       }
     }
 
@@ -402,7 +429,7 @@ class SearchEngine {
       .split(/\s+/)
       // Remove stopwords (but keep known abbreviations like mf, nf, dm)
       .filter((term) => {
-        if (this.synonyms.has(term)) return true; // Keep known abbreviations
+        if (this.expansions.has(term)) return true; // Keep known abbreviations
         return term.length > 2 && !this.stopWords.has(term);
       })
       // Trim
@@ -414,7 +441,7 @@ class SearchEngine {
 
     // Expand with synonyms if this is a query (not indexing)
     if (options.expandSynonyms) {
-      return this._expandWithSynonyms(stemmed);
+      return this._expandWithSynonyms(stemmed, tokens);
     }
 
     // For indexing, include both original and stemmed
@@ -534,6 +561,59 @@ class SearchEngine {
     return Math.min(1, Math.max(0, score));
   }
 
+  /**
+   * Add the full-text source's hits to the scored matches: a known match keeps the
+   * better of its two scores, a new one scores by its rank relative to the best hit
+   */
+  _mergeFullText(scored, query, limit) {
+    let hits;
+    try {
+      hits = this.fullText(query, limit * 2);
+    } catch (error) {
+      this.logger.warn('Full-text search failed', { error: error.message });
+      return;
+    }
+
+    const topRank = Math.max(0, ...hits.map((hit) => hit.rank));
+    if (topRank === 0) return;
+
+    const byId = new Map(scored.map((match) => [match.entry._metadata?.id, match]));
+    for (const hit of hits) {
+      const score = (hit.rank / topRank) * FULL_TEXT_WEIGHT;
+      const match = byId.get(hit.id);
+      const document = this.documents.get(hit.id);
+
+      if (match) {
+        match.score = Math.max(match.score, score);
+      } else if (document) {
+        scored.push({ ...document, termMatches: [], matchCount: 0, positions: [], score });
+      }
+    }
+  }
+
+  /**
+   * Filter results to those that apply to a Mendix version, demoting and
+   * flagging deprecated ones. Entries without version info are kept.
+   */
+  _applyMendixVersion(results, mendixVersion) {
+    const applicable = [];
+
+    for (const result of results) {
+      const versionRange = getVersionRange(result.entry);
+      const check = checkVersion(versionRange, mendixVersion);
+      if (!check.applies) continue;
+
+      applicable.push({
+        ...result,
+        score: check.deprecated ? result.score * DEPRECATED_PENALTY : result.score,
+        versionRange,
+        deprecated: check.deprecated ? check.reason : null,
+      });
+    }
+
+    return applicable;
+  }
+
   // ============================================================================
   // FUZZY SEARCH (Levenshtein Distance)
   // ============================================================================
@@ -631,7 +711,7 @@ class SearchEngine {
   /**
    * Record search analytics
    */
-  _recordAnalytics(query, resultCount, responseTimeMs) {
+  _recordAnalytics(query, resultCount, responseTimeMs, options = {}) {
     this.analytics.totalSearches++;
 
     if (resultCount > 0) {
@@ -645,6 +725,20 @@ class SearchEngine {
           this.analytics.missedQueries.shift();
         }
       }
+      if (this.onMiss) {
+        try {
+          this.onMiss(query);
+        } catch (error) {
+          this.logger.warn('Knowledge gap hook failed', { error: error.message });
+        }
+      }
+    }
+
+    // Reformulations and later answers teach the expansion dictionary
+    if (options.learn !== false) {
+      this.expansions
+        .observe(query, { hit: resultCount > 0, session: options.session })
+        .catch((error) => this.logger.warn('Expansion learning failed', { error: error.message }));
     }
 
     // Track popular search terms
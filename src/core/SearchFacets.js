@@ -0,0 +1,202 @@
+/**
+ * SearchFacets - Facet filters and counts for search results
+ *
+ * Every result is described by a few facets:
+ *
+ *   file          knowledge file without .json ("model-sdk")
+ *   category      category within the file
+ *   tags          entry tags, lowercased
+ *   source        domains of the entry's source URLs ("docs.mendix.com")
+ *   mendixVersion Mendix majors the entry applies to, "any" without version info
+ *   qualityTier   QualityScorer tier, "unscored" for entries without metadata
+ *   verified      verified, community or unverified
+ *
+ * Filters are { facet: value | [values] }: values of one facet are alternatives,
+ * facets must all match. Like version-aware search, a mendixVersion filter keeps
+ * entries without version info. Counts for a facet ignore that facet's own filter,
+ * so they show what picking another value would return.
+ */
+
+import { getConfig } from '../utils/config.js';
+import { getVersionRange, parseVersion } from '../utils/MendixVersion.js';
+import { ValidationError } from '../utils/validator.js';
+import QualityScorer from './QualityScorer.js';
+
+export const FACETS = [
+  'file',
+  'category',
+  'tags',
+  'source',
+  'mendixVersion',
+  'qualityTier',
+  'verified',
+];
+
+const URL_FIELDS = ['url', 'source_url', 'sourceUrl', 'sources', 'source'];
+
+/**
+ * Hostnames of the URLs in a value (string or array), without "www."
+ */
+function domainsOf(value) {
+  const text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+  const hosts = [...text.matchAll(/https?:\/\/([^/\s"'?#]+)/gi)].map((m) => m[1].toLowerCase());
+  return hosts.map((host) => host.replace(/^www\./, ''));
+}
+
+class SearchFacets {
+  /**
+   * @param {Object} options
+   * @param {QualityScorer} options.qualityScorer - Scores entries without a stored quality score
+   * @param {string[]} options.mendixVersions - Majors counted in the mendixVersion facet
+   * @param {number} options.maxValues - Values listed per facet, most frequent first
+   */
+  constructor(options = {}) {
+    const config = getConfig();
+
+    this.qualityScorer = options.qualityScorer || new QualityScorer();
+    this.mendixVersions =
+      options.mendixVersions || config.get('search.facets.mendixVersions', ['9', '10', '11']);
+    this.maxValues = options.maxValues ?? config.get('search.facets.maxValues', 10);
+  }
+
+  /**
+   * Check filters and bring them into { facet: [lowercase values] } form
+   * @throws {ValidationError} For unknown facets
+   */
+  static normalizeFilters(filters = {}) {
+    const normalized = {};
+
+    for (const [facet, value] of Object.entries(filters || {})) {
+      if (!FACETS.includes(facet)) {
+        throw new ValidationError(`Unknown facet "${facet}". Use ${FACETS.join(', ')}`);
+      }
+      if (value === undefined || value === null) continue;
+
+      const values = (Array.isArray(value) ? value : [value])
+        .map((v) => SearchFacets.normalizeValue(facet, v))
+        .filter(Boolean);
+      if (values.length > 0) normalized[facet] = values;
+    }
+
+    return normalized;
+  }
+
+  static normalizeValue(facet, value) {
+    if (facet === 'verified' && typeof value === 'boolean') {
+      return value ? 'verified' : 'unverified';
+    }
+    const text = String(value).trim().toLowerCase();
+    if (facet === 'file') return text.replace(/\.json$/, '');
+    if (facet === 'mendixVersion' && text !== 'any') return String(parseVersion(text)?.[0] ?? '');
+    return text;
+  }
+
+  /**
+   * Facet values of one search result
+   * @returns {Object<string, string[]>}
+   */
+  describe(result) {
+    const entry = result.entry || {};
+    const metadata = entry._metadata || {};
+
+    const tags = Array.isArray(entry.tags)
+      ? entry.tags
+      : typeof entry.tags === 'string'
+        ? entry.tags.split(',')
+        : [];
+
+    const domains = URL_FIELDS.flatMap((field) => [
+      ...domainsOf(entry[field]),
+      ...domainsOf(metadata[field]),
+    ]);
+
+    return {
+      file: result.file ? [SearchFacets.normalizeValue('file', result.file)] : [],
+      category: result.category ? [String(result.category).toLowerCase()] : [],
+      tags: [...new Set(tags.map((t) => String(t).trim().toLowerCase()).filter(Boolean))],
+      source: [...new Set(domains)],
+      mendixVersion: this.versionsOf(result.versionRange ?? getVersionRange(entry)),
+      qualityTier: [this.qualityTierOf(entry)],
+      verified: [this.verificationOf(entry.verified ?? metadata.verified)],
+    };
+  }
+
+  /**
+   * Majors (of the configured ones) a version range overlaps
+   */
+  versionsOf(range) {
+    if (!range || (!range.min && !range.max)) return ['any'];
+
+    const min = parseVersion(range.min)?.[0] ?? -Infinity;
+    const max = parseVersion(range.max)?.[0] ?? Infinity;
+    return this.mendixVersions.filter((major) => {
+      const value = Number(major);
+      return value >= min && value <= max;
+    });
+  }
+
+  qualityTierOf(entry) {
+    const metadata = entry._metadata;
+    if (!metadata) return 'unscored';
+
+    const score =
+      typeof metadata.quality_score === 'number'
+        ? metadata.quality_score
+        : this.qualityScorer.calculateScore(entry);
+    return this.qualityScorer.getQualityTier(score);
+  }
+
+  verificationOf(verified) {
+    if (verified === true || verified === 'expert') return 'verified';
+    if (verified === 'community') return 'community';
+    return 'unverified';
+  }
+
+  /**
+   * Does a described result pass the filters? `except` skips one facet
+   */
+  matches(values, filters, except = null) {
+    return Object.entries(filters).every(([facet, wanted]) => {
+      if (facet === except) return true;
+      if (facet === 'mendixVersion' && values.mendixVersion.includes('any')) return true;
+      return wanted.some((value) => values[facet].includes(value));
+    });
+  }
+
+  /**
+   * Filter ranked results, count facet values and cut the page
+   * @param {Object[]} results - Ranked results with entry, file, category (and versionRange)
+   * @param {Object} filters - { facet: value | [values] }
+   * @param {Object} options - { limit }
+   * @returns {{results: Object[], facets: Object, total: number, filters: Object}}
+   */
+  apply(results, filters = {}, { limit = results.length } = {}) {
+    const normalized = SearchFacets.normalizeFilters(filters);
+    const described = results.map((result) => ({ result, values: this.describe(result) }));
+
+    const facets = {};
+    for (const facet of FACETS) {
+      const counts = new Map();
+      for (const { values } of described) {
+        if (!this.matches(values, normalized, facet)) continue;
+        for (const value of values[facet]) counts.set(value, (counts.get(value) || 0) + 1);
+      }
+      facets[facet] = [...counts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        .slice(0, this.maxValues);
+    }
+
+    const matching = described.filter(({ values }) => this.matches(values, normalized));
+    return {
+      results: matching
+        .slice(0, limit)
+        .map(({ result, values }) => ({ ...result, facets: values })),
+      facets,
+      total: matching.length,
+      filters: normalized,
+    };
+  }
+}
+
+export default SearchFacets;
@@ -0,0 +1,496 @@
+/**
+ * SqliteKnowledgeManager - Knowledge in one embedded SQLite file
+ *
+ * Database storage without a Supabase account: every entry is a row with an FTS4
+ * full-text index, in a single file (knowledge.sqlitePath, default
+ * data/knowledge.sqlite). Uses sql.js, so there are no native dependencies.
+ *
+ * Extends the JSON KnowledgeManager - entries, metadata, duplicate checks, quality
+ * scores and revisions work the same - and only replaces where knowledge files are
+ * read and written. An empty database is seeded from the knowledge/*.json files.
+ *
+ * TABLES:
+ * - knowledge_files - each knowledge file without its entries (topic, description, ...)
+ * - knowledge       - one row per entry of a category (or the root items list)
+ * - knowledge_fts   - FTS4 index of entry titles and text, kept in sync by triggers
+ *
+ * The database is written atomically after every change. The stdio server, REST
+ * proxy and SSE server can share one file: a write re-reads the database under a
+ * lock file and merges the entries this process changed into it, so no process
+ * overwrites another one's changes. reload() picks up changes made by another one.
+ *
+ * @version 1.0.0
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { v4 as uuidv4 } from 'uuid';
+import { SERVER_ROOT } from '../storage/RecordStore.js';
+import LockedJsonFile from '../utils/LockedJsonFile.js';
+import Logger from '../utils/logger.js';
+import KnowledgeManager from './KnowledgeManager.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS knowledge_files (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS knowledge (
+    id TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    category TEXT,
+    position INTEGER NOT NULL,
+    title TEXT,
+    body TEXT,
+    entry TEXT NOT NULL,
+    quality_score REAL,
+    updated_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_knowledge_id ON knowledge(id);
+  CREATE INDEX IF NOT EXISTS idx_knowledge_file ON knowledge(file_name, position);
+  CREATE VIRTUAL TABLE IF NOT EXISTS knowledge_fts
+    USING fts4(content="knowledge", title, body, tokenize=porter);
+  CREATE TRIGGER IF NOT EXISTS knowledge_fts_bd BEFORE DELETE ON knowledge BEGIN
+    DELETE FROM knowledge_fts WHERE docid = old.rowid;
+  END;
+  CREATE TRIGGER IF NOT EXISTS knowledge_fts_bu BEFORE UPDATE ON knowledge BEGIN
+    DELETE FROM knowledge_fts WHERE docid = old.rowid;
+  END;
+  CREATE TRIGGER IF NOT EXISTS knowledge_fts_ai AFTER INSERT ON knowledge BEGIN
+    INSERT INTO knowledge_fts(docid, title, body) VALUES (new.rowid, new.title, new.body);
+  END;
+  CREATE TRIGGER IF NOT EXISTS knowledge_fts_au AFTER UPDATE ON knowledge BEGIN
+    INSERT INTO knowledge_fts(docid, title, body) VALUES (new.rowid, new.title, new.body);
+  END;
+`;
+
+// Search weight of a match in the title and in the text
+const COLUMN_WEIGHTS = [2, 1];
+
+let sqlJsPromise = null;
+
+/**
+ * Load the sql.js WebAssembly module once per process
+ */
+function getSqlJs() {
+  if (!sqlJsPromise) {
+    sqlJsPromise = initSqlJs();
+  }
+  return sqlJsPromise;
+}
+
+/**
+ * Searchable text of an entry: every string in it except the metadata
+ */
+function textOf(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(textOf).join('\n');
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([key]) => key !== '_metadata')
+      .map(([, v]) => textOf(v))
+      .join('\n');
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Entries of a knowledge file with their category (null for the root items list).
+ * Entries without an id get one, so revisions, rollback and merges can find them.
+ */
+function collectEntries(data) {
+  const entries = [];
+  const collect = (items, category) => {
+    for (const entry of items) {
+      if (!entry._metadata?.id) {
+        entry._metadata = { ...entry._metadata, id: uuidv4() };
+      }
+      entries.push({ id: entry._metadata.id, entry, category });
+    }
+  };
+
+  for (const [category, items] of Object.entries(data.categories || {})) {
+    if (Array.isArray(items)) collect(items, category);
+  }
+  if (Array.isArray(data.items)) collect(data.items, null);
+  return entries;
+}
+
+/**
+ * The file without its entries; empty lists keep categories in place
+ */
+function skeletonOf(data) {
+  const skeleton = { ...data };
+  if (data.categories) {
+    skeleton.categories = Object.fromEntries(
+      Object.entries(data.categories).map(([category, items]) => [
+        category,
+        Array.isArray(items) ? [] : items,
+      ])
+    );
+  }
+  if (Array.isArray(data.items)) {
+    skeleton.items = [];
+  }
+  return skeleton;
+}
+
+/**
+ * What a knowledge file looked like when it was read, to tell which entries a
+ * process changed since
+ */
+function snapshotOf(data) {
+  return {
+    skeleton: JSON.stringify(skeletonOf(data)),
+    entries: new Map(
+      collectEntries(data).map(({ id, entry, category }) => [
+        id,
+        JSON.stringify([category, entry]),
+      ])
+    ),
+  };
+}
+
+/**
+ * Relevance of an FTS4 match from matchinfo(..., 'pcx'): for every phrase and
+ * column, hits in this row relative to hits in all rows, weighted per column
+ */
+function rank(matchinfo) {
+  const info = new Uint32Array(Uint8Array.from(matchinfo).buffer);
+  const [phrases, columns] = info;
+  let score = 0;
+  for (let phrase = 0; phrase < phrases; phrase++) {
+    for (let column = 0; column < columns; column++) {
+      const hits = info[2 + 3 * (phrase * columns + column)];
+      const allHits = info[3 + 3 * (phrase * columns + column)];
+      if (hits > 0) score += (hits / allHits) * COLUMN_WEIGHTS[column];
+    }
+  }
+  return score;
+}
+
+/**
+ * FTS4 query matching any word of a free-text query (as a prefix)
+ */
+function toMatchQuery(query) {
+  const words = String(query)
+    .toLowerCase()
+    .match(/[\p{L}\p{N}_]+/gu);
+  return words ? words.map((word) => `${word}*`).join(' OR ') : null;
+}
+
+class SqliteKnowledgeManager extends KnowledgeManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Database file (default knowledge.sqlitePath)
+   * @param {string} options.knowledgeBasePath - JSON files an empty database is seeded from
+   * @param {Object} options.revisions - RevisionLog (default knowledge/revisions/)
+   */
+  constructor(options = {}) {
+    super(options.knowledgeBasePath || null, options);
+    this.logger = new Logger('SqliteKnowledgeManager');
+    this.storage = 'sqlite';
+
+    const filePath =
+      options.filePath || this.config.get('knowledge.sqlitePath', 'data/knowledge.sqlite');
+    this.filePath = path.isAbsolute(filePath) ? filePath : path.join(SERVER_ROOT, filePath);
+    this.db = null;
+
+    // Cross-process lock around re-reading and writing the database file
+    this.lock = new LockedJsonFile(this.filePath, { label: 'SQLite knowledge base' });
+    // fileName -> snapshotOf() the file as last read from the database
+    this.snapshots = {};
+  }
+
+  /**
+   * Open the database and build knowledgeBase from it
+   */
+  async load() {
+    try {
+      // Under the lock, so two processes starting together do not both seed it
+      await this.lock.withLock(async () => {
+        await this._open();
+        const [{ files }] = this._query('SELECT COUNT(*) AS files FROM knowledge_files');
+        if (files === 0) {
+          await this._seedFromJson();
+        }
+      });
+
+      this._refresh();
+      this.loaded = true;
+
+      this.logger.info('Knowledge base loaded from SQLite', {
+        path: this.filePath,
+        entries: this.getStats().totalEntries,
+      });
+      return this.knowledgeBase;
+    } catch (error) {
+      this.logger.error('Failed to load knowledge base', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Entries matching a free-text query, best first (FTS4, porter stemming)
+   * @returns {Promise<Array<{ id, fileName, category, title, entry, rank }>>}
+   */
+  async search(query, limit = 10) {
+    if (!this.loaded) {
+      await this.load();
+    }
+    return this.fullTextSearch(query, limit);
+  }
+
+  /**
+   * search() without loading - synchronous, so SearchEngine can use it as its
+   * full-text source. Nothing matches before load().
+   */
+  fullTextSearch(query, limit = 10) {
+    if (!this.db) return [];
+
+    const match = toMatchQuery(query);
+    if (!match) return [];
+
+    const rows = this._query(
+      `SELECT k.id, k.file_name, k.category, k.title, k.entry,
+              matchinfo(knowledge_fts, 'pcx') AS info
+         FROM knowledge_fts JOIN knowledge k ON k.rowid = knowledge_fts.docid
+        WHERE knowledge_fts MATCH ?`,
+      [match]
+    );
+
+    return rows
+      .map((row) => ({
+        id: row.id,
+        fileName: row.file_name,
+        category: row.category,
+        title: row.title,
+        entry: JSON.parse(row.entry),
+        rank: rank(row.info),
+      }))
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, limit);
+  }
+
+  /**
+   * Write a knowledge file into the database (replaces KnowledgeManager's JSON write).
+   * Only the entries changed since the file was read are written, on top of what
+   * is in the database file now.
+   */
+  async _saveFile(fileName, data) {
+    if (!this.db) {
+      await this.load();
+    }
+
+    // Taken before waiting for the lock - a save that finishes meanwhile refreshes snapshots
+    const changes = this._changesOf(fileName, data);
+
+    await this.lock.withLock(async () => {
+      await this._open();
+      const merged = this._applyChanges(this._readKnowledgeBase(fileName)[fileName], changes);
+      this._transaction(() => this._writeFile(fileName, merged));
+      await this._persist();
+    });
+    this._refresh();
+
+    this.logger.debug('Knowledge file saved', { file: fileName });
+  }
+
+  /**
+   * Entries added, changed and deleted in data since the file was read, and its
+   * skeleton if that changed
+   */
+  _changesOf(fileName, data) {
+    const snapshot = this.snapshots[fileName];
+    const entries = collectEntries(data);
+    const ids = new Set(entries.map(({ id }) => id));
+
+    return {
+      skeleton:
+        !snapshot || JSON.stringify(skeletonOf(data)) !== snapshot.skeleton
+          ? skeletonOf(data)
+          : null,
+      upserts: entries.filter(
+        ({ id, entry, category }) =>
+          snapshot?.entries.get(id) !== JSON.stringify([category, entry])
+      ),
+      deleted: snapshot ? [...snapshot.entries.keys()].filter((id) => !ids.has(id)) : [],
+    };
+  }
+
+  /**
+   * A file as it is in the database now, with this process's changes applied
+   */
+  _applyChanges(current, { skeleton, upserts, deleted }) {
+    const entries = current ? collectEntries(current) : [];
+    const removed = new Set(deleted);
+    const merged = entries.filter(({ id }) => !removed.has(id));
+
+    for (const upsert of upserts) {
+      const index = merged.findIndex(({ id }) => id === upsert.id);
+      if (index >= 0 && merged[index].category === upsert.category) {
+        merged[index] = upsert;
+      } else {
+        if (index >= 0) merged.splice(index, 1);
+        merged.push(upsert);
+      }
+    }
+
+    const data = skeleton || skeletonOf(current || {});
+    for (const { entry, category } of merged) {
+      if (category === null) {
+        (data.items ||= []).push(entry);
+      } else {
+        data.categories ||= {};
+        (data.categories[category] ||= []).push(entry);
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Import the JSON knowledge files into an empty database
+   */
+  async _seedFromJson() {
+    const knowledgeBase = await super.load();
+
+    this._transaction(() => {
+      for (const [fileName, fileData] of Object.entries(knowledgeBase)) {
+        this._writeFile(fileName, fileData);
+      }
+    });
+    await this._persist();
+
+    this.logger.info('SQLite knowledge base seeded from JSON files', {
+      from: this.knowledgeBasePath,
+      files: Object.keys(knowledgeBase).length,
+    });
+  }
+
+  /**
+   * Replace the rows of one knowledge file. Entries without an id get one, so
+   * revisions and rollback can find them.
+   */
+  _writeFile(fileName, data) {
+    const entries = collectEntries(data);
+    const skeleton = skeletonOf(data);
+
+    this.db.run('DELETE FROM knowledge WHERE file_name = ?', [fileName]);
+    this.db.run('INSERT OR REPLACE INTO knowledge_files (name, data) VALUES (?, ?)', [
+      fileName,
+      JSON.stringify(skeleton),
+    ]);
+
+    const insert = this.db.prepare(
+      `INSERT INTO knowledge
+         (id, file_name, category, position, title, body, entry, quality_score, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+    try {
+      entries.forEach(({ id, entry, category }, position) => {
+        const meta = entry._metadata;
+        insert.run([
+          id,
+          fileName,
+          category,
+          position,
+          entry.title || entry.name || null,
+          textOf(entry),
+          JSON.stringify(entry),
+          meta.quality_score ?? null,
+          meta.updated_at || meta.added_at || null,
+        ]);
+      });
+    } finally {
+      insert.free();
+    }
+  }
+
+  /**
+   * knowledgeBase view of the database, or of one file of it
+   */
+  _readKnowledgeBase(fileName = null) {
+    const where = fileName ? ' WHERE name = ?' : '';
+    const params = fileName ? [fileName] : [];
+
+    const knowledgeBase = {};
+    const files = this._query(`SELECT name, data FROM knowledge_files${where}`, params);
+    for (const { name, data } of files) {
+      knowledgeBase[name] = JSON.parse(data);
+    }
+
+    const rows = this._query(
+      `SELECT file_name, category, entry FROM knowledge${where.replace('name', 'file_name')}
+        ORDER BY file_name, category, position`,
+      params
+    );
+    for (const row of rows) {
+      const fileData = knowledgeBase[row.file_name];
+      const entry = JSON.parse(row.entry);
+      if (row.category === null) {
+        (fileData.items ||= []).push(entry);
+      } else {
+        fileData.categories ||= {};
+        (fileData.categories[row.category] ||= []).push(entry);
+      }
+    }
+    return knowledgeBase;
+  }
+
+  /**
+   * Open the database file as it is on disk now
+   */
+  async _open() {
+    const SQL = await getSqlJs();
+    const file = (await fs.pathExists(this.filePath)) ? await fs.readFile(this.filePath) : null;
+
+    this.db?.close();
+    this.db = file ? new SQL.Database(file) : new SQL.Database();
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * Rebuild knowledgeBase and the snapshots changes are diffed against
+   */
+  _refresh() {
+    this.knowledgeBase = this._readKnowledgeBase();
+    this.snapshots = Object.fromEntries(
+      Object.entries(this.knowledgeBase).map(([name, data]) => [name, snapshotOf(data)])
+    );
+  }
+
+  /**
+   * Run a query and return rows as objects
+   */
+  _query(sql, params = []) {
+    const [result] = this.db.exec(sql, params);
+    if (!result) return [];
+    return result.values.map((values) =>
+      Object.fromEntries(result.columns.map((column, i) => [column, values[i]]))
+    );
+  }
+
+  _transaction(fn) {
+    this.db.exec('BEGIN');
+    try {
+      fn();
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Write the database file atomically (temp file + rename)
+   */
+  async _persist() {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeFile(tempPath, Buffer.from(this.db.export()));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+export default SqliteKnowledgeManager;
@@ -10,24 +10,44 @@
  * into that format for compatibility.
  *
  * NEW in v3.4.0: Auto-indexes new entries to Pinecone for semantic search!
+ * Changes are recorded in the knowledge_revisions table (RevisionLog), see rollback().
  *
- * @version 1.1.0
+ * @version 1.2.0
  */
 
 import SupabaseKnowledgeStore from '../storage/SupabaseKnowledgeStore.js';
 import Logger from '../utils/logger.js';
+import { ValidationError } from '../utils/validator.js';
 import QualityScorer from './QualityScorer.js';
+import RevisionLog, { createSupabaseRevisionStore } from './RevisionLog.js';
+
+// Fields of a Supabase row (or new entry) a rollback can restore
+function snapshotOf(entry) {
+  return {
+    title: entry.title,
+    content: entry.content,
+    category: entry.category || null,
+    source: entry.source || null,
+    sourceUrl: entry.sourceUrl || entry.source_url || null,
+    mendixVersion: entry.mendixVersion || entry.mendix_version || null,
+    tags: entry.tags || [],
+  };
+}
 
 class SupabaseKnowledgeManager {
   constructor(options = {}) {
     this.logger = new Logger('SupabaseKnowledgeManager');
     this.qualityScorer = new QualityScorer();
+    this.storage = 'supabase';
 
     // Optional VectorStore for auto-indexing new entries
     this.vectorStore = options.vectorStore || null;
 
     // Supabase store
-    this.store = new SupabaseKnowledgeStore();
+    this.store = options.store || new SupabaseKnowledgeStore();
+
+    // Revision history (knowledge_revisions table)
+    this.revisions = options.revisions || new RevisionLog({ store: createSupabaseRevisionStore() });
 
     // In-memory cache of knowledgeBase (for SearchEngine compatibility)
     this.knowledgeBase = {};
@@ -206,6 +226,14 @@ class SupabaseKnowledgeManager {
 
       // Add to Supabase
       const result = await this.store.add(entry);
+      if (!result.duplicate) {
+        await this._recordRevision(result.id, 'add', entry, {
+          fileName: this.categoryFileMap[entry.category] || 'best-practices',
+          category: entry.category,
+          actor: options.addedBy || entry.learnedFrom,
+          source,
+        });
+      }
 
       // Refresh local cache
       await this.reload();
@@ -255,6 +283,8 @@ class SupabaseKnowledgeManager {
 
   /**
    * Update existing knowledge entry
+   * @param {Object} options - { updatedBy, source, note, action } (action: update, merge
+   *   or rollback - how the revision is recorded)
    */
   async update(fileName, entryId, updates, options = {}) {
     try {
@@ -264,10 +294,23 @@ class SupabaseKnowledgeManager {
         updated_at: new Date().toISOString(),
       };
 
+      const previous = await this.store.getById(entryId);
+      if (previous) await this._recordBaseline(entryId, previous, fileName);
+
       const success = await this.store.update(entryId, supabaseUpdates);
 
       if (success) {
         await this.reload();
+        const current = await this.store.getById(entryId);
+        if (current) {
+          await this._recordRevision(entryId, options.action || 'update', current, {
+            fileName: this.categoryFileMap[current.category] || fileName,
+            category: current.category,
+            actor: options.updatedBy || 'system',
+            source: options.source,
+            note: options.note,
+          });
+        }
       }
 
       return { success, id: entryId };
@@ -277,6 +320,131 @@ class SupabaseKnowledgeManager {
     }
   }
 
+  /**
+   * Delete knowledge entry
+   * @param {Object} options - { deletedBy, note, action } (action: delete or rollback)
+   */
+  async delete(fileName, entryId, options = {}) {
+    try {
+      const current = await this.store.getById(entryId);
+      if (current) await this._recordBaseline(entryId, current, fileName);
+      const success = await this.store.delete(entryId);
+
+      if (success) {
+        await this.reload();
+        await this._recordRevision(entryId, options.action || 'delete', null, {
+          fileName: this.categoryFileMap[current?.category] || fileName,
+          category: current?.category,
+          actor: options.deletedBy || 'system',
+          note: options.note,
+        });
+      }
+
+      return { success };
+    } catch (error) {
+      this.logger.error('Failed to delete knowledge', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Restore an entry to an earlier revision. Rolling back to a delete deletes the
+   * entry again; an entry deleted since is re-created with its id.
+   * @param {number} revision - Revision number (see revisions.history(entryId))
+   * @param {Object} options - { rolledBackBy, note }
+   * @throws {ValidationError} For unknown revisions, or a delete of a deleted entry
+   */
+  async rollback(entryId, revision, options = {}) {
+    const target = await this.revisions.get(entryId, revision);
+    const actor = options.rolledBackBy || 'system';
+    const note = options.note || `Rolled back to revision ${target.revision}`;
+    const current = await this.store.getById(entryId);
+
+    if (!target.snapshot) {
+      if (!current) {
+        throw new ValidationError(`Entry ${entryId} is already deleted`, 'revision');
+      }
+      const result = await this.delete(target.fileName, entryId, {
+        deletedBy: actor,
+        action: 'rollback',
+        note,
+      });
+      return { ...result, id: entryId, rolledBackTo: target.revision, restored: 'deleted' };
+    }
+
+    if (current) {
+      const result = await this.update(target.fileName, entryId, target.snapshot, {
+        updatedBy: actor,
+        action: 'rollback',
+        note,
+      });
+      return { ...result, rolledBackTo: target.revision, restored: 'updated' };
+    }
+
+    // Deleted since - re-create it with its id
+    const result = await this.store.add({
+      ...target.snapshot,
+      id: entryId,
+      category: target.snapshot.category || target.category,
+      source: target.snapshot.source || target.source,
+      learnedFrom: 'rollback',
+    });
+    if (result.duplicate) {
+      throw new ValidationError(
+        `Entry ${result.id} already has the content of revision ${target.revision}`,
+        'revision'
+      );
+    }
+
+    await this.reload();
+    await this._recordRevision(entryId, 'rollback', target.snapshot, {
+      fileName: target.fileName,
+      category: target.category,
+      actor,
+      note,
+    });
+
+    this.logger.info('Knowledge restored', { id: entryId });
+    return { success: true, id: entryId, rolledBackTo: target.revision, restored: 'recreated' };
+  }
+
+  /**
+   * Append a revision of an entry. The change is already saved, so a revision
+   * that cannot be written is logged, not thrown.
+   * @param {Object|null} entry - Supabase row or new entry after the change, null when deleted
+   */
+  async _recordRevision(entryId, action, entry, details = {}) {
+    try {
+      return await this.revisions.record({
+        entryId,
+        action,
+        snapshot: entry && snapshotOf(entry),
+        ...details,
+      });
+    } catch (error) {
+      this.logger.warn('Could not record revision', { id: entryId, action, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record the row of an entry added before the revision log ahead of its first
+   * change, so that change can be rolled back
+   */
+  async _recordBaseline(entryId, row, fileName) {
+    try {
+      return await this.revisions.baseline({
+        entryId,
+        snapshot: snapshotOf(row),
+        fileName: this.categoryFileMap[row.category] || fileName,
+        category: row.category,
+      });
+    } catch (error) {
+      this.logger.warn('Could not record baseline revision', { id: entryId, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Record usage of a knowledge entry
    */
@@ -373,7 +541,7 @@ class SupabaseKnowledgeManager {
   /**
    * Get stale entries (entries not used in X days)
    */
-  async getStaleEntries(days = 90) {
+  getStaleEntries(days = 90) {
     // This would query Supabase for entries with last_used_at older than X days
     // For now, return empty - could be enhanced later
     return { count: 0, entries: [] };
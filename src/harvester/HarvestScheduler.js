@@ -11,6 +11,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getConfig } from '../utils/config.js';
 import KnowledgeHarvester from './KnowledgeHarvester.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -26,15 +27,26 @@ class HarvestScheduler {
     this.hybridSearch = options.hybridSearch || null;
     this.knowledgeManager = options.knowledgeManager || null;
 
+    // Optional: KnowledgeGapQueue whose top open gaps are researched between harvests;
+    // found entries go to knowledgeManager, then onKnowledgeAdded rebuilds the indexes
+    this.gapQueue = options.gapQueue || null;
+    this.onKnowledgeAdded = options.onKnowledgeAdded || null;
+
     // Harvest every 7 days by default
     this.harvestIntervalDays = 7;
 
+    const config = getConfig();
+    this.gapResearchIntervalHours = config.get('knowledgeGaps.researchIntervalHours', 24);
+    this.gapResearchLimit = config.get('knowledgeGaps.researchLimit', 5);
+
     // Track state
     this.state = {
       lastHarvest: null,
       lastHarvestResults: null,
       totalHarvests: 0,
       nextScheduledHarvest: null,
+      lastGapResearch: null,
+      lastGapResearchResults: null,
       isRunning: false,
     };
 
@@ -112,6 +124,71 @@ class HarvestScheduler {
     if (this.shouldHarvest() && !this.state.isRunning) {
       await this.runHarvest();
     }
+    if (this.shouldResearchGaps() && !this.state.isRunning) {
+      await this.researchGaps();
+    }
+  }
+
+  /**
+   * Check if the knowledge gap queue is due for research
+   */
+  shouldResearchGaps() {
+    if (!this.gapQueue || !this.knowledgeManager) return false;
+    if (!this.state.lastGapResearch) return true;
+
+    const hoursSince = (Date.now() - Date.parse(this.state.lastGapResearch)) / (1000 * 60 * 60);
+    return hoursSince >= this.gapResearchIntervalHours;
+  }
+
+  /**
+   * Harvest the most requested open knowledge gaps
+   */
+  async researchGaps(options = {}) {
+    if (!this.gapQueue) {
+      return { success: false, message: 'No knowledge gap queue configured' };
+    }
+    if (!this.knowledgeManager) {
+      return { success: false, message: 'No knowledge manager to add research to' };
+    }
+    if (this.state.isRunning) {
+      return { success: false, message: 'Harvest already in progress' };
+    }
+
+    this.state.isRunning = true;
+    await this.saveState();
+    console.log('🔎 Researching open knowledge gaps...');
+
+    try {
+      const results = await this.gapQueue.research(this.harvester, this.knowledgeManager, {
+        limit: options.limit || this.gapResearchLimit,
+      });
+
+      this.state.lastGapResearch = new Date().toISOString();
+      this.state.lastGapResearchResults = {
+        researched: results.researched,
+        addressed: results.addressed.length,
+        newEntries: results.entries.length,
+      };
+
+      if (this.onKnowledgeAdded && results.entries.length > 0) {
+        try {
+          await this.onKnowledgeAdded();
+        } catch (indexError) {
+          console.warn('⚠️ Re-indexing after gap research failed:', indexError.message);
+        }
+      }
+
+      console.log(
+        `✅ Gap research: ${results.addressed.length}/${results.researched} gaps addressed`
+      );
+      return { success: true, results };
+    } catch (error) {
+      console.error('❌ Gap research failed:', error.message);
+      return { success: false, error: error.message };
+    } finally {
+      this.state.isRunning = false;
+      await this.saveState();
+    }
   }
 
   /**
@@ -180,6 +257,8 @@ class HarvestScheduler {
       lastResults: this.state.lastHarvestResults,
       totalHarvests: this.state.totalHarvests,
       nextScheduledHarvest: this.getNextHarvestDate(),
+      lastGapResearch: this.state.lastGapResearch,
+      lastGapResearchResults: this.state.lastGapResearchResults,
       harvestIntervalDays: this.harvestIntervalDays,
       availableSources: this.harvester.getSources(),
     };
@@ -13,6 +13,7 @@ import fs from 'fs/promises';
 import fetch from 'node-fetch';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { findVersionRangeInText } from '../utils/MendixVersion.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -336,6 +337,12 @@ class KnowledgeHarvester {
               title: `Studio Pro ${version} Release Notes`,
               content: content.join('\n'),
               version: version,
+              // Release notes describe what exists from this version on
+              mendix_version_range: {
+                min: version,
+                max: null,
+                deprecated_in: null,
+              },
               category: 'release_notes',
               source: url,
               harvested: new Date().toISOString(),
@@ -391,6 +398,7 @@ class KnowledgeHarvester {
 
           if (sectionContent.length > 0) {
             const entryId = this.generateId(pageTitle, sectionTitle);
+            const versionRange = findVersionRangeInText(sectionContent.join('\n'));
             entries.push({
               id: entryId,
               title: `${pageTitle} - ${sectionTitle}`,
@@ -399,6 +407,7 @@ class KnowledgeHarvester {
               source: url,
               harvested: new Date().toISOString(),
               tags: this.extractTags(sectionTitle, sectionContent.join(' ')),
+              ...(versionRange && { mendix_version_range: versionRange }),
             });
           }
         });
@@ -407,6 +416,7 @@ class KnowledgeHarvester {
         if (entries.length === 0) {
           const fullContent = mainContent.text().trim();
           if (fullContent.length > 100) {
+            const versionRange = findVersionRangeInText(fullContent);
             entries.push({
               id: this.generateId(pageTitle),
               title: pageTitle,
@@ -415,6 +425,7 @@ class KnowledgeHarvester {
               source: url,
               harvested: new Date().toISOString(),
               tags: this.extractTags(pageTitle, fullContent),
+              ...(versionRange && { mendix_version_range: versionRange }),
             });
           }
         }
@@ -470,6 +481,9 @@ class KnowledgeHarvester {
               ...(topic.minVersion ? [`v${topic.minVersion}+`] : []),
             ],
             minVersion: topic.minVersion,
+            ...(topic.minVersion && {
+              mendix_version_range: { min: topic.minVersion, max: null, deprecated_in: null },
+            }),
           });
         }
       });
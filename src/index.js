@@ -26,13 +26,17 @@ import { z } from 'zod';
 
 // Core components
 import CacheManager from './core/CacheManager.js';
-import KnowledgeManager from './core/KnowledgeManager.js';
+import ExpansionDictionary from './core/ExpansionDictionary.js';
+import KnowledgeGapQueue from './core/KnowledgeGapQueue.js';
+import { createKnowledgeManager } from './core/KnowledgeStorage.js';
+import KnowledgeSync, { formatSyncReport, POLICIES } from './core/KnowledgeSync.js';
+import ModerationQueue from './core/ModerationQueue.js';
 import ProjectLoader from './core/ProjectLoader.js';
 import QualityScorer from './core/QualityScorer.js';
 import SearchEngine from './core/SearchEngine.js';
-import SupabaseKnowledgeManager from './core/SupabaseKnowledgeManager.js';
 import { getConfig } from './utils/config.js';
 import Logger from './utils/logger.js';
+import { parseVersion } from './utils/MendixVersion.js';
 import MaintenanceScheduler from './utils/MaintenanceScheduler.js';
 import SyncReminder from './utils/SyncReminder.js';
 import WebFetcher from './utils/WebFetcher.js';
@@ -42,11 +46,15 @@ import { HarvestScheduler } from './harvester/index.js';
 
 // Vector search components (Phase 2) - NOW ACTIVE!
 import HybridSearch from './vector/HybridSearch.js';
+import { listRerankers } from './vector/Rerankers.js';
 import VectorStore from './vector/VectorStore.js';
 
 // Analytics (Phase 3) - Usage tracking
 import Analytics from './utils/Analytics.js';
 
+// Analyzers exposed as analyze_<id> tools
+import { listAnalyzers, parametersOf, runAnalyzerTool } from './analyzers/AnalyzerRegistry.js';
+
 // Initialize
 const logger = new Logger('Server');
 const config = getConfig();
@@ -70,20 +78,17 @@ const server = new McpServer({
 const cacheManager = new CacheManager();
 const projectLoader = new ProjectLoader(cacheManager);
 
-// Use Supabase if configured, otherwise fall back to JSON
-let knowledgeManager;
-const useSupabase = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY;
-
-if (useSupabase) {
-  logger.info('Using Supabase for knowledge storage');
-  knowledgeManager = new SupabaseKnowledgeManager();
-} else {
-  logger.info('Using local JSON for knowledge storage');
-  knowledgeManager = new KnowledgeManager();
-}
+// knowledge.storage (KNOWLEDGE_STORAGE): json, supabase, sqlite, or auto - Supabase if configured
+const knowledgeManager = createKnowledgeManager();
+logger.info('Knowledge storage', { storage: knowledgeManager.storage });
 
 const webFetcher = new WebFetcher({ enabled: true });
-const searchEngine = new SearchEngine();
+// Query expansions learned from searches - shared by keyword and hybrid search
+const expansionDictionary = ExpansionDictionary.fromConfig();
+// The sqlite storage's FTS4 index adds stemmed matches to keyword search
+const fullText = knowledgeManager.fullTextSearch?.bind(knowledgeManager);
+const searchEngine = new SearchEngine({ expansions: expansionDictionary, fullText });
+const knowledgeGapQueue = new KnowledgeGapQueue();
 const qualityScorer = new QualityScorer();
 const syncReminder = new SyncReminder();
 
@@ -107,18 +112,54 @@ harvestScheduler.initialize().catch((err) => {
 
 // Initialize vector search (Phase 2 - semantic search)
 const vectorStore = new VectorStore();
-const hybridSearch = new HybridSearch();
+const hybridSearch = new HybridSearch({ vectorStore, expansions: expansionDictionary, fullText });
 
 // Link harvester to hybrid search for automatic vector re-indexing
 harvestScheduler.hybridSearch = hybridSearch;
 harvestScheduler.knowledgeManager = knowledgeManager;
 
+// Zero-result searches feed the knowledge gap queue, which the harvester researches
+harvestScheduler.gapQueue = knowledgeGapQueue;
+harvestScheduler.onKnowledgeAdded = reindexKnowledge;
+searchEngine.onMiss = (query) => {
+  knowledgeGapQueue.record(query, { source: 'search', query }).catch((err) => {
+    logger.warn('Could not record knowledge gap', { error: err.message });
+  });
+};
+
+// Knowledge submitted through /learn in review mode - published entries are re-indexed
+// Reload and reindex after knowledge is published or rolled back
+async function reindexKnowledge() {
+  await knowledgeManager.reload();
+  searchEngine.clear();
+  searchEngine.indexKnowledgeBase(knowledgeManager.knowledgeBase);
+  await hybridSearch.indexKnowledgeBase(knowledgeManager.knowledgeBase);
+}
+
+const moderationQueue = new ModerationQueue({
+  knowledgeManager,
+  onPublished: reindexKnowledge,
+});
+
+// JSON <-> Supabase sync; on JSON storage it works on the server's own knowledge manager
+const knowledgeSync = new KnowledgeSync({
+  local: knowledgeManager.storage === 'json' ? knowledgeManager : undefined,
+});
+
+/**
+ * Best keyword score for a gap topic - 0 when the knowledge base has no answer
+ */
+function scoreGapTopic(topic) {
+  const [best] = searchEngine.search(topic, { maxResults: 1, recordAnalytics: false });
+  return best ? +best.score.toFixed(3) : 0;
+}
+
 // Initialize vector store in background (don't block startup)
 vectorStore
   .initialize()
   .then(async (ready) => {
     if (ready) {
-      logger.info('Vector search available (Pinecone connected)');
+      logger.info('Vector search available', { backend: vectorStore.backend });
       // Index knowledge base for vector search
       const kb = knowledgeManager.knowledgeBase;
       if (Object.keys(kb).length > 0) {
@@ -126,12 +167,14 @@ vectorStore
       }
 
       // Wire up VectorStore for auto-indexing new knowledge entries to Pinecone
-      if (useSupabase && hybridSearch.getVectorStore()) {
+      if (knowledgeManager.setVectorStore && hybridSearch.getVectorStore()) {
         knowledgeManager.setVectorStore(hybridSearch.getVectorStore());
-        logger.info('VectorStore attached to SupabaseKnowledgeManager for auto-indexing');
+        logger.info('VectorStore attached to the knowledge manager for auto-indexing');
       }
     } else {
-      logger.info('Vector search disabled (no Pinecone API key)');
+      logger.info('Vector search disabled (vector backend unavailable)', {
+        backend: vectorStore.backend,
+      });
     }
   })
   .catch((err) => {
@@ -700,6 +743,51 @@ This ensures the next time anyone asks about "${query}", the answer will be read
 `;
 }
 
+// ============================================================================
+// FACETED SEARCH (shared by query_mendix_knowledge and hybrid_search)
+// ============================================================================
+const facetValues = z.union([z.string(), z.array(z.string())]).optional();
+const facetFiltersSchema = z
+  .object({
+    file: facetValues.describe('Knowledge file (e.g. "model-sdk")'),
+    category: facetValues.describe('Category within a knowledge file'),
+    tags: facetValues.describe('Entry tags'),
+    source: facetValues.describe('Source domain (e.g. "docs.mendix.com")'),
+    mendixVersion: facetValues.describe('Mendix major (e.g. "10"); entries without versions stay'),
+    qualityTier: facetValues.describe('excellent, good, acceptable, questionable, poor, unscored'),
+    verified: z
+      .union([z.boolean(), z.string(), z.array(z.string())])
+      .optional()
+      .describe('true, false, or verified / community / unverified'),
+  })
+  .optional()
+  .describe(
+    'Optional: narrow results by facet. Values of one facet are alternatives, facets must all match. Facet counts come back with the results.'
+  );
+
+const FACET_LABELS = {
+  file: 'File',
+  category: 'Category',
+  tags: 'Tags',
+  source: 'Source',
+  mendixVersion: 'Mendix version',
+  qualityTier: 'Quality tier',
+  verified: 'Verified',
+};
+
+/**
+ * Facet counts as markdown - what the results can be narrowed to
+ */
+function formatFacets(facets) {
+  const lines = Object.entries(FACET_LABELS)
+    .filter(([facet]) => facets[facet]?.length > 0)
+    .map(([facet, label]) => {
+      const values = facets[facet].map(({ value, count }) => `${value} (${count})`).join(', ');
+      return `- **${label}:** ${values}`;
+    });
+  return lines.length > 0 ? `## 🧭 Facets\n\n${lines.join('\n')}\n` : '';
+}
+
 // Tool 1: Query Mendix Knowledge
 server.tool(
   'query_mendix_knowledge',
@@ -712,8 +800,15 @@ server.tool(
       .enum(['basic', 'detailed', 'expert'])
       .optional()
       .describe('Level of detail in the response'),
+    mendixVersion: z
+      .string()
+      .optional()
+      .describe(
+        'Optional: Mendix version the app is on (e.g. "9.24", "10.6"). Leaves out advice that does not apply and flags deprecated entries.'
+      ),
+    filters: facetFiltersSchema,
   },
-  async ({ topic, detail_level = 'basic' }) => {
+  async ({ topic, detail_level = 'basic', mendixVersion, filters }) => {
     try {
       // Track usage
       analytics.trackToolUsage('query_mendix_knowledge');
@@ -721,9 +816,24 @@ server.tool(
 
       logger.info('Querying knowledge', { topic, detail_level });
 
-      const searchResults = searchEngine.search(topic, {
+      if (mendixVersion && !parseVersion(mendixVersion)) {
+        return {
+          content: [
+            { type: 'text', text: `"${mendixVersion}" is not a Mendix version (e.g. 10.6)` },
+          ],
+          isError: true,
+        };
+      }
+
+      const {
+        results: searchResults,
+        facets,
+        total,
+      } = searchEngine.facetedSearch(topic, {
         maxResults: detail_level === 'expert' ? 20 : 10,
         minScore: detail_level === 'basic' ? 0.5 : 0.3,
+        mendixVersion,
+        filters,
       });
 
       // Assess answer quality for self-learning
@@ -741,11 +851,14 @@ server.tool(
                 .join('\n')
             : '';
 
+        const versionNote = mendixVersion ? ` that applies to Mendix ${mendixVersion}` : '';
+        // Filtered everything out? Show what the filters could be changed to
+        const facetNote = filters ? `\n${formatFacets(facets)}` : '';
         return {
           content: [
             {
               type: 'text',
-              text: `No specific knowledge found for "${topic}". Try broader terms like "microflow", "domain modeling", "security", "performance", etc.${suggestionText}\n${getSelfLearningInstructions(
+              text: `No specific knowledge found for "${topic}"${versionNote}. Try broader terms like "microflow", "domain modeling", "security", "performance", etc.${facetNote}${suggestionText}\n${getSelfLearningInstructions(
                 topic,
                 'mcp'
               )}`,
@@ -756,7 +869,10 @@ server.tool(
 
       // Format results
       const sections = [];
-      sections.push(`# Search Results (${searchResults.length} matches)\n`);
+      sections.push(`# Search Results (${searchResults.length} of ${total} matches)\n`);
+      if (mendixVersion) {
+        sections.push(`**Mendix version:** ${mendixVersion} (advice for other versions left out)\n`);
+      }
       sections.push(
         `**Answer Quality:** ${quality.answerQuality} | **Web Search Recommended:** ${
           quality.beastModeNeeded ? 'Yes' : 'No'
@@ -769,6 +885,9 @@ server.tool(
         sections.push(`## ${entry.practice || entry.feature || entry.topic || 'Knowledge Entry'}`);
         sections.push(`**Source:** ${file}${category ? ` > ${category}` : ''}`);
         sections.push(`**Relevance:** ${(score * 100).toFixed(0)}%`);
+        if (result.deprecated) {
+          sections.push(`**⚠️ Deprecated:** ${result.deprecated}`);
+        }
 
         if (detail_level !== 'basic' && entry._metadata) {
           const quality = entry._metadata.quality_score;
@@ -787,6 +906,11 @@ server.tool(
         }
       }
 
+      sections.push(formatFacets(facets));
+      sections.push(
+        '\n👉 If an entry answered the question, call `mark_knowledge_used` with its `_metadata.id` and this topic.'
+      );
+
       // Add self-learning instructions if results are weak
       if (quality.beastModeNeeded) {
         sections.push(getSelfLearningInstructions(topic, 'mcp'));
@@ -812,7 +936,7 @@ server.tool(
 // Tool 2: Analyze Project
 server.tool(
   'analyze_project',
-  'Analyze a Mendix project from any .mpr file or extracted data directory. Dynamically discovers modules and entities.',
+  'Analyze a Mendix project from any .mpr file or extracted data directory. Dynamically discovers modules and entities, and checks microflows for problems (commits/retrieves in loops, REST calls without error handling, unused parameters, deep nesting, naming prefixes).',
   {
     project_path: z.string().describe('Path to .mpr file or extracted data directory'),
     module_name: z.string().optional().describe('Optional: specific module to analyze'),
@@ -820,8 +944,19 @@ server.tool(
       .string()
       .optional()
       .describe('Optional: specific entity to analyze (requires module_name)'),
+    check_microflows: z
+      .boolean()
+      .optional()
+      .default(true)
+      .describe('Run microflow static-analysis rules (default: true)'),
+    rules: z
+      .array(z.string())
+      .optional()
+      .describe(
+        'Optional: only run these rules (commit-in-loop, retrieve-in-loop, rest-without-handler, unused-parameter, deep-nesting, naming-prefix)'
+      ),
   },
-  async ({ project_path, module_name, entity_name }) => {
+  async ({ project_path, module_name, entity_name, check_microflows, rules }) => {
     try {
       // Track usage
       analytics.trackToolUsage('analyze_project');
@@ -841,11 +976,20 @@ server.tool(
         };
       }
 
+      // Microflow static analysis, findings link to the knowledge base
+      let microflowAnalysis;
+      if (check_microflows) {
+        const { default: MicroflowAnalyzer } = await import('./analyzers/MicroflowAnalyzer.js');
+        const analyzer = new MicroflowAnalyzer({ knowledgeBase: knowledgeManager.knowledgeBase });
+        microflowAnalysis = analyzer.analyzeProject(project, { moduleName: module_name, rules });
+      }
+
       // If specific module requested
       if (module_name) {
         const module = projectLoader.getModule(project_path, module_name);
+        const result = microflowAnalysis ? { ...module, microflowAnalysis } : module;
         return {
-          content: [{ type: 'text', text: JSON.stringify(module, null, 2) }],
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
         };
       }
 
@@ -858,6 +1002,7 @@ server.tool(
           entities: m.domainModel?.entities?.length || 0,
           microflows: m.microflows ? Object.keys(m.microflows).length : 0,
         })),
+        microflowAnalysis,
       };
 
       return {
@@ -873,6 +1018,238 @@ server.tool(
   }
 );
 
+// Tool: Lint Domain Model
+server.tool(
+  'lint_domain_model',
+  'Lint Mendix domain models against a configurable rule set: entities without access rules, missing indexes, many-to-many associations without an owner, oversized entities, undocumented calculated attributes and unsafe delete behaviors.',
+  {
+    project_path: z.string().describe('Path to .mpr file or extracted data directory'),
+    module_name: z.string().optional().describe('Optional: only lint this module'),
+    entity_name: z
+      .string()
+      .optional()
+      .describe('Optional: only lint this entity and its associations (requires module_name)'),
+    rule_set: z
+      .string()
+      .optional()
+      .describe(
+        'Rule set name from config/domain-model-rules (default, strict) or path to a team rule-set JSON file'
+      ),
+    format: z
+      .enum(['markdown', 'json'])
+      .optional()
+      .default('markdown')
+      .describe('Report format'),
+  },
+  async ({ project_path, module_name, entity_name, rule_set, format }) => {
+    try {
+      analytics.trackToolUsage('lint_domain_model');
+
+      const { default: DomainModelLinter } = await import('./analyzers/DomainModelLinter.js');
+      const ruleSet = await DomainModelLinter.loadRuleSet(
+        rule_set || config.get('lint.domainModel.ruleSet', 'default')
+      );
+
+      const project = await projectLoader.loadProject(project_path);
+      const modules = module_name
+        ? [projectLoader.getModule(project_path, module_name)]
+        : project.modules;
+      if (entity_name) {
+        // Validates the entity exists before linting
+        projectLoader.getEntity(project_path, module_name, entity_name);
+      }
+
+      const report = new DomainModelLinter(ruleSet).lint(modules, { entityName: entity_name });
+
+      if (format === 'json') {
+        return { content: [{ type: 'text', text: JSON.stringify(report, null, 2) }] };
+      }
+
+      const icons = { critical: '🛑', high: '🔴', medium: '🟠', low: '🟡', info: '🔵' };
+      let text = `# 🧹 Domain Model Lint: ${project.name}\n\n`;
+      text += `**Rule set:** ${report.ruleSet.name} (${report.ruleSet.enabledRules.length} rules enabled)\n\n`;
+      text += `| Metric | Count |\n|--------|-------|\n`;
+      text += `| Entities | ${report.summary.entities} |\n`;
+      text += `| Associations | ${report.summary.associations} |\n`;
+      text += `| Findings | ${report.summary.findings} |\n`;
+      for (const [severity, count] of Object.entries(report.summary.bySeverity)) {
+        text += `| ${icons[severity] || ''} ${severity} | ${count} |\n`;
+      }
+
+      if (report.findings.length === 0) {
+        text += `\n✅ No issues found.\n`;
+      } else {
+        text += `\n## Findings\n\n`;
+        for (const finding of report.findings) {
+          const target = finding.entity || finding.association;
+          text += `- ${icons[finding.severity] || ''} **${finding.module}.${target}** \`${finding.rule}\` - ${finding.message}\n`;
+          text += `  - 💡 ${finding.fix}\n`;
+        }
+      }
+
+      return { content: [{ type: 'text', text }] };
+    } catch (error) {
+      logger.error('Domain model lint failed', { error: error.message });
+      return {
+        content: [{ type: 'text', text: `Domain model lint failed: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Tool: Module Dependencies
+server.tool(
+  'module_dependencies',
+  'Build the module dependency graph of a Mendix project (cross-module associations, microflow calls, page and entity references), detect dependency cycles and report "god modules" with excessive fan-in. Output as a markdown report, JSON, Mermaid or Graphviz DOT.',
+  {
+    project_path: z.string().describe('Path to .mpr file or extracted data directory'),
+    exclude_modules: z
+      .array(z.string())
+      .optional()
+      .describe('Optional: module names to leave out (e.g. Marketplace modules)'),
+    god_module_fan_in: z
+      .number()
+      .int()
+      .min(1)
+      .optional()
+      .describe('Optional: fan-in at which a module is reported as a god module'),
+    format: z
+      .enum(['markdown', 'json', 'mermaid', 'dot'])
+      .optional()
+      .default('markdown')
+      .describe('Output format'),
+  },
+  async ({ project_path, exclude_modules, god_module_fan_in, format }) => {
+    try {
+      analytics.trackToolUsage('module_dependencies');
+
+      const { default: ModuleDependencyGraph } = await import(
+        './analyzers/ModuleDependencyGraph.js'
+      );
+      const project = await projectLoader.loadProject(project_path);
+      const builder = new ModuleDependencyGraph({
+        exclude: exclude_modules,
+        godModuleFanIn: god_module_fan_in,
+      });
+      const graph = builder.build(project);
+
+      if (format === 'json') {
+        return { content: [{ type: 'text', text: JSON.stringify(graph, null, 2) }] };
+      }
+      if (format === 'mermaid') {
+        return { content: [{ type: 'text', text: builder.toMermaid(graph) }] };
+      }
+      if (format === 'dot') {
+        return { content: [{ type: 'text', text: builder.toDot(graph) }] };
+      }
+
+      let text = `# 🕸️ Module Dependencies: ${project.name}\n\n`;
+      text += `| Metric | Count |\n|--------|-------|\n`;
+      text += `| Modules | ${graph.summary.modules} |\n`;
+      text += `| Dependencies | ${graph.summary.edges} |\n`;
+      text += `| Cycles | ${graph.summary.cycles} |\n`;
+      text += `| God modules (fan-in ≥ ${graph.summary.godModuleFanIn}) | ${graph.summary.godModules} |\n`;
+
+      if (graph.cycles.length > 0) {
+        text += `\n## 🔁 Cycles\n\n`;
+        for (const cycle of graph.cycles) {
+          text += `- ${cycle.join(' → ')}\n`;
+        }
+      }
+
+      if (graph.godModules.length > 0) {
+        text += `\n## 🏛️ God Modules\n\n`;
+        for (const module of graph.godModules) {
+          text += `- **${module.name}** is used by ${module.fanIn} modules: ${module.dependedOnBy.join(', ')}\n`;
+        }
+      }
+
+      if (graph.edges.length > 0) {
+        text += `\n## Dependencies\n\n`;
+        text += `| From | To | References | Kinds |\n|------|----|------------|-------|\n`;
+        for (const edge of graph.edges) {
+          const kinds = Object.entries(edge.kinds)
+            .map(([kind, count]) => `${kind} (${count})`)
+            .join(', ');
+          text += `| ${edge.from} | ${edge.to} | ${edge.weight} | ${kinds} |\n`;
+        }
+      }
+
+      text += `\n## Graph\n\n\`\`\`mermaid\n${builder.toMermaid(graph)}\n\`\`\`\n`;
+
+      return { content: [{ type: 'text', text }] };
+    } catch (error) {
+      logger.error('Module dependency analysis failed', { error: error.message });
+      return {
+        content: [{ type: 'text', text: `Module dependency analysis failed: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Tool: Diff Projects
+server.tool(
+  'diff_projects',
+  'Semantic diff of two Mendix model snapshots - two extracted-data directories, two .mpr files or two git revisions of the same project. Reports entities, attributes and associations added/removed/changed, microflows added/removed and enumeration value changes as a reviewer-friendly summary.',
+  {
+    base_path: z
+      .string()
+      .describe('Project before the change (.mpr file or extracted data directory)'),
+    head_path: z
+      .string()
+      .optional()
+      .describe('Project after the change (default: base_path, to compare revisions)'),
+    base_revision: z
+      .string()
+      .optional()
+      .describe('Optional: git revision of base_path to compare (e.g. main, HEAD~1, a tag)'),
+    head_revision: z
+      .string()
+      .optional()
+      .describe('Optional: git revision of head_path (default: the working copy)'),
+    module_name: z.string().optional().describe('Optional: only compare this module'),
+    format: z
+      .enum(['markdown', 'json'])
+      .optional()
+      .default('markdown')
+      .describe('Report format'),
+  },
+  async ({ base_path, head_path, base_revision, head_revision, module_name, format }) => {
+    try {
+      analytics.trackToolUsage('diff_projects');
+
+      const headPath = head_path || base_path;
+      if (headPath === base_path && (base_revision || null) === (head_revision || null)) {
+        throw new Error('Nothing to compare - pass a different head_path or a base_revision');
+      }
+
+      const load = (projectPath, revision) =>
+        revision
+          ? projectLoader.loadRevision(projectPath, revision)
+          : projectLoader.loadProject(projectPath, { forceReload: true });
+
+      const { default: ProjectDiff } = await import('./analyzers/ProjectDiff.js');
+      const differ = new ProjectDiff();
+      const diff = differ.compare(
+        await load(base_path, base_revision),
+        await load(headPath, head_revision),
+        { moduleName: module_name }
+      );
+
+      const text = format === 'json' ? JSON.stringify(diff, null, 2) : differ.toMarkdown(diff);
+      return { content: [{ type: 'text', text }] };
+    } catch (error) {
+      logger.error('Project diff failed', { error: error.message });
+      return {
+        content: [{ type: 'text', text: `Project diff failed: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+);
+
 // Tool 3: Get Best Practice
 server.tool(
   'get_best_practice',
@@ -1236,7 +1613,7 @@ server.tool(
         // Rebuild search index if we added new knowledge
         if (!dryRun && r.newEntries.length > 0) {
           resultText += `\n🔄 Rebuilding search index with new knowledge...\n`;
-          await knowledgeManager.loadKnowledgeBase();
+          await knowledgeManager.reload();
           searchEngine.indexKnowledgeBase(knowledgeManager.knowledgeBase);
           resultText += `✅ Search index updated!\n`;
         }
@@ -1307,6 +1684,485 @@ server.tool(
   }
 );
 
+// Tool: Knowledge Gaps
+server.tool(
+  'knowledge_gaps',
+  'List the knowledge gap queue - topics users asked about that the knowledge base cannot answer, merged from reported gaps and zero-result searches and ranked by frequency. Gaps are researched by the harvester on a schedule, which adds what it finds to the knowledge base, and marked addressed automatically once new entries answer them; use resolve or dismiss to close one by hand.',
+  {
+    action: z
+      .enum(['list', 'resolve', 'dismiss'])
+      .optional()
+      .default('list')
+      .describe('list the queue, resolve a gap (knowledge added) or dismiss it (out of scope)'),
+    gap_id: z.string().optional().describe('Gap id (or id prefix) for resolve and dismiss'),
+    note: z.string().optional().describe('Optional: why the gap was resolved or dismissed'),
+    status: z
+      .enum(['open', 'addressed', 'dismissed', 'all'])
+      .optional()
+      .default('open')
+      .describe('Which gaps to list'),
+    limit: z.number().int().min(1).max(100).optional().default(20).describe('Gaps to list'),
+  },
+  async ({ action, gap_id, note, status, limit }) => {
+    try {
+      analytics.trackToolUsage('knowledge_gaps');
+
+      if (action !== 'list') {
+        if (!gap_id) {
+          return {
+            content: [{ type: 'text', text: `gap_id is required to ${action} a gap` }],
+            isError: true,
+          };
+        }
+        const gap =
+          action === 'resolve'
+            ? await knowledgeGapQueue.resolve(gap_id, { note })
+            : await knowledgeGapQueue.dismiss(gap_id, { note });
+        const verb = action === 'resolve' ? 'Resolved' : 'Dismissed';
+        return {
+          content: [{ type: 'text', text: `✅ ${verb} knowledge gap "${gap.topic}" (${gap.id})` }],
+        };
+      }
+
+      const addressed = await knowledgeGapQueue.refresh(scoreGapTopic);
+      const gaps = await knowledgeGapQueue.list({ status, limit });
+      const stats = await knowledgeGapQueue.getStats();
+      const research = harvestScheduler.getStatus();
+
+      let text = '# 🕳️ Knowledge Gaps\n\n';
+      text += '| Open | Addressed | Dismissed | Last research |\n';
+      text += '|------|-----------|-----------|---------------|\n';
+      text += `| ${stats.open} | ${stats.addressed} | ${stats.dismissed} | ${
+        research.lastGapResearch || 'Never'
+      } |\n`;
+
+      if (addressed.length > 0) {
+        const topics = addressed.map((g) => `"${g.topic}"`).join(', ');
+        text += `\n✨ Now answered by the knowledge base: ${topics}\n`;
+      }
+
+      if (gaps.length === 0) {
+        text += `\nNo ${status === 'all' ? '' : status + ' '}knowledge gaps.\n`;
+        return { content: [{ type: 'text', text }] };
+      }
+
+      const heading = status === 'all' ? 'All' : status[0].toUpperCase() + status.slice(1);
+      text += `\n## ${heading} gaps\n\n`;
+      text += '| # | Topic | Hits | Sources | Last seen | Status | Id |\n';
+      text += '|---|-------|------|---------|-----------|--------|----|\n';
+      gaps.forEach((gap, i) => {
+        const sources = Object.entries(gap.sources)
+          .map(([source, count]) => `${source} (${count})`)
+          .join(', ');
+        const lastSeen = gap.lastSeen.split('T')[0];
+        text += `| ${i + 1} | ${gap.topic} | ${gap.count} | ${sources} | ${lastSeen} | ${
+          gap.status
+        } | \`${gap.id.slice(0, 8)}\` |\n`;
+      });
+
+      text += '\nUse `action: "resolve"` or `action: "dismiss"` with a `gap_id` to close a gap.\n';
+      return { content: [{ type: 'text', text }] };
+    } catch (error) {
+      logger.error('Knowledge gap queue failed', { error: error.message });
+      return {
+        content: [{ type: 'text', text: `Knowledge gap queue failed: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Tool: Moderate Knowledge
+server.tool(
+  'moderate_knowledge',
+  'Review knowledge submitted through the REST /learn endpoint while moderation is enabled. Submissions wait as pending with their provenance (caller, source URL, relevance score, near-duplicates) and are not searchable until approved. approve publishes an entry (with optional edits), edit changes it, merge appends it to an existing entry (into), reject drops it.',
+  {
+    action: z
+      .enum(['list', 'show', 'approve', 'edit', 'merge', 'reject'])
+      .optional()
+      .default('list')
+      .describe('list the queue, show one submission, or review it'),
+    submission_id: z.string().optional().describe('Submission id (or id prefix)'),
+    title: z.string().optional().describe('approve/edit: new title'),
+    content: z.string().optional().describe('approve/edit: new content'),
+    category: z.string().optional().describe('approve/edit: new category'),
+    tags: z.array(z.string()).optional().describe('approve/edit: new tags'),
+    into: z.string().optional().describe('merge: id of the knowledge entry to merge into'),
+    note: z.string().optional().describe('Optional review note'),
+    status: z
+      .enum(['pending', 'approved', 'merged', 'rejected', 'all'])
+      .optional()
+      .default('pending')
+      .describe('Which submissions to list'),
+    limit: z.number().int().min(1).max(100).optional().default(20).describe('Submissions to list'),
+  },
+  async ({ action, submission_id, title, content, category, tags, into, note, status, limit }) => {
+    try {
+      analytics.trackToolUsage('moderate_knowledge');
+
+      if (action === 'list') {
+        const submissions = await moderationQueue.list({ status, limit });
+        const stats = await moderationQueue.getStats();
+
+        let text = `# 🛡️ Knowledge Moderation\n\n`;
+        text += moderationQueue.enabled
+          ? ''
+          : `⚠️ Moderation is off - /learn publishes directly (set MODERATION_ENABLED=true)\n\n`;
+        text += `| Pending | Approved | Merged | Rejected |\n|---------|----------|--------|----------|\n`;
+        text += `| ${stats.pending} | ${stats.approved} | ${stats.merged} | ${stats.rejected} |\n`;
+
+        if (submissions.length === 0) {
+          text += `\nNo ${status === 'all' ? '' : status + ' '}submissions.\n`;
+          return { content: [{ type: 'text', text }] };
+        }
+
+        text += `\n| # | Title | Category | Caller | Relevance | Duplicates | Status | Id |\n`;
+        text += `|---|-------|----------|--------|-----------|------------|--------|----|\n`;
+        submissions.forEach((s, i) => {
+          const caller = s.provenance.caller?.keyName || s.provenance.caller?.ip || 'unknown';
+          text += `| ${i + 1} | ${s.entry.title} | ${s.entry.category || '-'} | ${caller} | ${
+            s.provenance.relevance?.score ?? '-'
+          } | ${s.duplicates.length} | ${s.status} | \`${s.id.slice(0, 8)}\` |\n`;
+        });
+        text += `\nUse \`action: "show"\` with a \`submission_id\` to read one before reviewing it.\n`;
+        return { content: [{ type: 'text', text }] };
+      }
+
+      if (!submission_id) {
+        return {
+          content: [{ type: 'text', text: `submission_id is required to ${action} a submission` }],
+          isError: true,
+        };
+      }
+
+      if (action === 'show') {
+        const s = await moderationQueue.get(submission_id);
+        const { caller = {}, relevance = {} } = s.provenance;
+        let text = `# ${s.entry.title}\n\n`;
+        text += `| Field | Value |\n|-------|-------|\n`;
+        text += `| Id | \`${s.id}\` |\n| Status | ${s.status} |\n`;
+        text += `| Category | ${s.entry.category || '-'} |\n`;
+        text += `| Caller | ${caller.keyName ? `key ${caller.keyName} (${caller.keyId})` : caller.ip || 'unknown'} via ${s.provenance.via} |\n`;
+        text += `| Source URL | ${s.provenance.sourceUrl || '-'} |\n`;
+        text += `| Relevance | ${relevance.score ?? '-'} (${(relevance.matchedCategories || []).join(', ')}) |\n`;
+        text += `| Submitted | ${s.submittedAt} |\n`;
+        if (s.reviewedAt) {
+          text += `| Reviewed | ${s.reviewedAt} by ${s.reviewedBy}${s.reviewNote ? ` - ${s.reviewNote}` : ''} |\n`;
+        }
+        text += `\n${s.entry.content}\n`;
+        if (s.duplicates.length > 0) {
+          text += `\n## Near-duplicates\n\n`;
+          for (const d of s.duplicates) {
+            text += `- ${d.title} (${d.kind} \`${d.id}\`, ${Math.round(d.similarity * 100)}% similar)\n`;
+          }
+          text += `\nUse \`action: "merge"\` with \`into\` set to an entry id to extend it instead.\n`;
+        }
+        return { content: [{ type: 'text', text }] };
+      }
+
+      const changes = { title, content, category, tags };
+      const reviewer = 'mcp';
+      let text;
+      if (action === 'approve') {
+        const { submission, result } = await moderationQueue.approve(submission_id, {
+          reviewer,
+          note,
+          changes,
+        });
+        text = `✅ Approved "${submission.entry.title}" - published as ${result.id} and indexed for search`;
+      } else if (action === 'edit') {
+        const submission = await moderationQueue.edit(submission_id, changes, { reviewer });
+        text = `✏️ Edited "${submission.entry.title}" - still pending review`;
+      } else if (action === 'merge') {
+        const { submission } = await moderationQueue.merge(submission_id, into, { reviewer, note });
+        text = `🔀 Merged "${submission.entry.title}" into ${submission.knowledgeId}`;
+      } else {
+        const submission = await moderationQueue.reject(submission_id, { reviewer, note });
+        text = `🚫 Rejected "${submission.entry.title}"`;
+      }
+      return { content: [{ type: 'text', text }] };
+    } catch (error) {
+      logger.error('Knowledge moderation failed', { action, error: error.message });
+      return {
+        content: [{ type: 'text', text: `Knowledge moderation failed: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Tool: Knowledge History
+server.tool(
+  'knowledge_history',
+  'Revision history of knowledge entries. Every add, update, merge, delete and rollback is recorded with who made it, when, its source and a diff; entries from before the history get a baseline revision before their first change. history lists the revisions of an entry, diff compares two of them, rollback restores an entry to a revision (re-creating deleted entries), recent lists the latest changes across entries - e.g. by actor to find what a harvest changed.',
+  {
+    action: z
+      .enum(['history', 'diff', 'rollback', 'recent'])
+      .optional()
+      .default('history')
+      .describe('history of an entry, diff two revisions, rollback, or recent changes'),
+    entry_id: z.string().optional().describe('Knowledge entry id (history, diff, rollback)'),
+    revision: z.number().int().min(1).optional().describe('rollback: revision to restore'),
+    from: z.number().int().min(1).optional().describe('diff: older revision (default: previous)'),
+    to: z.number().int().min(1).optional().describe('diff: newer revision (default: latest)'),
+    actor: z.string().optional().describe('recent: only changes by this actor'),
+    limit: z.number().int().min(1).max(100).optional().default(20).describe('recent: changes'),
+  },
+  async ({ action, entry_id, revision, from, to, actor, limit }) => {
+    try {
+      analytics.trackToolUsage('knowledge_history');
+      const revisions = knowledgeManager.revisions;
+
+      if (action === 'recent') {
+        const recent = await revisions.recent({ actor, limit });
+        let text = `# 🕘 Recent Knowledge Changes${actor ? ` by ${actor}` : ''}
+
+`;
+        if (recent.length === 0) {
+          return { content: [{ type: 'text', text: `${text}No revisions recorded yet.\n` }] };
+        }
+        text += `| When | Action | Entry | Rev | Actor | Title |\n`;
+        text += `|------|--------|-------|-----|-------|-------|\n`;
+        for (const r of recent) {
+          text += `| ${r.createdAt} | ${r.action} | \`${r.entryId}\` | ${r.revision} | ${r.actor} | ${
+            r.snapshot?.title || '(deleted)'
+          } |\n`;
+        }
+        return { content: [{ type: 'text', text }] };
+      }
+
+      if (!entry_id) {
+        return {
+          content: [{ type: 'text', text: `entry_id is required for ${action}` }],
+          isError: true,
+        };
+      }
+
+      if (action === 'history') {
+        const history = await revisions.history(entry_id);
+        if (history.length === 0) {
+          return { content: [{ type: 'text', text: `No revisions recorded for ${entry_id}.` }] };
+        }
+        let text = `# 🕘 History of ${history[history.length - 1].snapshot?.title || entry_id}\n\n`;
+        text += `| Rev | When | Action | Actor | Source | Note |\n`;
+        text += `|-----|------|--------|-------|--------|------|\n`;
+        for (const r of history) {
+          text += `| ${r.revision} | ${r.createdAt} | ${r.action} | ${r.actor} | ${
+            r.source || '-'
+          } | ${r.note || '-'} |\n`;
+        }
+        text += `\nUse \`action: "diff"\` to compare revisions, \`action: "rollback"\` to restore one.\n`;
+        return { content: [{ type: 'text', text }] };
+      }
+
+      if (action === 'diff') {
+        const result = await revisions.diff(entry_id, from ?? null, to ?? null);
+        const base = result.from ? `revision ${result.from.revision}` : 'nothing';
+        let text = `# Diff of ${entry_id}: ${base} → revision ${result.to.revision}\n\n`;
+        text += result.diff ? `\`\`\`diff\n${result.diff}\`\`\`\n` : 'No changes.\n';
+        return { content: [{ type: 'text', text }] };
+      }
+
+      if (!revision) {
+        return {
+          content: [{ type: 'text', text: 'revision is required for rollback' }],
+          isError: true,
+        };
+      }
+      const result = await knowledgeManager.rollback(entry_id, revision, { rolledBackBy: 'mcp' });
+      await reindexKnowledge();
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `⏪ Rolled ${entry_id} back to revision ${revision} (entry ${result.restored})`,
+          },
+        ],
+      };
+    } catch (error) {
+      logger.error('Knowledge history failed', { action, error: error.message });
+      return {
+        content: [{ type: 'text', text: `Knowledge history failed: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Tool: Knowledge Sync
+server.tool(
+  'sync_knowledge',
+  'Two-way sync between the local knowledge/*.json files and Supabase. Entries are compared by content_hash: new cloud entries (e.g. from /learn) are pulled into the JSON files, local additions are pushed up, and edits made on one side since the last sync are copied to the other. Entries edited on both sides are conflicts, resolved by policy: report (change nothing, list them), local, cloud or newest. Use dry_run to see what would change first.',
+  {
+    dry_run: z.boolean().optional().default(false).describe('Only report what a sync would change'),
+    policy: z
+      .enum(POLICIES)
+      .optional()
+      .describe('Conflict policy (default: knowledge.sync.conflictPolicy, report)'),
+  },
+  async ({ dry_run, policy }) => {
+    try {
+      analytics.trackToolUsage('sync_knowledge');
+      const result = await knowledgeSync.sync({ dryRun: dry_run, policy });
+
+      const changed =
+        result.pulled.length +
+        result.pushed.length +
+        result.updated.local.length +
+        result.updated.cloud.length;
+      if (!dry_run && changed > 0) {
+        await reindexKnowledge();
+      }
+
+      return { content: [{ type: 'text', text: formatSyncReport(result) }] };
+    } catch (error) {
+      logger.error('Knowledge sync failed', { error: error.message });
+      return {
+        content: [{ type: 'text', text: `Knowledge sync failed: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Tool: Mark Knowledge Used
+server.tool(
+  'mark_knowledge_used',
+  'Report that a search result answered the question. Counts the entry as used and, when the query has words the entry lacks, proposes them as expansions of its title (pending review in query_expansions). Only call this for results that were actually used.',
+  {
+    entry_id: z.string().describe('_metadata.id of the entry that was used'),
+    query: z.string().describe('The query the entry answered'),
+  },
+  async ({ entry_id, query }) => {
+    try {
+      analytics.trackToolUsage('mark_knowledge_used');
+      const doc = searchEngine.documents.get(entry_id);
+      if (!doc) {
+        return {
+          content: [{ type: 'text', text: `No knowledge entry with id ${entry_id}` }],
+          isError: true,
+        };
+      }
+
+      await knowledgeManager.recordUsage(doc.file, entry_id);
+      await expansionDictionary.load();
+      const learned = await expansionDictionary.learnFromUsage(query, doc.entry);
+
+      let text = `✅ Recorded the use of ${entry_id} (${doc.file})\n`;
+      if (learned.length > 0) {
+        text += `\nProposed expansions (pending review in \`query_expansions\`):\n`;
+        for (const record of learned) {
+          text += `- "${record.term}" → "${record.expansion}" (\`${record.id}\`)\n`;
+        }
+      }
+      return { content: [{ type: 'text', text }] };
+    } catch (error) {
+      logger.error('Recording knowledge usage failed', { error: error.message });
+      return {
+        content: [{ type: 'text', text: `Recording knowledge usage failed: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+);
+
+// Tool: Query Expansions
+server.tool(
+  'query_expansions',
+  'Review the query expansion dictionary - synonyms learned from search behaviour (queries reformulated after a miss, misses answered by a similar later query, results reported with mark_knowledge_used although they lack a query word). Learned expansions stay pending until approved; approved ones widen keyword and hybrid search. Use add for a synonym of your own.',
+  {
+    action: z
+      .enum(['list', 'approve', 'reject', 'add'])
+      .optional()
+      .default('list')
+      .describe('list expansions, approve or reject a learned one, or add one by hand'),
+    id: z.string().optional().describe('Expansion id (or id prefix) for approve and reject'),
+    term: z.string().optional().describe('Word users search for (add)'),
+    expansion: z.string().optional().describe('Word or phrase it should also match (add)'),
+    note: z.string().optional().describe('Optional: why the expansion was reviewed or added'),
+    status: z
+      .enum(['pending', 'approved', 'rejected', 'all'])
+      .optional()
+      .default('pending')
+      .describe('Which expansions to list'),
+    limit: z.number().int().min(1).max(100).optional().default(20).describe('Expansions to list'),
+  },
+  async ({ action, id, term, expansion, note, status, limit }) => {
+    try {
+      analytics.trackToolUsage('query_expansions');
+      await expansionDictionary.load();
+
+      if (action === 'add') {
+        const record = await expansionDictionary.add(term, expansion, { note });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `✅ "${record.term}" now also searches for "${record.expansion}" (${record.id})`,
+            },
+          ],
+        };
+      }
+
+      if (action !== 'list') {
+        if (!id) {
+          return {
+            content: [{ type: 'text', text: `id is required to ${action} an expansion` }],
+            isError: true,
+          };
+        }
+        const record =
+          action === 'approve'
+            ? await expansionDictionary.approve(id, { note })
+            : await expansionDictionary.reject(id, { note });
+        const verb = action === 'approve' ? 'Approved' : 'Rejected';
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `✅ ${verb} expansion "${record.term}" → "${record.expansion}" (${record.id})`,
+            },
+          ],
+        };
+      }
+
+      const records = expansionDictionary.list({ status: status === 'all' ? null : status, limit });
+      const stats = expansionDictionary.getStats();
+
+      let text = `# 🔤 Query Expansions\n\n`;
+      text += `| Approved | Pending | Rejected | Learned | Unanswered queries |\n`;
+      text += `|----------|---------|----------|---------|--------------------|\n`;
+      text += `| ${stats.approved} | ${stats.pending} | ${stats.rejected} | ${stats.learned} | ${stats.misses} |\n`;
+
+      if (records.length === 0) {
+        text += `\nNo ${status === 'all' ? '' : status + ' '}expansions.\n`;
+        return { content: [{ type: 'text', text }] };
+      }
+
+      text += `\n| # | Term | Expansion | Evidence | Status | Id |\n`;
+      text += `|---|------|-----------|----------|--------|----|\n`;
+      records.forEach((record, i) => {
+        const evidence =
+          Object.entries(record.evidence)
+            .map(([source, count]) => `${source} (${count})`)
+            .join(', ') || record.source;
+        text += `| ${i + 1} | ${record.term} | ${record.expansion} | ${evidence} | ${
+          record.status
+        } | \`${record.id}\` |\n`;
+      });
+
+      text += `\nUse \`action: "approve"\` or \`action: "reject"\` with an \`id\` to review an expansion.\n`;
+      return { content: [{ type: 'text', text }] };
+    } catch (error) {
+      logger.error('Query expansion review failed', { error: error.message });
+      return {
+        content: [{ type: 'text', text: `Query expansion review failed: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+);
+
 // Tool 8: Vector Search
 server.tool(
   'vector_search',
@@ -1368,20 +2224,45 @@ server.tool(
       .optional()
       .default('hybrid')
       .describe('Search mode'),
+    mendixVersion: z
+      .string()
+      .optional()
+      .describe(
+        'Optional: Mendix version the app is on (e.g. "9.24", "10.6"). Leaves out advice that does not apply and flags deprecated entries.'
+      ),
+    rerank: z
+      .union([z.boolean(), z.string()])
+      .optional()
+      .describe(
+        `Optional: re-rank the top candidates against the full query. true uses the configured reranker, false disables it, or name one (${listRerankers().join(', ')}). Per-stage scores are shown for each result.`
+      ),
+    filters: facetFiltersSchema,
   },
-  async ({ query, limit, mode }) => {
+  async ({ query, limit, mode, mendixVersion, rerank, filters }) => {
     try {
       // Track usage
       analytics.trackToolUsage('hybrid_search');
       analytics.trackSearch(query, 0);
 
+      if (mendixVersion && !parseVersion(mendixVersion)) {
+        return {
+          content: [
+            { type: 'text', text: `"${mendixVersion}" is not a Mendix version (e.g. 10.6)` },
+          ],
+          isError: true,
+        };
+      }
+
       const options = {
         limit,
         keywordOnly: mode === 'keyword',
         vectorOnly: mode === 'vector',
+        mendixVersion,
+        rerank,
+        filters,
       };
 
-      const results = await hybridSearch.search(query, options);
+      const { results, facets, total } = await hybridSearch.facetedSearch(query, options);
 
       // Track result count
       analytics.trackSearch(query, results.length);
@@ -1391,7 +2272,9 @@ server.tool(
           content: [
             {
               type: 'text',
-              text: `No results found for "${query}". Try broader terms or check spelling.`,
+              text: `No results found for "${query}". Try broader terms or check spelling.${
+                filters ? `\n\n${formatFacets(facets)}` : ''
+              }`,
             },
           ],
         };
@@ -1400,7 +2283,8 @@ server.tool(
       let resultText = `# 🔍 Hybrid Search Results\n\n`;
       resultText += `**Query:** "${query}"\n`;
       resultText += `**Mode:** ${mode}\n`;
-      resultText += `**Results:** ${results.length} matches\n\n`;
+      if (mendixVersion) resultText += `**Mendix version:** ${mendixVersion}\n`;
+      resultText += `**Results:** ${results.length} of ${total} matches\n\n`;
 
       results.forEach((r, i) => {
         const matchIcon = r.matchType === 'both' ? '🎯' : r.matchType === 'keyword' ? '📝' : '🔮';
@@ -1411,9 +2295,22 @@ server.tool(
         if (r.keywordScore) resultText += `- **Keyword Score:** ${r.keywordScore.toFixed(2)}\n`;
         if (r.vectorScore)
           resultText += `- **Vector Score:** ${(r.vectorScore * 100).toFixed(1)}%\n`;
+        if (r.stages?.rerank !== undefined) {
+          resultText += `- **Rerank (${r.stages.reranker}):** ${(r.stages.rerank * 100).toFixed(1)}%`;
+          resultText += ` → **Final:** ${(r.stages.final * 100).toFixed(1)}%\n`;
+          if (r.stages.features) {
+            const features = Object.entries(r.stages.features)
+              .map(([name, value]) => `${name} ${value}`)
+              .join(', ');
+            resultText += `- **Features:** ${features}\n`;
+          }
+        }
+        if (r.deprecated) resultText += `- **⚠️ Deprecated:** ${r.deprecated}\n`;
         resultText += `\n`;
       });
 
+      resultText += formatFacets(facets);
+
       resultText += `\n---\n`;
       resultText += `🎯 = Both keyword + semantic match | 📝 = Keyword match | 🔮 = Semantic match\n`;
 
@@ -1439,12 +2336,55 @@ server.tool(
 
     let statusText = `# 🔮 Vector Search Status\n\n`;
 
-    statusText += `## Pinecone Index\n\n`;
+    statusText += `## Vector Index\n\n`;
     statusText += `| Metric | Value |\n|--------|-------|\n`;
+    statusText += `| Backend | ${vectorStore.backend} |\n`;
     statusText += `| Status | ${vectorStats.status} |\n`;
     statusText += `| Vectors | ${vectorStats.vectors || 0} |\n`;
     statusText += `| Dimension | ${vectorStats.dimension || 'N/A'} |\n`;
 
+    const provider = vectorStats.embeddingProvider;
+    if (provider) {
+      const rpm = provider.rateLimit.requestsPerMinute;
+      statusText += `\n## Embedding Provider\n\n`;
+      statusText += `| Setting | Value |\n|---------|-------|\n`;
+      statusText += `| Provider | ${provider.name} |\n`;
+      statusText += `| Model | ${provider.model} |\n`;
+      statusText += `| Dimension | ${provider.dimension || 'detected on first use'} |\n`;
+      statusText += `| Batch size | ${provider.batchSize} |\n`;
+      statusText += `| Rate limit | ${rpm ? `${rpm} requests/min` : 'unlimited'} |\n`;
+    }
+
+    const embeddingCache = vectorStats.embeddingCache;
+    if (embeddingCache) {
+      statusText += `\n## Embedding Cache\n\n`;
+      statusText += `| Metric | Value |\n|--------|-------|\n`;
+      statusText += `| Entries | ${embeddingCache.entries} |\n`;
+      statusText += `| Size | ${embeddingCache.sizeMB} / ${embeddingCache.maxSizeMB} MB |\n`;
+      statusText += `| Hit rate (this process) | ${embeddingCache.hitRate} |\n`;
+      statusText += `| Evicted (this process) | ${embeddingCache.evicted} |\n`;
+      if (provider && vectorStore.embedder.cacheable === false) {
+        statusText += `| Note | ${provider.name} vectors depend on the vocabulary and are not cached |\n`;
+      }
+    }
+
+    const lastRun = vectorStats.lastReindex;
+    if (lastRun) {
+      statusText += `\n## Last Reindex\n\n`;
+      statusText += `| Metric | Count |\n|--------|-------|\n`;
+      statusText += `| When | ${lastRun.at} |\n`;
+      statusText += `| Mode | ${lastRun.full ? 'Full rebuild' : 'Incremental'} |\n`;
+      statusText += `| Added | ${lastRun.added} |\n`;
+      statusText += `| Updated | ${lastRun.updated} |\n`;
+      statusText += `| Removed | ${lastRun.removed} |\n`;
+      statusText += `| Skipped | ${lastRun.skipped} |\n`;
+      statusText += `| Tracked documents | ${vectorStats.manifestEntries} |\n`;
+    }
+
+    if (vectorStats.providerMismatch) {
+      statusText += `\n> ⚠️ ${vectorStats.providerMismatch}\n`;
+    }
+
     if (vectorStats.namespaces && Object.keys(vectorStats.namespaces).length > 0) {
       statusText += `\n## Namespaces\n\n`;
       for (const [ns, data] of Object.entries(vectorStats.namespaces)) {
@@ -1469,13 +2409,13 @@ server.tool(
 // Tool 11: Re-index Vectors
 server.tool(
   'reindex_vectors',
-  'Re-index all knowledge into the vector store. Use after adding new knowledge or if search quality seems degraded.',
+  'Re-index knowledge into the vector store. Only new or changed entries are embedded; vectors of removed entries are deleted. Use after adding new knowledge or if search quality seems degraded.',
   {
     clear: z
       .boolean()
       .optional()
       .default(false)
-      .describe('Clear existing vectors before re-indexing'),
+      .describe('Clear existing vectors and re-embed everything'),
   },
   async ({ clear }) => {
     try {
@@ -1484,12 +2424,21 @@ server.tool(
       }
 
       const kb = knowledgeManager.knowledgeBase;
-      const stats = await hybridSearch.indexKnowledgeBase(kb);
+      const stats = await hybridSearch.indexKnowledgeBase(kb, { incremental: !clear });
 
       let resultText = `# ✅ Vector Re-indexing Complete\n\n`;
       resultText += `| Metric | Count |\n|--------|-------|\n`;
       resultText += `| Keyword entries | ${stats.keyword.entries} |\n`;
-      resultText += `| Vector entries | ${stats.vector.indexed} |\n`;
+      resultText += `| Added | ${stats.vector.added ?? 0} |\n`;
+      resultText += `| Updated | ${stats.vector.updated ?? 0} |\n`;
+      resultText += `| Removed | ${stats.vector.removed ?? 0} |\n`;
+      resultText += `| Skipped (unchanged) | ${stats.vector.skipped ?? 0} |\n`;
+      if (stats.vector.cached) {
+        resultText += `| Reused from embedding cache | ${stats.vector.cached} |\n`;
+      }
+      if (stats.vector.full) {
+        resultText += `| Mode | Full rebuild |\n`;
+      }
       if (clear) {
         resultText += `| Previous vectors | Cleared |\n`;
       }
@@ -1584,150 +2533,103 @@ server.tool(
   }
 );
 
-// Tool 13: Theme Analyzer
+// Tool 13: Analyzers (analyze_theme, ...) - one tool per registered analyzer
+for (const analyzer of listAnalyzers()) {
+  server.tool(
+    analyzer.tool,
+    [analyzer.description, analyzer.toolDescription].filter(Boolean).join('\n'),
+    parametersOf(analyzer, { tool: true }),
+    async (params) => {
+      try {
+        analytics.trackToolUsage(analyzer.tool, { input: analyzer.input });
+
+        const text = await runAnalyzerTool(analyzer.id, params, { projectLoader });
+        return { content: [{ type: 'text', text }] };
+      } catch (error) {
+        logger.error(`${analyzer.title} failed`, { error: error.message, stack: error.stack });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ ${analyzer.title} failed: ${error.message}\n\nMake sure the path is correct and points to a valid Mendix project.`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+}
+
+// Tool: Design Tokens
 server.tool(
-  'analyze_theme',
-  `Deep analysis of a Mendix project's custom theme against best practices. 
-Analyzes folder structure, SCSS/JS files, design tokens, organization, performance patterns, and version compatibility.
-Returns a letter grade (A+ to F), detailed scores, and actionable recommendations.
-Use this to evaluate and improve custom themes for web and native mobile apps.`,
+  'design_tokens',
+  `Round trip between a Mendix theme and W3C Design Tokens JSON (Figma, Style Dictionary).
+export: resolved custom-variables.scss variables as typed tokens (colors, dimensions, fonts, aliases).
+import: tokens into custom-variables.scss - returns a diff preview, writes only with write=true.`,
   {
     project_path: z
       .string()
       .describe('Path to the Mendix project (.mpr file or project directory)'),
-    detailed: z
-      .boolean()
+    action: z.enum(['export', 'import']).describe('Export theme variables or import tokens'),
+    tokens: z
+      .string()
       .optional()
-      .default(true)
-      .describe('Include detailed analysis with file-by-file breakdown'),
-    fix_suggestions: z
+      .describe('import: design tokens JSON, or the path of a .json tokens file'),
+    output_path: z.string().optional().describe('export: also save the tokens to this file'),
+    write: z
       .boolean()
       .optional()
-      .default(true)
-      .describe('Include specific code fix suggestions'),
+      .default(false)
+      .describe('import: write custom-variables.scss (default: preview only)'),
   },
-  async ({ project_path, detailed, fix_suggestions }) => {
+  async ({ project_path, action, tokens, output_path, write }) => {
     try {
-      analytics.trackToolUsage('analyze_theme', { project_path });
-
-      // Dynamic import of ThemeAnalyzer
-      const { default: ThemeAnalyzer } = await import('./analyzers/ThemeAnalyzer.js');
-      const analyzer = new ThemeAnalyzer();
-
-      const results = await analyzer.analyze(project_path, { detailed });
-
-      let text = `# 🎨 Theme Analysis Report\n\n`;
-      text += `**Project:** ${results.projectPath}\n`;
-      text += `**Analyzed:** ${results.analyzedAt}\n`;
-      text += `**Analysis Time:** ${results.analysisTimeMs}ms\n\n`;
-
-      // Overall Score and Grade
-      text += `## 📊 Overall Score\n\n`;
-      text += `# Grade: ${results.scores.grade}\n`;
-      text += `**Score: ${results.scores.overall}/100**\n\n`;
-
-      // Score Breakdown
-      text += `### Score Breakdown\n\n`;
-      text += `| Category | Score |\n|----------|-------|\n`;
-      text += `| Structure | ${results.scores.breakdown.structure}/100 |\n`;
-      text += `| Web Theme | ${results.scores.breakdown.webTheme}/100 |\n`;
-      text += `| Native Theme | ${results.scores.breakdown.nativeTheme}/100 |\n`;
-      text += `| Theme Modules | ${results.scores.breakdown.modules}/100 |\n\n`;
-
-      // Critical Issues
-      if (results.recommendations.critical.length > 0) {
-        text += `## ⚠️ Critical Issues (${results.recommendations.critical.length})\n\n`;
-        text += `These must be fixed for proper theme functionality:\n\n`;
-        for (const rec of results.recommendations.critical) {
-          text += `### ❌ ${rec.message}\n`;
-          if (rec.file) text += `**File:** \`${rec.file}\`\n`;
-          if (fix_suggestions && rec.fix) text += `**Fix:** ${rec.fix}\n`;
-          text += `\n`;
-        }
-      }
-
-      // Important Recommendations
-      if (results.recommendations.important.length > 0) {
-        text += `## 📋 Important Recommendations (${results.recommendations.important.length})\n\n`;
-        for (const rec of results.recommendations.important) {
-          text += `### ⚡ ${rec.message}\n`;
-          if (rec.file) text += `**File:** \`${rec.file}\`\n`;
-          if (fix_suggestions && rec.fix) text += `**Fix:** ${rec.fix}\n`;
-          text += `\n`;
-        }
-      }
-
-      // Suggestions
-      if (results.recommendations.suggestions.length > 0) {
-        text += `## 💡 Suggestions (${results.recommendations.suggestions.length})\n\n`;
-        for (const rec of results.recommendations.suggestions) {
-          text += `- **${rec.message}**`;
-          if (fix_suggestions && rec.fix) text += ` - ${rec.fix}`;
-          text += `\n`;
-        }
-        text += `\n`;
-      }
-
-      // Detailed Analysis
-      if (detailed) {
-        text += `## 📁 Detailed Analysis\n\n`;
-
-        // Structure findings
-        if (results.analysis.structure.findings.length > 0) {
-          text += `### Structure\n`;
-          for (const finding of results.analysis.structure.findings) {
-            const icon = finding.status === 'pass' ? '✅' : '📂';
-            text += `${icon} ${finding.check}: \`${finding.path}\`\n`;
+      analytics.trackToolUsage('design_tokens', { action });
+
+      const { default: DesignTokens } = await import('./analyzers/DesignTokens.js');
+      const designTokens = new DesignTokens();
+      let text;
+
+      if (action === 'export') {
+        const result = await designTokens.exportTokens(project_path, { outputPath: output_path });
+        text = `# 🎨 Design Tokens\n\n`;
+        text += `**Sources:** ${result.sources.map((s) => `\`${s}\``).join(', ')}\n`;
+        text += `**Exported:** ${result.exported} tokens`;
+        text += output_path ? ` → \`${output_path}\`\n` : '\n';
+        if (result.skipped.length > 0) {
+          text += `\n## Skipped (${result.skipped.length})\n\n`;
+          for (const skip of result.skipped) {
+            text += `- \`${skip.name}: ${skip.value}\` - ${skip.reason}\n`;
           }
-          text += `\n`;
         }
-
-        // Web theme stats
-        if (results.analysis.webTheme.stats) {
-          const stats = results.analysis.webTheme.stats;
-          text += `### Web Theme Statistics\n`;
-          text += `| Metric | Value |\n|--------|-------|\n`;
-          text += `| SCSS Files | ${stats.totalFiles} |\n`;
-          text += `| Total Lines | ${stats.totalLines} |\n`;
-          text += `| Variables Used | ${stats.variablesCount} |\n`;
-          text += `| Imports | ${stats.importsCount} |\n`;
-          text += `| Magic Numbers Found | ${stats.magicNumbersCount} |\n`;
-          text += `| Deep Nesting Issues | ${stats.deepNestingCount} |\n`;
-          text += `\n`;
+        text += `\n\`\`\`json\n${JSON.stringify(result.tokens, null, 2)}\n\`\`\`\n`;
+      } else {
+        if (!tokens) throw new Error('tokens is required to import');
+        const result = await designTokens.importTokens(project_path, tokens, { write });
+        text = `# 🎨 Design Token Import\n\n`;
+        text += `**File:** \`${result.file}\`\n`;
+        text += `**Added:** ${result.added.length} | **Updated:** ${result.updated.length}`;
+        text += ` | **Unchanged:** ${result.unchanged.length}`;
+        text += ` | **Skipped:** ${result.skipped.length}\n`;
+        for (const skip of result.skipped) {
+          text += `- Skipped \`${skip.name}\` (${skip.type || 'no type'}) - ${skip.reason}\n`;
         }
-
-        // Theme modules
-        if (results.analysis.modules.modules && results.analysis.modules.modules.length > 0) {
-          text += `### Theme Modules\n`;
-          text += `| Module | Web | Native | Design Props |\n|--------|-----|--------|-------------|\n`;
-          for (const mod of results.analysis.modules.modules) {
-            text += `| ${mod.name} | ${mod.hasWebStyling ? '✅' : '❌'} | ${
-              mod.hasNativeStyling ? '✅' : '❌'
-            } | ${mod.hasDesignProperties ? '✅' : '❌'} |\n`;
-          }
-          text += `\n`;
+        if (!result.patch) {
+          text += `\nThe theme already matches these tokens.\n`;
+        } else {
+          text += `\n\`\`\`diff\n${result.patch}\`\`\`\n\n`;
+          text += result.written
+            ? `✅ Written to \`${result.file}\`.\n`
+            : `Nothing has been written. Run again with \`write=true\` to apply.\n`;
         }
       }
 
-      // Summary
-      text += `---\n\n`;
-      text += results.summary;
-
-      // Best Practices Reference
-      text += `\n\n## 📚 Best Practices Reference\n\n`;
-      text += `For detailed theme best practices, use: \`query_mendix_knowledge topic="theme best practices"\`\n`;
-      text += `For design tokens info: \`get_best_practice scenario="design tokens"\`\n`;
-
       return { content: [{ type: 'text', text }] };
     } catch (error) {
-      logger.error('Theme analysis failed', { error: error.message, stack: error.stack });
+      logger.error('Design tokens failed', { error: error.message });
       return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ Theme analysis failed: ${error.message}\n\nMake sure the project path is correct and points to a valid Mendix project directory.`,
-          },
-        ],
+        content: [{ type: 'text', text: `❌ Design tokens ${action} failed: ${error.message}` }],
         isError: true,
       };
     }
@@ -1853,6 +2755,7 @@ server.resource(
   async () => {
     const stats = searchEngine.getStats();
     const gaps = searchEngine.getKnowledgeGaps();
+    const gapQueue = await knowledgeGapQueue.list({ limit: 10 });
     return {
       contents: [
         {
@@ -1862,6 +2765,13 @@ server.resource(
             {
               analytics: stats.analytics,
               knowledgeGaps: gaps,
+              gapQueue: gapQueue.map(({ id, topic, count, sources, lastSeen }) => ({
+                id,
+                topic,
+                count,
+                sources,
+                lastSeen,
+              })),
             },
             null,
             2
@@ -2183,6 +3093,7 @@ async function main() {
     // Load knowledge base
     logger.info('Loading knowledge base...');
     await knowledgeManager.load();
+    await expansionDictionary.load();
 
     // Index for searching
     logger.info('Building search index...');
@@ -2228,7 +3139,7 @@ async function main() {
 process.on('SIGINT', async () => {
   logger.info('Shutting down gracefully...');
   maintenanceScheduler.stopAutoMaintenance();
-  vectorStore.shutdown(); // Save embedding cache to disk
+  vectorStore.shutdown();
   cacheManager.clear();
   projectLoader.clearAll();
   logger.info('Shutdown complete');
@@ -2237,7 +3148,7 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down...');
-  vectorStore.shutdown(); // Save embedding cache to disk
+  vectorStore.shutdown();
   process.exit(0);
 });
 
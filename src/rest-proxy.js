@@ -11,7 +11,9 @@
  *   GET  /tools               - List available tools
  *   POST /query               - Query knowledge base
  *   POST /search              - Hybrid search (keyword + vector)
+ *   POST /search/used         - Report a search result that answered the question
  *   POST /analyze             - Analyze a Mendix project
+ *   POST /lint-domain-model   - Lint domain models against a rule set
  *   POST /best-practice       - Get best practice recommendations
  *   GET  /status              - Server status (like 'hello')
  *
@@ -34,27 +36,50 @@ config({ path: join(__dirname, '..', '.env') });
 
 import cors from 'cors';
 import express from 'express';
-import rateLimit from 'express-rate-limit';
-import KnowledgeManager from './core/KnowledgeManager.js';
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
+import {
+  describeParameters,
+  listAnalyzers,
+  openApiPaths,
+  runAnalyzer,
+  toResponse,
+} from './analyzers/AnalyzerRegistry.js';
+import ExpansionDictionary from './core/ExpansionDictionary.js';
+import KnowledgeGapQueue from './core/KnowledgeGapQueue.js';
+import { createKnowledgeManager } from './core/KnowledgeStorage.js';
+import ModerationQueue from './core/ModerationQueue.js';
 import ProjectLoader from './core/ProjectLoader.js';
 import SearchEngine from './core/SearchEngine.js';
-import SupabaseKnowledgeManager from './core/SupabaseKnowledgeManager.js';
+import SearchFacets from './core/SearchFacets.js';
 import Analytics from './utils/Analytics.js';
+import ApiAuth, { SCOPES } from './utils/ApiAuth.js';
+import { getConfig } from './utils/config.js';
 import Logger from './utils/logger.js';
+import { parseVersion } from './utils/MendixVersion.js';
 import HybridSearch from './vector/HybridSearch.js';
 
 const logger = new Logger('REST-Proxy');
 const app = express();
 const PORT = process.env.PORT || 5050;
 
+// ============================================
+// AUTHENTICATION - API keys with scopes
+// ============================================
+
+const apiAuth = new ApiAuth();
+
+// Requests with a valid key are counted per key, all others per IP
+const limitKey = (req) => (req.apiKey ? `key:${req.apiKey.id}` : ipKeyGenerator(req.ip));
+
 // ============================================
 // RATE LIMITING - Prevent abuse
 // ============================================
 
-// General rate limiter - 100 requests per minute per IP
+// General rate limiter - per key (its own limit) or 100 requests per minute per IP
 const generalLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: 100,
+  max: (req) => apiAuth.rateLimitFor(req),
+  keyGenerator: limitKey,
   message: { error: 'Too many requests, please slow down', retryAfter: '60 seconds' },
   standardHeaders: true,
   legacyHeaders: false,
@@ -64,6 +89,7 @@ const generalLimiter = rateLimit({
 const learnLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 20,
+  keyGenerator: limitKey,
   message: { error: 'Too many learn requests, please slow down', retryAfter: '60 seconds' },
   standardHeaders: true,
   legacyHeaders: false,
@@ -113,51 +139,61 @@ async function withRetry(fn, options = {}) {
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(apiAuth.authenticate()); // Identify the API key, if any
 app.use(generalLimiter); // Apply general rate limit to all routes
+app.use(apiAuth.authorize()); // Reject requests without the scope of their route
 
 // Initialize components
 let knowledgeManager;
 let searchEngine;
+let expansions;
+let knowledgeGapQueue;
+let moderationQueue;
 let hybridSearch;
 let projectLoader;
 let analytics;
 let initialized = false;
 let vectorSearchAvailable = false;
-let storageMode = 'unknown';
 
 async function initialize() {
   if (initialized) return;
 
   logger.info('Initializing REST proxy...');
 
-  // Use Supabase if configured (should always be configured on Railway)
-  const useSupabase = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY;
-
-  if (useSupabase) {
-    logger.info('Using Supabase for knowledge storage');
-    knowledgeManager = new SupabaseKnowledgeManager();
-    storageMode = 'supabase';
-  } else {
-    logger.info('Using local JSON for knowledge storage');
-    knowledgeManager = new KnowledgeManager();
-    storageMode = 'json';
-  }
+  // knowledge.storage (KNOWLEDGE_STORAGE); auto uses Supabase if configured, as on Railway
+  knowledgeManager = createKnowledgeManager();
+  logger.info('Knowledge storage', { storage: knowledgeManager.storage });
 
   await knowledgeManager.load();
 
-  searchEngine = new SearchEngine();
+  // Query expansions are learned into the same file the MCP server uses
+  expansions = await ExpansionDictionary.fromConfig().load();
+  // The sqlite storage's FTS4 index adds stemmed matches to keyword search
+  const fullText = knowledgeManager.fullTextSearch?.bind(knowledgeManager);
+  searchEngine = new SearchEngine({ expansions, fullText });
   searchEngine.indexKnowledgeBase(knowledgeManager.knowledgeBase);
 
+  // Shared with the MCP server - reported gaps and zero-result searches land in one queue
+  knowledgeGapQueue = new KnowledgeGapQueue();
+  searchEngine.onMiss = (query) => {
+    knowledgeGapQueue.record(query, { source: 'search', query }).catch((err) => {
+      logger.warn('Could not record knowledge gap', { error: err.message });
+    });
+  };
+
+  // With moderation enabled, /learn queues entries; only approved ones reach the indexes
+  moderationQueue = new ModerationQueue({ knowledgeManager, onPublished: reindexKnowledge });
+
   // Try to initialize hybrid search, but continue without it if it fails
   try {
-    hybridSearch = new HybridSearch();
+    hybridSearch = new HybridSearch({ expansions, fullText });
     await hybridSearch.indexKnowledgeBase(knowledgeManager.knowledgeBase);
     vectorSearchAvailable = true;
 
     // Wire up VectorStore for auto-indexing new knowledge entries to Pinecone
-    if (storageMode === 'supabase' && hybridSearch.getVectorStore()) {
+    if (knowledgeManager.setVectorStore && hybridSearch.getVectorStore()) {
       knowledgeManager.setVectorStore(hybridSearch.getVectorStore());
-      logger.info('VectorStore attached to SupabaseKnowledgeManager for auto-indexing');
+      logger.info('VectorStore attached to the knowledge manager for auto-indexing');
     }
 
     logger.info('Hybrid search initialized with vector support');
@@ -177,10 +213,37 @@ async function initialize() {
   logger.info('REST proxy initialized', {
     entries: knowledgeManager.getStats().totalEntries,
     terms: searchEngine.getStats().uniqueTerms,
-    storage: storageMode,
+    storage: knowledgeManager.storage,
   });
 }
 
+/**
+ * Rebuild the keyword and vector indexes after knowledge was published or rolled back
+ */
+async function reindexKnowledge() {
+  searchEngine.clear();
+  searchEngine.indexKnowledgeBase(knowledgeManager.knowledgeBase);
+  if (hybridSearch) {
+    await hybridSearch.indexKnowledgeBase(knowledgeManager.knowledgeBase);
+  }
+}
+
+/**
+ * Who submitted knowledge and how relevant it looked, for the moderation queue
+ */
+function provenanceOf(req, via, relevance) {
+  return {
+    caller: req.apiKey ? { keyId: req.apiKey.id, keyName: req.apiKey.name } : { ip: req.ip },
+    userAgent: req.get('user-agent') || null,
+    via,
+    relevance: {
+      score: relevance.score,
+      matchedCategories: relevance.matchedCategories,
+      matchedTerms: relevance.matchedTerms,
+    },
+  };
+}
+
 // ============================================================================
 // ENDPOINTS
 // ============================================================================
@@ -193,7 +256,7 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     initialized,
     vectorSearchAvailable,
-    storage: storageMode,
+    storage: initialized ? knowledgeManager.storage : 'unknown',
     entries: initialized ? knowledgeManager.getStats().totalEntries : 0,
     timestamp: new Date().toISOString(),
   });
@@ -203,140 +266,268 @@ app.get('/health', (req, res) => {
  * List available tools/endpoints
  */
 app.get('/tools', (req, res) => {
-  res.json({
-    tools: [
-      {
-        name: 'query',
-        method: 'POST',
-        path: '/query',
-        description: 'Query the Mendix knowledge base',
-        parameters: {
-          topic: 'string (required) - The topic to search for',
-          detail_level: 'string (optional) - brief, standard, or detailed',
-        },
+  const tools = [
+    {
+      name: 'query',
+      method: 'POST',
+      path: '/query',
+      description: 'Query the Mendix knowledge base',
+      parameters: {
+        topic: 'string (required) - The topic to search for',
+        detail_level: 'string (optional) - brief, standard, or detailed',
       },
-      {
-        name: 'search',
-        method: 'POST',
-        path: '/search',
-        description:
-          'Hybrid search combining keyword and semantic vector search. Returns answerQuality and beastModeNeeded flags to indicate if web search is recommended.',
-        parameters: {
-          query: 'string (required) - Search query',
-          limit: 'number (optional) - Max results (default 10)',
-        },
-        response_fields: {
-          answerQuality: 'none|weak|partial|good|strong - Quality of results found',
-          beastModeNeeded: 'boolean - If true, GPT should search the web for better answers',
-          beastModeInstructions: 'string - Instructions for GPT when beast mode is needed',
-        },
+    },
+    {
+      name: 'search',
+      method: 'POST',
+      path: '/search',
+      description:
+        'Hybrid search combining keyword and semantic vector search. Returns answerQuality and beastModeNeeded flags to indicate if web search is recommended.',
+      parameters: {
+        query: 'string (required) - Search query',
+        limit: 'number (optional) - Max results (default 10)',
+        mendixVersion:
+          'string (optional) - Mendix version of the app (e.g. "10.6"); filters out advice that does not apply and flags deprecated entries',
+        filters:
+          'object (optional) - Facet filters {file, category, tags, source, mendixVersion, qualityTier, verified}, each a value or array of values',
       },
-      {
-        name: 'learn',
-        method: 'POST',
-        path: '/learn',
-        description:
-          'Add new knowledge to the knowledge base. Accepts flexible input formats - single entries, arrays, or wrapped objects. Smart field detection extracts title/content from various field names.',
-        acceptedFormats: [
-          'Single: {title: "...", content: "..."}',
-          'Array: [{title: "...", content: "..."}, ...]',
-          'Wrapped: {entries: [{...}]} or {items: [{...}]} or {data: [{...}]}',
-        ],
-        fieldAliases: {
-          title: ['title', 'name', 'topic', 'subject', 'heading', 'label'],
-          content: ['content', 'text', 'body', 'description', 'knowledge', 'info'],
-          category: ['category', 'type', 'section', 'group', 'tag'],
-          source: ['source', 'from', 'url', 'origin', 'reference', 'ref'],
-        },
-        parameters: {
-          title:
-            'string (required) - Title for this knowledge entry. Also accepts: name, topic, subject, heading, label',
-          content:
-            'string (required, min 50 chars) - The knowledge content. Also accepts: text, body, description, knowledge, info',
-          category: 'string (optional) - Category. Also accepts: type, section, group',
-          source: 'string (optional) - Source name. Also accepts: from, url, origin, reference',
-          sourceUrl: 'string (optional) - Full URL of source',
-          mendixVersion: 'string (optional) - Mendix version this applies to',
-          tags: 'array (optional) - Tags for categorization. Also accepts: keywords, labels',
-        },
-        batchSupport: 'Yes - send multiple entries in one request, get individual results for each',
-        relevanceCheck:
-          'Content must be about Mendix or related topics (React, cloud deployment, integrations, etc.). Off-topic content is rejected.',
-        relevantTopics: [
-          'Mendix (microflows, nanoflows, domain models, widgets, etc.)',
-          'Low-code/no-code development',
-          'React, TypeScript, JavaScript development',
-          'Cloud deployment (Azure, AWS, Kubernetes, Docker)',
-          'Integrations (REST, SOAP, OData, SSO)',
-          'Architecture, best practices, patterns',
-          'UI/UX, themes, styling',
-        ],
+      response_fields: {
+        totalMatches: 'number - Matches after filtering, before the limit',
+        facets: 'object - Per facet, values with counts ({value, count}) to narrow the search',
+        answerQuality: 'none|weak|partial|good|strong - Quality of results found',
+        beastModeNeeded: 'boolean - If true, GPT should search the web for better answers',
+        beastModeInstructions: 'string - Instructions for GPT when beast mode is needed',
       },
-      {
-        name: 'analyze',
-        method: 'POST',
-        path: '/analyze',
-        description: 'Analyze a Mendix project file (.mpr)',
-        parameters: {
-          project_path: 'string (required) - Path to .mpr file',
-          module_name: 'string (optional) - Specific module to analyze',
-        },
+    },
+    {
+      name: 'search-used',
+      method: 'POST',
+      path: '/search/used',
+      description:
+        'Report a search result that answered the question. Counts the entry as used and proposes query words it lacks as expansions of its title (pending review).',
+      parameters: {
+        entry_id: 'string (required) - id of the result that was used',
+        query: 'string (required) - The query it answered',
       },
-      {
-        name: 'best-practice',
-        method: 'POST',
-        path: '/best-practice',
-        description: 'Get best practice recommendations',
-        parameters: {
-          scenario: 'string (required) - The scenario to get recommendations for',
-        },
+    },
+    {
+      name: 'learn',
+      method: 'POST',
+      path: '/learn',
+      description:
+        'Add new knowledge to the knowledge base. Accepts flexible input formats - single entries, arrays, or wrapped objects. Smart field detection extracts title/content from various field names.',
+      acceptedFormats: [
+        'Single: {title: "...", content: "..."}',
+        'Array: [{title: "...", content: "..."}, ...]',
+        'Wrapped: {entries: [{...}]} or {items: [{...}]} or {data: [{...}]}',
+      ],
+      fieldAliases: {
+        title: ['title', 'name', 'topic', 'subject', 'heading', 'label'],
+        content: ['content', 'text', 'body', 'description', 'knowledge', 'info'],
+        category: ['category', 'type', 'section', 'group', 'tag'],
+        source: ['source', 'from', 'url', 'origin', 'reference', 'ref'],
       },
-      {
-        name: 'status',
-        method: 'GET',
-        path: '/status',
-        description: 'Get server status and capabilities',
+      parameters: {
+        title:
+          'string (required) - Title for this knowledge entry. Also accepts: name, topic, subject, heading, label',
+        content:
+          'string (required, min 50 chars) - The knowledge content. Also accepts: text, body, description, knowledge, info',
+        category: 'string (optional) - Category. Also accepts: type, section, group',
+        source: 'string (optional) - Source name. Also accepts: from, url, origin, reference',
+        sourceUrl: 'string (optional) - Full URL of source',
+        mendixVersion: 'string (optional) - Mendix version this applies to',
+        tags: 'array (optional) - Tags for categorization. Also accepts: keywords, labels',
       },
-      {
-        name: 'analytics',
-        method: 'GET',
-        path: '/analytics',
-        description: 'Get usage analytics and trends',
-        parameters: {
-          period: 'string (optional) - day, week, month, or all (default: all)',
-          include_trends: 'boolean (optional) - Include hourly/daily trends (default: true)',
-        },
+      batchSupport: 'Yes - send multiple entries in one request, get individual results for each',
+      relevanceCheck:
+        'Content must be about Mendix or related topics (React, cloud deployment, integrations, etc.). Off-topic content is rejected.',
+      relevantTopics: [
+        'Mendix (microflows, nanoflows, domain models, widgets, etc.)',
+        'Low-code/no-code development',
+        'React, TypeScript, JavaScript development',
+        'Cloud deployment (Azure, AWS, Kubernetes, Docker)',
+        'Integrations (REST, SOAP, OData, SSO)',
+        'Architecture, best practices, patterns',
+        'UI/UX, themes, styling',
+      ],
+      review:
+        'With moderation enabled, entries are queued for review (202 with submission ids) and become searchable once approved.',
+    },
+    {
+      name: 'moderation',
+      method: 'GET',
+      path: '/moderation',
+      description: 'List knowledge submissions waiting for review, with their provenance',
+      parameters: {
+        status: 'string (optional) - pending, approved, merged, rejected or all (default: pending)',
+        limit: 'number (optional) - Max submissions (default 20)',
       },
-      {
-        name: 'analyze-theme',
-        method: 'POST',
-        path: '/analyze-theme',
-        description: 'Deep analysis of a Mendix custom theme with grades and recommendations',
-        parameters: {
-          project_path: 'string (required) - Path to .mpr file or project directory',
-          detailed: 'boolean (optional) - Include detailed breakdown (default: true)',
-        },
+    },
+    {
+      name: 'moderation-action',
+      method: 'POST',
+      path: '/moderation/{id}/{action}',
+      description:
+        'Approve, edit, merge or reject a submission (action: approve|edit|merge|reject)',
+      parameters: {
+        title: 'string (optional) - approve/edit: new title',
+        content: 'string (optional) - approve/edit: new content',
+        category: 'string (optional) - approve/edit: new category',
+        tags: 'array (optional) - approve/edit: new tags',
+        into: 'string (required to merge) - Id of the knowledge entry to merge into',
+        note: 'string (optional) - Review note',
       },
-      {
-        name: 'beast-mode',
-        method: 'GET',
-        path: '/beast-mode',
-        description:
-          'Get the Beast Mode research protocol - the exact prompt for exhaustive Mendix research',
-        parameters: {
-          format:
-            'string (optional) - prompt (full), instructions (explanation), or brief (summary)',
-        },
+    },
+    {
+      name: 'knowledge-history',
+      method: 'GET',
+      path: '/knowledge/{id}/history',
+      description: 'Revisions of a knowledge entry: who changed it, when, from which source',
+    },
+    {
+      name: 'knowledge-diff',
+      method: 'GET',
+      path: '/knowledge/{id}/diff',
+      description: 'Unified diff between two revisions of a knowledge entry',
+      parameters: {
+        from: 'number (optional) - Older revision (default: the one before to)',
+        to: 'number (optional) - Newer revision (default: the latest)',
       },
-      {
-        name: 'dashboard',
-        method: 'GET',
-        path: '/dashboard',
-        description:
-          'Visual HTML dashboard showing usage analytics, tool usage, and popular topics',
-        parameters: {},
+    },
+    {
+      name: 'knowledge-rollback',
+      method: 'POST',
+      path: '/knowledge/{id}/rollback',
+      description: 'Restore a knowledge entry to a revision (re-creates deleted entries)',
+      parameters: {
+        revision: 'number (required) - Revision to restore',
+        note: 'string (optional) - Why the entry was rolled back',
       },
-    ],
+    },
+    {
+      name: 'knowledge-revisions',
+      method: 'GET',
+      path: '/knowledge/revisions',
+      description: 'Recent changes across knowledge entries, newest first',
+      parameters: {
+        actor: 'string (optional) - Only changes by this actor (e.g. a harvest or key name)',
+        action: 'string (optional) - baseline, add, update, merge, delete or rollback',
+        since: 'string (optional) - ISO date',
+        limit: 'number (optional) - Max revisions (default 20)',
+      },
+    },
+    {
+      name: 'analyze',
+      method: 'POST',
+      path: '/analyze',
+      description: 'Analyze a Mendix project file (.mpr) and check its microflows',
+      parameters: {
+        project_path: 'string (required) - Path to .mpr file',
+        module_name: 'string (optional) - Specific module to analyze',
+        check_microflows: 'boolean (optional, default true) - Run microflow analysis rules',
+        rules: 'string[] (optional) - Only run these microflow rule ids',
+      },
+    },
+    {
+      name: 'lint-domain-model',
+      method: 'POST',
+      path: '/lint-domain-model',
+      description: 'Lint domain models against a configurable rule set',
+      parameters: {
+        project_path: 'string (required) - Path to .mpr file or extracted data directory',
+        module_name: 'string (optional) - Only lint this module',
+        entity_name: 'string (optional) - Only lint this entity (requires module_name)',
+        rule_set:
+          'string (optional) - Rule set name from config/domain-model-rules (default, strict)',
+      },
+    },
+    {
+      name: 'best-practice',
+      method: 'POST',
+      path: '/best-practice',
+      description: 'Get best practice recommendations',
+      parameters: {
+        scenario: 'string (required) - The scenario to get recommendations for',
+      },
+    },
+    {
+      name: 'status',
+      method: 'GET',
+      path: '/status',
+      description: 'Get server status and capabilities',
+    },
+    {
+      name: 'analytics',
+      method: 'GET',
+      path: '/analytics',
+      description: 'Get usage analytics and trends',
+      parameters: {
+        period: 'string (optional) - day, week, month, or all (default: all)',
+        include_trends: 'boolean (optional) - Include hourly/daily trends (default: true)',
+      },
+    },
+    ...listAnalyzers().map((analyzer) => ({
+      name: analyzer.route.slice(1),
+      method: 'POST',
+      path: analyzer.route,
+      description: analyzer.description.replace(/\s+/g, ' '),
+      parameters: describeParameters(analyzer),
+    })),
+    {
+      name: 'fix-theme',
+      method: 'POST',
+      path: '/fix-theme',
+      description: 'Mechanical theme fixes as a unified diff - preview first, then apply',
+      parameters: {
+        project_path: 'string (required) - Path to .mpr file or project directory',
+        apply: 'boolean (optional) - Write the previewed patch (default: false)',
+        patch_id: 'string (required to apply) - Patch id returned by the preview',
+        types: 'array (optional) - brand-colors, missing-files and/or exclusions',
+      },
+    },
+    {
+      name: 'design-tokens',
+      method: 'POST',
+      path: '/design-tokens',
+      description: 'Export theme variables as W3C design tokens, or import tokens into the theme',
+      parameters: {
+        project_path: 'string (required) - Path to .mpr file or project directory',
+        action: 'string (required) - export or import',
+        tokens: 'object (required for import) - W3C design tokens document',
+        write: 'boolean (optional) - import: write custom-variables.scss (default: false)',
+      },
+    },
+    {
+      name: 'beast-mode',
+      method: 'GET',
+      path: '/beast-mode',
+      description:
+        'Get the Beast Mode research protocol - the exact prompt for exhaustive Mendix research',
+      parameters: {
+        format:
+          'string (optional) - prompt (full), instructions (explanation), or brief (summary)',
+      },
+    },
+    {
+      name: 'dashboard',
+      method: 'GET',
+      path: '/dashboard',
+      description:
+        'Visual HTML dashboard showing usage analytics, tool usage, and popular topics',
+      parameters: {},
+    },
+  ];
+
+  res.json({
+    tools: tools.map((tool) => {
+      const scope = apiAuth.scopeFor(tool.method, tool.path);
+      return { ...tool, scope, authRequired: apiAuth.requiresKey(scope) };
+    }),
+    auth: {
+      mode: apiAuth.mode,
+      headers: ['X-API-Key: <key>', 'Authorization: Bearer <key>'],
+      scopes: SCOPES,
+    },
   });
 });
 
@@ -356,9 +547,9 @@ app.post('/query', async (req, res) => {
     // Use hybrid search if available, otherwise fall back to keyword search
     let results;
     if (hybridSearch) {
-      results = await hybridSearch.search(topic, { limit: 10 });
+      results = await hybridSearch.search(topic, { limit: 10, session: limitKey(req) });
     } else {
-      results = searchEngine.search(topic, { limit: 10 });
+      results = searchEngine.search(topic, { limit: 10, session: limitKey(req) });
     }
 
     // Format based on detail level
@@ -405,19 +596,29 @@ app.post('/search', async (req, res) => {
   try {
     await initialize();
 
-    const { query, limit = 10 } = req.body;
+    const { query, limit = 10, mendixVersion, filters } = req.body;
 
     if (!query) {
       return res.status(400).json({ error: 'query is required' });
     }
+    if (mendixVersion && !parseVersion(mendixVersion)) {
+      return res
+        .status(400)
+        .json({ error: `mendixVersion "${mendixVersion}" is not a Mendix version (e.g. 10.6)` });
+    }
+    try {
+      SearchFacets.normalizeFilters(filters);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     // Use hybrid search if available, otherwise fall back to keyword search
-    let results;
-    if (hybridSearch) {
-      results = await hybridSearch.search(query, { limit });
-    } else {
-      results = searchEngine.search(query, { limit });
-    }
+    // One search session per API key (or IP) - reformulations are learned per client
+    const options = { limit, mendixVersion, filters, session: limitKey(req) };
+    const faceted = hybridSearch
+      ? await hybridSearch.facetedSearch(query, options)
+      : searchEngine.facetedSearch(query, options);
+    const { results } = faceted;
 
     // Calculate answer quality to help GPT decide if beast mode is needed
     const topScore = results[0]?.fusedScore || results[0]?.score || 0;
@@ -456,7 +657,11 @@ app.post('/search', async (req, res) => {
 
     res.json({
       query,
+      ...(mendixVersion && { mendixVersion }),
+      ...(Object.keys(faceted.filters).length > 0 && { filters: faceted.filters }),
       resultCount: results.length,
+      totalMatches: faceted.total,
+      facets: faceted.facets,
       vectorSearchUsed: !!hybridSearch,
 
       // NEW: Quality assessment for GPT
@@ -476,10 +681,13 @@ app.post('/search', async (req, res) => {
         id: r.id,
         title: r.title || r.id,
         content: r.content,
+        file: r.file || null,
         category: r.category,
         matchType: r.matchType || 'keyword',
         score: r.fusedScore || r.score,
         source: r.source,
+        versionRange: r.versionRange || null,
+        deprecated: r.deprecated || null,
       })),
     });
   } catch (error) {
@@ -488,6 +696,45 @@ app.post('/search', async (req, res) => {
   }
 });
 
+/**
+ * Report a search result that answered the question
+ *
+ * Counts the entry as used and proposes the query words it lacks as expansions
+ * of its title (pending review). Searching alone never learns expansions.
+ */
+app.post('/search/used', async (req, res) => {
+  try {
+    await initialize();
+
+    const { entry_id, query } = req.body;
+    if (!entry_id || !query) {
+      return res.status(400).json({ error: 'entry_id and query are required' });
+    }
+
+    const doc = searchEngine.documents.get(entry_id);
+    if (!doc) {
+      return res.status(404).json({ error: `No knowledge entry with id ${entry_id}` });
+    }
+
+    await knowledgeManager.recordUsage(doc.file, entry_id);
+    const learned = await expansions.learnFromUsage(query, doc.entry);
+
+    res.json({
+      success: true,
+      entryId: entry_id,
+      proposedExpansions: learned.map(({ id, term, expansion, status }) => ({
+        id,
+        term,
+        expansion,
+        status,
+      })),
+    });
+  } catch (error) {
+    logger.error('Recording search result usage failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Analyze Mendix project
  * NOTE: This endpoint requires local filesystem access and is disabled in cloud mode.
@@ -512,7 +759,7 @@ app.post('/analyze', async (req, res) => {
   try {
     await initialize();
 
-    const { project_path, module_name } = req.body;
+    const { project_path, module_name, check_microflows = true, rules } = req.body;
 
     if (!project_path) {
       return res.status(400).json({ error: 'project_path is required' });
@@ -520,6 +767,13 @@ app.post('/analyze', async (req, res) => {
 
     const analysis = await projectLoader.loadProject(project_path);
 
+    let microflowAnalysis;
+    if (check_microflows) {
+      const { default: MicroflowAnalyzer } = await import('./analyzers/MicroflowAnalyzer.js');
+      const analyzer = new MicroflowAnalyzer({ knowledgeBase: knowledgeManager.knowledgeBase });
+      microflowAnalysis = analyzer.analyzeProject(analysis, { moduleName: module_name, rules });
+    }
+
     // Filter by module if specified
     let result = analysis;
     if (module_name && analysis.modules) {
@@ -531,6 +785,7 @@ app.post('/analyze', async (req, res) => {
     res.json({
       project_path,
       analysis: result,
+      microflowAnalysis,
     });
   } catch (error) {
     logger.error('Analysis failed', { error: error.message });
@@ -538,6 +793,68 @@ app.post('/analyze', async (req, res) => {
   }
 });
 
+/**
+ * Lint domain models against a rule set
+ * NOTE: Like /analyze, this needs local filesystem access and is disabled in cloud mode.
+ */
+app.post('/lint-domain-model', async (req, res) => {
+  const isCloudMode =
+    process.env.RAILWAY_ENVIRONMENT || process.env.RENDER || process.env.FLY_APP_NAME;
+
+  if (isCloudMode) {
+    return res.status(501).json({
+      error: 'Domain model linting requires local filesystem access',
+      message:
+        'This endpoint is only available when running the MCP server locally. ' +
+        'Use Claude Desktop, VS Code, or Cursor with the local MCP server to lint .mpr files.',
+      docs: 'https://jordnlvr.github.io/mendix-mcp-server/user-guide',
+    });
+  }
+
+  try {
+    await initialize();
+
+    const { project_path, module_name, entity_name, rule_set } = req.body;
+
+    if (!project_path) {
+      return res.status(400).json({ error: 'project_path is required' });
+    }
+    if (entity_name && !module_name) {
+      return res.status(400).json({ error: 'entity_name requires module_name' });
+    }
+
+    const { default: DomainModelLinter } = await import('./analyzers/DomainModelLinter.js');
+    let ruleSet;
+    try {
+      // Callers pick a shipped rule set by name; only the configured default may be a path
+      const configured = getConfig().get('lint.domainModel.ruleSet', 'default');
+      ruleSet = rule_set
+        ? await DomainModelLinter.loadRuleSet(rule_set, { allowPaths: false })
+        : await DomainModelLinter.loadRuleSet(configured);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const project = await projectLoader.loadProject(project_path);
+    const modules = module_name
+      ? [projectLoader.getModule(project_path, module_name)]
+      : project.modules;
+    if (entity_name) {
+      projectLoader.getEntity(project_path, module_name, entity_name);
+    }
+
+    const report = new DomainModelLinter(ruleSet).lint(modules, { entityName: entity_name });
+
+    res.json({
+      project_path,
+      ...report,
+    });
+  } catch (error) {
+    logger.error('Domain model lint failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Get best practice recommendations
  */
@@ -554,10 +871,16 @@ app.post('/best-practice', async (req, res) => {
     // Search for best practices - use hybrid if available, else keyword search
     let results = [];
     if (hybridSearch && vectorSearchAvailable) {
-      results = await hybridSearch.search(`best practice ${scenario}`, { limit: 5 });
+      results = await hybridSearch.search(`best practice ${scenario}`, {
+        limit: 5,
+        session: limitKey(req),
+      });
     } else {
       // Fallback to keyword search
-      results = searchEngine.search(`best practice ${scenario}`, { limit: 5 });
+      results = searchEngine.search(`best practice ${scenario}`, {
+        limit: 5,
+        session: limitKey(req),
+      });
     }
 
     // Also search the best-practices knowledge file specifically
@@ -930,37 +1253,19 @@ app.post('/knowledge-gap', async (req, res) => {
     // Track in analytics for future harvesting priority
     analytics.trackQuery(topic, 'gap');
 
-    // Log to harvest-log for manual review
-    const { default: fs } = await import('fs/promises');
-    const gapLogPath = join(__dirname, '..', 'knowledge', 'knowledge-gaps.json');
-
-    let gaps = [];
-    try {
-      const existing = await fs.readFile(gapLogPath, 'utf-8');
-      gaps = JSON.parse(existing);
-    } catch {
-      // File doesn't exist yet
-    }
-
-    gaps.push({
-      topic,
-      query: query || topic,
-      context: context || null,
-      timestamp: new Date().toISOString(),
-      addressed: false,
-    });
-
-    // Keep last 100 gaps
-    if (gaps.length > 100) {
-      gaps = gaps.slice(-100);
+    // Queue for research - merged with similar gaps and zero-result searches
+    const gap = await knowledgeGapQueue.record(topic, { source: 'report', query, context });
+    if (!gap) {
+      return res.status(400).json({ error: 'topic must be a short description (max 200 chars)' });
     }
-
-    await fs.writeFile(gapLogPath, JSON.stringify(gaps, null, 2));
+    const stats = await knowledgeGapQueue.getStats();
 
     res.json({
       success: true,
       message: `Knowledge gap "${topic}" recorded for future harvesting`,
-      totalGaps: gaps.filter((g) => !g.addressed).length,
+      gapId: gap.id,
+      reports: gap.count,
+      totalGaps: stats.open,
     });
   } catch (error) {
     logger.error('Knowledge gap tracking failed', { error: error.message });
@@ -1305,6 +1610,7 @@ app.post('/learn', learnLimiter, async (req, res) => {
     }
 
     const results = [];
+    const submissions = [];
     const errors = [];
 
     for (const entry of normalizedEntries) {
@@ -1356,6 +1662,24 @@ app.post('/learn', learnLimiter, async (req, res) => {
         continue;
       }
 
+      // Review mode - queue for a reviewer instead of publishing
+      if (moderationQueue.enabled) {
+        try {
+          const submission = await moderationQueue.submit(
+            entry,
+            provenanceOf(req, 'rest', relevance)
+          );
+          submissions.push({
+            title: entry.title,
+            submissionId: submission.id,
+            duplicates: submission.duplicates,
+          });
+        } catch (entryError) {
+          errors.push({ entry: entry.title, error: entryError.message });
+        }
+        continue;
+      }
+
       try {
         // Add to knowledge base (Supabase + auto-index to Pinecone)
         const result = await knowledgeManager.add(
@@ -1397,6 +1721,18 @@ app.post('/learn', learnLimiter, async (req, res) => {
       }
     }
 
+    // Queued for review - accepted, but not searchable yet
+    if (submissions.length > 0) {
+      return res.status(202).json({
+        success: errors.length === 0,
+        message: `Processed ${normalizedEntries.length} entries: ${submissions.length} submitted for review, ${errors.length} failed`,
+        submissions,
+        errors: errors.length > 0 ? errors : undefined,
+        searchableNow: false,
+        tip: 'Submitted entries become searchable once a reviewer approves them.',
+      });
+    }
+
     // Single entry response (backwards compatible)
     if (normalizedEntries.length === 1 && results.length === 1) {
       const r = results[0];
@@ -1431,55 +1767,294 @@ app.post('/learn', learnLimiter, async (req, res) => {
 });
 
 /**
- * Analyze theme - deep analysis of Mendix custom theme
- * NOTE: This endpoint requires local filesystem access and is disabled in cloud mode.
- * Use the MCP server locally (via Claude Desktop or VS Code) for theme analysis.
+ * Moderation - review knowledge queued by /learn when moderation.enabled is set
  */
-app.post('/analyze-theme', async (req, res) => {
-  // Cloud mode detection - Railway/cloud deployments can't access local files
+app.get('/moderation', async (req, res) => {
+  try {
+    await initialize();
+    const { status = 'pending', limit = '20' } = req.query;
+
+    res.json({
+      enabled: moderationQueue.enabled,
+      stats: await moderationQueue.getStats(),
+      submissions: await moderationQueue.list({ status, limit: parseInt(limit, 10) || 20 }),
+    });
+  } catch (error) {
+    logger.error('Moderation list failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/moderation/:id', async (req, res) => {
+  try {
+    await initialize();
+    res.json(await moderationQueue.get(req.params.id));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Moderation lookup failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reviewer actions: POST /moderation/:id/<action>
+const MODERATION_ACTIONS = {
+  approve: async (id, body, reviewer) => {
+    const { submission, result } = await moderationQueue.approve(id, {
+      reviewer,
+      note: body.note,
+      changes: body,
+    });
+    return { submission, knowledgeId: result.id, searchableNow: true };
+  },
+  edit: async (id, body, reviewer) => ({
+    submission: await moderationQueue.edit(id, body, { reviewer }),
+  }),
+  merge: async (id, body, reviewer) => {
+    const { submission } = await moderationQueue.merge(id, body.into, {
+      reviewer,
+      note: body.note,
+    });
+    return { submission, knowledgeId: submission.knowledgeId, searchableNow: true };
+  },
+  reject: async (id, body, reviewer) => ({
+    submission: await moderationQueue.reject(id, { reviewer, note: body.note }),
+  }),
+};
+
+app.post('/moderation/:id/:action', async (req, res) => {
+  const action = MODERATION_ACTIONS[req.params.action];
+  if (!action) {
+    return res.status(404).json({
+      error: `Unknown moderation action "${req.params.action}"`,
+      actions: Object.keys(MODERATION_ACTIONS),
+    });
+  }
+
+  try {
+    await initialize();
+    const reviewer = req.apiKey?.name || 'rest';
+    res.json({ success: true, ...(await action(req.params.id, req.body || {}, reviewer)) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Moderation action failed', { action: req.params.action, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Knowledge history - revisions of entries, diffs and rollback (RevisionLog)
+ */
+app.get('/knowledge/revisions', async (req, res) => {
+  try {
+    await initialize();
+    const { actor, action, since, limit = '20' } = req.query;
+
+    res.json({
+      revisions: await knowledgeManager.revisions.recent({
+        actor,
+        action,
+        since,
+        limit: parseInt(limit, 10) || 20,
+      }),
+    });
+  } catch (error) {
+    logger.error('Revision list failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/knowledge/:id/history', async (req, res) => {
+  try {
+    await initialize();
+    const revisions = await knowledgeManager.revisions.history(req.params.id);
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: `No revisions recorded for ${req.params.id}` });
+    }
+    res.json({ entryId: req.params.id, revisions });
+  } catch (error) {
+    logger.error('Knowledge history failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/knowledge/:id/diff', async (req, res) => {
+  try {
+    await initialize();
+    const { from = null, to = null } = req.query;
+    const result = await knowledgeManager.revisions.diff(req.params.id, from, to);
+
+    res.json({
+      entryId: req.params.id,
+      from: result.from?.revision ?? null,
+      to: result.to.revision,
+      diff: result.diff,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Knowledge diff failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/knowledge/:id/rollback', async (req, res) => {
+  const { revision, note } = req.body || {};
+  if (!Number.isInteger(revision) || revision < 1) {
+    return res.status(400).json({ error: 'revision (a revision number) is required' });
+  }
+
+  try {
+    await initialize();
+    const result = await knowledgeManager.rollback(req.params.id, revision, {
+      rolledBackBy: req.apiKey?.name || 'rest',
+      note,
+    });
+    await reindexKnowledge();
+    res.json(result);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Knowledge rollback failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Analyzers - POST /analyze-<id> for every registered analyzer (/analyze-theme, ...)
+ * NOTE: These endpoints need local filesystem access and are disabled in cloud mode.
+ * Use the MCP server locally (via Claude Desktop or VS Code) for project analysis.
+ */
+for (const analyzer of listAnalyzers()) {
+  app.post(analyzer.route, async (req, res) => {
+    // Cloud mode detection - Railway/cloud deployments can't access local files
+    const isCloudMode =
+      process.env.RAILWAY_ENVIRONMENT || process.env.RENDER || process.env.FLY_APP_NAME;
+
+    if (isCloudMode) {
+      return res.status(501).json({
+        error: `${analyzer.title} requires local filesystem access`,
+        message:
+          'This endpoint is only available when running the MCP server locally. ' +
+          'Use Claude Desktop, VS Code, or Cursor with the local MCP server to analyze projects.',
+        suggestion:
+          'For cloud users, try searching for best practices: /search with query "theme styling"',
+        docs: 'https://jordnlvr.github.io/mendix-mcp-server/user-guide',
+      });
+    }
+
+    try {
+      await initialize();
+
+      const report = await runAnalyzer(analyzer.id, req.body, { projectLoader });
+      res.json(toResponse(report, { detailed: req.body?.detailed !== false }));
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error(`${analyzer.title} failed`, { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
+
+/**
+ * Fix theme - mechanical ThemeAnalyzer fixes as a unified diff
+ * Without apply nothing is written; apply needs the patch_id of a preview.
+ * Like /analyze-theme this needs local filesystem access.
+ */
+app.post('/fix-theme', async (req, res) => {
   const isCloudMode =
     process.env.RAILWAY_ENVIRONMENT || process.env.RENDER || process.env.FLY_APP_NAME;
 
   if (isCloudMode) {
     return res.status(501).json({
-      error: 'Theme analysis requires local filesystem access',
-      message:
-        'This endpoint is only available when running the MCP server locally. ' +
-        'Use Claude Desktop, VS Code, or Cursor with the local MCP server to analyze themes.',
-      suggestion:
-        'For cloud users, try searching for theme best practices: /search with query "theme styling"',
-      docs: 'https://jordnlvr.github.io/mendix-mcp-server/user-guide',
+      error: 'Theme fixes require local filesystem access',
+      message: 'This endpoint is only available when running the MCP server locally.',
     });
   }
 
   try {
     await initialize();
 
-    const { project_path, detailed = true } = req.body;
+    const { project_path, apply = false, patch_id, types } = req.body;
 
     if (!project_path) {
       return res.status(400).json({ error: 'project_path is required' });
     }
 
-    // Dynamic import of ThemeAnalyzer
-    const { default: ThemeAnalyzer } = await import('./analyzers/ThemeAnalyzer.js');
-    const analyzer = new ThemeAnalyzer();
+    const { default: ThemeFixer } = await import('./analyzers/ThemeFixer.js');
+    const fixer = new ThemeFixer();
 
-    const results = await analyzer.analyze(project_path, { detailed });
+    const plan = apply
+      ? await fixer.apply(project_path, { id: patch_id, types })
+      : await fixer.plan(project_path, { types });
 
     res.json({
-      project_path,
-      scores: results.scores,
-      recommendations: {
-        critical: results.recommendations.critical,
-        important: results.recommendations.important,
-        suggestions: results.recommendations.suggestions,
-      },
-      summary: results.summary,
-      analysis: detailed ? results.analysis : undefined,
+      project_path: plan.projectPath,
+      patch_id: plan.id,
+      fixes: plan.fixes,
+      patch: plan.patch,
+      applied: plan.applied || [],
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Theme fix failed', { error: error.message });
+    // A stale or already applied patch id is a conflict, not a server error
+    const status = /since patch|already applied/.test(error.message) ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * Design tokens - W3C design tokens round trip for custom-variables.scss
+ * Import returns a diff preview unless write is set. Needs local filesystem access.
+ */
+app.post('/design-tokens', async (req, res) => {
+  const isCloudMode =
+    process.env.RAILWAY_ENVIRONMENT || process.env.RENDER || process.env.FLY_APP_NAME;
+
+  if (isCloudMode) {
+    return res.status(501).json({
+      error: 'Design tokens require local filesystem access',
+      message: 'This endpoint is only available when running the MCP server locally.',
     });
+  }
+
+  try {
+    await initialize();
+
+    const { project_path, action, tokens, write = false } = req.body;
+
+    if (!project_path) {
+      return res.status(400).json({ error: 'project_path is required' });
+    }
+    if (!['export', 'import'].includes(action)) {
+      return res.status(400).json({ error: 'action must be export or import' });
+    }
+    if (action === 'import' && (!tokens || typeof tokens !== 'object')) {
+      return res.status(400).json({ error: 'tokens (a design tokens object) is required to import' });
+    }
+
+    const { default: DesignTokens } = await import('./analyzers/DesignTokens.js');
+    const designTokens = new DesignTokens();
+
+    if (action === 'export') {
+      return res.json(await designTokens.exportTokens(project_path));
+    }
+    res.json(await designTokens.importTokens(project_path, tokens, { write }));
   } catch (error) {
-    logger.error('Theme analysis failed', { error: error.message });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Design tokens failed', { error: error.message });
     res.status(500).json({ error: error.message });
   }
 });
@@ -1629,6 +2204,8 @@ app.get('/openapi.json', (req, res) => {
       // Use https for ngrok/production, http for localhost
       const protocol = host.includes('ngrok') || host.includes('.app') ? 'https' : req.protocol;
       spec.servers = [{ url: `${protocol}://${host}`, description: 'Current server' }];
+      spec.paths = { ...spec.paths, ...openApiPaths() };
+      apiAuth.applyToSpec(spec);
 
       res.json(spec);
     })
@@ -1650,6 +2227,9 @@ app.get('/sse', async (req, res) => {
     name: 'mendix-expert',
     version: '3.5.4',
   });
+  // Each connection is its own search session
+  const transport = new SSEServerTransport('/message', res);
+  const session = `sse:${transport.sessionId}`;
 
   // Tool: Query Knowledge
   server.tool(
@@ -1662,7 +2242,7 @@ app.get('/sse', async (req, res) => {
     async ({ topic, detail_level = 'basic' }) => {
       const limit = detail_level === 'expert' ? 10 : (detail_level === 'detailed' ? 5 : 3);
       const searchType = hybridSearch ? 'hybrid (keyword + semantic)' : 'keyword only';
-      const results = hybridSearch ? await hybridSearch.search(topic, { limit }) : searchEngine.search(topic, { limit });
+      const results = hybridSearch ? await hybridSearch.search(topic, { limit, session }) : searchEngine.search(topic, { limit, session });
       const formatted = formatWithQualityAssessment(results, topic, searchType);
       return { content: [{ type: 'text', text: formatted.answer }], isError: false, _meta: formatted.metadata };
     }
@@ -1675,7 +2255,7 @@ app.get('/sse', async (req, res) => {
     { query: { type: 'string' }, limit: { type: 'number', default: 10 } },
     async ({ query, limit = 10 }) => {
       const searchType = hybridSearch ? 'hybrid (keyword + semantic)' : 'keyword only';
-      const results = hybridSearch ? await hybridSearch.search(query, { limit }) : searchEngine.search(query, { limit });
+      const results = hybridSearch ? await hybridSearch.search(query, { limit, session }) : searchEngine.search(query, { limit, session });
       const formatted = formatWithQualityAssessment(results, query, searchType);
       return { content: [{ type: 'text', text: formatted.answer }], isError: false, _meta: formatted.metadata };
     }
@@ -1687,6 +2267,13 @@ app.get('/sse', async (req, res) => {
     'Add new knowledge',
     { title: { type: 'string' }, content: { type: 'string' }, category: { type: 'string', default: 'general' } },
     async ({ title, content, category = 'general' }) => {
+      if (moderationQueue.enabled) {
+        const submission = await moderationQueue.submit(
+          { title, content, category, source: 'api-learned' },
+          provenanceOf(req, 'mcp-sse', checkRelevance(title, content))
+        );
+        return { content: [{ type: 'text', text: `Submitted for review: ${title} (submission ${submission.id})` }] };
+      }
       const result = await knowledgeManager.add(category, category, { title, content }, 'api-learned', { learnedFrom: 'mcp-sse' });
       return { content: [{ type: 'text', text: `Added: ${title} (ID: ${result.id})` }] };
     }
@@ -1697,7 +2284,6 @@ app.get('/sse', async (req, res) => {
     return { content: [{ type: 'text', text: JSON.stringify({ status: 'active', entries: knowledgeManager.getStats().totalEntries, mode: 'unified-rest-sse' }) }] };
   });
 
-  const transport = new SSEServerTransport('/message', res);
   await server.connect(transport);
 });
 
@@ -1728,14 +2314,25 @@ const server = app.listen(PORT, async () => {
 ║     GET  /harvest-status  - 🌾 Auto-harvest status & schedule     ║
 ║     POST /query           - Query knowledge base                  ║
 ║     POST /search          - Hybrid search                         ║
+║     POST /search/used     - Report a result that was used         ║
 ║     POST /analyze         - Analyze Mendix project                ║
+║     POST /lint-domain-model - Lint domain models                  ║
 ║     POST /analyze-theme   - Analyze Mendix theme (v2.0)           ║
+║     POST /fix-theme       - Preview/apply theme fix patch         ║
+║     POST /design-tokens   - Export/import W3C design tokens       ║
 ║     POST /best-practice   - Get recommendations                   ║
 ║     POST /harvest         - 🌾 Trigger manual harvest             ║
 ║     POST /knowledge-gap   - 📝 Report missing knowledge           ║
+║     GET  /moderation      - Review queued /learn entries          ║
+║     POST /moderation/:id/<action> - Approve/edit/merge/reject     ║
+║     GET  /knowledge/:id/history - Revisions of an entry           ║
+║     GET  /knowledge/:id/diff - Diff two revisions                 ║
+║     POST /knowledge/:id/rollback - Restore an entry revision      ║
+║     GET  /knowledge/revisions - Recent knowledge changes          ║
 ║                                                                   ║
 ║   NEW: Disk-cached embeddings for faster restarts 🚀              ║
 ║   NEW: Weekly auto-harvest via GitHub Actions 🌾                  ║
+║   NEW: API keys with scopes for write endpoints 🔑                ║
 ║                                                                   ║
 ╚═══════════════════════════════════════════════════════════════════╝
   `);
@@ -1748,6 +2345,14 @@ const server = app.listen(PORT, async () => {
     console.error('❌ Initialization failed:', error.message);
     console.log('⚠️  Server running with limited functionality');
   }
+
+  if (apiAuth.mode !== 'off') {
+    const keys = await apiAuth.listKeys().catch(() => []);
+    console.log(`🔑 API auth "${apiAuth.mode}": ${keys.length} key(s) in ${apiAuth.store.name}`);
+    if (keys.length === 0) {
+      console.log('⚠️  No API keys yet - create one with: npm run keys -- create --name=<client>');
+    }
+  }
 });
 
 // Keep server running
@@ -18,8 +18,7 @@ const __dirname = dirname(__filename);
 config({ path: join(__dirname, '..', '.env') });
 
 // Core components
-import KnowledgeManager from './core/KnowledgeManager.js';
-import SupabaseKnowledgeManager from './core/SupabaseKnowledgeManager.js';
+import { createKnowledgeManager } from './core/KnowledgeStorage.js';
 import SearchEngine from './core/SearchEngine.js';
 import HybridSearch from './vector/HybridSearch.js';
 import Logger from './utils/logger.js';
@@ -41,31 +40,26 @@ let hybridSearch;
 let analytics;
 let initialized = false;
 
-const useSupabase = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY;
-
 async function initialize() {
   if (initialized) return;
 
   logger.info('Initializing SSE MCP Server...');
 
-  if (useSupabase) {
-    logger.info('Using Supabase for knowledge storage');
-    knowledgeManager = new SupabaseKnowledgeManager();
-  } else {
-    logger.info('Using local JSON for knowledge storage');
-    knowledgeManager = new KnowledgeManager();
-  }
+  knowledgeManager = createKnowledgeManager();
+  logger.info('Knowledge storage', { storage: knowledgeManager.storage });
 
   await knowledgeManager.load();
 
-  searchEngine = new SearchEngine();
+  // The sqlite storage's FTS4 index adds stemmed matches to keyword search
+  const fullText = knowledgeManager.fullTextSearch?.bind(knowledgeManager);
+  searchEngine = new SearchEngine({ fullText });
   searchEngine.indexKnowledgeBase(knowledgeManager.knowledgeBase);
 
   try {
-    hybridSearch = new HybridSearch();
+    hybridSearch = new HybridSearch({ fullText });
     await hybridSearch.indexKnowledgeBase(knowledgeManager.knowledgeBase);
     
-    if (useSupabase && hybridSearch.getVectorStore()) {
+    if (knowledgeManager.setVectorStore && hybridSearch.getVectorStore()) {
       knowledgeManager.setVectorStore(hybridSearch.getVectorStore());
       logger.info('VectorStore attached for auto-indexing');
     }
@@ -82,7 +76,7 @@ async function initialize() {
   initialized = true;
   logger.info('SSE MCP Server initialized', {
     entries: knowledgeManager.getStats().totalEntries,
-    storage: useSupabase ? 'supabase' : 'json',
+    storage: knowledgeManager.storage,
   });
 }
 
@@ -91,7 +85,7 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     initialized,
-    storage: useSupabase ? 'supabase' : 'json',
+    storage: initialized ? knowledgeManager.storage : 'unknown',
     entries: initialized ? knowledgeManager.getStats().totalEntries : 0,
   });
 });
@@ -108,6 +102,10 @@ app.get('/sse', async (req, res) => {
     version: '3.5.4',
   });
 
+  // Create SSE transport - each connection is its own search session
+  const transport = new SSEServerTransport('/message', res);
+  const session = `sse:${transport.sessionId}`;
+
   // Register all MCP tools here (simplified version - you'd import from tools/)
   server.tool(
     'query_mendix_knowledge',
@@ -121,8 +119,8 @@ app.get('/sse', async (req, res) => {
       const searchType = hybridSearch ? 'hybrid (keyword + semantic)' : 'keyword only';
       
       const results = hybridSearch 
-        ? await hybridSearch.search(topic, { limit })
-        : searchEngine.search(topic, { limit });
+        ? await hybridSearch.search(topic, { limit, session })
+        : searchEngine.search(topic, { limit, session });
 
       // Format with source attribution
       const formatted = formatWithQualityAssessment(results, topic, searchType);
@@ -149,8 +147,8 @@ app.get('/sse', async (req, res) => {
       const searchType = hybridSearch ? 'hybrid (keyword + semantic)' : 'keyword only';
       
       const results = hybridSearch
-        ? await hybridSearch.search(query, { limit })
-        : searchEngine.search(query, { limit });
+        ? await hybridSearch.search(query, { limit, session })
+        : searchEngine.search(query, { limit, session });
 
       // Format with full source attribution and quality
       const formatted = formatWithQualityAssessment(results, query, searchType);
@@ -197,8 +195,6 @@ app.get('/sse', async (req, res) => {
     }
   );
 
-  // Create SSE transport
-  const transport = new SSEServerTransport('/message', res);
   await server.connect(transport);
   
   logger.info('MCP server connected via SSE');
@@ -0,0 +1,68 @@
+/**
+ * API Key Stores - Where the REST proxy keeps its API keys
+ *
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once when
+ * it is created (see ApiAuth). A record is:
+ *   { id, name, hash, scopes, rateLimit, createdAt, lastUsedAt, revokedAt }
+ *
+ * STORES:
+ * - file     - data/api-keys.json (auth.keysFile), shared by local server processes
+ * - supabase - the api_keys table (scripts/supabase-schema.sql); needs
+ *              SUPABASE_SERVICE_KEY because the table has no public policies
+ *
+ * @version 1.1.0
+ */
+
+import { getConfig } from '../utils/config.js';
+import { JsonRecordStore, SupabaseRecordStore, useSupabase } from './RecordStore.js';
+
+/**
+ * API keys in a local JSON file
+ */
+export class JsonApiKeyStore extends JsonRecordStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Keys file (default data/api-keys.json)
+   */
+  constructor(options = {}) {
+    super({
+      filePath: options.filePath || getConfig().get('auth.keysFile', 'data/api-keys.json'),
+      collection: 'keys',
+      label: 'API keys file',
+    });
+  }
+}
+
+/**
+ * API keys in the Supabase api_keys table
+ */
+export class SupabaseApiKeyStore extends SupabaseRecordStore {
+  constructor(options = {}) {
+    super({
+      ...options,
+      table: 'api_keys',
+      orderBy: 'created_at',
+      columns: {
+        id: 'id',
+        name: 'name',
+        hash: 'key_hash',
+        scopes: 'scopes',
+        rateLimit: 'rate_limit',
+        createdAt: 'created_at',
+        lastUsedAt: 'last_used_at',
+        revokedAt: 'revoked_at',
+      },
+    });
+  }
+}
+
+/**
+ * The store auth.store selects: "file", "supabase", or "auto" (Supabase when
+ * SUPABASE_URL and SUPABASE_SERVICE_KEY are set, otherwise the file)
+ */
+export function createApiKeyStore(options = {}) {
+  const setting = options.store || getConfig().get('auth.store', 'auto');
+  return useSupabase(setting) ? new SupabaseApiKeyStore(options) : new JsonApiKeyStore(options);
+}
+
+export default { JsonApiKeyStore, SupabaseApiKeyStore, createApiKeyStore };
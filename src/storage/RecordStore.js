@@ -0,0 +1,184 @@
+/**
+ * Record Stores - Small collections of records kept locally or in Supabase
+ *
+ * Both stores have the same interface, so a component picks one at startup:
+ *   list(where) -> records, find(id) -> record|null, add(record) -> record,
+ *   update(id, changes) -> record|null
+ * where is an optional { field: value } filter.
+ *
+ * Records use camelCase fields; SupabaseRecordStore maps them to the table's
+ * snake_case columns. Used by ApiKeyStore, the moderation queue and the revision log.
+ *
+ * @version 1.1.0
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import LockedJsonFile from '../utils/LockedJsonFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const SERVER_ROOT = path.resolve(__dirname, '../..');
+
+const FORMAT_VERSION = 1;
+
+/**
+ * Records in a local JSON file: { version, [collection]: [...] }
+ */
+export class JsonRecordStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file, relative to the server root or absolute
+   * @param {string} options.collection - Property holding the records
+   * @param {string} options.label - Name used in lock errors
+   */
+  constructor({ filePath, collection, label }) {
+    this.filePath = path.isAbsolute(filePath) ? filePath : path.join(SERVER_ROOT, filePath);
+    this.collection = collection;
+    this.file = new LockedJsonFile(this.filePath, { label });
+  }
+
+  get name() {
+    return `file (${this.filePath})`;
+  }
+
+  async list(where = {}) {
+    const data = await this.file.read();
+    const records = data?.[this.collection] || [];
+    const filters = Object.entries(where);
+    return filters.length === 0
+      ? records
+      : records.filter((record) => filters.every(([field, value]) => record[field] === value));
+  }
+
+  async find(id) {
+    return (await this.list()).find((record) => record.id === id) || null;
+  }
+
+  async add(record) {
+    return this.file.update((data) => ({
+      data: this.wrap([...(data?.[this.collection] || []), record]),
+      result: record,
+    }));
+  }
+
+  /**
+   * Merge changes into a record
+   * @returns {Promise<Object|null>} The updated record, null when there is no such record
+   */
+  async update(id, changes) {
+    return this.file.update((data) => {
+      const records = data?.[this.collection] || [];
+      const index = records.findIndex((record) => record.id === id);
+      if (index === -1) return { data: this.wrap(records), result: null };
+
+      records[index] = { ...records[index], ...changes };
+      return { data: this.wrap(records), result: records[index] };
+    });
+  }
+
+  wrap(records) {
+    return { version: FORMAT_VERSION, [this.collection]: records };
+  }
+}
+
+/**
+ * Records in a Supabase table, through the REST API
+ */
+export class SupabaseRecordStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.table - Table name
+   * @param {Object} options.columns - Record field -> column
+   * @param {string} options.orderBy - Column records are listed by
+   * @param {string} options.supabaseKey - Key with access to the table (default SUPABASE_SERVICE_KEY)
+   */
+  constructor({ table, columns, orderBy, supabaseUrl, supabaseKey }) {
+    this.table = table;
+    this.columns = columns;
+    this.orderBy = orderBy;
+    this.supabaseUrl = supabaseUrl || process.env.SUPABASE_URL;
+    this.supabaseKey = supabaseKey || process.env.SUPABASE_SERVICE_KEY;
+
+    if (!this.supabaseUrl || !this.supabaseKey) {
+      throw new Error(`The Supabase ${table} store needs SUPABASE_URL and SUPABASE_SERVICE_KEY`);
+    }
+  }
+
+  get name() {
+    return `supabase (${this.table})`;
+  }
+
+  async list(where = {}) {
+    const filters = Object.entries(this.toRow(where))
+      .map(([column, value]) => `&${column}=eq.${encodeURIComponent(value)}`)
+      .join('');
+    const rows = await this._request(`?select=*${filters}&order=${this.orderBy}.asc`);
+    return rows.map((row) => this.fromRow(row));
+  }
+
+  async find(id) {
+    const rows = await this._request(`?select=*&id=eq.${encodeURIComponent(id)}`);
+    return rows.length > 0 ? this.fromRow(rows[0]) : null;
+  }
+
+  async add(record) {
+    const [row] = await this._request('', 'POST', this.toRow(record));
+    return this.fromRow(row);
+  }
+
+  async update(id, changes) {
+    const rows = await this._request(
+      `?id=eq.${encodeURIComponent(id)}`,
+      'PATCH',
+      this.toRow(changes)
+    );
+    return rows.length > 0 ? this.fromRow(rows[0]) : null;
+  }
+
+  toRow(record) {
+    return Object.fromEntries(
+      Object.entries(record)
+        .filter(([field]) => this.columns[field])
+        .map(([field, value]) => [this.columns[field], value])
+    );
+  }
+
+  fromRow(row) {
+    return Object.fromEntries(
+      Object.entries(this.columns).map(([field, column]) => [field, row[column] ?? null])
+    );
+  }
+
+  async _request(query, method = 'GET', body = null) {
+    const response = await fetch(`${this.supabaseUrl}/rest/v1/${this.table}${query}`, {
+      method,
+      headers: {
+        apikey: this.supabaseKey,
+        Authorization: `Bearer ${this.supabaseKey}`,
+        'Content-Type': 'application/json',
+        Prefer: 'return=representation',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!response.ok) {
+      const detail = await response.text();
+      throw new Error(`Supabase ${this.table} request failed: ${response.status} ${detail}`);
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Whether a store setting ("file", "supabase" or "auto") means Supabase. "auto"
+ * uses Supabase when SUPABASE_URL and SUPABASE_SERVICE_KEY are set.
+ */
+export function useSupabase(setting) {
+  return (
+    setting === 'supabase' ||
+    (setting === 'auto' && Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY))
+  );
+}
+
+export default { JsonRecordStore, SupabaseRecordStore, useSupabase };
@@ -19,6 +19,14 @@ import Logger from '../utils/logger.js';
 
 const logger = new Logger('SupabaseStore');
 
+/**
+ * content_hash of an entry: MD5 of its normalized title and content
+ */
+export function contentHash(title, content) {
+  const normalized = `${title.toLowerCase().trim()}:${content.toLowerCase().trim()}`;
+  return crypto.createHash('md5').update(normalized).digest('hex');
+}
+
 class SupabaseKnowledgeStore {
   constructor(options = {}) {
     this.supabaseUrl = options.supabaseUrl || process.env.SUPABASE_URL;
@@ -125,8 +133,7 @@ class SupabaseKnowledgeStore {
    * Generate content hash for deduplication
    */
   _generateHash(title, content) {
-    const normalized = `${title.toLowerCase().trim()}:${content.toLowerCase().trim()}`;
-    return crypto.createHash('md5').update(normalized).digest('hex');
+    return contentHash(title, content);
   }
 
   /**
@@ -202,6 +209,7 @@ class SupabaseKnowledgeStore {
   /**
    * Add new knowledge entry
    * Automatically checks for duplicates via content hash
+   * An entry.id is kept (used to restore deleted entries), otherwise Supabase assigns one
    */
   async add(entry) {
     if (!this.initialized) await this.initialize();
@@ -229,6 +237,7 @@ class SupabaseKnowledgeStore {
 
       // Insert new entry
       const newEntry = {
+        ...(entry.id && { id: entry.id }),
         title: entry.title,
         content: entry.content,
         category: entry.category || 'general',
@@ -314,6 +323,28 @@ class SupabaseKnowledgeStore {
     }
   }
 
+  /**
+   * Delete an entry
+   */
+  async delete(id) {
+    if (!this.initialized) await this.initialize();
+
+    try {
+      const response = await this._fetch(`/knowledge?id=eq.${id}`, 'DELETE', null, {
+        Prefer: 'return=representation',
+      });
+
+      if (!response.ok) throw new Error(`Delete failed: ${response.status}`);
+
+      const deleted = await response.json();
+      logger.info('Knowledge deleted', { id, found: deleted.length > 0 });
+      return deleted.length > 0;
+    } catch (error) {
+      logger.error('Failed to delete knowledge', { id, error: error.message });
+      return false;
+    }
+  }
+
   /**
    * Get entry by ID
    */
@@ -0,0 +1,334 @@
+/**
+ * ApiAuth - API keys and scopes for the REST proxy
+ *
+ * Clients send a key as `X-API-Key: mxk_...` or `Authorization: Bearer mxk_...`.
+ * Every route needs one scope (ROUTE_SCOPES); auth.mode decides which routes need
+ * a key at all:
+ * - off   - no keys, everything open (the behaviour before keys existed)
+ * - write - write:* and admin:* routes need a key, read routes stay open (default)
+ * - all   - every route except /health, /tools and /openapi.json needs a key
+ *
+ * Routes missing from ROUTE_SCOPES need admin:server, so a new route is never
+ * open by accident. Keys carry their own requests-per-minute limit.
+ *
+ * @version 1.0.0
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { createApiKeyStore } from '../storage/ApiKeyStore.js';
+import { getConfig } from './config.js';
+import Logger from './logger.js';
+import { ValidationError } from './validator.js';
+
+export const MODES = ['off', 'write', 'all'];
+
+export const SCOPES = {
+  'read:search': 'Query and search the knowledge base, best practices, Beast Mode',
+  'read:stats': 'Server status, analytics, dashboard and harvest status',
+  'read:project': 'Analyze local Mendix projects and themes',
+  'write:project': 'Write theme fixes and design tokens into local projects',
+  'write:learn': 'Add knowledge, report knowledge gaps and used search results',
+  'admin:harvest': 'Trigger documentation harvests',
+  'admin:moderation': 'Review knowledge submitted for moderation and roll back entries',
+  'admin:mcp': 'MCP over SSE (all MCP tools)',
+  'admin:server': 'Routes without a listed scope',
+};
+
+// null = public, `*` at the end of a path = prefix
+export const ROUTE_SCOPES = {
+  'GET /health': null,
+  'GET /tools': null,
+  'GET /openapi.json': null,
+  'POST /query': 'read:search',
+  'POST /search': 'read:search',
+  'POST /best-practice': 'read:search',
+  'GET /beast-mode': 'read:search',
+  'GET /status': 'read:stats',
+  'GET /analytics': 'read:stats',
+  'GET /dashboard': 'read:stats',
+  'GET /harvest-status': 'read:stats',
+  'POST /analyze': 'read:project',
+  'POST /lint-domain-model': 'read:project',
+  'POST /analyze-*': 'read:project',
+  'POST /fix-theme': 'write:project',
+  'POST /design-tokens': 'write:project',
+  'POST /learn': 'write:learn',
+  'POST /knowledge-gap': 'write:learn',
+  'POST /search/used': 'write:learn',
+  'POST /harvest': 'admin:harvest',
+  'GET /moderation*': 'admin:moderation',
+  'POST /moderation/*': 'admin:moderation',
+  'GET /knowledge/*': 'read:search',
+  'POST /knowledge/*': 'admin:moderation',
+  'GET /sse': 'admin:mcp',
+  'POST /message': 'admin:mcp',
+};
+
+const FALLBACK_SCOPE = 'admin:server';
+const KEY_PATTERN = /^mxk_([0-9a-f]{12})_[A-Za-z0-9_-]{32}$/;
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * A new key: mxk_<id>_<secret>. The id finds the record, the hash checks the secret.
+ */
+export function generateApiKey() {
+  const id = randomBytes(6).toString('hex');
+  return { id, key: `mxk_${id}_${randomBytes(24).toString('base64url')}` };
+}
+
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Whether granted scopes cover a required one (`*` and `write:*` style wildcards)
+ */
+export function hasScope(granted, required) {
+  const [level] = required.split(':');
+  return granted.some((scope) => scope === '*' || scope === required || scope === `${level}:*`);
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ValidationError('At least one scope is required', 'scopes');
+  }
+  for (const scope of scopes) {
+    const [level, name] = scope.split(':');
+    const known =
+      scope === '*' ||
+      SCOPES[scope] ||
+      (name === '*' && Object.keys(SCOPES).some((s) => s.startsWith(`${level}:`)));
+    if (!known) {
+      throw new ValidationError(
+        `Unknown scope "${scope}". Use: ${Object.keys(SCOPES).join(', ')}, <level>:* or *`,
+        'scopes'
+      );
+    }
+  }
+}
+
+// Records without the hash, for listings and responses
+function publicRecord({ hash, ...record }) {
+  return record;
+}
+
+class ApiAuth {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - off, write or all (default auth.mode)
+   * @param {Object} options.store - Key store (default createApiKeyStore())
+   * @param {number} options.defaultRateLimit - Requests per minute for keys without their own
+   * @param {number} options.anonymousRateLimit - Requests per minute per IP without a key
+   * @param {number} options.cacheSeconds - How long verified keys are cached (revocation delay)
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('ApiAuth');
+    this.config = getConfig();
+
+    this.mode = options.mode || this.config.get('auth.mode', 'write');
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown auth mode "${this.mode}". Use: ${MODES.join(', ')}`);
+    }
+
+    this.store = options.store || createApiKeyStore();
+    this.defaultRateLimit =
+      options.defaultRateLimit ?? this.config.get('auth.defaultRateLimit', 100);
+    this.anonymousRateLimit =
+      options.anonymousRateLimit ?? this.config.get('auth.anonymousRateLimit', 100);
+    this.cacheMs = (options.cacheSeconds ?? this.config.get('auth.cacheSeconds', 30)) * 1000;
+
+    // id -> { record, expires }
+    this.cache = new Map();
+  }
+
+  /**
+   * Create a key. The key is only returned here; the store keeps its hash.
+   * @param {Object} options - { name, scopes, rateLimit }
+   * @returns {Promise<{ key: string, record: Object }>}
+   * @throws {ValidationError} For a missing name, unknown scopes or a bad rate limit
+   */
+  async createKey({ name, scopes, rateLimit = null }) {
+    if (!name || typeof name !== 'string') {
+      throw new ValidationError('A key name is required', 'name');
+    }
+    validateScopes(scopes);
+    if (rateLimit !== null && !(Number.isInteger(rateLimit) && rateLimit > 0)) {
+      throw new ValidationError('rateLimit must be a positive integer', 'rateLimit');
+    }
+
+    const { id, key } = generateApiKey();
+    const record = await this.store.add({
+      id,
+      name,
+      hash: hashApiKey(key),
+      scopes,
+      rateLimit,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null,
+    });
+
+    this.logger.info('API key created', { id, name, scopes });
+    return { key, record: publicRecord(record) };
+  }
+
+  async listKeys() {
+    return (await this.store.list()).map(publicRecord);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The revoked record, null when there is no such key
+   */
+  async revokeKey(id) {
+    const record = await this.store.update(id, { revokedAt: new Date().toISOString() });
+    this.cache.delete(id);
+    if (record) this.logger.info('API key revoked', { id, name: record.name });
+    return record && publicRecord(record);
+  }
+
+  /**
+   * The record of a valid, unrevoked key
+   * @returns {Promise<Object|null>}
+   */
+  async verify(key) {
+    const id = KEY_PATTERN.exec(key || '')?.[1];
+    if (!id) return null;
+
+    let cached = this.cache.get(id);
+    if (!cached || cached.expires < Date.now()) {
+      const record = await this.store.find(id);
+      if (!record) return null;
+      cached = { record, expires: Date.now() + this.cacheMs };
+      this.cache.set(id, cached);
+    }
+
+    const { record } = cached;
+    const hash = Buffer.from(hashApiKey(key), 'hex');
+    const stored = Buffer.from(record.hash || '', 'hex');
+    if (record.revokedAt || stored.length !== hash.length || !timingSafeEqual(stored, hash)) {
+      return null;
+    }
+
+    this.touch(record);
+    return publicRecord(record);
+  }
+
+  // Record lastUsedAt, at most every few minutes per key
+  touch(record) {
+    const now = Date.now();
+    if (record.lastUsedAt && now - Date.parse(record.lastUsedAt) < TOUCH_INTERVAL_MS) return;
+
+    record.lastUsedAt = new Date(now).toISOString();
+    this.store.update(record.id, { lastUsedAt: record.lastUsedAt }).catch((error) => {
+      this.logger.warn('Could not record API key use', { id: record.id, error: error.message });
+    });
+  }
+
+  /**
+   * Scope a route needs; null for public routes
+   */
+  scopeFor(method, path) {
+    const verb = method === 'HEAD' ? 'GET' : method;
+    const route = `${verb} ${path}`;
+    if (Object.hasOwn(ROUTE_SCOPES, route)) return ROUTE_SCOPES[route];
+
+    const prefix = Object.keys(ROUTE_SCOPES).find(
+      (pattern) => pattern.endsWith('*') && route.startsWith(pattern.slice(0, -1))
+    );
+    return prefix ? ROUTE_SCOPES[prefix] : FALLBACK_SCOPE;
+  }
+
+  /**
+   * Whether a key is needed for a scope in the current mode
+   */
+  requiresKey(scope) {
+    if (this.mode === 'off' || scope === null) return false;
+    return this.mode === 'all' || !scope.startsWith('read:');
+  }
+
+  /**
+   * Middleware: sets req.apiKey for a valid key. Doesn't reject - authorize() does,
+   * after the rate limiter has counted the request.
+   */
+  authenticate() {
+    return async (req, res, next) => {
+      if (this.mode === 'off') return next();
+
+      const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1];
+      const key = req.get('x-api-key') || bearer;
+      if (!key) return next();
+
+      try {
+        req.apiKey = await this.verify(key.trim());
+        if (!req.apiKey) req.authError = 'Invalid or revoked API key';
+        next();
+      } catch (error) {
+        this.logger.error('API key check failed', { error: error.message });
+        res.status(503).json({ error: 'API key check unavailable, try again later' });
+      }
+    };
+  }
+
+  /**
+   * Middleware: rejects requests without the scope of their route
+   */
+  authorize() {
+    return (req, res, next) => {
+      const scope = this.scopeFor(req.method, req.path);
+      if (!this.requiresKey(scope)) return next();
+
+      if (!req.apiKey) {
+        res.set('WWW-Authenticate', 'Bearer realm="mendix-expert"');
+        return res.status(401).json({
+          error: req.authError || 'API key required',
+          scope,
+          message: 'Send the key as X-API-Key or Authorization: Bearer <key>',
+        });
+      }
+      if (!hasScope(req.apiKey.scopes, scope)) {
+        return res.status(403).json({
+          error: `API key "${req.apiKey.name}" lacks scope ${scope}`,
+          scope,
+        });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Requests per minute for the rate limiter: the key's own limit, or per IP
+   */
+  rateLimitFor(req) {
+    if (req.apiKey) return req.apiKey.rateLimit || this.defaultRateLimit;
+    return this.anonymousRateLimit;
+  }
+
+  /**
+   * Set `security` of every OpenAPI operation for the current mode, and list the
+   * scopes in the API key scheme
+   */
+  applyToSpec(spec) {
+    const apiKeyScheme = spec.components?.securitySchemes?.ApiKeyAuth;
+    if (apiKeyScheme) {
+      apiKeyScheme.description =
+        'API key (mxk_...) created with npm run keys. Write and admin operations need a key ' +
+        `with the scope in x-required-scope: ${Object.keys(SCOPES).join(', ')} (or level:*, *).`;
+    }
+
+    for (const [path, operations] of Object.entries(spec.paths || {})) {
+      for (const [method, operation] of Object.entries(operations)) {
+        const scope = this.scopeFor(method.toUpperCase(), path);
+        if (this.requiresKey(scope)) {
+          operation.security = [{ ApiKeyAuth: [] }, { BearerAuth: [] }];
+          operation['x-required-scope'] = scope;
+        } else {
+          operation.security = [];
+          delete operation['x-required-scope'];
+        }
+      }
+    }
+    return spec;
+  }
+}
+
+export default ApiAuth;
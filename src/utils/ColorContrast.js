@@ -0,0 +1,169 @@
+/**
+ * ColorContrast - WCAG 2.x contrast math for theme colors
+ *
+ * Colors are { r, g, b, a }: channels 0-255, alpha 0-1. Translucent text is
+ * blended over its background before measuring, like a browser paints it.
+ * https://www.w3.org/TR/WCAG21/#dfn-contrast-ratio
+ */
+
+// Minimum contrast ratios; large text is 18pt, or 14pt bold
+export const WCAG_LEVELS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 },
+};
+
+const NAMED_COLORS = { white: '#ffffff', black: '#000000' };
+
+/**
+ * Parse "#264ae5", "#fff", "rgb(0, 0, 0)", "rgba(0, 0, 0, 0.5)", "white" or "black"
+ * @returns {{r: number, g: number, b: number, a: number}|null}
+ */
+export function parseColor(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  const named = NAMED_COLORS[text];
+  if (named) return parseColor(named);
+
+  const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? [...hex[1]].map((d) => d + d).join('') : hex[1];
+    const channels = digits.match(/../g).map((pair) => parseInt(pair, 16));
+    return {
+      r: channels[0],
+      g: channels[1],
+      b: channels[2],
+      a: channels.length === 4 ? Math.round((channels[3] / 255) * 100) / 100 : 1,
+    };
+  }
+
+  const rgb = text.match(
+    /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/
+  );
+  if (rgb) {
+    const [r, g, b] = rgb.slice(1, 4).map((c) => Math.min(255, Number(c)));
+    return { r, g, b, a: rgb[4] === undefined ? 1 : Math.min(1, Number(rgb[4])) };
+  }
+
+  return null;
+}
+
+/**
+ * "#rrggbb", or "#rrggbbaa" for translucent colors
+ */
+export function toHex({ r, g, b, a = 1 }) {
+  const channels = a < 1 ? [r, g, b, a * 255] : [r, g, b];
+  return `#${channels.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Sass mix(): `weight` (0-1) of the first color
+ */
+export function mix(first, second, weight = 0.5) {
+  const channel = (key) => first[key] * weight + second[key] * (1 - weight);
+  return { r: channel('r'), g: channel('g'), b: channel('b'), a: channel('a') };
+}
+
+/**
+ * Paint a (translucent) color over an opaque background
+ */
+export function blend(color, background) {
+  return { ...mix(color, background, color.a), a: 1 };
+}
+
+function toHsl({ r, g, b }) {
+  const [red, green, blue] = [r, g, b].map((c) => c / 255);
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === red) h = (green - blue) / d + (green < blue ? 6 : 0);
+  else if (max === green) h = (blue - red) / d + 2;
+  else h = (red - green) / d + 4;
+  return { h: h / 6, s, l };
+}
+
+function fromHsl({ h, s, l }, a = 1) {
+  if (s === 0) return { r: l * 255, g: l * 255, b: l * 255, a };
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = (t) => {
+    const x = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+    if (x < 1 / 6) return p + (q - p) * 6 * x;
+    if (x < 1 / 2) return q;
+    if (x < 2 / 3) return p + (q - p) * (2 / 3 - x) * 6;
+    return p;
+  };
+  return { r: channel(h + 1 / 3) * 255, g: channel(h) * 255, b: channel(h - 1 / 3) * 255, a };
+}
+
+/**
+ * Sass lighten()/darken(): shift HSL lightness by `amount` (0-1, negative darkens)
+ */
+export function adjustLightness(color, amount) {
+  const hsl = toHsl(color);
+  return fromHsl({ ...hsl, l: Math.min(1, Math.max(0, hsl.l + amount)) }, color.a);
+}
+
+/**
+ * WCAG relative luminance of an opaque color
+ */
+export function luminance({ r, g, b }) {
+  const [red, green, blue] = [r, g, b].map((c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+/**
+ * Contrast ratio (1-21) of text over a background. Not rounded - WCAG thresholds
+ * are exact, 4.499:1 fails AA.
+ */
+export function contrastRatio(foreground, background) {
+  const base = blend(background, { r: 255, g: 255, b: 255, a: 1 });
+  const text = blend(foreground, base);
+  const [light, dark] = [luminance(text), luminance(base)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Closest lighter or darker version of `color` that reaches `target` against
+ * `other` - the smallest lightness change wins
+ * @param {Object} color - Color to adjust
+ * @param {Object} other - Color it is measured against
+ * @param {number} target - Ratio to reach
+ * @param {Object} options - { background: true } when `color` is the background
+ * @returns {{color: Object, ratio: number}|null} null when neither black nor white suffices
+ */
+export function adjustForContrast(color, other, target, { background = false } = {}) {
+  const ratioOf = (candidate) =>
+    background ? contrastRatio(other, candidate) : contrastRatio(candidate, other);
+
+  for (let step = 0.01; step <= 1; step += 0.01) {
+    for (const amount of [-step, step]) {
+      // Measured on the hex value that will be suggested, so rounding can't undo it
+      const candidate = parseColor(toHex(adjustLightness(color, amount)));
+      const ratio = ratioOf(candidate);
+      if (ratio >= target) {
+        return { color: candidate, ratio };
+      }
+    }
+  }
+  return null;
+}
+
+export default {
+  WCAG_LEVELS,
+  parseColor,
+  toHex,
+  mix,
+  blend,
+  adjustLightness,
+  luminance,
+  contrastRatio,
+  adjustForContrast,
+};
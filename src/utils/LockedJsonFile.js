@@ -0,0 +1,106 @@
+/**
+ * LockedJsonFile - JSON state file shared by several server processes
+ *
+ * The stdio server, REST proxy and SSE server can run side by side on one
+ * knowledge folder. Changes go through update(), which re-reads the file under a
+ * lock file and writes it atomically (temp file + rename), so no process
+ * overwrites another one's changes.
+ */
+
+import { randomBytes } from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000;
+
+class LockedJsonFile {
+  /**
+   * @param {string} filePath - JSON file
+   * @param {Object} options
+   * @param {string} options.label - Name used in lock errors
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.label = options.label || path.basename(filePath);
+
+    // Serializes read-modify-write cycles within this process
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Current contents, or null when the file is missing or unreadable
+   */
+  async read() {
+    try {
+      return await fs.readJson(this.filePath);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Run a read-modify-write cycle: change(data) returns { data, result }, where
+   * data is written back. Serialized in this process and across processes.
+   */
+  async update(change) {
+    return this.withLock(async () => {
+      const { data, result } = await change(await this.read());
+      await this.write(data);
+      return result;
+    });
+  }
+
+  /**
+   * Run fn() holding the lock - for files that are not JSON but are shared the
+   * same way (e.g. the SQLite knowledge base). Serialized like update().
+   */
+  async withLock(fn) {
+    const run = async () => {
+      await this.acquireLock();
+      try {
+        return await fn();
+      } finally {
+        await fs.remove(this.lockPath).catch(() => {});
+      }
+    };
+
+    const next = this.pending.then(run, run);
+    this.pending = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Atomic write - readers never see a half-written file
+   */
+  async write(data) {
+    const tempPath = `${this.filePath}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+    await fs.outputJson(tempPath, data, { spaces: 2 });
+    await fs.move(tempPath, this.filePath, { overwrite: true });
+  }
+
+  async acquireLock() {
+    await fs.ensureDir(path.dirname(this.filePath));
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        await fs.writeFile(this.lockPath, String(process.pid), { flag: 'wx' });
+        return;
+      } catch {
+        // Take over locks left behind by a crashed process
+        const stat = await fs.stat(this.lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+          await fs.remove(this.lockPath).catch(() => {});
+        } else if (Date.now() > deadline) {
+          throw new Error(`${this.label} is locked: ${this.lockPath}`);
+        } else {
+          await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+      }
+    }
+  }
+}
+
+export default LockedJsonFile;
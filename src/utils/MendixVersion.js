@@ -0,0 +1,219 @@
+/**
+ * MendixVersion - Normalized Mendix version ranges for knowledge entries
+ *
+ * Knowledge files describe versions in many ways ("11.x", "10.24+", "mendix-10-11",
+ * ["10.24 (LTS)", "11.4.0"], "deprecated in 10.0"). getVersionRange() turns them into
+ * one shape that search can filter on:
+ *
+ *   mendix_version_range: { min: '10.24', max: '11', deprecated_in: null }
+ *
+ * Bounds are inclusive and compared component by component, so a max of '11'
+ * covers every 11.x release. Missing bounds mean "no known limit".
+ */
+
+// Mendix majors that exist - keeps package versions ("5.2.0") and years ("2025.1") out
+const MIN_MAJOR = 7;
+const MAX_MAJOR = 20;
+
+// Score factor for advice deprecated in the version searched for - still shown, further down
+export const DEPRECATED_PENALTY = 0.5;
+
+const VERSION = String.raw`(\d{1,2}(?:\.\d+){0,2})`;
+
+/**
+ * Parse "10.24.3" / "v11" / "11.x" into [10, 24, 3] / [11] / [11]
+ */
+export function parseVersion(value) {
+  const match = String(value ?? '').match(/(?<![\d.])(\d{1,2})(?:\.(\d+))?(?:\.(\d+))?(?!\d)/);
+  if (!match) return null;
+
+  const parts = match.slice(1).filter((p) => p !== undefined).map(Number);
+  if (parts[0] < MIN_MAJOR || parts[0] > MAX_MAJOR) return null;
+  return parts;
+}
+
+/**
+ * Compare two versions over the components both specify ('11' equals '11.5.0')
+ * @returns {number} negative, 0 or positive
+ */
+export function compareVersions(a, b) {
+  const left = Array.isArray(a) ? a : parseVersion(a);
+  const right = Array.isArray(b) ? b : parseVersion(b);
+  const length = Math.min(left.length, right.length);
+
+  for (let i = 0; i < length; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+/**
+ * Compare lower bounds - missing components count as 0 ('10' is below '10.24')
+ */
+function compareMin(a, b) {
+  const left = Array.isArray(a) ? a : parseVersion(a);
+  const right = Array.isArray(b) ? b : parseVersion(b);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+const format = (parts) => parts.join('.');
+
+/**
+ * Range described by one version string
+ */
+function parseRangeText(text) {
+  const value = String(text).toLowerCase();
+
+  // "mendix-10-11", "9.24 - 10.6", "10 to 11"
+  const between = value.match(new RegExp(`${VERSION}\\s*(?:-|–|to)\\s*${VERSION}`));
+  if (between && parseVersion(between[1]) && parseVersion(between[2])) {
+    return {
+      min: format(parseVersion(between[1])),
+      max: format(parseVersion(between[2])),
+    };
+  }
+
+  const parts = parseVersion(value);
+  if (!parts) return null;
+
+  // "11.x" - that major only; "10.24+", "Mendix 11", "Fixed in 11.5.0" - from there on
+  if (/\d\.x\b/.test(value)) {
+    return { min: format(parts), max: format(parts) };
+  }
+  return { min: format(parts), max: null };
+}
+
+const PRODUCT = String.raw`\s+(?:mendix\s+|studio\s*pro\s+)?v?`;
+const INTRODUCED = new RegExp(
+  String.raw`(?:introduced|available|added|new)\s+(?:in|since|from|as of)` + PRODUCT + VERSION,
+  'i'
+);
+const DEPRECATED = new RegExp(
+  String.raw`deprecated\s+(?:in|since|from|as of)` + PRODUCT + VERSION,
+  'i'
+);
+const REMOVED = new RegExp(String.raw`removed\s+(?:in|since|from|as of)` + PRODUCT + VERSION, 'i');
+
+function versionIn(text, pattern) {
+  const match = text.match(pattern);
+  const parts = match && parseVersion(match[1]);
+  return parts ? format(parts) : null;
+}
+
+/**
+ * Version range stated in prose - "introduced in Studio Pro 10.6",
+ * "deprecated since Mendix 9.24", "removed in 11.0"
+ * @returns {{min, max, deprecated_in}|null}
+ */
+export function findVersionRangeInText(text) {
+  if (typeof text !== 'string' || text.length === 0) return null;
+
+  const min = versionIn(text, INTRODUCED);
+  const deprecated_in = versionIn(text, DEPRECATED);
+  const removed = parseVersion(versionIn(text, REMOVED));
+
+  // Removed in 11.0 - last applies to 10.x; removed in 10.6 - to 10.5
+  let max = null;
+  if (removed) {
+    const last = removed.slice(0, 2);
+    max = last.length > 1 && last[1] > 0 ? `${last[0]}.${last[1] - 1}` : `${last[0] - 1}`;
+  }
+
+  if (!min && !max && !deprecated_in) return null;
+  return { min, max, deprecated_in };
+}
+
+/**
+ * Deprecation from an explicit field or the entry's own description
+ */
+function findDeprecation(entry) {
+  const explicit = entry.deprecated_in ?? entry.deprecatedIn ?? entry._metadata?.deprecated_in;
+  if (explicit) {
+    const parts = parseVersion(explicit);
+    return parts ? format(parts) : null;
+  }
+
+  const text = [entry.title, entry.description, entry.summary, entry.note]
+    .filter((t) => typeof t === 'string')
+    .join(' ');
+  return findVersionRangeInText(text)?.deprecated_in || null;
+}
+
+/**
+ * Normalized Mendix version range of a knowledge entry
+ * @param {Object} entry - Knowledge entry (any of the knowledge file formats)
+ * @returns {{min: string|null, max: string|null, deprecated_in: string|null}|null}
+ *   null when the entry says nothing about Mendix versions
+ */
+export function getVersionRange(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const stored = entry.mendix_version_range || entry._metadata?.mendix_version_range;
+  if (stored) return stored;
+
+  const deprecated_in = findDeprecation(entry);
+  const explicitMin = entry.min_version ?? entry.minVersion;
+  const explicitMax = entry.max_version ?? entry.maxVersion;
+
+  let range = null;
+  if (explicitMin || explicitMax) {
+    const min = parseVersion(explicitMin);
+    const max = parseVersion(explicitMax);
+    range = { min: min ? format(min) : null, max: max ? format(max) : null };
+  } else {
+    const declared = entry.mendix_version ?? entry._metadata?.mendix_version;
+    const list = entry.mendix_versions;
+
+    if (Array.isArray(list)) {
+      // Versions the advice was verified on - it still applies to later releases
+      const [min] = list
+        .map(parseRangeText)
+        .filter((r) => r?.min)
+        .map((r) => r.min)
+        .sort(compareMin);
+      range = min ? { min, max: null } : null;
+    } else if (declared || list) {
+      range = parseRangeText(declared || list);
+    } else if (typeof entry.version === 'string') {
+      // `version` is also used for package and revision numbers - parseVersion skips those
+      range = parseRangeText(entry.version);
+    }
+  }
+
+  if (!range && !deprecated_in) return null;
+  return { min: range?.min || null, max: range?.max || null, deprecated_in };
+}
+
+/**
+ * How an entry's range relates to the Mendix version a project is on
+ * @returns {{applies: boolean, deprecated: boolean, reason: string|null}}
+ */
+export function checkVersion(range, mendixVersion) {
+  const target = parseVersion(mendixVersion);
+  if (!range || !target) return { applies: true, deprecated: false, reason: null };
+
+  if (range.min && compareMin(target, range.min) < 0) {
+    return { applies: false, deprecated: false, reason: `Requires Mendix ${range.min}+` };
+  }
+  if (range.max && compareVersions(target, range.max) > 0) {
+    return { applies: false, deprecated: false, reason: `Only applies up to Mendix ${range.max}` };
+  }
+  if (range.deprecated_in && compareMin(target, range.deprecated_in) >= 0) {
+    const reason = `Deprecated since Mendix ${range.deprecated_in}`;
+    return { applies: true, deprecated: true, reason };
+  }
+  return { applies: true, deprecated: false, reason: null };
+}
+
+export default {
+  DEPRECATED_PENALTY,
+  parseVersion,
+  compareVersions,
+  getVersionRange,
+  findVersionRangeInText,
+  checkVersion,
+};
@@ -0,0 +1,492 @@
+/**
+ * NativeStyles - Read the JavaScript style files of a Mendix native theme
+ *
+ * Enough of JavaScript to follow theme/native/*.js, not an interpreter: imports,
+ * top-level `const` declarations and the expressions style objects are made of -
+ * object and array literals, strings, numbers, references (`brand.primary`),
+ * calls (`Platform.select({...})`), ternaries and arithmetic. Function bodies are
+ * skipped. Every node keeps its line so findings can point at it.
+ *
+ * Nodes: { type: 'object', properties: [{ key, value, line } | { spread, line }] },
+ *        { type: 'array', elements }, { type: 'string' | 'number' | 'literal', value },
+ *        { type: 'template', raw }, { type: 'reference', path }, { type: 'call', callee, args },
+ *        { type: 'conditional', test, consequent, alternate },
+ *        { type: 'expression', operator, operands }, { type: 'function' }
+ */
+
+const PUNCTUATORS = [
+  '...',
+  '===',
+  '!==',
+  '=>',
+  '==',
+  '!=',
+  '<=',
+  '>=',
+  '&&',
+  '||',
+  '??',
+  '?.',
+  '**',
+];
+const KEYWORD_LITERALS = { true: true, false: false, null: null, undefined };
+
+/**
+ * Tokens: { type: 'string' | 'template' | 'number' | 'name' | 'punct', value, line }
+ */
+export function tokenize(source) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (source.startsWith('//', i)) {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      line += (source.slice(i, stop).match(/\n/g) || []).length;
+      i = stop;
+    } else if (char === '"' || char === "'" || char === '`') {
+      const start = line;
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\') {
+          value += source[i + 1];
+          i += 2;
+          continue;
+        }
+        if (source[i] === '\n') line++;
+        value += source[i++];
+      }
+      i++;
+      tokens.push({ type: char === '`' ? 'template' : 'string', value, line: start });
+    } else if (/\d/.test(char) || (char === '.' && /\d/.test(source[i + 1]))) {
+      const number = source.slice(i).match(/^(0x[\da-f]+|\d*\.?\d+(e[+-]?\d+)?)/i)[0];
+      tokens.push({ type: 'number', value: Number(number), line });
+      i += number.length;
+    } else if (/[\w$]/.test(char)) {
+      const name = source.slice(i).match(/^[\w$]+/)[0];
+      tokens.push({ type: 'name', value: name, line });
+      i += name.length;
+    } else {
+      const punct = PUNCTUATORS.find((p) => source.startsWith(p, i)) || char;
+      tokens.push({ type: 'punct', value: punct, line });
+      i += punct.length;
+    }
+  }
+
+  return tokens;
+}
+
+// Binary operators by precedence, loosest first
+const BINARY_OPERATORS = [
+  ['??'],
+  ['||'],
+  ['&&'],
+  ['===', '!==', '==', '!='],
+  ['<', '>', '<=', '>='],
+  ['+', '-'],
+  ['*', '/', '%'],
+  ['**'],
+];
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  is(value, offset = 0) {
+    const token = this.peek(offset);
+    return (
+      Boolean(token) &&
+      (token.type === 'punct' || token.type === 'name') &&
+      token.value === value
+    );
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (!token || token.value !== value) {
+      throw this.error(token, `expected "${value}"`);
+    }
+    return token;
+  }
+
+  error(token, message) {
+    return token
+      ? new Error(`Unexpected "${token.value}" at line ${token.line}: ${message}`)
+      : new Error(`Unexpected end of file: ${message}`);
+  }
+
+  /**
+   * Skip a balanced (), [] or {} group starting at the current token
+   */
+  skipGroup() {
+    const pairs = { '(': ')', '[': ']', '{': '}' };
+    const stack = [];
+    do {
+      const token = this.next();
+      if (!token) throw this.error(token, 'unbalanced brackets');
+      if (token.type !== 'punct') continue;
+      if (pairs[token.value]) stack.push(pairs[token.value]);
+      else if (token.value === stack[stack.length - 1]) stack.pop();
+    } while (stack.length > 0);
+  }
+
+  parseModule() {
+    const imports = [];
+    const declarations = [];
+
+    while (this.peek()) {
+      const exported = this.is('export');
+      if (exported) {
+        this.next();
+        if (this.is('default')) {
+          this.next();
+          const line = this.peek()?.line;
+          declarations.push({ name: 'default', exported, value: this.parseExpression(), line });
+          continue;
+        }
+      }
+
+      if (this.is('import')) {
+        imports.push(this.parseImport());
+      } else if (['const', 'let', 'var'].some((keyword) => this.is(keyword))) {
+        this.next();
+        do {
+          const name = this.next();
+          if (name?.type !== 'name') {
+            // Destructuring - nothing a style could be read from
+            this.skipGroup();
+            this.expect('=');
+            this.parseExpression();
+            continue;
+          }
+          this.expect('=');
+          declarations.push({
+            name: name.value,
+            exported,
+            value: this.parseExpression(),
+            line: name.line,
+          });
+        } while (this.is(',') && this.next());
+      } else if (this.is('function') || this.is('async')) {
+        while (!this.is('{')) this.next();
+        this.skipGroup();
+      } else if (this.is('{')) {
+        // export { a, b } [from '...']
+        this.skipGroup();
+        if (this.is('from')) {
+          this.next();
+          this.next();
+        }
+      } else if (!this.is(';')) {
+        this.parseExpression();
+      }
+
+      if (this.is(';')) this.next();
+    }
+
+    return { imports, declarations };
+  }
+
+  parseImport() {
+    const line = this.expect('import').line;
+    const entry = { source: null, default: null, namespace: null, named: [], line };
+
+    while (this.peek() && this.peek().type !== 'string') {
+      const token = this.next();
+      if (token.value === '*') {
+        this.expect('as');
+        entry.namespace = this.next().value;
+      } else if (token.value === '{') {
+        while (!this.is('}')) {
+          const imported = this.next().value;
+          let local = imported;
+          if (this.is('as')) {
+            this.next();
+            local = this.next().value;
+          }
+          entry.named.push({ imported, local });
+          if (this.is(',')) this.next();
+        }
+        this.next();
+      } else if (token.type === 'name' && token.value !== 'from' && token.value !== 'type') {
+        entry.default = token.value;
+      }
+    }
+
+    entry.source = this.next()?.value ?? null;
+    return entry;
+  }
+
+  parseExpression() {
+    const test = this.parseBinary(0);
+    if (!this.is('?')) return test;
+
+    this.next();
+    const consequent = this.parseExpression();
+    this.expect(':');
+    const alternate = this.parseExpression();
+    return { type: 'conditional', test, consequent, alternate, line: test.line };
+  }
+
+  parseBinary(level) {
+    if (level === BINARY_OPERATORS.length) return this.parseUnary();
+
+    const operands = [this.parseBinary(level + 1)];
+    let operator = null;
+    while (this.peek()?.type === 'punct' && BINARY_OPERATORS[level].includes(this.peek().value)) {
+      operator = this.next().value;
+      operands.push(this.parseBinary(level + 1));
+    }
+    return operands.length === 1
+      ? operands[0]
+      : { type: 'expression', operator, operands, line: operands[0].line };
+  }
+
+  parseUnary() {
+    if (['-', '+', '!'].some((op) => this.is(op))) {
+      const { value, line } = this.next();
+      const operand = this.parseUnary();
+      if (value === '-' && operand.type === 'number') {
+        return { ...operand, value: -operand.value };
+      }
+      return { type: 'expression', operator: value, operands: [operand], line };
+    }
+    if (this.is('typeof') || this.is('new') || this.is('await')) this.next();
+    return this.parsePostfix(this.parsePrimary());
+  }
+
+  parsePostfix(node) {
+    let current = node;
+    for (;;) {
+      if (this.is('.') || this.is('?.')) {
+        this.next();
+        if (this.is('(')) continue;
+        const name = this.next().value;
+        current =
+          current.type === 'reference'
+            ? { ...current, path: `${current.path}.${name}` }
+            : { type: 'expression', operator: '.', operands: [current], line: current.line };
+      } else if (this.is('[')) {
+        this.next();
+        const property = this.parseExpression();
+        this.expect(']');
+        current =
+          current.type === 'reference' && property.type === 'string'
+            ? { ...current, path: `${current.path}.${property.value}` }
+            : {
+                type: 'expression',
+                operator: '[]',
+                operands: [current, property],
+                line: current.line,
+              };
+      } else if (this.is('(')) {
+        this.next();
+        const args = this.parseList(')');
+        const callee = current.type === 'reference' ? current.path : null;
+        current = { type: 'call', callee, args, line: current.line };
+      } else {
+        return current;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) throw this.error(token, 'expected a value');
+
+    if (token.type === 'string' || token.type === 'number') {
+      this.next();
+      return { type: token.type, value: token.value, line: token.line };
+    }
+    if (token.type === 'template') {
+      this.next();
+      return { type: 'template', raw: token.value, line: token.line };
+    }
+    if (this.isArrowFunction()) {
+      return this.parseArrowFunction();
+    }
+    if (token.value === '{') return this.parseObject();
+    if (token.value === '[') {
+      this.next();
+      return { type: 'array', elements: this.parseList(']'), line: token.line };
+    }
+    if (token.value === '(') {
+      this.next();
+      const inner = this.parseExpression();
+      this.expect(')');
+      return inner;
+    }
+    if (token.value === 'function') {
+      while (!this.is('{')) this.next();
+      this.skipGroup();
+      return { type: 'function', line: token.line };
+    }
+    if (token.type === 'name') {
+      this.next();
+      if (token.value in KEYWORD_LITERALS) {
+        return { type: 'literal', value: KEYWORD_LITERALS[token.value], line: token.line };
+      }
+      return { type: 'reference', path: token.value, line: token.line };
+    }
+    throw this.error(token, 'expected a value');
+  }
+
+  /**
+   * `x =>`, `(a, b) =>` or `async (...) =>` ahead?
+   */
+  isArrowFunction() {
+    let offset = this.is('async') ? 1 : 0;
+    if (this.peek(offset)?.type === 'name' && this.is('=>', offset + 1)) return true;
+    if (!this.is('(', offset)) return false;
+
+    let depth = 0;
+    for (; this.peek(offset); offset++) {
+      if (this.is('(', offset)) depth++;
+      else if (this.is(')', offset) && --depth === 0) return this.is('=>', offset + 1);
+    }
+    return false;
+  }
+
+  parseArrowFunction() {
+    const { line } = this.peek();
+    if (this.is('async')) this.next();
+    if (this.is('(')) this.skipGroup();
+    else this.next();
+    this.expect('=>');
+
+    if (this.is('{')) {
+      this.skipGroup();
+      return { type: 'function', line };
+    }
+    // `() => ({ ... })` - the returned value can be a style
+    return { type: 'function', body: this.parseExpression(), line };
+  }
+
+  parseObject() {
+    const { line } = this.expect('{');
+    const properties = [];
+
+    while (!this.is('}')) {
+      const token = this.peek();
+      if (this.is('...')) {
+        this.next();
+        properties.push({ spread: this.parseExpression(), line: token.line });
+      } else {
+        let key;
+        if (this.is('[')) {
+          this.next();
+          const computed = this.parseExpression();
+          this.expect(']');
+          key = computed.type === 'string' ? computed.value : null;
+        } else {
+          key = String(this.next().value);
+        }
+
+        if (this.is(':')) {
+          this.next();
+          properties.push({ key, value: this.parseExpression(), line: token.line });
+        } else if (this.is('(')) {
+          // Method shorthand
+          this.skipGroup();
+          this.skipGroup();
+          properties.push({ key, value: { type: 'function', line: token.line }, line: token.line });
+        } else {
+          // Shorthand `{ brand }`
+          const value = { type: 'reference', path: key, line: token.line };
+          properties.push({ key, value, line: token.line });
+        }
+      }
+
+      if (!this.is('}')) this.expect(',');
+    }
+
+    this.next();
+    return { type: 'object', properties, line };
+  }
+
+  parseList(closing) {
+    const items = [];
+    while (!this.is(closing)) {
+      if (this.is('...')) this.next();
+      items.push(this.parseExpression());
+      if (!this.is(closing)) this.expect(',');
+    }
+    this.next();
+    return items;
+  }
+}
+
+/**
+ * Parse a native style file
+ * @param {string} source - JavaScript source
+ * @returns {{imports: Array, declarations: Array<{name, exported, value, line}>}}
+ * @throws {Error} With the line number when the file uses syntax outside the subset
+ */
+export function parseStyleModule(source) {
+  return new Parser(source).parseModule();
+}
+
+/**
+ * Visit every value below `node`
+ * @param {Object} node - Parsed value
+ * @param {Function} visitor - (node, { key, path }) where key is the style property
+ *   the value belongs to and path the property path from the declaration
+ */
+export function walkStyles(node, visitor, context = { key: null, path: [] }) {
+  if (!node) return;
+  visitor(node, context);
+
+  const visit = (child, key = context.key, path = context.path) =>
+    walkStyles(child, visitor, { key, path });
+
+  switch (node.type) {
+    case 'object':
+      for (const property of node.properties) {
+        if (property.spread) visit(property.spread, null);
+        else visit(property.value, property.key, [...context.path, property.key]);
+      }
+      break;
+    case 'array':
+      node.elements.forEach((element) => visit(element));
+      break;
+    case 'call':
+      node.args.forEach((arg) => visit(arg));
+      break;
+    case 'conditional':
+      visit(node.test, null);
+      visit(node.consequent);
+      visit(node.alternate);
+      break;
+    case 'expression':
+      node.operands.forEach((operand) => visit(operand));
+      break;
+    case 'function':
+      visit(node.body);
+      break;
+    default:
+      break;
+  }
+}
+
+export default { tokenize, parseStyleModule, walkStyles };
@@ -0,0 +1,124 @@
+/**
+ * ScssVariables - Read SCSS variable definitions and resolve color values
+ *
+ * Enough of SCSS to follow a theme's variables, not a compiler: one-line
+ * `$name: value;` definitions, aliases (`$a: $b`) and the color functions Atlas
+ * uses for its palette - lighten(), darken(), mix() and rgba($color, alpha).
+ */
+
+import { adjustLightness, mix, parseColor } from './ColorContrast.js';
+
+/**
+ * `$name: value;` definitions of an SCSS file, one per line, with the comment
+ * on the line above (or behind) as description
+ * @returns {Map<string, {value: string, description: string|null}>}
+ */
+export function parseVariables(content) {
+  const variables = new Map();
+  let comment = null;
+
+  for (const line of (content || '').split('\n')) {
+    const trimmed = line.trim();
+    const definition = trimmed.match(
+      /^\$([\w-]+)\s*:\s*(.+?)\s*((?:!default|!global)\s*)*;\s*(?:\/\/\s*(.*))?$/
+    );
+
+    if (definition) {
+      const [, name, value, , trailing] = definition;
+      variables.set(name, { value, description: trailing?.trim() || comment });
+      comment = null;
+    } else if (trimmed.startsWith('//')) {
+      comment = trimmed.replace(/^\/\/+\s*/, '') || null;
+    } else {
+      comment = null;
+    }
+  }
+
+  return variables;
+}
+
+/**
+ * Split function arguments on top-level commas
+ */
+function splitArguments(text) {
+  const args = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === ',' && depth === 0) {
+      args.push(current.trim());
+      current = '';
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    current += char;
+  }
+  args.push(current.trim());
+  return args;
+}
+
+function percentage(value) {
+  const match = String(value).match(/^(-?[\d.]+)%$/);
+  return match ? Number(match[1]) / 100 : null;
+}
+
+/**
+ * Resolve an SCSS color expression
+ * @param {string} expression - "#fff", "$brand-primary", "mix($brand-primary, white, 20%)"
+ * @param {Function} lookup - name (without $) -> SCSS value, or undefined when unknown
+ * @param {Set<string>} used - Collects the variable names the value came from
+ * @returns {{r: number, g: number, b: number, a: number}|null} null when it can't be resolved
+ */
+export function resolveColor(expression, lookup, used = new Set()) {
+  // `chain` holds the variables being resolved, to stop at circular definitions
+  const resolve = (value, chain) => {
+    const text = String(value ?? '').trim();
+
+    const variable = text.match(/^\$([\w-]+)$/);
+    if (variable) {
+      const name = variable[1];
+      const definition = lookup(name);
+      if (chain.includes(name) || definition === undefined) return null;
+      used.add(name);
+      return resolve(definition, [...chain, name]);
+    }
+
+    const call = text.match(/^([\w-]+)\((.*)\)$/);
+    if (!call || call[1] === 'rgb') return parseColor(text);
+
+    const [name, body] = call.slice(1);
+    const args = splitArguments(body);
+    const color = (index) => resolve(args[index], chain);
+
+    switch (name) {
+      case 'lighten':
+      case 'darken': {
+        const base = color(0);
+        const amount = percentage(args[1]);
+        if (!base || amount === null) return null;
+        return adjustLightness(base, name === 'darken' ? -amount : amount);
+      }
+      case 'mix': {
+        const [first, second] = [color(0), color(1)];
+        const weight = args[2] === undefined ? 0.5 : percentage(args[2]);
+        if (!first || !second || weight === null) return null;
+        return mix(first, second, weight);
+      }
+      case 'rgba': {
+        // rgba($color, 0.5) - the four-number form is a plain color
+        if (args.length !== 2) return parseColor(text);
+        const base = color(0);
+        const alpha = Number(args[1]);
+        return base && !Number.isNaN(alpha) ? { ...base, a: alpha } : null;
+      }
+      default:
+        return null;
+    }
+  };
+
+  return resolve(expression, []);
+}
+
+export default { parseVariables, resolveColor };
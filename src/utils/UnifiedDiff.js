@@ -0,0 +1,126 @@
+/**
+ * Unified diff - line-based patches that `git apply` and `patch -p1` understand
+ */
+
+const NO_EOL = '\n\\ No newline at end of file';
+
+/**
+ * Lines of a text; a missing final newline is kept as a marker on the last line,
+ * so it shows up as a change of its own
+ */
+function splitLines(text) {
+  if (!text) return [];
+
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  else lines[lines.length - 1] += NO_EOL;
+  return lines;
+}
+
+/**
+ * Edit script between two line arrays: [{ op: ' ' | '-' | '+', line }]
+ * Common head and tail are skipped before building the LCS table, so small edits
+ * to large files stay cheap.
+ */
+export function diffLines(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (
+    endBefore > start &&
+    endAfter > start &&
+    before[endBefore - 1] === after[endAfter - 1]
+  ) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] =
+        a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = before.slice(0, start).map((line) => ({ op: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || table[i + 1][j] >= table[i][j + 1])) {
+      ops.push({ op: '-', line: a[i++] });
+    } else {
+      ops.push({ op: '+', line: b[j++] });
+    }
+  }
+  ops.push(...before.slice(endBefore).map((line) => ({ op: ' ', line })));
+
+  return ops;
+}
+
+/**
+ * Unified diff of one file
+ * @param {string} file - Path shown in the headers, relative to the patch root
+ * @param {string|null} before - Old content, null for a new file
+ * @param {string|null} after - New content, null for a deleted file
+ * @param {Object} options - { context } lines around each change (default 3)
+ * @returns {string} Patch text, empty when nothing changed
+ */
+export function createPatch(file, before, after, { context = 3 } = {}) {
+  if (before === after) return '';
+
+  const ops = diffLines(splitLines(before), splitLines(after));
+  const changed = ops.map((entry, index) => (entry.op === ' ' ? -1 : index)).filter((i) => i >= 0);
+
+  // Line numbers (0-based) before each op
+  const oldAt = [];
+  const newAt = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const { op } of ops) {
+    oldAt.push(oldLine);
+    newAt.push(newLine);
+    if (op !== '+') oldLine++;
+    if (op !== '-') newLine++;
+  }
+
+  // Group changes whose context overlaps into one hunk
+  const groups = [];
+  for (const index of changed) {
+    const last = groups[groups.length - 1];
+    if (last && index - last.end <= context * 2) last.end = index;
+    else groups.push({ start: index, end: index });
+  }
+
+  const header = [
+    `--- ${before === null ? '/dev/null' : `a/${file}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${file}`}`,
+  ];
+  const hunks = groups.map(({ start, end }) => {
+    const from = Math.max(0, start - context);
+    const slice = ops.slice(from, Math.min(ops.length, end + context + 1));
+    const oldCount = slice.filter((entry) => entry.op !== '+').length;
+    const newCount = slice.filter((entry) => entry.op !== '-').length;
+    const oldStart = oldCount === 0 ? oldAt[from] : oldAt[from] + 1;
+    const newStart = newCount === 0 ? newAt[from] : newAt[from] + 1;
+
+    return [
+      `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      ...slice.map(({ op, line }) => `${op}${line}`),
+    ].join('\n');
+  });
+
+  return `${[...header, ...hunks].join('\n')}\n`;
+}
+
+export default { createPatch, diffLines };
@@ -110,6 +110,9 @@ class Config {
     }
 
     // Knowledge settings
+    if (process.env.KNOWLEDGE_STORAGE) {
+      this.set('knowledge.storage', process.env.KNOWLEDGE_STORAGE.toLowerCase());
+    }
     if (process.env.AUTO_RESEARCH) {
       this.set('knowledge.autoResearch', process.env.AUTO_RESEARCH === 'true');
     }
@@ -117,6 +120,27 @@ class Config {
       this.set('knowledge.enableVersioning', process.env.ENABLE_VERSIONING === 'true');
     }
 
+    // Vector search
+    if (process.env.VECTOR_BACKEND) {
+      this.set('vector.backend', process.env.VECTOR_BACKEND.toLowerCase());
+    }
+    if (process.env.EMBEDDING_PROVIDER) {
+      this.set('embeddings.provider', process.env.EMBEDDING_PROVIDER.toLowerCase());
+    }
+    if (process.env.EMBEDDING_CACHE_MAX_MB) {
+      this.set('embeddings.cache.maxSizeMB', parseInt(process.env.EMBEDDING_CACHE_MAX_MB, 10));
+    }
+
+    // REST proxy API keys
+    if (process.env.API_AUTH_MODE) {
+      this.set('auth.mode', process.env.API_AUTH_MODE.toLowerCase());
+    }
+
+    // Review /learn submissions before they are published
+    if (process.env.MODERATION_ENABLED) {
+      this.set('moderation.enabled', process.env.MODERATION_ENABLED === 'true');
+    }
+
     // Logging
     if (process.env.LOG_LEVEL) {
       this.set('logging.level', process.env.LOG_LEVEL.toUpperCase());
@@ -148,9 +172,18 @@ class Config {
         maxResults: 10,
       },
       knowledge: {
+        storage: 'auto',
         autoResearch: true,
         enableVersioning: true,
       },
+      vector: {
+        backend: 'pinecone',
+        local: { path: './knowledge/vectors' },
+      },
+      embeddings: {
+        provider: 'auto',
+        providers: {},
+      },
       logging: {
         level: 'INFO',
       },
@@ -181,6 +214,12 @@ class Config {
       errors.push('Search max results must be between 1 and 100');
     }
 
+    // Validate vector backend
+    const vectorBackend = this.get('vector.backend');
+    if (vectorBackend && !['pinecone', 'local'].includes(vectorBackend)) {
+      errors.push('Vector backend must be "pinecone" or "local"');
+    }
+
     return {
       valid: errors.length === 0,
       errors,
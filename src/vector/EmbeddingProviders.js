@@ -0,0 +1,490 @@
+/**
+ * EmbeddingProviders - Registry of embedding providers for VectorStore
+ *
+ * BUILT-IN PROVIDERS:
+ * - azure-openai          - Azure OpenAI deployment (1536 dims)
+ * - openai                - OpenAI text-embedding-3-small (1536 dims)
+ * - local                 - TF-IDF fallback, no network (384 dims)
+ * - ollama                - Local Ollama server (/api/embed)
+ * - openai-compatible     - Any server exposing OpenAI's /v1/embeddings
+ * - sentence-transformers - HTTP stand-in speaking the text-embeddings-inference /embed API
+ *
+ * Select with `embeddings.provider` in config/default.json (or EMBEDDING_PROVIDER).
+ * "auto" keeps the original chain: azure-openai → openai → local.
+ * Per-provider settings live under `embeddings.providers.<name>`.
+ *
+ * Each provider reports its own dimension, batch size and rate limit. Vectors from
+ * different providers are not comparable, so VectorStore records the provider id
+ * with the index and refuses to mix them.
+ *
+ * @version 1.0.0
+ */
+
+import { getConfig } from '../utils/config.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('EmbeddingProviders');
+
+/**
+ * Base class - rate limiting and the embed()/embedBatch() contract
+ */
+export class EmbeddingProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.model = options.model || name;
+    this.dimension = options.dimension || null;
+    this.batchSize = options.batchSize || 16;
+    this.rateLimit = {
+      requestsPerMinute: options.requestsPerMinute || 0, // 0 = unlimited
+      maxRetries: options.maxRetries ?? 3,
+    };
+    this.lastRequestAt = 0;
+    // Same text + model always gives the same vector, so EmbeddingStore may keep it
+    this.cacheable = options.cacheable ?? true;
+  }
+
+  /**
+   * Identity stored with an index - vectors are only comparable within one id
+   */
+  get id() {
+    return `${this.name}/${this.model}@${this.dimension}`;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Describe provider capabilities for status output
+   */
+  describe() {
+    return {
+      name: this.name,
+      model: this.model,
+      dimension: this.dimension,
+      batchSize: this.batchSize,
+      rateLimit: this.rateLimit,
+    };
+  }
+
+  /**
+   * Generate embedding for single text
+   */
+  async embed(text) {
+    const embeddings = await this.embedBatch([text]);
+    return embeddings[0];
+  }
+
+  // Only the local TF-IDF provider needs a vocabulary
+  buildVocabulary() {}
+
+  /**
+   * Wait long enough to respect requestsPerMinute
+   */
+  async throttle() {
+    const { requestsPerMinute } = this.rateLimit;
+    if (!requestsPerMinute) return;
+
+    const minInterval = 60000 / requestsPerMinute;
+    const wait = this.lastRequestAt + minInterval - Date.now();
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+    this.lastRequestAt = Date.now();
+  }
+
+  /**
+   * POST JSON with throttling and retry on 429 / 5xx
+   */
+  async postJson(url, body, headers = {}) {
+    for (let attempt = 1; ; attempt++) {
+      await this.throttle();
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+      });
+
+      if (response.ok) {
+        return response.json();
+      }
+
+      const retryable = response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= this.rateLimit.maxRetries) {
+        const error = await response.text();
+        throw new Error(`${this.name} embedding API error: ${response.status} - ${error}`);
+      }
+
+      const retryAfter = Number(response.headers.get('retry-after')) * 1000;
+      const delay = retryAfter || 1000 * Math.pow(2, attempt - 1);
+      logger.warn(`${this.name} embedding request failed, retry ${attempt}`, {
+        status: response.status,
+        delay,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Learn the dimension from the first response when it was not configured
+   */
+  checkDimension(embeddings) {
+    const dimension = embeddings[0]?.length;
+    if (!dimension) return embeddings;
+
+    if (!this.dimension) {
+      this.dimension = dimension;
+    } else if (this.dimension !== dimension) {
+      throw new Error(
+        `${this.name} returned ${dimension}-dim vectors but is configured for ${this.dimension}`
+      );
+    }
+    return embeddings;
+  }
+}
+
+/**
+ * Azure OpenAI Embeddings - High quality semantic embeddings via Azure
+ * Configure with: AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_EMBEDDING_DEPLOYMENT
+ */
+export class AzureOpenAIEmbedder extends EmbeddingProvider {
+  constructor(options = {}) {
+    const deploymentName =
+      process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || options.deployment || 'text-embedding-ada-002';
+    super('azure-openai', {
+      dimension: 1536, // text-embedding-ada-002 dimension
+      batchSize: 16, // Azure has lower batch limits
+      ...options,
+      model: deploymentName,
+    });
+    this.apiKey = process.env.AZURE_OPENAI_API_KEY;
+    this.endpoint = process.env.AZURE_OPENAI_ENDPOINT || options.endpoint;
+    this.deploymentName = deploymentName;
+    this.apiVersion = process.env.AZURE_OPENAI_API_VERSION || options.apiVersion || '2024-02-01';
+  }
+
+  isAvailable() {
+    return !!this.apiKey && !!this.endpoint;
+  }
+
+  /**
+   * Generate embeddings for a batch of texts
+   */
+  async embedBatch(texts) {
+    if (!this.isAvailable()) {
+      throw new Error('Azure OpenAI not configured');
+    }
+
+    const url = `${this.endpoint}/openai/deployments/${this.deploymentName}/embeddings?api-version=${this.apiVersion}`;
+    const data = await this.postJson(url, { input: texts }, { 'api-key': this.apiKey });
+    return this.checkDimension(data.data.map((item) => item.embedding));
+  }
+}
+
+/**
+ * OpenAI-compatible Embeddings - any server exposing POST {baseUrl}/embeddings
+ * Used directly for OpenAI and for self-hosted servers (vLLM, LocalAI, LM Studio, ...)
+ */
+export class OpenAICompatibleEmbedder extends EmbeddingProvider {
+  constructor(name = 'openai-compatible', options = {}) {
+    super(name, { batchSize: 32, ...options });
+    this.baseUrl = (options.baseUrl || 'http://localhost:8080/v1').replace(/\/$/, '');
+    this.apiKey = options.apiKeyEnv ? process.env[options.apiKeyEnv] : options.apiKey;
+    this.requiresApiKey = options.requiresApiKey ?? false;
+  }
+
+  isAvailable() {
+    return !this.requiresApiKey || !!this.apiKey;
+  }
+
+  /**
+   * Generate embeddings for a batch of texts
+   */
+  async embedBatch(texts) {
+    if (!this.isAvailable()) {
+      throw new Error(`${this.name} API key not configured`);
+    }
+
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const data = await this.postJson(
+      `${this.baseUrl}/embeddings`,
+      { model: this.model, input: texts },
+      headers
+    );
+
+    // Servers may return items out of order - sort by index when present
+    const items = [...data.data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+    return this.checkDimension(items.map((item) => item.embedding));
+  }
+}
+
+/**
+ * OpenAI Embeddings - High quality semantic embeddings
+ * Configure with: OPENAI_API_KEY
+ */
+export class OpenAIEmbedder extends OpenAICompatibleEmbedder {
+  constructor(options = {}) {
+    super('openai', {
+      dimension: 1536, // text-embedding-3-small dimension
+      batchSize: 50,
+      ...options,
+      model: process.env.OPENAI_EMBEDDING_MODEL || options.model || 'text-embedding-3-small',
+      baseUrl: 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      requiresApiKey: true,
+    });
+  }
+}
+
+/**
+ * Ollama Embeddings - local models served by Ollama (POST /api/embed)
+ */
+export class OllamaEmbedder extends EmbeddingProvider {
+  constructor(options = {}) {
+    super('ollama', { model: 'nomic-embed-text', batchSize: 16, ...options });
+    this.baseUrl = (process.env.OLLAMA_HOST || options.baseUrl || 'http://localhost:11434').replace(
+      /\/$/,
+      ''
+    );
+  }
+
+  /**
+   * Generate embeddings for a batch of texts
+   */
+  async embedBatch(texts) {
+    const data = await this.postJson(`${this.baseUrl}/api/embed`, {
+      model: this.model,
+      input: texts,
+    });
+    return this.checkDimension(data.embeddings);
+  }
+}
+
+/**
+ * Sentence-transformers stand-in - any HTTP server speaking the
+ * text-embeddings-inference API: POST /embed { inputs: [...] } → [[...], ...]
+ */
+export class SentenceTransformersEmbedder extends EmbeddingProvider {
+  constructor(options = {}) {
+    super('sentence-transformers', {
+      model: 'all-MiniLM-L6-v2',
+      dimension: 384,
+      batchSize: 32,
+      ...options,
+    });
+    this.baseUrl = (options.baseUrl || 'http://localhost:8000').replace(/\/$/, '');
+  }
+
+  /**
+   * Generate embeddings for a batch of texts
+   */
+  async embedBatch(texts) {
+    const data = await this.postJson(`${this.baseUrl}/embed`, { inputs: texts });
+    return this.checkDimension(Array.isArray(data) ? data : data.embeddings);
+  }
+}
+
+/**
+ * Local TF-IDF Embeddings - Free fallback
+ */
+export class LocalEmbedder extends EmbeddingProvider {
+  constructor(options = {}) {
+    super('local', {
+      model: 'tf-idf',
+      dimension: 384, // Standard small embedding size
+      batchSize: 100,
+      ...options,
+    });
+    this.vocabulary = new Map();
+    this.idf = new Map();
+    this.docCount = 0;
+    // Vectors depend on the fitted vocabulary, not just the text
+    this.cacheable = false;
+  }
+
+  /**
+   * Build vocabulary from all documents
+   */
+  buildVocabulary(documents) {
+    const docFreq = new Map();
+    this.docCount = documents.length;
+    this.vocabulary = new Map();
+    this.idf = new Map();
+
+    // Count document frequencies
+    for (const doc of documents) {
+      const terms = this.tokenize(doc.content || doc.text || '');
+      const uniqueTerms = new Set(terms);
+
+      for (const term of uniqueTerms) {
+        docFreq.set(term, (docFreq.get(term) || 0) + 1);
+      }
+    }
+
+    // Calculate IDF and build vocabulary (top terms by document frequency)
+    const sortedTerms = [...docFreq.entries()].sort((a, b) => b[1] - a[1]).slice(0, this.dimension);
+
+    let idx = 0;
+    for (const [term, freq] of sortedTerms) {
+      this.vocabulary.set(term, idx++);
+      this.idf.set(term, Math.log(this.docCount / (freq + 1)) + 1);
+    }
+
+    logger.info('Vocabulary built', {
+      terms: this.vocabulary.size,
+      documents: this.docCount,
+    });
+  }
+
+  /**
+   * Tokenize text into terms
+   */
+  tokenize(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter((t) => t.length > 2)
+      .map((t) => this.stem(t));
+  }
+
+  /**
+   * Simple Porter-like stemmer
+   */
+  stem(word) {
+    return word
+      .replace(/ing$/, '')
+      .replace(/tion$/, 't')
+      .replace(/ies$/, 'y')
+      .replace(/es$/, '')
+      .replace(/s$/, '');
+  }
+
+  /**
+   * Generate embedding vector for text
+   */
+  embed(text) {
+    const terms = this.tokenize(text);
+    const vector = new Array(this.dimension).fill(0);
+    const termFreq = new Map();
+
+    // Count term frequencies
+    for (const term of terms) {
+      termFreq.set(term, (termFreq.get(term) || 0) + 1);
+    }
+
+    // Build TF-IDF vector
+    for (const [term, tf] of termFreq) {
+      const idx = this.vocabulary.get(term);
+      if (idx !== undefined) {
+        const idf = this.idf.get(term) || 1;
+        vector[idx] = tf * idf;
+      }
+    }
+
+    // Normalize to unit vector
+    const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    if (magnitude > 0) {
+      for (let i = 0; i < vector.length; i++) {
+        vector[i] /= magnitude;
+      }
+    }
+
+    return vector;
+  }
+
+  async embedBatch(texts) {
+    return texts.map((text) => this.embed(text));
+  }
+
+  /**
+   * Export vocabulary so vectors stay comparable after a restart
+   */
+  exportState() {
+    return {
+      dimension: this.dimension,
+      docCount: this.docCount,
+      vocabulary: [...this.vocabulary.entries()],
+      idf: [...this.idf.entries()],
+    };
+  }
+
+  /**
+   * Restore vocabulary saved with exportState()
+   */
+  importState(state) {
+    if (!state?.vocabulary) return;
+    this.docCount = state.docCount || 0;
+    this.vocabulary = new Map(state.vocabulary);
+    this.idf = new Map(state.idf || []);
+  }
+}
+
+const registry = new Map();
+
+/**
+ * Register an embedding provider factory
+ * @param {string} name - Name used in config (embeddings.provider)
+ * @param {Function} factory - (options) => EmbeddingProvider
+ */
+export function registerEmbeddingProvider(name, factory) {
+  registry.set(name, factory);
+}
+
+/**
+ * Names of all registered providers
+ */
+export function listEmbeddingProviders() {
+  return [...registry.keys()];
+}
+
+/**
+ * Create a provider by name, merging options from embeddings.providers.<name>
+ */
+export function createEmbeddingProvider(name, options = {}) {
+  const factory = registry.get(name);
+  if (!factory) {
+    throw new Error(
+      `Unknown embedding provider "${name}". Registered: ${listEmbeddingProviders().join(', ')}`
+    );
+  }
+
+  const configured = getConfig().get(`embeddings.providers.${name}`, {}) || {};
+  return factory({ ...configured, ...options });
+}
+
+/**
+ * Resolve the configured provider ("auto" = azure-openai → openai → local)
+ */
+export function resolveEmbeddingProvider(name = null) {
+  const selected = name || getConfig().get('embeddings.provider', 'auto');
+
+  if (selected !== 'auto') {
+    const provider = createEmbeddingProvider(selected);
+    if (!provider.isAvailable()) {
+      throw new Error(`Embedding provider "${selected}" is not configured`);
+    }
+    return provider;
+  }
+
+  for (const candidate of ['azure-openai', 'openai']) {
+    const provider = createEmbeddingProvider(candidate);
+    if (provider.isAvailable()) return provider;
+  }
+
+  return createEmbeddingProvider('local');
+}
+
+registerEmbeddingProvider('azure-openai', (options) => new AzureOpenAIEmbedder(options));
+registerEmbeddingProvider('openai', (options) => new OpenAIEmbedder(options));
+registerEmbeddingProvider('local', (options) => new LocalEmbedder(options));
+registerEmbeddingProvider('ollama', (options) => new OllamaEmbedder(options));
+registerEmbeddingProvider(
+  'openai-compatible',
+  (options) => new OpenAICompatibleEmbedder('openai-compatible', options)
+);
+registerEmbeddingProvider(
+  'sentence-transformers',
+  (options) => new SentenceTransformersEmbedder(options)
+);
@@ -0,0 +1,251 @@
+/**
+ * EmbeddingStore - Content-addressed on-disk embedding cache
+ *
+ * Shared by every process that embeds text (stdio server, rest-proxy.js,
+ * sse-server.js, reindex script), so the same query or document is only ever
+ * sent to the embedding provider once.
+ *
+ * LAYOUT (config: embeddings.cache.path, default data/embeddings):
+ *   <provider>/<model>/<ab>/<sha256 of text>.f32   - raw Float32 vector
+ *
+ * CONCURRENCY:
+ * - Entries are immutable and written to a temp file, then renamed (atomic)
+ * - A hit touches the file's mtime, which is the LRU order
+ * - Eviction down to embeddings.cache.maxSizeMB runs in one process at a time
+ *   (lock file); an entry evicted under a reader is just a miss
+ *
+ * Providers whose vectors depend on more than the text (local TF-IDF) set
+ * `cacheable = false` and are never stored.
+ *
+ * @version 1.0.0
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('EmbeddingStore');
+
+const LOCK_FILE = '.evict.lock';
+const STALE_LOCK_MS = 60000;
+const STALE_TEMP_MS = 10 * 60000;
+
+/**
+ * Directory-safe name - "text-embedding-3-small" stays, "org/model:tag" → "org_model_tag"
+ */
+function slug(value) {
+  return String(value || 'default')
+    .replace(/[^\w.-]/g, '_')
+    .replace(/^\./, '_');
+}
+
+export default class EmbeddingStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Root directory of the store
+   * @param {number} options.maxSizeMB - Size limit, least recently used entries are evicted first
+   * @param {number} options.evictEvery - Check the size limit after this many writes
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.maxBytes = (options.maxSizeMB ?? 200) * 1024 * 1024;
+    this.evictEvery = options.evictEvery || 100;
+    this.writesSinceEviction = 0;
+    this.stats = { hits: 0, misses: 0, writes: 0, evicted: 0 };
+  }
+
+  static textHash(text) {
+    return createHash('sha256').update(text, 'utf8').digest('hex');
+  }
+
+  /**
+   * File of one embedding - keyed by provider, model and text hash
+   */
+  entryPath(provider, text) {
+    const hash = EmbeddingStore.textHash(text);
+    return path.join(
+      this.dir,
+      slug(provider.name),
+      slug(provider.model),
+      hash.slice(0, 2),
+      `${hash}.f32`
+    );
+  }
+
+  async get(provider, text) {
+    const file = this.entryPath(provider, text);
+    try {
+      const buffer = await fs.readFile(file);
+      const vector = Array.from(
+        new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4)
+      );
+
+      // Touch for LRU - failures only cost recency
+      const now = new Date();
+      fs.utimes(file, now, now).catch(() => {});
+
+      this.stats.hits++;
+      return vector;
+    } catch {
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  async set(provider, text, vector) {
+    const file = this.entryPath(provider, text);
+    const temp = `${file}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+
+    try {
+      await fs.ensureDir(path.dirname(file));
+      await fs.writeFile(temp, Buffer.from(new Float32Array(vector).buffer));
+      await fs.rename(temp, file);
+      this.stats.writes++;
+    } catch (error) {
+      logger.warn('Could not store embedding', { error: error.message });
+      await fs.remove(temp).catch(() => {});
+      return;
+    }
+
+    if (++this.writesSinceEviction >= this.evictEvery) {
+      this.writesSinceEviction = 0;
+      await this.evict();
+    }
+  }
+
+  /**
+   * Embed texts through the store - only misses are sent to the provider
+   * @returns {Promise<{embeddings: Array<number[]>, hits: number, misses: number}>}
+   */
+  async embedBatch(provider, texts) {
+    if (provider.cacheable === false) {
+      return { embeddings: await provider.embedBatch(texts), hits: 0, misses: texts.length };
+    }
+
+    const embeddings = await Promise.all(texts.map((text) => this.get(provider, text)));
+    const missing = embeddings.map((e, i) => (e ? null : i)).filter((i) => i !== null);
+
+    if (missing.length > 0) {
+      const fresh = await provider.embedBatch(missing.map((i) => texts[i]));
+      for (let j = 0; j < missing.length; j++) {
+        embeddings[missing[j]] = fresh[j];
+        // Zero vectors mean "nothing to embed" - not worth keeping
+        if (fresh[j]?.some((v) => v !== 0)) {
+          await this.set(provider, texts[missing[j]], fresh[j]);
+        }
+      }
+    }
+
+    return { embeddings, hits: texts.length - missing.length, misses: missing.length };
+  }
+
+  async embed(provider, text) {
+    const { embeddings } = await this.embedBatch(provider, [text]);
+    return embeddings[0];
+  }
+
+  /**
+   * All entries with size and last use, oldest first
+   */
+  async listEntries() {
+    const entries = [];
+    const walk = async (dir) => {
+      let names;
+      try {
+        names = await fs.readdir(dir, { withFileTypes: true });
+      } catch {
+        return; // Removed by another process
+      }
+      for (const entry of names) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(full);
+        } else if (entry.name.endsWith('.f32') || entry.name.endsWith('.tmp')) {
+          const stat = await fs.stat(full).catch(() => null);
+          if (stat) entries.push({ file: full, size: stat.size, usedAt: stat.mtimeMs });
+        }
+      }
+    };
+
+    await walk(this.dir);
+    return entries.sort((a, b) => a.usedAt - b.usedAt);
+  }
+
+  /**
+   * Evict least recently used entries until the store fits in maxSizeMB.
+   * Skipped when another process holds the eviction lock.
+   * @returns {Promise<number>} Entries evicted
+   */
+  async evict() {
+    const lockPath = path.join(this.dir, LOCK_FILE);
+    if (!(await this.acquireLock(lockPath))) return 0;
+
+    try {
+      const entries = await this.listEntries();
+      let total = entries.reduce((sum, e) => sum + e.size, 0);
+      let evicted = 0;
+
+      for (const entry of entries) {
+        // Temp files are writes in progress unless they are old
+        const temp = entry.file.endsWith('.tmp');
+        if (temp ? Date.now() - entry.usedAt < STALE_TEMP_MS : total <= this.maxBytes) continue;
+
+        await fs.remove(entry.file).catch(() => {});
+        total -= entry.size;
+        if (!temp) evicted++;
+      }
+
+      if (evicted > 0) {
+        this.stats.evicted += evicted;
+        logger.info('Embedding cache evicted', {
+          entries: evicted,
+          sizeMB: +(total / 1024 / 1024).toFixed(1),
+        });
+      }
+      return evicted;
+    } finally {
+      await fs.remove(lockPath).catch(() => {});
+    }
+  }
+
+  async acquireLock(lockPath, retry = true) {
+    await fs.ensureDir(this.dir);
+    try {
+      await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch {
+      // Take over locks left behind by a crashed process
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (retry && stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+        await fs.remove(lockPath).catch(() => {});
+        return this.acquireLock(lockPath, false);
+      }
+      return false;
+    }
+  }
+
+  async getStats() {
+    const entries = (await this.listEntries()).filter((e) => e.file.endsWith('.f32'));
+    const size = entries.reduce((sum, e) => sum + e.size, 0);
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      dir: this.dir,
+      entries: entries.length,
+      sizeMB: +(size / 1024 / 1024).toFixed(2),
+      maxSizeMB: +(this.maxBytes / 1024 / 1024).toFixed(2),
+      ...this.stats,
+      hitRate: lookups > 0 ? ((this.stats.hits / lookups) * 100).toFixed(1) + '%' : '0%',
+    };
+  }
+
+  /**
+   * Remove all entries, or only those of one provider
+   */
+  async clear(provider = null) {
+    const target = provider ? path.join(this.dir, slug(provider.name)) : this.dir;
+    await fs.remove(target);
+    logger.info('Embedding cache cleared', { provider: provider?.name || 'all' });
+  }
+}
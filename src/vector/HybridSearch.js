@@ -7,8 +7,18 @@
  * @version 2.4.2
  */
 
+import ExpansionDictionary from '../core/ExpansionDictionary.js';
 import SearchEngine from '../core/SearchEngine.js';
+import SearchFacets from '../core/SearchFacets.js';
+import { getConfig } from '../utils/config.js';
 import Logger from '../utils/logger.js';
+import {
+  DEPRECATED_PENALTY,
+  checkVersion,
+  getVersionRange,
+  parseVersion,
+} from '../utils/MendixVersion.js';
+import { createReranker } from './Rerankers.js';
 import VectorStore from './VectorStore.js';
 
 const logger = new Logger('HybridSearch');
@@ -141,35 +151,6 @@ class QueryAnalytics {
   }
 }
 
-/**
- * Mendix-specific term expansions for better search coverage
- * These help when users use acronyms or alternative terminology
- */
-const TERM_EXPANSIONS = {
-  sdk: ['software development kit', 'platform sdk', 'model sdk', 'mendixmodelsdk'],
-  mf: ['microflow', 'microflows'],
-  nf: ['nanoflow', 'nanoflows'],
-  dm: ['domain model', 'domain modeling'],
-  sp: ['studio pro'],
-  api: ['application programming interface', 'rest api', 'odata'],
-  crud: ['create read update delete', 'basic operations'],
-  acl: ['access control list', 'security rules', 'xpath constraints'],
-  xpath: ['query language', 'retrieve expressions'],
-  oql: ['object query language', 'reporting queries'],
-  jwt: ['json web token', 'authentication token'],
-  sso: ['single sign-on', 'authentication'],
-  saml: ['security assertion markup language', 'sso authentication'],
-  oidc: ['openid connect', 'oauth authentication'],
-  ci: ['continuous integration', 'pipeline', 'automation'],
-  cd: ['continuous deployment', 'deployment pipeline'],
-  mx: ['mendix'],
-  attr: ['attribute', 'attributes'],
-  assoc: ['association', 'associations', 'relationship'],
-  enum: ['enumeration', 'enumerations'],
-  np: ['non-persistent', 'transient', 'non persistent entity'],
-  pe: ['persistent entity', 'database entity'],
-};
-
 export default class HybridSearch {
   constructor(options = {}) {
     // With OpenAI embeddings, favor vector search (better semantic understanding)
@@ -177,16 +158,38 @@ export default class HybridSearch {
     this.keywordWeight = options.keywordWeight || 0.4;
     this.vectorWeight = options.vectorWeight || 0.6;
 
-    this.keywordEngine = new SearchEngine();
-    this.vectorStore = new VectorStore(options.vector || {});
+    // One expansion dictionary for query expansion here and synonyms in the keyword engine
+    this.expansions = options.expansions || new ExpansionDictionary();
+    this.keywordEngine = new SearchEngine({
+      expansions: this.expansions,
+      fullText: options.fullText,
+    });
+    this.vectorStore = options.vectorStore || new VectorStore(options.vector || {});
 
     // Query analytics - the "brain within the brain"
     this.analytics = new QueryAnalytics(1000);
 
+    // Optional second stage (search.rerank) - null keeps the fusion order
+    const rerankConfig = getConfig().get('search.rerank', {}) || {};
+    this.reranker =
+      options.reranker !== undefined
+        ? options.reranker
+        : rerankConfig.enabled
+          ? createReranker(rerankConfig.provider || 'features')
+          : null;
+    this.rerankTopN = options.rerankTopN || rerankConfig.topN || 20;
+    this.rerankWeight = options.rerankWeight ?? rerankConfig.weight ?? 0.6;
+    this.rerankers = new Map();
+
+    // Candidates facets are counted over (search.facets.pool)
+    this.facets = options.facets || null;
+    this.facetPool = options.facetPool || getConfig().get('search.facets.pool', 100);
+
     this.initialized = false;
     logger.info('HybridSearch created', {
       keywordWeight: this.keywordWeight,
       vectorWeight: this.vectorWeight,
+      reranker: this.reranker?.name || 'none',
     });
   }
 
@@ -204,8 +207,9 @@ export default class HybridSearch {
 
   /**
    * Index knowledge base in both engines
+   * Options are passed to VectorStore.indexDocuments (incremental, prune)
    */
-  async indexKnowledgeBase(knowledgeBase) {
+  async indexKnowledgeBase(knowledgeBase, options = {}) {
     // Index for keyword search
     this.keywordEngine.indexKnowledgeBase(knowledgeBase);
 
@@ -219,7 +223,7 @@ export default class HybridSearch {
     logger.info('Flattened knowledge', { totalDocuments: documents.length });
 
     // Index for vector search
-    const vectorStats = await this.vectorStore.indexDocuments(documents);
+    const vectorStats = await this.vectorStore.indexDocuments(documents, options);
 
     logger.info('Knowledge base indexed', {
       keywordEntries: this.keywordEngine.index?.size || 0,
@@ -262,6 +266,7 @@ export default class HybridSearch {
           content,
           source: obj.source || 'knowledge-base',
           version: obj.version || obj.mendix_version || obj.mendix_versions || 'unknown',
+          versionRange: getVersionRange(obj),
         });
       }
     }
@@ -402,33 +407,23 @@ export default class HybridSearch {
     return parts.filter((p) => p && p.length > 0).join(' ');
   }
 
-  /**
-   * Expand query with Mendix-specific term mappings
-   * "SDK" becomes "SDK software development kit platform sdk model sdk"
-   */
-  expandQuery(query) {
-    const words = query.toLowerCase().split(/\s+/);
-    const expanded = [...words];
-
-    for (const word of words) {
-      if (TERM_EXPANSIONS[word]) {
-        expanded.push(...TERM_EXPANSIONS[word]);
-      }
-    }
-
-    // Remove duplicates and rejoin
-    return [...new Set(expanded)].join(' ');
-  }
-
   /**
    * Hybrid search combining keyword and vector results
    * Runs both searches in PARALLEL for speed!
    */
   async search(query, options = {}) {
-    const { limit = 10, keywordOnly = false, vectorOnly = false, expandTerms = true } = options;
-
-    // Expand query with Mendix-specific terms
-    const expandedQuery = expandTerms ? this.expandQuery(query) : query;
+    const {
+      limit = 10,
+      keywordOnly = false,
+      vectorOnly = false,
+      expandTerms = true,
+      mendixVersion = null,
+      rerank,
+    } = options;
+
+    const reranker = this.resolveReranker(rerank);
+    // The reranker needs a deeper candidate pool than the page it returns
+    const pool = reranker ? Math.max(limit, this.rerankTopN) : limit;
 
     // Run keyword and vector searches IN PARALLEL for speed!
     const searchPromises = [];
@@ -436,7 +431,15 @@ export default class HybridSearch {
     // Keyword search (synchronous but wrap in promise)
     if (!vectorOnly) {
       searchPromises.push(
-        Promise.resolve(this.keywordEngine.search(expandedQuery, { limit: limit * 2 }))
+        Promise.resolve(
+          // The keyword engine expands terms from the shared dictionary; learning happens below
+          this.keywordEngine.search(query, {
+            maxResults: pool * 2,
+            mendixVersion,
+            expand: expandTerms,
+            learn: false,
+          })
+        )
       );
     } else {
       searchPromises.push(Promise.resolve([]));
@@ -444,34 +447,201 @@ export default class HybridSearch {
 
     // Vector search (uses original query - embeddings understand meaning better)
     if (!keywordOnly && this.vectorStore.initialized) {
-      searchPromises.push(this.vectorStore.search(query, { topK: limit * 2 }));
+      searchPromises.push(this.vectorStore.search(query, { topK: pool * 2 }));
     } else {
       searchPromises.push(Promise.resolve([]));
     }
 
     // Wait for both to complete
-    const [keywordResults, vectorResults] = await Promise.all(searchPromises);
+    const [keywordResults, allVectorResults] = await Promise.all(searchPromises);
+
+    // Keyword results are filtered by the engine; vector results by their stored range
+    const vectorResults = mendixVersion
+      ? this.applyMendixVersion(allVectorResults, mendixVersion)
+      : allVectorResults;
 
-    // Determine final results
-    let finalResults;
+    // Determine candidates
+    let candidates;
 
-    // If only one engine available, return its results
+    // If only one engine available, use its results
     if (keywordOnly || vectorResults.length === 0) {
-      finalResults = this.formatKeywordResults(keywordResults.slice(0, limit));
+      candidates = this.formatKeywordResults(keywordResults.slice(0, pool));
     } else if (vectorOnly || keywordResults.length === 0) {
-      finalResults = this.formatVectorResults(vectorResults.slice(0, limit));
+      candidates = this.formatVectorResults(vectorResults.slice(0, pool));
     } else {
       // Reciprocal Rank Fusion
-      const fusedResults = this.reciprocalRankFusion(keywordResults, vectorResults);
-      finalResults = fusedResults.slice(0, limit);
+      candidates = this.reciprocalRankFusion(keywordResults, vectorResults).slice(0, pool);
     }
 
+    // Second stage: rescore the top candidates against the full query
+    if (reranker) {
+      candidates = await this.rerank(query, candidates, reranker);
+    }
+    const finalResults = candidates.slice(0, limit);
+
     // Record analytics (brain within the brain!)
     this.analytics.record(query, finalResults, { expanded: expandTerms });
 
+    // Keyword hits decide whether a reformulation helped - vector search always returns something
+    if (!vectorOnly) {
+      this.expansions
+        .observe(query, { hit: keywordResults.length > 0, session: options.session })
+        .catch((error) => logger.warn('Expansion learning failed', { error: error.message }));
+    }
+
     return finalResults;
   }
 
+  /**
+   * Search with facet filters, returning facet counts next to the results.
+   * Facets are counted over the best `facetPool` fused candidates; the reranker
+   * only sees candidates that passed the filters.
+   * @param {string} query
+   * @param {Object} options - search() options plus filters ({ facet: value | [values] })
+   * @returns {Promise<{results: Object[], facets: Object, total: number, filters: Object}>}
+   */
+  async facetedSearch(query, options = {}) {
+    SearchFacets.normalizeFilters(options.filters); // Fail before searching
+    this.facets = this.facets || new SearchFacets();
+
+    const limit = options.limit || 10;
+    const reranker = this.resolveReranker(options.rerank);
+    const candidates = await this.search(query, {
+      ...options,
+      limit: Math.max(limit, this.facetPool),
+      rerank: false,
+    });
+
+    const faceted = this.facets.apply(this.withDocuments(candidates), options.filters, {
+      limit: reranker ? Math.max(limit, this.rerankTopN) : limit,
+    });
+    if (reranker) {
+      faceted.results = (await this.rerank(query, faceted.results, reranker)).slice(0, limit);
+    }
+    return faceted;
+  }
+
+  /**
+   * Fill in knowledge file and entry from the keyword index - vector hits only carry a title
+   */
+  withDocuments(results) {
+    const byTitle = new Map();
+    for (const document of this.keywordEngine.documents.values()) {
+      const title = this.extractTitle(document.entry);
+      if (title && !byTitle.has(title)) byTitle.set(title, document);
+    }
+
+    return results.map((result) => {
+      const document = byTitle.get(result.title);
+      if (!document) return result;
+      return {
+        ...result,
+        file: result.file || document.file,
+        category: result.category || document.category,
+        entry: result.entry || document.entry,
+      };
+    });
+  }
+
+  /**
+   * Reranker for one search: undefined = configured one, false = none,
+   * true = configured or feature-based, string = reranker by name
+   */
+  resolveReranker(rerank) {
+    if (rerank === undefined) return this.reranker;
+    if (rerank === false) return null;
+    if (rerank === true) return this.reranker || this.resolveReranker('features');
+
+    if (!this.rerankers.has(rerank)) {
+      this.rerankers.set(rerank, createReranker(rerank));
+    }
+    return this.rerankers.get(rerank);
+  }
+
+  /**
+   * Rescore the top candidates with a reranker and blend the result with the
+   * first-stage score: final = (1 - rerankWeight) * firstStage + rerankWeight * rerank.
+   * Falls back to the first-stage order when the reranker fails.
+   */
+  async rerank(query, results, reranker = this.reranker) {
+    const top = results.slice(0, this.rerankTopN);
+    if (!reranker || top.length < 2) return results;
+
+    const firstStage = top.map((r) => r.fusedScore ?? r.keywordScore ?? r.vectorScore ?? 0);
+    const maxFirstStage = Math.max(...firstStage) || 1;
+    const candidates = top.map((r) => this.toRerankCandidate(r));
+
+    let scores;
+    try {
+      scores = await reranker.score(query, candidates);
+    } catch (error) {
+      logger.warn('Reranking failed, keeping fusion order', {
+        reranker: reranker.name,
+        error: error.message,
+      });
+      return results;
+    }
+
+    const reranked = top
+      .map((result, i) => {
+        const first = firstStage[i] / maxFirstStage;
+        const final = (1 - this.rerankWeight) * first + this.rerankWeight * scores[i];
+        return {
+          ...result,
+          rerankScore: +scores[i].toFixed(4),
+          stages: {
+            ...result.stages,
+            firstStage: +first.toFixed(4),
+            rerank: +scores[i].toFixed(4),
+            ...(candidates[i].features && { features: candidates[i].features }),
+            final: +final.toFixed(4),
+            reranker: reranker.name,
+          },
+        };
+      })
+      .sort((a, b) => b.stages.final - a.stages.final);
+
+    return [...reranked, ...results.slice(this.rerankTopN)];
+  }
+
+  /**
+   * What a reranker sees of a result
+   */
+  toRerankCandidate(result) {
+    const entry = result.entry;
+    const tags = entry?.tags || entry?._metadata?.tags || [];
+
+    return {
+      title: result.title || '',
+      text: `${result.title || ''}\n${entry ? this.extractContent(entry) : result.preview || ''}`,
+      tags: Array.isArray(tags) ? tags.filter((t) => typeof t === 'string') : [String(tags)],
+      quality: entry?._metadata?.quality_score ?? entry?.quality_score ?? null,
+      freshness: this.calculateFreshnessBoost(entry, result.versionRange),
+    };
+  }
+
+  /**
+   * Drop vector results that do not apply to a Mendix version, demote deprecated ones
+   */
+  applyMendixVersion(results, mendixVersion) {
+    return results
+      .map((result) => {
+        // Vectors indexed before ranges were stored only carry the raw version string
+        const versionRange = result.versionRange || getVersionRange({ version: result.version });
+        const check = checkVersion(versionRange, mendixVersion);
+        if (!check.applies) return null;
+
+        return {
+          ...result,
+          score: check.deprecated ? result.score * DEPRECATED_PENALTY : result.score,
+          versionRange,
+          deprecated: check.deprecated ? check.reason : null,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  }
+
   /**
    * Get query analytics summary
    */
@@ -480,10 +650,10 @@ export default class HybridSearch {
   }
 
   /**
-   * Get suggested term expansions based on search patterns
+   * Learned expansions waiting for review, best supported first
    */
-  getSuggestedExpansions() {
-    return this.analytics.getSuggestedExpansions();
+  getSuggestedExpansions(limit = 10) {
+    return this.expansions.list({ status: 'pending', limit });
   }
 
   /**
@@ -505,9 +675,12 @@ export default class HybridSearch {
       if (!metadata.has(id)) {
         metadata.set(id, {
           title: title,
+          file: result.file,
           category: result.category,
           entry: result.entry,
           keywordScore: result.score,
+          versionRange: result.versionRange,
+          deprecated: result.deprecated,
           sources: ['keyword'],
         });
       } else {
@@ -528,6 +701,8 @@ export default class HybridSearch {
           category: result.category,
           preview: result.preview,
           vectorScore: result.score,
+          versionRange: result.versionRange,
+          deprecated: result.deprecated,
           sources: ['vector'],
         });
       } else {
@@ -545,7 +720,7 @@ export default class HybridSearch {
         const meta = metadata.get(id);
 
         // Apply freshness boost based on Mendix version or timestamp
-        const freshnessBoost = this.calculateFreshnessBoost(meta.entry);
+        const freshnessBoost = this.calculateFreshnessBoost(meta.entry, meta.versionRange);
         const boostedScore = fusedScore * (1 + freshnessBoost);
 
         return {
@@ -554,6 +729,12 @@ export default class HybridSearch {
           originalScore: fusedScore,
           freshnessBoost: freshnessBoost > 0 ? `+${(freshnessBoost * 100).toFixed(0)}%` : null,
           matchType: meta.sources.length > 1 ? 'both' : meta.sources[0],
+          stages: {
+            keyword: meta.keywordScore ?? null,
+            vector: meta.vectorScore ?? null,
+            fusion: +fusedScore.toFixed(5),
+            freshness: freshnessBoost,
+          },
         };
       })
       .sort((a, b) => b.fusedScore - a.fusedScore); // Re-sort after boosting
@@ -654,36 +835,22 @@ export default class HybridSearch {
    * Calculate freshness boost based on Mendix version or content age
    * Newer Mendix versions get a score boost since they're more relevant
    * @param {Object} entry - Knowledge entry with potential version info
+   * @param {Object} versionRange - Normalized range (defaults to the entry's)
    * @returns {number} Boost factor (0 to 0.15)
    */
-  calculateFreshnessBoost(entry) {
-    if (!entry) return 0;
+  calculateFreshnessBoost(entry, versionRange = getVersionRange(entry)) {
+    if (!entry && !versionRange) return 0;
 
-    // Look for version info in various fields
-    const versionSources = [
-      entry.mendix_version,
-      entry.version,
-      entry.title,
-      entry.description,
-      typeof entry === 'string' ? entry : JSON.stringify(entry),
-    ]
-      .filter(Boolean)
-      .join(' ');
+    // Deprecated advice is never boosted
+    if (versionRange?.deprecated_in) return 0;
 
-    // Studio Pro 11.x - Highest priority (latest)
-    if (/studio\s*pro\s*11|mendix\s*11|11\.\d+\.\d+/i.test(versionSources)) {
-      return 0.15; // 15% boost
-    }
+    // Newest Mendix major the advice is written for
+    const [major] = parseVersion(versionRange?.max || versionRange?.min) || [];
+    if (major >= 11) return 0.15; // Studio Pro 11.x - Highest priority (latest)
+    if (major === 10) return 0.1; // Studio Pro 10.x - Very relevant
+    if (major === 9) return 0.05; // Studio Pro 9.x - Still useful
 
-    // Studio Pro 10.x - Very relevant
-    if (/studio\s*pro\s*10|mendix\s*10|10\.\d+\.\d+/i.test(versionSources)) {
-      return 0.1; // 10% boost
-    }
-
-    // Studio Pro 9.x - Still useful
-    if (/studio\s*pro\s*9|mendix\s*9|9\.\d+\.\d+/i.test(versionSources)) {
-      return 0.05; // 5% boost
-    }
+    if (!entry) return 0;
 
     // Check for timestamp-based freshness
     const timestamp = entry.added_at || entry.timestamp || entry.date;
@@ -704,10 +871,14 @@ export default class HybridSearch {
   formatKeywordResults(results) {
     return results.map((r) => ({
       title: this.extractTitle(r.entry) || r.title || `${r.category || 'item'}`,
+      file: r.file,
       category: r.category,
       entry: r.entry,
       keywordScore: r.score,
+      versionRange: r.versionRange,
+      deprecated: r.deprecated,
       matchType: 'keyword',
+      stages: { keyword: r.score },
     }));
   }
 
@@ -720,7 +891,10 @@ export default class HybridSearch {
       category: r.category,
       preview: r.preview,
       vectorScore: r.score,
+      versionRange: r.versionRange,
+      deprecated: r.deprecated,
       matchType: 'vector',
+      stages: { vector: r.score },
     }));
   }
 
@@ -748,6 +922,9 @@ export default class HybridSearch {
         keyword: this.keywordWeight,
         vector: this.vectorWeight,
       },
+      reranker: this.reranker
+        ? { ...this.reranker.describe(), topN: this.rerankTopN, weight: this.rerankWeight }
+        : null,
       analytics: this.analytics.getSummary(),
     };
   }
@@ -0,0 +1,282 @@
+/**
+ * LocalVectorIndex - File-backed vector index for air-gapped machines and CI
+ *
+ * Mirrors the subset of the Pinecone Index API that VectorStore uses
+ * (namespace().upsert/query/deleteMany/deleteAll, describeIndexStats), so the
+ * store can switch backends without changing its indexing or search logic.
+ *
+ * Vectors are kept in memory and persisted as JSON. Search is brute-force
+ * cosine similarity, which is fast enough for a knowledge base of a few
+ * thousand entries.
+ *
+ * @version 1.0.0
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('LocalVectorIndex');
+
+const INDEX_FILE = 'index.json';
+const FORMAT_VERSION = 1;
+
+/**
+ * Cosine similarity between two equal-length vectors
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Check vector metadata against a Pinecone-style filter
+ * Supports plain equality plus $eq, $ne, $in and $nin
+ */
+function matchesFilter(metadata = {}, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    const value = metadata[key];
+
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return value === condition;
+    }
+
+    return Object.entries(condition).every(([operator, expected]) => {
+      switch (operator) {
+        case '$eq':
+          return value === expected;
+        case '$ne':
+          return value !== expected;
+        case '$in':
+          return expected.includes(value);
+        case '$nin':
+          return !expected.includes(value);
+        default:
+          logger.warn('Unsupported filter operator ignored', { operator });
+          return true;
+      }
+    });
+  });
+}
+
+export default class LocalVectorIndex {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory the index file is stored in
+   */
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.filePath = path.join(this.directory, INDEX_FILE);
+
+    this.dimension = null;
+    this.metadata = {};
+    this.namespaces = new Map(); // namespace -> Map(id -> { values, metadata })
+    this.loadedMtime = 0;
+  }
+
+  /**
+   * Load the index from disk (no-op if it does not exist yet)
+   */
+  async load() {
+    if (!(await fs.pathExists(this.filePath))) {
+      logger.info('No local vector index yet, starting empty', { path: this.filePath });
+      return;
+    }
+
+    const data = await fs.readJson(this.filePath);
+    const stat = await fs.stat(this.filePath);
+
+    this.dimension = data.dimension || null;
+    this.metadata = data.metadata || {};
+    this.namespaces = new Map(
+      Object.entries(data.namespaces || {}).map(([name, records]) => [
+        name,
+        new Map(records.map((r) => [r.id, { values: r.values, metadata: r.metadata || {} }])),
+      ])
+    );
+    this.loadedMtime = stat.mtimeMs;
+
+    logger.info('Local vector index loaded', {
+      path: this.filePath,
+      vectors: this._countVectors(),
+      dimension: this.dimension,
+    });
+  }
+
+  /**
+   * Persist the index to disk (write to temp file, then rename)
+   */
+  async save() {
+    await fs.ensureDir(this.directory);
+
+    const data = {
+      version: FORMAT_VERSION,
+      savedAt: new Date().toISOString(),
+      dimension: this.dimension,
+      metadata: this.metadata,
+      namespaces: Object.fromEntries(
+        [...this.namespaces.entries()].map(([name, records]) => [
+          name,
+          [...records.entries()].map(([id, r]) => ({ id, values: r.values, metadata: r.metadata })),
+        ])
+      ),
+    };
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, data);
+    await fs.move(tempPath, this.filePath, { overwrite: true });
+    this.loadedMtime = (await fs.stat(this.filePath)).mtimeMs;
+  }
+
+  /**
+   * Reload if another process has written the index since we last read it
+   */
+  async refreshIfChanged() {
+    try {
+      const stat = await fs.stat(this.filePath);
+      if (stat.mtimeMs > this.loadedMtime) {
+        await this.load();
+      }
+    } catch {
+      // Index not written yet
+    }
+  }
+
+  /**
+   * Store index-level metadata (e.g. embedder state)
+   */
+  async setMetadata(metadata) {
+    this.metadata = { ...this.metadata, ...metadata };
+    await this.save();
+  }
+
+  /**
+   * Get a namespace handle with the Pinecone-style operations
+   */
+  namespace(name = 'default') {
+    return {
+      upsert: (vectors) => this.upsert(name, vectors),
+      query: (options) => this.query(name, options),
+      deleteMany: (ids) => this.deleteMany(name, ids),
+      deleteAll: () => this.deleteAll(name),
+    };
+  }
+
+  /**
+   * Insert or replace vectors
+   */
+  async upsert(namespace, vectors) {
+    if (vectors.length === 0) return;
+
+    const dimension = vectors[0].values.length;
+    if (this.dimension && this.dimension !== dimension && this._countVectors() > 0) {
+      throw new Error(
+        `Vector dimension ${dimension} does not match local index dimension ${this.dimension}. Clear the index before switching embedders.`
+      );
+    }
+    this.dimension = dimension;
+
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    const records = this.namespaces.get(namespace);
+
+    for (const vector of vectors) {
+      records.set(vector.id, { values: vector.values, metadata: vector.metadata || {} });
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Find the nearest vectors by cosine similarity
+   */
+  async query(namespace, options = {}) {
+    const { vector, topK = 10, filter, includeMetadata = true } = options;
+    await this.refreshIfChanged();
+
+    const records = this.namespaces.get(namespace);
+    if (!records || records.size === 0) return { matches: [] };
+
+    if (vector.length !== this.dimension) {
+      logger.warn('Query dimension does not match local index, returning no matches', {
+        query: vector.length,
+        index: this.dimension,
+      });
+      return { matches: [] };
+    }
+
+    const matches = [];
+    for (const [id, record] of records) {
+      if (filter && !matchesFilter(record.metadata, filter)) continue;
+      matches.push({
+        id,
+        score: cosineSimilarity(vector, record.values),
+        ...(includeMetadata && { metadata: record.metadata }),
+      });
+    }
+
+    matches.sort((a, b) => b.score - a.score);
+    return { matches: matches.slice(0, topK) };
+  }
+
+  /**
+   * Delete specific vectors by id
+   */
+  async deleteMany(namespace, ids) {
+    const records = this.namespaces.get(namespace);
+    if (!records) return;
+
+    for (const id of ids) {
+      records.delete(id);
+    }
+    await this.save();
+  }
+
+  /**
+   * Delete all vectors in a namespace
+   */
+  async deleteAll(namespace) {
+    this.namespaces.delete(namespace);
+    if (this._countVectors() === 0) {
+      this.dimension = null;
+    }
+    await this.save();
+  }
+
+  /**
+   * Pinecone-compatible index statistics
+   */
+  async describeIndexStats() {
+    await this.refreshIfChanged();
+
+    return {
+      totalRecordCount: this._countVectors(),
+      dimension: this.dimension,
+      namespaces: Object.fromEntries(
+        [...this.namespaces.entries()].map(([name, records]) => [
+          name,
+          { recordCount: records.size },
+        ])
+      ),
+    };
+  }
+
+  _countVectors() {
+    let count = 0;
+    for (const records of this.namespaces.values()) {
+      count += records.size;
+    }
+    return count;
+  }
+}
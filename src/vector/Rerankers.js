@@ -0,0 +1,257 @@
+/**
+ * Rerankers - Optional second stage for HybridSearch
+ *
+ * Reciprocal rank fusion only knows ranks, so broad overview entries that match
+ * many terms can outrank the precise answer. A reranker scores the top N fused
+ * candidates against the full query and HybridSearch blends that score with the
+ * fusion score.
+ *
+ * BUILT-IN RERANKERS:
+ * - features      - Deterministic: title match, tag overlap, quality score, freshness
+ * - cross-encoder - Local model server speaking the text-embeddings-inference
+ *                   POST /rerank API ({ query, texts } → [{ index, score }])
+ * - llm           - OpenAI-compatible chat completions endpoint as a stand-in
+ *
+ * Select with `search.rerank.provider`; per-reranker settings live under
+ * `search.rerank.providers.<name>`.
+ *
+ * @version 1.0.0
+ */
+
+import { getConfig } from '../utils/config.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('Rerankers');
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'for', 'how', 'in', 'is', 'of', 'the', 'to', 'with']);
+
+function terms(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+/**
+ * Base class - the score(query, candidates) contract
+ */
+export class Reranker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.model = options.model || name;
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  describe() {
+    return { name: this.name, model: this.model };
+  }
+
+  /**
+   * Relevance of each candidate to the query
+   * @param {string} query
+   * @param {Array<{title, text, entry, tags, quality, freshness}>} candidates
+   * @returns {Promise<number[]>} One score in [0, 1] per candidate
+   */
+  async score() {
+    throw new Error(`${this.name} reranker does not implement score()`);
+  }
+
+  /**
+   * POST JSON with a timeout - a slow reranker must not hang search
+   */
+  async postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`${this.name} reranker API error: ${response.status} - ${error}`);
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Deterministic feature-based scorer - no model needed
+ */
+export class FeatureReranker extends Reranker {
+  constructor(options = {}) {
+    super('features', options);
+    this.weights = {
+      title: 0.45,
+      tags: 0.2,
+      quality: 0.15,
+      freshness: 0.2,
+      ...options.weights,
+    };
+  }
+
+  describe() {
+    return { ...super.describe(), weights: this.weights };
+  }
+
+  /**
+   * Per-feature scores in [0, 1] - exposed so the weights can be tuned
+   */
+  features(query, candidate) {
+    const queryTerms = [...new Set(terms(query))];
+    const titleTerms = new Set(terms(candidate.title));
+
+    // Share of query terms in the title, with a bonus for the exact phrase
+    let title = 0;
+    if (queryTerms.length > 0) {
+      title = queryTerms.filter((t) => titleTerms.has(t)).length / queryTerms.length;
+      const phrase = queryTerms.join(' ');
+      if (phrase && terms(candidate.title).join(' ').includes(phrase)) {
+        title = Math.min(1, title + 0.25);
+      }
+      // A long generic title matching a few terms is less specific than a short one
+      title *= Math.min(1, (queryTerms.length + 2) / Math.max(titleTerms.size, 1));
+    }
+
+    const tagTerms = new Set((candidate.tags || []).flatMap(terms));
+    const tagMatches = queryTerms.filter((t) => tagTerms.has(t)).length;
+    const tags = queryTerms.length > 0 ? tagMatches / queryTerms.length : 0;
+
+    return {
+      title: +title.toFixed(3),
+      tags: +tags.toFixed(3),
+      quality: candidate.quality ?? 0.5,
+      // HybridSearch freshness boost is 0 to 0.15
+      freshness: +Math.min(1, (candidate.freshness || 0) / 0.15).toFixed(3),
+    };
+  }
+
+  async score(query, candidates) {
+    const total = Object.values(this.weights).reduce((sum, w) => sum + w, 0) || 1;
+
+    return candidates.map((candidate) => {
+      const features = this.features(query, candidate);
+      candidate.features = features;
+      const weighted = Object.entries(this.weights).reduce(
+        (sum, [feature, weight]) => sum + weight * (features[feature] || 0),
+        0
+      );
+      return weighted / total;
+    });
+  }
+}
+
+/**
+ * Cross-encoder served locally, e.g. text-embeddings-inference with
+ * BAAI/bge-reranker-base: POST /rerank { query, texts } → [{ index, score }]
+ */
+export class CrossEncoderReranker extends Reranker {
+  constructor(options = {}) {
+    super('cross-encoder', { model: 'bge-reranker-base', ...options });
+    this.baseUrl = (options.baseUrl || 'http://localhost:8080').replace(/\/$/, '');
+  }
+
+  async score(query, candidates) {
+    const data = await this.postJson(`${this.baseUrl}/rerank`, {
+      query,
+      texts: candidates.map((c) => c.text),
+      raw_scores: false,
+    });
+
+    const scores = new Array(candidates.length).fill(0);
+    for (const { index, score } of Array.isArray(data) ? data : data.results || []) {
+      // Raw logits are squashed into [0, 1]
+      scores[index] = score >= 0 && score <= 1 ? score : 1 / (1 + Math.exp(-score));
+    }
+    return scores;
+  }
+}
+
+/**
+ * Any OpenAI-compatible chat model rating candidates 0-10 - slower, but
+ * needs no dedicated reranking model
+ */
+export class LlmReranker extends Reranker {
+  constructor(options = {}) {
+    super('llm', { model: 'gpt-4o-mini', timeoutMs: 30000, ...options });
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.apiKey = process.env[options.apiKeyEnv || 'OPENAI_API_KEY'] || options.apiKey || null;
+  }
+
+  isAvailable() {
+    return !!this.apiKey || !this.baseUrl.includes('api.openai.com');
+  }
+
+  async score(query, candidates) {
+    const list = candidates
+      .map((c, i) => `[${i}] ${c.title}\n${c.text.slice(0, 600)}`)
+      .join('\n\n');
+
+    const data = await this.postJson(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        temperature: 0,
+        messages: [
+          {
+            role: 'system',
+            content:
+              'You rate how precisely each Mendix knowledge entry answers a question. ' +
+              'Reply with only a JSON array of integers from 0 (unrelated) to 10 ' +
+              '(answers it exactly), one per entry, in order.',
+          },
+          { role: 'user', content: `Question: ${query}\n\nEntries:\n\n${list}` },
+        ],
+      },
+      this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    );
+
+    const reply = data.choices?.[0]?.message?.content || '';
+    const ratings = JSON.parse(reply.match(/\[[\s\S]*\]/)?.[0] || '[]');
+    if (ratings.length !== candidates.length) {
+      throw new Error(`llm reranker returned ${ratings.length} ratings for ${candidates.length}`);
+    }
+    return ratings.map((r) => Math.max(0, Math.min(10, Number(r) || 0)) / 10);
+  }
+}
+
+const registry = new Map();
+
+/**
+ * Register a reranker factory
+ * @param {string} name - Name used in config (search.rerank.provider)
+ * @param {Function} factory - (options) => Reranker
+ */
+export function registerReranker(name, factory) {
+  registry.set(name, factory);
+}
+
+/**
+ * Names of all registered rerankers
+ */
+export function listRerankers() {
+  return [...registry.keys()];
+}
+
+/**
+ * Create a reranker by name, merging options from search.rerank.providers.<name>
+ */
+export function createReranker(name, options = {}) {
+  const factory = registry.get(name);
+  if (!factory) {
+    throw new Error(`Unknown reranker "${name}". Registered: ${listRerankers().join(', ')}`);
+  }
+
+  const configured = getConfig().get(`search.rerank.providers.${name}`, {}) || {};
+  const reranker = factory({ ...configured, ...options });
+  logger.debug('Reranker created', reranker.describe());
+  return reranker;
+}
+
+registerReranker('features', (options) => new FeatureReranker(options));
+registerReranker('cross-encoder', (options) => new CrossEncoderReranker(options));
+registerReranker('llm', (options) => new LlmReranker(options));
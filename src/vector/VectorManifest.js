@@ -0,0 +1,135 @@
+/**
+ * VectorManifest - Tracks which documents are in a vector index
+ *
+ * Maps a stable document key to the vector ID (VectorStore.generateId) and a
+ * content hash, so a reindex only embeds new or changed documents and deletes
+ * vectors whose documents were removed.
+ *
+ * The manifest also remembers the embedding provider (and, for local TF-IDF,
+ * the vocabulary) the vectors were built with - if either changes, every
+ * document has to be embedded again.
+ *
+ * @version 1.0.0
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs-extra';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('VectorManifest');
+
+const FORMAT_VERSION = 1;
+
+export default class VectorManifest {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file the manifest is stored in
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.reset();
+    this.lastRun = null;
+  }
+
+  /**
+   * Forget all documents (after clearing the index)
+   */
+  reset(provider = null, vocabulary = null) {
+    this.provider = provider;
+    this.vocabulary = vocabulary;
+    this.documents = new Map();
+  }
+
+  /**
+   * Load manifest from disk, starting empty if missing or unreadable
+   */
+  async load() {
+    try {
+      if (!(await fs.pathExists(this.filePath))) return;
+
+      const data = await fs.readJson(this.filePath);
+      this.provider = data.provider || null;
+      this.vocabulary = data.vocabulary || null;
+      this.documents = new Map(Object.entries(data.documents || {}));
+      this.lastRun = data.lastRun || null;
+    } catch (error) {
+      logger.warn('Could not read vector manifest, next reindex will be full', {
+        error: error.message,
+      });
+      this.reset();
+    }
+  }
+
+  /**
+   * Persist manifest atomically (write temp file, then rename)
+   */
+  async save() {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.outputJson(tempPath, {
+      version: FORMAT_VERSION,
+      provider: this.provider,
+      vocabulary: this.vocabulary,
+      lastRun: this.lastRun,
+      documents: Object.fromEntries(this.documents),
+    });
+    await fs.move(tempPath, this.filePath, { overwrite: true });
+  }
+
+  /**
+   * Hash of everything that ends up in a vector or its metadata
+   */
+  static contentHash(doc) {
+    const payload = JSON.stringify([
+      doc.title || '',
+      doc.content || doc.text || '',
+      doc.category || '',
+      doc.source || '',
+      doc.version || '',
+      // Only part of the hash when known, so entries without one keep their hash
+      ...(doc.versionRange ? [doc.versionRange] : []),
+    ]);
+    return createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * Hash of a local TF-IDF state (vocabulary + IDF) - vectors are only comparable within one
+   */
+  static vocabularyHash(state) {
+    return createHash('sha256').update(JSON.stringify(state)).digest('hex');
+  }
+
+  /**
+   * Stable key for a document: its own id, or category + title.
+   * Repeated keys within one batch get an occurrence suffix.
+   */
+  static documentKeys(documents) {
+    const seen = new Map();
+
+    return documents.map((doc) => {
+      const base = doc.id ? String(doc.id) : `${doc.category || 'general'}::${doc.title || ''}`;
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      return count === 1 ? base : `${base}#${count}`;
+    });
+  }
+
+  get(key) {
+    return this.documents.get(key);
+  }
+
+  set(key, entry) {
+    this.documents.set(key, entry);
+  }
+
+  delete(key) {
+    this.documents.delete(key);
+  }
+
+  keys() {
+    return [...this.documents.keys()];
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+}
@@ -1,10 +1,20 @@
 /**
- * VectorStore - Pinecone-based semantic search for Mendix knowledge
+ * VectorStore - Semantic search for Mendix knowledge
  *
- * EMBEDDING PROVIDERS (checked in order):
+ * BACKENDS (config: vector.backend, env: VECTOR_BACKEND):
+ * - pinecone - Hosted Pinecone index (default)
+ * - local    - File-backed index under the knowledge directory, no network required
+ *
+ * EMBEDDING PROVIDERS (config: embeddings.provider, env: EMBEDDING_PROVIDER):
+ * See EmbeddingProviders.js. "auto" checks in order:
  * 1. Azure OpenAI - Uses text-embedding-ada-002 or custom deployment (1536 dims)
  * 2. OpenAI - Uses text-embedding-3-small (1536 dims)
  * 3. Local TF-IDF - Free fallback, no API key required (384 dims)
+ * An index only ever holds vectors from one provider - switching requires a reindex.
+ *
+ * EMBEDDING CACHE (config: embeddings.cache):
+ * Embeddings are stored on disk by provider, model and text hash (EmbeddingStore.js)
+ * and reused by every reindex and every server process on this machine.
  *
  * PINECONE:
  * - Built-in API key for shared knowledge base (no user setup needed)
@@ -15,13 +25,18 @@
 
 import { Pinecone } from '@pinecone-database/pinecone';
 import { createHash } from 'crypto';
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
-import { dirname, join } from 'path';
+import { dirname, isAbsolute, join } from 'path';
 import { fileURLToPath } from 'url';
+import { getConfig } from '../utils/config.js';
 import Logger from '../utils/logger.js';
+import { resolveEmbeddingProvider } from './EmbeddingProviders.js';
+import EmbeddingStore from './EmbeddingStore.js';
+import LocalVectorIndex from './LocalVectorIndex.js';
+import VectorManifest from './VectorManifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
+const SERVER_ROOT = join(__dirname, '..', '..');
 
 const logger = new Logger('VectorStore');
 
@@ -56,84 +71,42 @@ function getBuiltinPineconeKey() {
 }
 
 /**
- * LRU Cache for query embeddings - avoids re-embedding repeated queries
- * Huge performance boost for common searches!
- *
- * NEW in v3.1.0: Disk persistence for faster server restarts!
- * Cache is saved to data/embedding-cache.json and loaded on startup.
+ * Mendix version range of a document as flat vector metadata - Pinecone only
+ * accepts strings, numbers and booleans, and no nulls
+ */
+function versionMetadata(doc) {
+  const range = doc.versionRange;
+  if (!range) return {};
+
+  const metadata = {};
+  if (range.min) metadata.minVersion = range.min;
+  if (range.max) metadata.maxVersion = range.max;
+  if (range.deprecated_in) metadata.deprecatedIn = range.deprecated_in;
+  return metadata;
+}
+
+/**
+ * Range stored by versionMetadata(), or null for vectors indexed without one
+ */
+function versionRangeOf(metadata = {}) {
+  if (!metadata.minVersion && !metadata.maxVersion && !metadata.deprecatedIn) return null;
+  return {
+    min: metadata.minVersion || null,
+    max: metadata.maxVersion || null,
+    deprecated_in: metadata.deprecatedIn || null,
+  };
+}
+
+/**
+ * In-memory LRU cache for query embeddings - avoids re-embedding repeated queries
+ * within one process. Misses fall through to the shared on-disk EmbeddingStore.
  */
 class EmbeddingCache {
-  constructor(maxSize = 500, persistPath = null) {
+  constructor(maxSize = 500) {
     this.maxSize = maxSize;
     this.cache = new Map();
     this.hits = 0;
     this.misses = 0;
-    this.diskHits = 0;
-
-    // Determine persistence path
-    if (persistPath) {
-      this.persistPath = persistPath;
-    } else {
-      // Default: data/embedding-cache.json relative to project root
-      const projectRoot = join(__dirname, '..', '..');
-      this.persistPath = join(projectRoot, 'data', 'embedding-cache.json');
-    }
-
-    // Load from disk on startup
-    this.loadFromDisk();
-  }
-
-  /**
-   * Load cached embeddings from disk
-   */
-  loadFromDisk() {
-    try {
-      if (existsSync(this.persistPath)) {
-        const data = JSON.parse(readFileSync(this.persistPath, 'utf-8'));
-        if (data.entries && Array.isArray(data.entries)) {
-          // Load entries (already sorted by recency in save)
-          for (const [key, value] of data.entries) {
-            this.cache.set(key, value);
-          }
-          this.diskHits = data.entries.length;
-          logger.info('EmbeddingCache loaded from disk', { entries: data.entries.length });
-        }
-      }
-    } catch (err) {
-      logger.debug('Could not load embedding cache from disk', { error: err.message });
-    }
-  }
-
-  /**
-   * Save cached embeddings to disk
-   */
-  saveToDisk() {
-    try {
-      // Ensure data directory exists
-      const dataDir = dirname(this.persistPath);
-      if (!existsSync(dataDir)) {
-        mkdirSync(dataDir, { recursive: true });
-      }
-
-      // Convert Map to array of entries (preserves insertion order = LRU order)
-      const entries = Array.from(this.cache.entries());
-
-      const data = {
-        version: '3.1.0',
-        savedAt: new Date().toISOString(),
-        entries: entries,
-        stats: {
-          size: entries.length,
-          hits: this.hits,
-          misses: this.misses,
-        },
-      };
-
-      writeFileSync(this.persistPath, JSON.stringify(data, null, 2));
-      logger.debug('EmbeddingCache saved to disk', { entries: entries.length });
-    } catch (err) {
-      logger.warn('Could not save embedding cache to disk', { error: err.message });
-    }
   }
 
   get(key) {
@@ -156,11 +129,6 @@ class EmbeddingCache {
       this.cache.delete(firstKey);
     }
     this.cache.set(key, value);
-
-    // Auto-save every 50 new entries
-    if (this.cache.size % 50 === 0) {
-      this.saveToDisk();
-    }
   }
 
   getStats() {
@@ -170,9 +138,7 @@ class EmbeddingCache {
       maxSize: this.maxSize,
       hits: this.hits,
       misses: this.misses,
-      diskHits: this.diskHits,
       hitRate: total > 0 ? ((this.hits / total) * 100).toFixed(1) + '%' : '0%',
-      persistPath: this.persistPath,
     };
   }
 
@@ -180,296 +146,108 @@ class EmbeddingCache {
     this.cache.clear();
     this.hits = 0;
     this.misses = 0;
-    this.diskHits = 0;
-    // Also clear disk cache
-    try {
-      if (existsSync(this.persistPath)) {
-        writeFileSync(this.persistPath, JSON.stringify({ entries: [], version: '3.1.0' }));
-      }
-    } catch (err) {
-      logger.debug('Could not clear disk cache', { error: err.message });
-    }
-  }
-
-  /**
-   * Graceful shutdown - save cache to disk
-   */
-  shutdown() {
-    this.saveToDisk();
-  }
-}
-
-/**
- * Azure OpenAI Embeddings - High quality semantic embeddings via Azure
- * Configure with: AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_EMBEDDING_DEPLOYMENT
- */
-class AzureOpenAIEmbedder {
-  constructor() {
-    this.dimension = 1536; // text-embedding-ada-002 dimension
-    this.apiKey = process.env.AZURE_OPENAI_API_KEY;
-    this.endpoint = process.env.AZURE_OPENAI_ENDPOINT;
-    this.deploymentName = process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || 'text-embedding-ada-002';
-    this.apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-02-01';
-    this.batchSize = 16; // Azure has lower batch limits
-  }
-
-  isAvailable() {
-    return !!this.apiKey && !!this.endpoint;
-  }
-
-  /**
-   * Generate embeddings for a batch of texts
-   */
-  async embedBatch(texts) {
-    if (!this.isAvailable()) {
-      throw new Error('Azure OpenAI not configured');
-    }
-
-    const url = `${this.endpoint}/openai/deployments/${this.deploymentName}/embeddings?api-version=${this.apiVersion}`;
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'api-key': this.apiKey,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        input: texts,
-      }),
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Azure OpenAI API error: ${response.status} - ${error}`);
-    }
-
-    const data = await response.json();
-    return data.data.map((item) => item.embedding);
-  }
-
-  /**
-   * Generate embedding for single text
-   */
-  async embed(text) {
-    const embeddings = await this.embedBatch([text]);
-    return embeddings[0];
-  }
-
-  buildVocabulary() {}
-}
-
-/**
- * OpenAI Embeddings - High quality semantic embeddings
- * Configure with: OPENAI_API_KEY
- */
-class OpenAIEmbedder {
-  constructor() {
-    this.dimension = 1536; // text-embedding-3-small dimension
-    this.model = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.batchSize = 100; // OpenAI allows up to 2048 inputs per request
-  }
-
-  isAvailable() {
-    return !!this.apiKey;
-  }
-
-  /**
-   * Generate embeddings for a batch of texts
-   */
-  async embedBatch(texts) {
-    if (!this.apiKey) {
-      throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY environment variable.');
-    }
-
-    const response = await fetch('https://api.openai.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: this.model,
-        input: texts,
-      }),
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`OpenAI API error: ${error}`);
-    }
-
-    const data = await response.json();
-    return data.data.map((item) => item.embedding);
-  }
-
-  /**
-   * Generate embedding for single text
-   */
-  async embed(text) {
-    const embeddings = await this.embedBatch([text]);
-    return embeddings[0];
-  }
-
-  // No vocabulary building needed for OpenAI
-  buildVocabulary() {}
-}
-
-/**
- * Local TF-IDF Embeddings - Free fallback
- */
-class LocalEmbedder {
-  constructor() {
-    this.dimension = 384; // Standard small embedding size
-    this.vocabulary = new Map();
-    this.idf = new Map();
-    this.docCount = 0;
-  }
-
-  /**
-   * Build vocabulary from all documents
-   */
-  buildVocabulary(documents) {
-    const docFreq = new Map();
-    this.docCount = documents.length;
-
-    // Count document frequencies
-    for (const doc of documents) {
-      const terms = this.tokenize(doc.content || doc.text || '');
-      const uniqueTerms = new Set(terms);
-
-      for (const term of uniqueTerms) {
-        docFreq.set(term, (docFreq.get(term) || 0) + 1);
-      }
-    }
-
-    // Calculate IDF and build vocabulary (top terms by document frequency)
-    const sortedTerms = [...docFreq.entries()].sort((a, b) => b[1] - a[1]).slice(0, this.dimension);
-
-    let idx = 0;
-    for (const [term, freq] of sortedTerms) {
-      this.vocabulary.set(term, idx++);
-      this.idf.set(term, Math.log(this.docCount / (freq + 1)) + 1);
-    }
-
-    logger.info('Vocabulary built', {
-      terms: this.vocabulary.size,
-      documents: this.docCount,
-    });
-  }
-
-  /**
-   * Tokenize text into terms
-   */
-  tokenize(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^a-z0-9\s]/g, ' ')
-      .split(/\s+/)
-      .filter((t) => t.length > 2)
-      .map((t) => this.stem(t));
-  }
-
-  /**
-   * Simple Porter-like stemmer
-   */
-  stem(word) {
-    return word
-      .replace(/ing$/, '')
-      .replace(/tion$/, 't')
-      .replace(/ies$/, 'y')
-      .replace(/es$/, '')
-      .replace(/s$/, '');
-  }
-
-  /**
-   * Generate embedding vector for text
-   */
-  embed(text) {
-    const terms = this.tokenize(text);
-    const vector = new Array(this.dimension).fill(0);
-    const termFreq = new Map();
-
-    // Count term frequencies
-    for (const term of terms) {
-      termFreq.set(term, (termFreq.get(term) || 0) + 1);
-    }
-
-    // Build TF-IDF vector
-    for (const [term, tf] of termFreq) {
-      const idx = this.vocabulary.get(term);
-      if (idx !== undefined) {
-        const idf = this.idf.get(term) || 1;
-        vector[idx] = tf * idf;
-      }
-    }
-
-    // Normalize to unit vector
-    const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
-    if (magnitude > 0) {
-      for (let i = 0; i < vector.length; i++) {
-        vector[i] /= magnitude;
-      }
-    }
-
-    return vector;
   }
 }
 
 export default class VectorStore {
   constructor(options = {}) {
+    const config = getConfig();
+
     this.indexName = options.indexName || process.env.PINECONE_INDEX || BUILTIN_PINECONE.index;
     this.namespace = options.namespace || 'default';
+    this.backend = options.backend || config.get('vector.backend', 'pinecone');
+
+    const localPath = options.localPath || config.get('vector.local.path', './knowledge/vectors');
+    this.localPath = isAbsolute(localPath) ? localPath : join(SERVER_ROOT, localPath);
 
     // Query embedding cache - avoids re-embedding repeated queries
     this.queryCache = new EmbeddingCache(500);
 
-    // Try Azure OpenAI first, then standard OpenAI, fall back to local
-    this.azureEmbedder = new AzureOpenAIEmbedder();
-    this.openaiEmbedder = new OpenAIEmbedder();
-    this.localEmbedder = new LocalEmbedder();
-
-    if (this.azureEmbedder.isAvailable()) {
-      this.embedder = this.azureEmbedder;
-      this.dimension = 1536;
-      this.embeddingMode = 'azure-openai';
-      logger.info('Using Azure OpenAI embeddings (high quality)', {
-        endpoint: this.azureEmbedder.endpoint,
-        deployment: this.azureEmbedder.deploymentName,
-      });
-    } else if (this.openaiEmbedder.isAvailable()) {
-      this.embedder = this.openaiEmbedder;
-      this.dimension = 1536;
-      this.embeddingMode = 'openai';
-      logger.info('Using OpenAI embeddings (high quality)', {
-        model: this.openaiEmbedder.model,
+    // Embeddings on disk, shared across reindexes and processes (null = disabled)
+    if (options.embeddingStore !== undefined) {
+      this.embeddingStore = options.embeddingStore;
+    } else if (config.get('embeddings.cache.enabled', true)) {
+      const storePath = config.get('embeddings.cache.path', './data/embeddings');
+      this.embeddingStore = new EmbeddingStore({
+        dir: isAbsolute(storePath) ? storePath : join(SERVER_ROOT, storePath),
+        maxSizeMB: config.get('embeddings.cache.maxSizeMB', 200),
       });
     } else {
-      this.embedder = this.localEmbedder;
-      this.dimension = 384;
-      this.embeddingMode = 'local';
+      this.embeddingStore = null;
+    }
+
+    // Embedding provider from the registry (auto = Azure OpenAI → OpenAI → local TF-IDF)
+    // A configured provider that is not set up disables vector search instead of failing
+    this.unavailable = null;
+    try {
+      this.embedder = options.embedder || resolveEmbeddingProvider(options.embeddingProvider);
+    } catch (error) {
+      this.embedder = null;
+      this.unavailable = error.message;
+      logger.warn('Embedding provider unavailable, vector search disabled', {
+        error: error.message,
+      });
+    }
+    this.embeddingMode = this.embedder?.name || null;
+    this.dimension = this.embedder?.dimension || null;
+
+    if (this.embeddingMode === 'local') {
       logger.info(
         'Using local TF-IDF embeddings (no API key found - set OPENAI_API_KEY or AZURE_OPENAI_API_KEY for better results)'
       );
+    } else if (this.embedder) {
+      logger.info('Using embedding provider', this.embedder.describe());
     }
 
+    // Set when the index holds vectors from a different provider
+    this.providerMismatch = null;
+
+    // Document ID + content hash of everything indexed, for incremental reindexing
+    const manifestPath =
+      options.manifestPath ||
+      (this.backend === 'local'
+        ? join(this.localPath, 'manifest.json')
+        : join(SERVER_ROOT, 'data', `vector-manifest-${this.indexName}-${this.namespace}.json`));
+    this.manifest = new VectorManifest({ filePath: manifestPath });
+
     this.pinecone = null;
     this.index = null;
     this.initialized = false;
     this.usingBuiltinKey = false;
 
     logger.info('VectorStore created', {
-      indexName: this.indexName,
+      backend: this.backend,
+      indexName: this.backend === 'local' ? this.localPath : this.indexName,
       embeddingMode: this.embeddingMode,
     });
   }
 
   /**
-   * Initialize Pinecone connection
-   * Uses built-in key if no PINECONE_API_KEY is set
+   * Initialize the configured backend
+   * Pinecone uses the built-in key if no PINECONE_API_KEY is set
    */
   async initialize() {
     if (this.initialized) return true;
+    if (!this.embedder) return false;
+
+    if (!this.dimension) {
+      try {
+        await this.embedder.embed('dimension probe');
+        this.dimension = this.embedder.dimension;
+      } catch (error) {
+        logger.error('Embedding provider unreachable', {
+          provider: this.embeddingMode,
+          error: error.message,
+        });
+        return false;
+      }
+    }
+
+    await this.manifest.load();
+
+    if (this.backend === 'local') {
+      return this.initializeLocal();
+    }
 
     // Try user-provided key first, then fall back to built-in
     let apiKey = process.env.PINECONE_API_KEY;
@@ -520,6 +298,7 @@ export default class VectorStore {
 
       this.index = this.pinecone.index(this.indexName);
       this.initialized = true;
+      await this.checkProviderCompatibility();
 
       logger.info('VectorStore initialized', { index: this.indexName });
       return true;
@@ -529,6 +308,75 @@ export default class VectorStore {
     }
   }
 
+  /**
+   * Initialize the file-backed local index
+   */
+  async initializeLocal() {
+    try {
+      const index = new LocalVectorIndex({ directory: this.localPath });
+      await index.load();
+
+      // Local TF-IDF vectors are only comparable with the vocabulary they were built from
+      if (this.embeddingMode === 'local' && index.metadata.localEmbedder) {
+        this.embedder.importState(index.metadata.localEmbedder);
+      }
+
+      this.index = index;
+      this.initialized = true;
+      await this.checkProviderCompatibility();
+
+      logger.info('VectorStore initialized', { backend: 'local', path: this.localPath });
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize local vector index', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Refuse to mix vectors from different embedding providers.
+   * The local index records the provider id; Pinecone only exposes its dimension.
+   * @returns {string|null} Mismatch description, or null when compatible
+   */
+  async checkProviderCompatibility() {
+    const stats = await this.index.describeIndexStats();
+    let indexProvider = null;
+
+    if (stats.totalRecordCount > 0) {
+      if (this.backend === 'local') {
+        indexProvider = this.index.metadata.embeddingProvider;
+        if (indexProvider === this.embedder.id) indexProvider = null;
+      } else if (stats.dimension && stats.dimension !== this.dimension) {
+        indexProvider = `${stats.dimension}-dim vectors`;
+      }
+    }
+
+    this.providerMismatch = indexProvider
+      ? `Vector index was built with ${indexProvider} but the configured embedding provider is ` +
+        `${this.embedder.id}. Clear the index and reindex (reindex-vectors --force).`
+      : null;
+
+    if (this.providerMismatch) {
+      logger.warn('Embedding provider mismatch', {
+        index: indexProvider,
+        current: this.embedder.id,
+      });
+    }
+    return this.providerMismatch;
+  }
+
+  /**
+   * Record which provider produced the local index's vectors
+   */
+  async recordLocalProvider() {
+    if (this.backend !== 'local') return;
+
+    await this.index.setMetadata({
+      embeddingProvider: this.embedder.id,
+      localEmbedder: this.embeddingMode === 'local' ? this.embedder.exportState() : null,
+    });
+  }
+
   /**
    * Wait for index to become ready
    */
@@ -553,9 +401,39 @@ export default class VectorStore {
   }
 
   /**
-   * Index all knowledge documents
+   * Embed texts, reusing vectors from the on-disk EmbeddingStore when enabled
+   * @returns {Promise<{embeddings: Array<number[]>, hits: number}>}
    */
-  async indexDocuments(documents) {
+  async embedTexts(texts) {
+    if (!this.embeddingStore) {
+      return { embeddings: await this.embedder.embedBatch(texts), hits: 0 };
+    }
+    return this.embeddingStore.embedBatch(this.embedder, texts);
+  }
+
+  /**
+   * Whether indexing may delete vectors: on the local backend and on the user's own
+   * Pinecone index. The built-in key's index is shared by every install, and other
+   * installs may still use any vector in it, so vectors are only ever added there.
+   */
+  get ownsIndex() {
+    return this.backend === 'local' || !this.usingBuiltinKey;
+  }
+
+  /**
+   * Index knowledge documents incrementally.
+   * Only new or changed documents (by manifest content hash) are embedded, and
+   * vectors of documents missing from the batch are deleted (only when ownsIndex).
+   *
+   * @param {Array} documents - Documents with title, content, category, source
+   * @param {Object} options
+   * @param {boolean} options.incremental - Skip unchanged documents (default true)
+   * @param {boolean} options.prune - Delete vectors of documents not in this batch (default true)
+   * @returns {Object} - { indexed, added, updated, removed, skipped, cached, full, mode }
+   */
+  async indexDocuments(documents, options = {}) {
+    const { incremental = true } = options;
+
     if (!this.initialized) {
       const ready = await this.initialize();
       if (!ready) {
@@ -567,24 +445,68 @@ export default class VectorStore {
     // Build vocabulary for local embedder (no-op for OpenAI)
     this.embedder.buildVocabulary(documents);
 
-    // Filter documents with content
-    const validDocs = documents.filter((doc) => {
+    // TF-IDF weights shift whenever any document changes, so every vector must be rebuilt
+    const vocabulary =
+      this.embeddingMode === 'local'
+        ? VectorManifest.vocabularyHash(this.embedder.exportState())
+        : null;
+    const full =
+      !incremental ||
+      this.manifest.provider !== this.embedder.id ||
+      this.manifest.vocabulary !== vocabulary;
+
+    if (full && this.backend === 'local' && this.embeddingMode === 'local') {
+      // A rebuilt TF-IDF vocabulary invalidates every stored local vector
+      await this.index.namespace(this.namespace).deleteAll();
+      this.queryCache.clear();
+    }
+
+    if (await this.checkProviderCompatibility()) {
+      throw new Error(this.providerMismatch);
+    }
+    await this.recordLocalProvider();
+
+    // Work out what changed since the last run
+    const keys = VectorManifest.documentKeys(documents);
+    const currentKeys = new Set();
+    const pending = [];
+
+    documents.forEach((doc, i) => {
       const content = doc.content || doc.text || doc.title || '';
-      return content.trim().length > 10; // Need at least 10 chars
+      if (content.trim().length <= 10) return; // Need at least 10 chars
+
+      const key = keys[i];
+      const hash = VectorManifest.contentHash(doc);
+      const previous = this.manifest.get(key);
+      currentKeys.add(key);
+
+      if (!full && previous?.hash === hash) return;
+      pending.push({ doc, key, hash, previous });
     });
 
+    const prune = (options.prune ?? true) && this.ownsIndex;
+    const staleIds = new Set();
+    const removedKeys = prune ? this.manifest.keys().filter((key) => !currentKeys.has(key)) : [];
+    for (const key of removedKeys) {
+      staleIds.add(this.manifest.get(key).id);
+      this.manifest.delete(key);
+    }
+
+    const validDocs = pending.map((p) => p.doc);
+
     logger.info('Processing documents', {
       total: documents.length,
-      withContent: validDocs.length,
+      changed: validDocs.length,
+      removed: removedKeys.length,
+      full,
       mode: this.embeddingMode,
     });
 
-    // Prepare vectors - handle async for OpenAI/Azure
+    // Prepare vectors in provider-sized batches
     const vectors = [];
-    const isCloudEmbedding =
-      this.embeddingMode === 'openai' || this.embeddingMode === 'azure-openai';
-    const batchSize =
-      this.embeddingMode === 'azure-openai' ? 16 : this.embeddingMode === 'openai' ? 50 : 100;
+    const vectorEntries = [];
+    const batchSize = this.embedder.batchSize;
+    let cached = 0;
 
     for (let i = 0; i < validDocs.length; i += batchSize) {
       const batch = validDocs.slice(i, i + batchSize);
@@ -596,49 +518,35 @@ export default class VectorStore {
       });
 
       let embeddings;
-      let embeddingDimension = this.dimension; // Track dimension of embeddings produced
-
-      if (isCloudEmbedding) {
-        // Batch embedding for OpenAI/Azure (faster)
-        try {
-          embeddings = await this.embedder.embedBatch(texts);
-          embeddingDimension = 1536; // Cloud embeddings are always 1536
-        } catch (error) {
-          logger.error('Primary cloud embedding failed', { error: error.message });
-
-          // Try fallback to OpenAI if Azure failed and OpenAI is available
-          if (this.embeddingMode === 'azure-openai' && this.openaiEmbedder.isAvailable()) {
-            try {
-              logger.info('Attempting fallback to OpenAI embeddings');
-              embeddings = await this.openaiEmbedder.embedBatch(texts);
-              embeddingDimension = 1536;
-            } catch (fallbackError) {
-              logger.error('OpenAI fallback also failed, skipping batch', {
-                error: fallbackError.message,
-              });
-              // Skip this batch entirely rather than mixing dimensions
-              continue;
-            }
-          } else {
-            // Skip batch rather than fall back to local (dimension mismatch)
-            logger.warn('Skipping batch - local embeddings would cause dimension mismatch');
-            continue;
-          }
-        }
-      } else {
-        // Local embeddings (synchronous)
-        embeddings = texts.map((t) => this.localEmbedder.embed(t));
-        embeddingDimension = 384;
+      try {
+        const embedded = await this.embedTexts(texts);
+        embeddings = embedded.embeddings;
+        cached += embedded.hits;
+      } catch (error) {
+        // Skip the batch rather than fall back to another provider (mixed vectors)
+        logger.error('Embedding batch failed, skipping', {
+          provider: this.embeddingMode,
+          error: error.message,
+        });
+        continue;
       }
 
       for (let j = 0; j < batch.length; j++) {
         const doc = batch[j];
         const embedding = embeddings[j];
+        const entry = pending[i + j];
 
         // Check if vector has any non-zero values
         const hasContent = embedding.some((v) => v !== 0);
-        if (!hasContent) continue;
+        if (!hasContent) {
+          if (entry.previous) {
+            staleIds.add(entry.previous.id);
+            this.manifest.delete(entry.key);
+          }
+          continue;
+        }
 
+        vectorEntries.push(entry);
         vectors.push({
           id: this.generateId(doc),
           values: embedding,
@@ -647,7 +555,9 @@ export default class VectorStore {
             category: doc.category || 'general',
             source: doc.source || 'knowledge-base',
             version: doc.version || 'unknown',
+            ...versionMetadata(doc),
             preview: (doc.content || doc.text || '').slice(0, 200),
+            embeddingProvider: this.embedder.id,
           },
         });
       }
@@ -667,6 +577,8 @@ export default class VectorStore {
 
     // Upsert in batches of 100 with retry logic
     let indexed = 0;
+    let added = 0;
+    let updated = 0;
     const upsertBatchSize = 100;
     const maxRetries = 3;
     const baseDelay = 1000;
@@ -697,14 +609,52 @@ export default class VectorStore {
 
       indexed += batch.length;
 
+      // Only record documents once their vectors are stored
+      batch.forEach((vector, j) => {
+        const entry = vectorEntries[i + j];
+        if (entry.previous) {
+          updated++;
+          staleIds.add(entry.previous.id);
+        } else {
+          added++;
+        }
+        this.manifest.set(entry.key, { id: vector.id, hash: entry.hash });
+      });
+
       logger.info('Indexed batch', {
         batch: Math.floor(i / upsertBatchSize) + 1,
         total: Math.ceil(vectors.length / upsertBatchSize),
       });
     }
 
-    logger.info('Indexing complete', { indexed, mode: this.embeddingMode });
-    return { indexed, skipped: documents.length - indexed, mode: this.embeddingMode };
+    // Delete vectors no longer referenced (removed documents, old versions of changed ones)
+    const liveIds = new Set(this.manifest.keys().map((key) => this.manifest.get(key).id));
+    const deleteIds = [...staleIds].filter((id) => !liveIds.has(id));
+    if (deleteIds.length > 0 && !this.ownsIndex) {
+      logger.debug('Keeping old vectors in the shared index', { vectors: deleteIds.length });
+    } else if (deleteIds.length > 0) {
+      await this.index.namespace(this.namespace).deleteMany(deleteIds);
+      this.queryCache.clear();
+    }
+
+    const result = {
+      indexed,
+      added,
+      updated,
+      removed: removedKeys.length,
+      skipped: documents.length - indexed,
+      cached,
+      full,
+      mode: this.embeddingMode,
+    };
+
+    this.manifest.provider = this.embedder.id;
+    this.manifest.vocabulary = vocabulary;
+    this.manifest.lastRun = { ...result, at: new Date().toISOString() };
+    await this.manifest.save();
+
+    logger.info('Indexing complete', result);
+    return result;
   }
 
   /**
@@ -720,41 +670,27 @@ export default class VectorStore {
       }
     }
 
+    if (this.providerMismatch) {
+      logger.warn('Vector search skipped', { reason: this.providerMismatch });
+      return [];
+    }
+
     // Normalize query for consistent caching
     const normalizedQuery = query.trim().toLowerCase();
-    const cacheKey = `${normalizedQuery}:${this.embeddingMode}`;
+    const cacheKey = `${normalizedQuery}:${this.embedder.id}`;
 
     // Check cache first - huge speedup for repeated queries!
     let queryVector = this.queryCache.get(cacheKey);
 
     if (!queryVector) {
-      // Get query embedding (async for OpenAI/Azure, sync for local)
-      const isCloudEmbedding =
-        this.embeddingMode === 'openai' || this.embeddingMode === 'azure-openai';
-
-      if (isCloudEmbedding) {
-        try {
-          queryVector = await this.embedder.embed(normalizedQuery);
-        } catch (error) {
-          logger.warn('Primary cloud query embedding failed', { error: error.message });
-
-          // Try fallback to OpenAI if Azure failed and OpenAI is available
-          if (this.embeddingMode === 'azure-openai' && this.openaiEmbedder.isAvailable()) {
-            try {
-              logger.info('Attempting fallback to OpenAI for query embedding');
-              queryVector = await this.openaiEmbedder.embed(normalizedQuery);
-            } catch (fallbackError) {
-              logger.error('OpenAI fallback also failed, using local', {
-                error: fallbackError.message,
-              });
-              queryVector = this.localEmbedder.embed(normalizedQuery);
-            }
-          } else {
-            queryVector = this.localEmbedder.embed(normalizedQuery);
-          }
-        }
-      } else {
-        queryVector = this.localEmbedder.embed(normalizedQuery);
+      try {
+        [queryVector] = (await this.embedTexts([normalizedQuery])).embeddings;
+      } catch (error) {
+        logger.warn('Query embedding failed', {
+          provider: this.embeddingMode,
+          error: error.message,
+        });
+        return [];
       }
 
       // Cache the embedding for future use
@@ -809,6 +745,7 @@ export default class VectorStore {
           category: match.metadata?.category,
           source: match.metadata?.source,
           version: match.metadata?.version,
+          versionRange: versionRangeOf(match.metadata),
           preview: match.metadata?.preview,
         }));
     } catch (error) {
@@ -832,6 +769,10 @@ export default class VectorStore {
       }
     }
 
+    if (this.providerMismatch) {
+      return { success: false, error: this.providerMismatch };
+    }
+
     // Validate document
     const text = doc.content || doc.text || '';
     if (!text || text.length < 20) {
@@ -845,11 +786,8 @@ export default class VectorStore {
       const textToEmbed =
         fullText.length > MAX_CHARS ? fullText.slice(0, MAX_CHARS) + '...' : fullText;
 
-      const isCloudEmbedding =
-        this.embeddingMode === 'openai' || this.embeddingMode === 'azure-openai';
-
-      // Only use cloud embeddings for indexing (to match Pinecone's 1536 dimension)
-      if (!isCloudEmbedding) {
+      // TF-IDF vectors only match a vocabulary rebuilt on full reindex, never Pinecone's index
+      if (this.embeddingMode === 'local' && this.backend !== 'local') {
         return {
           success: false,
           error: 'Cloud embeddings required for indexing (dimension mismatch with local)',
@@ -858,18 +796,9 @@ export default class VectorStore {
 
       let embedding;
       try {
-        embedding = await this.embedder.embed(textToEmbed);
+        [embedding] = (await this.embedTexts([textToEmbed])).embeddings;
       } catch (error) {
-        // Try fallback to OpenAI if Azure fails
-        if (this.embeddingMode === 'azure-openai' && this.openaiEmbedder.isAvailable()) {
-          try {
-            embedding = await this.openaiEmbedder.embed(textToEmbed);
-          } catch (fallbackError) {
-            return { success: false, error: `Embedding failed: ${fallbackError.message}` };
-          }
-        } else {
-          return { success: false, error: `Embedding failed: ${error.message}` };
-        }
+        return { success: false, error: `Embedding failed: ${error.message}` };
       }
 
       // Check if vector has content
@@ -888,7 +817,9 @@ export default class VectorStore {
           category: doc.category || 'general',
           source: doc.source || 'knowledge-base',
           version: doc.version || 'unknown',
+          ...versionMetadata(doc),
           preview: text.slice(0, 200),
+          embeddingProvider: this.embedder.id,
         },
       };
 
@@ -899,6 +830,9 @@ export default class VectorStore {
       for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
           await this.index.namespace(this.namespace).upsert([vector]);
+          if (!this.index.metadata?.embeddingProvider) {
+            await this.recordLocalProvider();
+          }
           break; // Success
         } catch (retryError) {
           if (attempt < maxRetries) {
@@ -918,6 +852,12 @@ export default class VectorStore {
         }
       }
 
+      // Keep the manifest in step so the next reindex does not embed it again
+      const [key] = VectorManifest.documentKeys([doc]);
+      this.manifest.set(key, { id, hash: VectorManifest.contentHash(doc) });
+      this.manifest.provider = this.manifest.provider || this.embedder.id;
+      await this.manifest.save();
+
       logger.info('Single document indexed', { id, title: doc.title });
       return { success: true, id };
     } catch (error) {
@@ -930,6 +870,9 @@ export default class VectorStore {
    * Get stats about the vector index
    */
   async getStats() {
+    if (this.unavailable) {
+      return { status: 'unavailable', vectors: 0, error: this.unavailable };
+    }
     if (!this.initialized) {
       return { status: 'not_initialized', vectors: 0 };
     }
@@ -941,8 +884,14 @@ export default class VectorStore {
         vectors: stats.totalRecordCount || 0,
         namespaces: stats.namespaces || {},
         dimension: this.dimension,
+        backend: this.backend,
         embeddingMode: this.embeddingMode,
+        embeddingProvider: this.embedder.describe(),
+        providerMismatch: this.providerMismatch,
+        manifestEntries: this.manifest.size,
+        lastReindex: this.manifest.lastRun,
         queryCache: this.queryCache.getStats(),
+        embeddingCache: this.embeddingStore ? await this.embeddingStore.getStats() : null,
       };
     } catch (error) {
       return { status: 'error', error: error.message };
@@ -958,6 +907,9 @@ export default class VectorStore {
     try {
       await this.index.namespace(this.namespace).deleteAll();
       this.queryCache.clear(); // Clear cache on re-index
+      this.providerMismatch = null;
+      this.manifest.reset();
+      await this.manifest.save();
       logger.info('Vector store cleared');
       return true;
     } catch (error) {
@@ -967,11 +919,10 @@ export default class VectorStore {
   }
 
   /**
-   * Graceful shutdown - save embedding cache to disk
-   * Call this before server shutdown to persist cache
+   * Graceful shutdown - embeddings are already on disk (EmbeddingStore writes immediately)
    */
   shutdown() {
-    logger.info('VectorStore shutting down, saving embedding cache...');
-    this.queryCache.shutdown();
+    logger.info('VectorStore shutting down');
+    this.queryCache.clear();
   }
 }
@@ -0,0 +1,223 @@
+/**
+ * Test Suite: Analyzer Registry
+ * Tests registering analyzers, the shared scoring and report, and the generated routes
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+import { z } from 'zod';
+
+import {
+  describeParameters,
+  getAnalyzer,
+  listAnalyzers,
+  openApiPaths,
+  registerAnalyzer,
+  runAnalyzer,
+  runAnalyzerTool,
+  toResponse,
+} from '../src/analyzers/AnalyzerRegistry.js';
+import { recommendationsFrom } from '../src/analyzers/AnalysisReport.js';
+
+// Counts TODO comments in a single file
+const todoAnalyzer = {
+  id: 'todo-comments',
+  title: 'TODO Analysis',
+  description: 'Counts TODO comments.',
+  input: 'file',
+  options: {
+    allowed: z.number().optional().default(0).describe('TODOs before points are deducted'),
+  },
+  weights: { todos: 0.75, length: 0.25, extra: 0.5 },
+  labels: { todos: 'TODO Comments' },
+  async analyze({ content }, { allowed }) {
+    const count = (content.match(/TODO/g) || []).length;
+    const over = Math.max(0, count - allowed);
+    return {
+      sections: {
+        todos: {
+          score: Math.max(0, 100 - over * 25),
+          issues: over
+            ? [{ severity: 'suggestion', message: `${count} TODO comments`, fix: 'Resolve them' }]
+            : [],
+        },
+        length: {
+          score: 40,
+          issues: [{ severity: 'critical', message: 'File is too long', fix: 'Split it' }],
+        },
+        extra: { score: null },
+      },
+    };
+  },
+};
+
+// Reads loaded project data
+const dataAnalyzer = {
+  id: 'entities',
+  input: 'data',
+  weights: { entities: 1 },
+  analyze: async (project) => ({ sections: { entities: { score: project.score, issues: [] } } }),
+};
+
+describe('AnalyzerRegistry', () => {
+  let tmpDir;
+  let filePath;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-analyzers-'));
+    filePath = path.join(tmpDir, 'notes.js');
+    await fs.writeFile(filePath, '// TODO one\n// TODO two\n');
+
+    registerAnalyzer(todoAnalyzer);
+    registerAnalyzer(dataAnalyzer);
+  });
+
+  after(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it('should name tools and routes after the id and reject bad definitions', () => {
+    const definition = getAnalyzer('todo-comments');
+    assert.strictEqual(definition.tool, 'analyze_todo_comments');
+    assert.strictEqual(definition.route, '/analyze-todo-comments');
+    assert.deepStrictEqual(
+      listAnalyzers().map((a) => a.id),
+      ['theme', 'todo-comments', 'entities']
+    );
+
+    assert.throws(() => registerAnalyzer({ ...dataAnalyzer, id: 'Bad Id' }), /lowercase/);
+    assert.throws(() => registerAnalyzer({ ...dataAnalyzer, input: 'url' }), /unknown input/);
+    assert.throws(() => registerAnalyzer({ ...dataAnalyzer, weights: {} }), /section weights/);
+    assert.throws(() => getAnalyzer('missing'), /Unknown analyzer "missing"/);
+  });
+
+  it('should score weighted sections, skipping those without a score', async () => {
+    const report = await runAnalyzer('todo-comments', { file_path: filePath, allowed: 1 });
+
+    // (75 * 0.75 + 40 * 0.25) / 1.0 - the null section does not count
+    assert.strictEqual(report.score, 66);
+    assert.strictEqual(report.grade, 'D');
+    assert.deepStrictEqual(
+      report.verdicts.map(({ check, status }) => [check, status]),
+      [
+        ['TODO Comments', 'PASS'],
+        ['length', 'FAIL'],
+      ]
+    );
+    // Critical first
+    assert.deepStrictEqual(
+      report.recommendations.map((r) => r.priority),
+      ['HIGH', 'LOW']
+    );
+    assert.match(report.summary, /## TODO Analysis Summary/);
+
+    const response = toResponse(report, { detailed: false });
+    assert.strictEqual(response.file_path, filePath);
+    assert.strictEqual(response.sections, undefined);
+    assert.strictEqual(response.weights, undefined);
+  });
+
+  it('should validate parameters and inputs', async () => {
+    await assert.rejects(() => runAnalyzer('todo-comments', {}), {
+      name: 'ValidationError',
+      field: 'file_path',
+    });
+    await assert.rejects(
+      () => runAnalyzer('todo-comments', { file_path: filePath, allowed: 'two' }),
+      { name: 'ValidationError', field: 'allowed' }
+    );
+    await assert.rejects(
+      () => runAnalyzer('todo-comments', { file_path: path.join(tmpDir, 'missing.js') }),
+      /File not found/
+    );
+
+    const projectLoader = { loadProject: async (value) => ({ score: value.length * 10 }) };
+    const report = await runAnalyzer('entities', { project_path: 'App.mpr' }, { projectLoader });
+    assert.strictEqual(report.score, 70);
+  });
+
+  it('should format the tool report', async () => {
+    const text = await runAnalyzerTool('todo-comments', {
+      file_path: filePath,
+      fix_suggestions: false,
+    });
+
+    assert.match(text, /^# 🔍 TODO Analysis Report\n\n\*\*File:\*\* /);
+    assert.match(text, /\| TODO Comments \| 50\/100 \| 75% \|/);
+    assert.match(text, /\| extra \| n\/a \| 50% \|/);
+    assert.match(text, /## ⚠️ Critical Issues \(1\)\n\n- \*\*File is too long\*\*\n/);
+  });
+
+  it('should generate OpenAPI paths and tool listings', () => {
+    const { post } = openApiPaths()['/analyze-todo-comments'];
+    const schema = post.requestBody.content['application/json'].schema;
+
+    assert.strictEqual(post.operationId, 'analyzeTodoComments');
+    assert.deepStrictEqual(Object.keys(schema.properties), ['file_path', 'allowed', 'detailed']);
+    assert.deepStrictEqual(schema.required, ['file_path']);
+    assert.deepStrictEqual(describeParameters(getAnalyzer('todo-comments')), {
+      file_path: 'string (required) - Path to the file to analyze',
+      allowed: 'number (optional) - TODOs before points are deducted (default: 0)',
+      detailed: 'boolean (optional) - Include the detailed breakdown (REST: the sections) (default: true)',
+    });
+  });
+
+  it('should keep the theme tool and its patch preview', async () => {
+    const projectDir = path.join(tmpDir, 'project');
+    await fs.outputFile(
+      path.join(projectDir, 'theme/web/custom-variables.scss'),
+      '$brand-primary: #264ae5;\n'
+    );
+
+    const text = await runAnalyzerTool('theme', { project_path: projectDir });
+    assert.match(text, /^# 🎨 Theme Analysis Report/);
+    assert.match(text, /\| Native Theme \| n\/a \| 15% \|/);
+    assert.match(text, /## 📚 Best Practices Reference/);
+
+    const patch = await runAnalyzerTool('theme', { project_path: projectDir, patch: 'preview' });
+    assert.doesNotMatch(patch, /Theme Analysis Report/);
+  });
+
+  it('should keep the /analyze-theme response', async () => {
+    const projectDir = path.join(tmpDir, 'theme-response');
+    await fs.outputFile(path.join(projectDir, 'theme/web/main.scss'), 'body { color: #333; }\n');
+    const report = await runAnalyzer('theme', { project_path: projectDir });
+
+    const response = toResponse(report);
+    assert.strictEqual(response.project_path, projectDir);
+    assert.strictEqual(response.scores.overall, report.score);
+    assert.strictEqual(response.scores.native, null);
+    assert.deepStrictEqual(Object.keys(response.recommendations), [
+      'critical',
+      'important',
+      'suggestions',
+    ]);
+    assert.deepStrictEqual(
+      Object.values(response.recommendations).flat(),
+      report.recommendations
+    );
+    assert.strictEqual(response.analysis, report.sections);
+    assert.strictEqual(toResponse(report, { detailed: false }).analysis, undefined);
+
+    // The static spec documents the same route
+    const spec = await fs.readJson(new URL('../openapi.json', import.meta.url));
+    assert.deepStrictEqual(spec.paths['/analyze-theme'], openApiPaths()['/analyze-theme']);
+  });
+});
+
+describe('AnalysisReport', () => {
+  it('should sort recommendations by severity', () => {
+    const recs = recommendationsFrom([
+      { severity: 'suggestion', message: 'c' },
+      { severity: 'critical', message: 'a' },
+      { severity: 'important', message: 'b' },
+    ]);
+    assert.deepStrictEqual(
+      recs.map((r) => `${r.priority} ${r.issue}`),
+      ['HIGH a', 'MEDIUM b', 'LOW c']
+    );
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Test Suite: API Auth
+ * Tests API key creation, hashed storage, scopes per route and the middleware
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import { JsonApiKeyStore } from '../src/storage/ApiKeyStore.js';
+import ApiAuth, { hasScope } from '../src/utils/ApiAuth.js';
+
+// Minimal express request/response
+function request(method, urlPath, headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { method, path: urlPath, get: (name) => lower[name.toLowerCase()] };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+// Runs authenticate + authorize; true when the request reached the route
+async function send(auth, req) {
+  const res = response();
+  let passed = false;
+  await auth.authenticate()(req, res, () => {});
+  if (res.body) return { passed, res };
+  auth.authorize()(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+describe('ApiAuth', () => {
+  let tmpDir;
+  let store;
+  let auth;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-auth-'));
+    store = new JsonApiKeyStore({ filePath: path.join(tmpDir, 'api-keys.json') });
+    auth = new ApiAuth({ mode: 'write', store, defaultRateLimit: 60, anonymousRateLimit: 30 });
+  });
+
+  after(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it('should store only the hash of a new key', async () => {
+    const { key, record } = await auth.createKey({ name: 'chatgpt', scopes: ['read:*'] });
+
+    assert.match(key, /^mxk_[0-9a-f]{12}_[A-Za-z0-9_-]{32}$/);
+    assert.strictEqual(record.hash, undefined);
+
+    const stored = await fs.readFile(store.filePath, 'utf-8');
+    assert.ok(!stored.includes(key));
+    assert.strictEqual((await store.find(record.id)).hash.length, 64);
+
+    assert.strictEqual((await auth.verify(key)).name, 'chatgpt');
+    assert.strictEqual(await auth.verify(`${key.slice(0, -1)}x`), null);
+    assert.strictEqual(await auth.verify('not-a-key'), null);
+  });
+
+  it('should validate new keys', async () => {
+    await assert.rejects(() => auth.createKey({ name: 'x', scopes: [] }), {
+      name: 'ValidationError',
+    });
+    await assert.rejects(() => auth.createKey({ name: 'x', scopes: ['write:everything'] }), {
+      name: 'ValidationError',
+      message: /Unknown scope "write:everything"/,
+    });
+    await assert.rejects(
+      () => auth.createKey({ name: 'x', scopes: ['*'], rateLimit: 0 }),
+      /positive integer/
+    );
+    assert.throws(() => new ApiAuth({ mode: 'open', store }), /Unknown auth mode/);
+  });
+
+  it('should map routes to scopes and match wildcards', () => {
+    assert.strictEqual(auth.scopeFor('POST', '/learn'), 'write:learn');
+    assert.strictEqual(auth.scopeFor('POST', '/analyze-theme'), 'read:project');
+    assert.strictEqual(auth.scopeFor('HEAD', '/health'), null);
+    // Unlisted routes are never open by accident
+    assert.strictEqual(auth.scopeFor('POST', '/new-route'), 'admin:server');
+
+    assert.ok(hasScope(['write:*'], 'write:learn'));
+    assert.ok(hasScope(['*'], 'admin:harvest'));
+    assert.ok(!hasScope(['read:*', 'write:learn'], 'admin:harvest'));
+  });
+
+  it('should require keys with the right scope for write routes', async () => {
+    const { key } = await auth.createKey({ name: 'learner', scopes: ['write:learn'] });
+
+    assert.ok((await send(auth, request('POST', '/search'))).passed);
+
+    const anonymous = await send(auth, request('POST', '/learn'));
+    assert.strictEqual(anonymous.res.statusCode, 401);
+    assert.strictEqual(anonymous.res.body.scope, 'write:learn');
+    assert.ok(anonymous.res.headers['WWW-Authenticate']);
+
+    const bearer = await send(auth, request('POST', '/learn', { Authorization: `Bearer ${key}` }));
+    assert.ok(bearer.passed);
+
+    const harvest = await send(auth, request('POST', '/harvest', { 'X-API-Key': key }));
+    assert.strictEqual(harvest.res.statusCode, 403);
+    assert.match(harvest.res.body.error, /lacks scope admin:harvest/);
+
+    const invalid = await send(auth, request('POST', '/learn', { 'X-API-Key': 'mxk_bad' }));
+    assert.strictEqual(invalid.res.body.error, 'Invalid or revoked API key');
+  });
+
+  it('should reject revoked keys and apply per-key rate limits', async () => {
+    const { key, record } = await auth.createKey({
+      name: 'harvester',
+      scopes: ['admin:harvest'],
+      rateLimit: 5,
+    });
+    const req = request('POST', '/harvest', { 'X-API-Key': key });
+    await send(auth, req);
+    assert.strictEqual(auth.rateLimitFor(req), 5);
+    assert.strictEqual(auth.rateLimitFor(request('POST', '/search')), 30);
+    await store.file.pending;
+    assert.ok((await store.find(record.id)).lastUsedAt);
+
+    await auth.revokeKey(record.id);
+    assert.strictEqual((await send(auth, req)).res.statusCode, 401);
+    assert.ok((await auth.listKeys()).find((k) => k.id === record.id).revokedAt);
+  });
+
+  it('should follow the mode in requests and the OpenAPI spec', async () => {
+    const open = new ApiAuth({ mode: 'off', store });
+    assert.ok((await send(open, request('POST', '/harvest'))).passed);
+
+    const all = new ApiAuth({ mode: 'all', store });
+    assert.strictEqual((await send(all, request('POST', '/search'))).res.statusCode, 401);
+    assert.ok((await send(all, request('GET', '/openapi.json'))).passed);
+
+    const spec = auth.applyToSpec({
+      paths: { '/search': { post: {} }, '/learn': { post: {} } },
+      components: { securitySchemes: { ApiKeyAuth: { description: '' } } },
+    });
+    assert.deepStrictEqual(spec.paths['/search'].post.security, []);
+    assert.strictEqual(spec.paths['/learn'].post['x-required-scope'], 'write:learn');
+    assert.strictEqual(spec.paths['/learn'].post.security.length, 2);
+    assert.match(
+      spec.components.securitySchemes.ApiKeyAuth.description,
+      /write:learn, admin:harvest, admin:moderation, admin:mcp/
+    );
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Test Suite: Design Tokens
+ * Tests exporting theme variables as W3C design tokens and importing them back
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import DesignTokens, { tokenTypeOf } from '../src/analyzers/DesignTokens.js';
+import { parseVariables } from '../src/utils/ScssVariables.js';
+
+const CUSTOM_VARIABLES = `@import '../../themesource/mytheme/web/variables';
+
+// Main brand color
+$brand-primary: #0a1325;
+$font-family-base: "Open Sans", sans-serif;
+`;
+
+const MODULE_VARIABLES = `$brand-primary: #264ae5 !default;
+$brand-success: #3cb33d; // Positive actions
+$font-size-default: 14px;
+$font-weight-semibold: 600;
+$line-height-base: 1.428571429;
+$animation-duration: 200ms;
+$btn-primary-bg: $brand-primary;
+$btn-primary-hover: lighten($brand-primary, 10%);
+$link-color: $gray-dark;
+`;
+
+describe('DesignTokens helpers', () => {
+  it('should parse definitions with their descriptions', () => {
+    const variables = parseVariables(MODULE_VARIABLES);
+
+    assert.deepStrictEqual(variables.get('brand-primary'), { value: '#264ae5', description: null });
+    assert.deepStrictEqual(variables.get('brand-success'), {
+      value: '#3cb33d',
+      description: 'Positive actions',
+    });
+    const custom = parseVariables(CUSTOM_VARIABLES);
+    assert.strictEqual(custom.get('brand-primary').description, 'Main brand color');
+  });
+
+  it('should type plain values', () => {
+    assert.strictEqual(tokenTypeOf('brand-info', 'rgba(0, 0, 0, 0.5)'), 'color');
+    assert.strictEqual(tokenTypeOf('font-weight-bold', '700'), 'fontWeight');
+    assert.strictEqual(tokenTypeOf('spacing', '1.5rem'), 'dimension');
+    assert.strictEqual(tokenTypeOf('spacing', '2em'), null);
+    assert.strictEqual(tokenTypeOf('ratio', '1.5'), 'number');
+  });
+});
+
+describe('DesignTokens', () => {
+  let projectDir;
+  const designTokens = new DesignTokens();
+  const variablesFile = () => path.join(projectDir, 'theme/web/custom-variables.scss');
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-tokens-'));
+    await fs.outputFile(variablesFile(), CUSTOM_VARIABLES);
+    await fs.outputFile(
+      path.join(projectDir, 'themesource/mytheme/web/_variables.scss'),
+      MODULE_VARIABLES
+    );
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectDir);
+  });
+
+  it('should export resolved variables as typed tokens and aliases', async () => {
+    const outputPath = path.join(projectDir, 'tokens/theme.tokens.json');
+    const result = await designTokens.exportTokens(projectDir, { outputPath });
+
+    assert.deepStrictEqual(result.sources, [
+      'themesource/mytheme/web/_variables.scss',
+      'theme/web/custom-variables.scss',
+    ]);
+    // custom-variables.scss overrides the imported value
+    assert.deepStrictEqual(result.tokens['brand-primary'], {
+      $value: '#0a1325',
+      $type: 'color',
+      $description: 'Main brand color',
+    });
+    assert.deepStrictEqual(result.tokens['font-family-base'].$value, ['Open Sans', 'sans-serif']);
+    assert.strictEqual(result.tokens['font-weight-semibold'].$type, 'fontWeight');
+    assert.strictEqual(result.tokens['animation-duration'].$type, 'duration');
+    assert.deepStrictEqual(result.tokens['btn-primary-bg'], {
+      $value: '{brand-primary}',
+      $type: 'color',
+    });
+    const skipped = result.skipped.map((s) => s.name);
+    assert.deepStrictEqual(skipped, ['$btn-primary-hover', '$link-color']);
+    assert.match(result.skipped[1].reason, /not defined in the theme/);
+    assert.deepStrictEqual(await fs.readJson(outputPath), result.tokens);
+  });
+
+  it('should preview an import as a patch and only write when asked', async () => {
+    const tokens = {
+      brand: {
+        $type: 'color',
+        primary: { $value: '#ff0000' },
+        accent: { $value: { colorSpace: 'srgb', components: [0, 0.5, 1], alpha: 0.5 } },
+      },
+      'font-family-base': { $type: 'fontFamily', $value: ['Open Sans', 'sans-serif'] },
+      spacing: {
+        large: { $type: 'dimension', $value: { value: 24, unit: 'px' }, $description: 'Gaps' },
+      },
+      link: { color: { $value: '{brand.accent}' } },
+      shadow: { $type: 'shadow', $value: { offsetX: '1px' } },
+    };
+
+    const preview = await designTokens.importTokens(projectDir, tokens);
+
+    assert.strictEqual(preview.written, false);
+    assert.deepStrictEqual(preview.updated, ['$brand-primary']);
+    assert.deepStrictEqual(preview.unchanged, ['$font-family-base']);
+    assert.deepStrictEqual(preview.added, ['$brand-accent', '$spacing-large', '$link-color']);
+    assert.deepStrictEqual(preview.skipped, [
+      { name: 'shadow', type: 'shadow', reason: 'no SCSS form' },
+    ]);
+    assert.match(preview.patch, /^-\$brand-primary: #0a1325;\n\+\$brand-primary: #ff0000;$/m);
+    assert.strictEqual(await fs.readFile(variablesFile(), 'utf-8'), CUSTOM_VARIABLES);
+
+    const written = await designTokens.importTokens(projectDir, tokens, { write: true });
+    assert.strictEqual(written.written, true);
+    const content = await fs.readFile(variablesFile(), 'utf-8');
+    assert.ok(
+      content.endsWith(
+        [
+          '// Design tokens',
+          '$brand-accent: rgba(0, 128, 255, 0.5);',
+          '// Gaps',
+          '$spacing-large: 24px;',
+          '$link-color: $brand-accent;',
+          '',
+        ].join('\n')
+      )
+    );
+
+    // Round trip: exporting again gives the imported values
+    const { tokens: exported } = await designTokens.exportTokens(projectDir);
+    assert.strictEqual(exported['brand-primary'].$value, '#ff0000');
+    assert.strictEqual(exported['link-color'].$value, '{brand-accent}');
+    const tokensPath = path.join(projectDir, 'tokens.json');
+    await fs.writeJson(tokensPath, tokens);
+    assert.strictEqual((await designTokens.importTokens(projectDir, tokensPath)).patch, '');
+    await assert.rejects(designTokens.importTokens(projectDir, '{ nope'), /not valid JSON/);
+  });
+});
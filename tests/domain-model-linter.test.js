@@ -0,0 +1,187 @@
+/**
+ * Test Suite: Domain Model Linter
+ * Tests the domain model rules and JSON rule-set loading
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import DomainModelLinter from '../src/analyzers/DomainModelLinter.js';
+import { ValidationError } from '../src/utils/validator.js';
+
+const attr = (name, type = 'String', extra = {}) => ({
+  name,
+  type: { $Type: `DomainModels$${type}AttributeType` },
+  ...extra,
+});
+
+const salesModule = {
+  name: 'Sales',
+  domainModel: {
+    entities: [
+      {
+        name: 'Customer',
+        accessRules: [{ moduleRoles: ['Sales.User'] }],
+        attributes: [attr('CustomerNumber'), attr('Name')],
+        indexes: [],
+      },
+      {
+        name: 'Order',
+        accessRules: [],
+        attributes: [
+          attr('OrderId'),
+          attr('Total', 'Decimal', {
+            value: { $Type: 'DomainModels$CalculatedValue' },
+          }),
+          attr('Margin', 'Decimal', {
+            value: { $Type: 'DomainModels$CalculatedValue' },
+            documentation: 'Depends on live exchange rates, cannot be stored',
+          }),
+        ],
+        indexes: [{ attributes: [{ attribute: 'Sales.Order.OrderId' }] }],
+      },
+      {
+        name: 'Product',
+        accessRules: [{}],
+        attributes: Array.from({ length: 25 }, (_, i) => attr(`Field${i}`)),
+      },
+    ],
+    associations: [
+      { name: 'Order_Customer', parent: 'Order', child: 'Customer', type: 'Reference' },
+      { name: 'Invoice_Customer', parent: 'Invoice', child: 'Customer', type: 'Reference' },
+      {
+        name: 'Order_Product',
+        parent: 'Order',
+        child: 'Product',
+        type: 'ReferenceSet',
+        owner: 'Both',
+        deleteBehavior: { parentDeleteBehavior: 'DeleteMeAndReferences' },
+      },
+      {
+        name: 'Customer_Product',
+        parent: 'Customer',
+        child: 'Product',
+        type: 'ReferenceSet',
+        owner: 'Default',
+        deleteBehavior: {
+          childDeleteBehavior: 'DeleteMeIfNoReferences',
+          childErrorMessage: { translations: [{ languageCode: 'en_US', text: '' }] },
+        },
+      },
+    ],
+  },
+};
+
+describe('DomainModelLinter', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-lint-'));
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('default rule set', () => {
+    let report;
+    const findingsFor = (rule) => report.findings.filter((f) => f.rule === rule);
+
+    before(async () => {
+      const ruleSet = await DomainModelLinter.loadRuleSet('default');
+      report = new DomainModelLinter(ruleSet).lint([salesModule]);
+    });
+
+    it('should flag entities without access rules', () => {
+      assert.deepStrictEqual(
+        findingsFor('missing-access-rules').map((f) => f.entity),
+        ['Order']
+      );
+    });
+
+    it('should flag unindexed key attributes on association-heavy entities', () => {
+      const findings = findingsFor('missing-index');
+      assert.deepStrictEqual(
+        findings.map((f) => `${f.entity}.${f.attribute}`),
+        ['Customer.CustomerNumber']
+      );
+    });
+
+    it('should flag reference sets owned by both sides', () => {
+      assert.deepStrictEqual(
+        findingsFor('many-to-many-owner').map((f) => f.association),
+        ['Order_Product']
+      );
+    });
+
+    it('should flag undocumented calculated attributes only', () => {
+      assert.deepStrictEqual(
+        findingsFor('unjustified-calculated-attribute').map((f) => f.attribute),
+        ['Total']
+      );
+    });
+
+    it('should flag cascading deletes and silent prevent-delete', () => {
+      const findings = findingsFor('unsafe-delete-behavior');
+      const cascade = findings.find((f) => f.association === 'Order_Product');
+      const silent = findings.find((f) => f.association === 'Customer_Product');
+
+      assert.strictEqual(cascade.severity, 'high');
+      assert.strictEqual(silent.severity, 'low');
+    });
+
+    it('should not flag entities within the attribute limit', () => {
+      assert.strictEqual(findingsFor('oversized-entity').length, 0);
+      assert.strictEqual(report.summary.entities, 3);
+    });
+  });
+
+  describe('rule-set files', () => {
+    it('should apply overrides from an extending rule set', async () => {
+      const ruleSet = await DomainModelLinter.loadRuleSet('strict');
+      const report = new DomainModelLinter(ruleSet).lint([salesModule]);
+
+      const oversized = report.findings.filter((f) => f.rule === 'oversized-entity');
+      assert.deepStrictEqual(
+        oversized.map((f) => [f.entity, f.severity]),
+        [['Product', 'high']]
+      );
+    });
+
+    it('should disable rules from a team rule-set file', async () => {
+      const file = path.join(tempDir, 'team.json');
+      await fs.writeJson(file, {
+        name: 'team',
+        extends: 'default',
+        rules: { 'missing-access-rules': { enabled: false } },
+      });
+
+      const ruleSet = await DomainModelLinter.loadRuleSet(file);
+      const report = new DomainModelLinter(ruleSet).lint([salesModule], { entityName: 'Order' });
+
+      assert.strictEqual(ruleSet.name, 'team');
+      assert.ok(!report.ruleSet.enabledRules.includes('missing-access-rules'));
+      assert.ok(report.findings.every((f) => f.rule !== 'missing-access-rules'));
+      assert.ok(report.findings.every((f) => f.entity === 'Order' || f.association));
+    });
+
+    it('should reject unknown rule sets', async () => {
+      await assert.rejects(() => DomainModelLinter.loadRuleSet('nope'), /Rule set not found/);
+    });
+
+    it('should only load named rule sets when paths are not allowed', async () => {
+      const file = path.join(tempDir, 'team.json');
+      await fs.writeJson(file, { name: 'team', rules: {} });
+      const remote = { allowPaths: false };
+
+      for (const ruleSet of [file, '../../package.json', '/etc/passwd', '..\\secrets', '.']) {
+        await assert.rejects(() => DomainModelLinter.loadRuleSet(ruleSet, remote), ValidationError);
+      }
+      const strict = await DomainModelLinter.loadRuleSet('strict', remote);
+      assert.ok(Object.keys(strict.rules).length > 0);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Test Suite: Embedding Providers
+ * Tests the provider registry and the guard against mixing provider vectors
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import {
+  createEmbeddingProvider,
+  listEmbeddingProviders,
+  registerEmbeddingProvider,
+} from '../src/vector/EmbeddingProviders.js';
+import VectorStore from '../src/vector/VectorStore.js';
+
+describe('EmbeddingProviders', () => {
+  let server;
+  let baseUrl;
+  let requests = [];
+
+  before(async () => {
+    // Minimal Ollama stand-in: 3-dim vectors derived from text length
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        const { input } = JSON.parse(body);
+        requests.push(input);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ embeddings: input.map((t) => [t.length, 1, 0]) }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe('registry', () => {
+    it('should list built-in providers', () => {
+      const names = listEmbeddingProviders();
+      for (const name of ['azure-openai', 'openai', 'local', 'ollama', 'openai-compatible']) {
+        assert.ok(names.includes(name), `${name} should be registered`);
+      }
+    });
+
+    it('should reject unknown providers', () => {
+      assert.throws(() => createEmbeddingProvider('nope'), /Unknown embedding provider/);
+    });
+
+    it('should report dimension, batch size and rate limit', () => {
+      const provider = createEmbeddingProvider('sentence-transformers', { requestsPerMinute: 30 });
+      const info = provider.describe();
+
+      assert.strictEqual(info.dimension, 384);
+      assert.strictEqual(info.batchSize, 32);
+      assert.strictEqual(info.rateLimit.requestsPerMinute, 30);
+    });
+  });
+
+  describe('ollama', () => {
+    it('should batch requests and detect the dimension', async () => {
+      requests = [];
+      const provider = createEmbeddingProvider('ollama', { baseUrl, dimension: null });
+
+      const vectors = await provider.embedBatch(['one', 'three']);
+
+      assert.deepStrictEqual(vectors, [
+        [3, 1, 0],
+        [5, 1, 0],
+      ]);
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(provider.dimension, 3);
+      assert.strictEqual(provider.id, 'ollama/nomic-embed-text@3');
+    });
+  });
+
+  describe('VectorStore provider guard', () => {
+    let tempDir;
+
+    before(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-embeddings-'));
+      registerEmbeddingProvider('test-other', () => {
+        const provider = createEmbeddingProvider('ollama', { baseUrl, dimension: 3 });
+        provider.name = 'test-other';
+        return provider;
+      });
+    });
+
+    after(async () => {
+      await fs.remove(tempDir);
+    });
+
+    const docs = [
+      { title: 'Microflows', content: 'Microflows model application logic visually' },
+      { title: 'Entities', content: 'Entities describe persistable domain objects' },
+    ];
+
+    it('should record the provider and refuse vectors from another one', async () => {
+      const first = new VectorStore({
+        backend: 'local',
+        localPath: tempDir,
+        embedder: createEmbeddingProvider('ollama', { baseUrl, dimension: 3 }),
+        embeddingStore: null,
+      });
+      const result = await first.indexDocuments(docs);
+      assert.strictEqual(result.indexed, 2);
+
+      const second = new VectorStore({
+        backend: 'local',
+        localPath: tempDir,
+        embeddingProvider: 'test-other',
+        embeddingStore: null,
+      });
+      await second.initialize();
+
+      assert.match(second.providerMismatch, /ollama\/nomic-embed-text@3/);
+      await assert.rejects(() => second.indexDocuments(docs), /Clear the index/);
+      assert.deepStrictEqual(await second.search('microflows'), []);
+
+      // Clearing the index allows switching providers
+      await second.clear();
+      const reindexed = await second.indexDocuments(docs);
+      assert.strictEqual(reindexed.indexed, 2);
+    });
+
+    it('should disable vector search when the configured provider is unavailable', async () => {
+      const apiKey = process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+      try {
+        const store = new VectorStore({
+          backend: 'local',
+          localPath: tempDir,
+          embeddingProvider: 'openai',
+          embeddingStore: null,
+        });
+
+        assert.match(store.unavailable, /"openai" is not configured/);
+        assert.strictEqual(await store.initialize(), false);
+        assert.deepStrictEqual(await store.search('microflows'), []);
+        assert.strictEqual((await store.getStats()).status, 'unavailable');
+      } finally {
+        if (apiKey !== undefined) process.env.OPENAI_API_KEY = apiKey;
+      }
+    });
+  });
+});
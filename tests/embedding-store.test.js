@@ -0,0 +1,148 @@
+/**
+ * Test Suite: Embedding Store
+ * Tests the content-addressed on-disk embedding cache and its reuse by VectorStore
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import { EmbeddingProvider, LocalEmbedder } from '../src/vector/EmbeddingProviders.js';
+import EmbeddingStore from '../src/vector/EmbeddingStore.js';
+import VectorStore from '../src/vector/VectorStore.js';
+
+/**
+ * Deterministic embedder that counts what it was asked to embed
+ */
+class CountingEmbedder extends EmbeddingProvider {
+  constructor(model = 'counting-v1') {
+    super('counting', { model, dimension: 4, batchSize: 10 });
+    this.embedded = [];
+  }
+
+  async embedBatch(texts) {
+    this.embedded.push(...texts);
+    return texts.map((text) => [text.length, 0.5, text.charCodeAt(0) || 0, 1]);
+  }
+}
+
+describe('EmbeddingStore', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-embeddings-'));
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should only embed texts it has not seen for the same provider and model', async () => {
+    const store = new EmbeddingStore({ dir: path.join(tempDir, 'reuse') });
+    const embedder = new CountingEmbedder();
+
+    const first = await store.embedBatch(embedder, ['microflows', 'nanoflows']);
+    const second = await store.embedBatch(embedder, ['nanoflows', 'entities']);
+
+    assert.deepStrictEqual(embedder.embedded, ['microflows', 'nanoflows', 'entities']);
+    assert.strictEqual(second.hits, 1);
+    assert.deepStrictEqual(second.embeddings[0], first.embeddings[1]);
+
+    // Another process (new instance, same directory) sees the same entries
+    const otherProcess = new EmbeddingStore({ dir: path.join(tempDir, 'reuse') });
+    assert.deepStrictEqual(await otherProcess.get(embedder, 'entities'), [8, 0.5, 101, 1]);
+
+    // A different model is a different key
+    const otherModel = new CountingEmbedder('counting-v2');
+    assert.strictEqual(await otherProcess.get(otherModel, 'entities'), null);
+  });
+
+  it('should survive concurrent writers of the same entries', async () => {
+    const dir = path.join(tempDir, 'concurrent');
+    const texts = Array.from({ length: 20 }, (_, i) => `text ${i}`);
+
+    await Promise.all(
+      [1, 2, 3].map(() => new EmbeddingStore({ dir }).embedBatch(new CountingEmbedder(), texts))
+    );
+
+    const stats = await new EmbeddingStore({ dir }).getStats();
+    assert.strictEqual(stats.entries, 20);
+    const leftovers = (await new EmbeddingStore({ dir }).listEntries()).filter((e) =>
+      e.file.endsWith('.tmp')
+    );
+    assert.strictEqual(leftovers.length, 0);
+  });
+
+  it('should evict least recently used entries over the size limit', async () => {
+    const dir = path.join(tempDir, 'lru');
+    // Each entry is 16 bytes - room for 3
+    const store = new EmbeddingStore({ dir, maxSizeMB: 48 / 1024 / 1024, evictEvery: 1000 });
+    const embedder = new CountingEmbedder();
+
+    for (const [i, text] of ['a', 'b', 'c', 'd'].entries()) {
+      await store.embedBatch(embedder, [text]);
+      const usedAt = new Date(Date.now() - (10 - i) * 1000);
+      await fs.utimes(store.entryPath(embedder, text), usedAt, usedAt);
+    }
+    // Reading "a" makes it the most recently used
+    await store.get(embedder, 'a');
+
+    assert.strictEqual(await store.evict(), 1);
+    assert.strictEqual(await store.get(embedder, 'b'), null);
+    assert.ok(await store.get(embedder, 'a'));
+    assert.strictEqual((await store.getStats()).entries, 3);
+  });
+
+  it('should skip eviction while another process holds the lock', async () => {
+    const dir = path.join(tempDir, 'locked');
+    const store = new EmbeddingStore({ dir, maxSizeMB: 0 });
+    await store.embedBatch(new CountingEmbedder(), ['x']);
+    await fs.writeFile(path.join(dir, '.evict.lock'), '12345');
+
+    assert.strictEqual(await store.evict(), 0);
+    assert.strictEqual((await store.getStats()).entries, 1);
+  });
+
+  it('should never store vectors of vocabulary-dependent providers', async () => {
+    const dir = path.join(tempDir, 'local');
+    const store = new EmbeddingStore({ dir });
+    const local = new LocalEmbedder();
+    local.buildVocabulary([{ content: 'microflow entity page' }]);
+
+    await store.embedBatch(local, ['microflow']);
+    assert.strictEqual((await store.getStats()).entries, 0);
+  });
+
+  it('should reuse document embeddings across reindexes of separate indexes', async () => {
+    const embeddingStore = new EmbeddingStore({ dir: path.join(tempDir, 'shared') });
+    const docs = [
+      { title: 'Microflows', content: 'Microflows model server logic' },
+      { title: 'Entities', content: 'Entities are persistable objects' },
+    ];
+
+    const firstEmbedder = new CountingEmbedder();
+    const first = new VectorStore({
+      backend: 'local',
+      localPath: path.join(tempDir, 'index-a'),
+      embedder: firstEmbedder,
+      embeddingStore,
+    });
+    await first.indexDocuments(docs);
+
+    const secondEmbedder = new CountingEmbedder();
+    const second = new VectorStore({
+      backend: 'local',
+      localPath: path.join(tempDir, 'index-b'),
+      embedder: secondEmbedder,
+      embeddingStore,
+    });
+    const result = await second.indexDocuments(docs);
+
+    assert.strictEqual(firstEmbedder.embedded.length, 2);
+    assert.strictEqual(secondEmbedder.embedded.length, 0, 'Second index reuses cached vectors');
+    assert.strictEqual(result.indexed, 2);
+    assert.strictEqual(result.cached, 2);
+  });
+});
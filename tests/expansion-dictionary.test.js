@@ -0,0 +1,164 @@
+/**
+ * Test Suite: Expansion Dictionary
+ * Tests seeded expansions, learning from search behaviour, review and sharing between engines
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import ExpansionDictionary from '../src/core/ExpansionDictionary.js';
+import SearchEngine from '../src/core/SearchEngine.js';
+import HybridSearch from '../src/vector/HybridSearch.js';
+import VectorStore from '../src/vector/VectorStore.js';
+
+const KNOWLEDGE_BASE = {
+  'best-practices.json': {
+    categories: {
+      pages: [{ title: 'Popup pages', content: 'Open a page as a popup window' }],
+    },
+  },
+};
+
+describe('ExpansionDictionary', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-expansions-'));
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should start with the seeded Mendix abbreviations', () => {
+    const dictionary = new ExpansionDictionary();
+
+    assert.ok(dictionary.lookup('mf').includes('microflow'));
+    assert.ok(dictionary.lookup('sdk').includes('platform sdk'));
+    assert.deepStrictEqual(dictionary.lookup('mf', { seeds: false }), []);
+    assert.strictEqual(dictionary.getStats().pending, 0);
+  });
+
+  it('should learn reformulations, but only search with them once approved', async () => {
+    const dictionary = new ExpansionDictionary();
+    const engine = new SearchEngine({ expansions: dictionary });
+    engine.indexKnowledgeBase(KNOWLEDGE_BASE);
+
+    assert.strictEqual(engine.search('lightbox', { session: 's1' }).length, 0);
+    assert.strictEqual(engine.search('popup', { session: 's1' }).length, 1);
+
+    const [learned] = dictionary.list();
+    assert.strictEqual(learned.term, 'lightbox');
+    assert.strictEqual(learned.expansion, 'popup');
+    assert.deepStrictEqual(learned.evidence, { reformulation: 1 });
+    assert.strictEqual(engine.search('lightbox', { learn: false, minScore: 0.1 }).length, 0);
+
+    // One-entry index: synonym-only matches stay below the default score cut-off
+    await dictionary.approve(learned.id.slice(0, 4), { note: 'Same thing' });
+    const [result] = engine.search('lightbox', { learn: false, minScore: 0.1 });
+    assert.strictEqual(result.entry.title, 'Popup pages');
+  });
+
+  it('should keep search sessions apart and not learn from hits alone', async () => {
+    const dictionary = new ExpansionDictionary();
+    const engine = new SearchEngine({ expansions: dictionary });
+    engine.indexKnowledgeBase(KNOWLEDGE_BASE);
+
+    // Another client's next query is not a reformulation
+    engine.search('lightbox', { session: 'key:a' });
+    engine.search('popup', { session: 'key:b' });
+    engine.search('popup pages', { session: 'key:b' });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const stats = dictionary.getStats();
+    assert.deepStrictEqual([stats.learned, stats.pending, stats.misses], [0, 0, 1]);
+    assert.deepStrictEqual([...dictionary.sessions.keys()], ['key:a', 'key:b']);
+  });
+
+  it('should forget sessions idle for longer than the session window', async () => {
+    const dictionary = new ExpansionDictionary({ sessionWindowMinutes: 5 });
+
+    await dictionary.observe('lightbox', { hit: false, session: 'a', at: '2025-06-01T10:00:00Z' });
+    await dictionary.observe('modal', { hit: false, session: 'b', at: '2025-06-01T10:03:00Z' });
+    await dictionary.observe('popup', { hit: true, session: 'a', at: '2025-06-01T10:04:00Z' });
+    assert.deepStrictEqual([...dictionary.sessions.keys()], ['b', 'a']);
+
+    await dictionary.observe('dialog', { hit: true, session: 'c', at: '2025-06-01T10:10:00Z' });
+    assert.deepStrictEqual([...dictionary.sessions.keys()], ['c']);
+  });
+
+  it('should learn from misses a later similar query answered', async () => {
+    const dictionary = new ExpansionDictionary();
+    const at = '2025-06-01T10:00:00.000Z';
+
+    await dictionary.observe('retry scheduled event', { hit: false, session: 'a', at });
+    await dictionary.observe('rerun scheduled event', { hit: true, session: 'b', at });
+
+    const [learned] = dictionary.list();
+    assert.deepStrictEqual([learned.term, learned.expansion], ['retry', 'rerun']);
+    assert.deepStrictEqual(learned.evidence, { answered: 1 });
+    assert.strictEqual(dictionary.getStats().misses, 0);
+
+    // Too far apart in one session is not a reformulation
+    await dictionary.observe('modal', { hit: false, session: 'c', at });
+    await dictionary.observe('dialog', { hit: true, session: 'c', at: '2025-06-01T11:00:00.000Z' });
+    assert.strictEqual(dictionary.list().length, 1);
+  });
+
+  it('should learn from used results and keep rejected expansions rejected', async () => {
+    const dictionary = new ExpansionDictionary();
+    const entry = KNOWLEDGE_BASE['best-practices.json'].categories.pages[0];
+
+    await dictionary.learnFromUsage('lightbox page', entry);
+    const learned = dictionary.list();
+    assert.deepStrictEqual(learned.map((r) => r.expansion).sort(), ['page', 'popup']);
+    assert.ok(learned.every((r) => r.term === 'lightbox' && r.evidence.usage === 1));
+
+    const page = learned.find((r) => r.expansion === 'page');
+    await dictionary.reject(page.id);
+    await dictionary.learnFromUsage('lightbox page', entry);
+
+    assert.strictEqual(dictionary.find(page.id).status, 'rejected');
+    assert.strictEqual(dictionary.find(page.id).evidence.usage, 2);
+    assert.deepStrictEqual(dictionary.lookup('lightbox'), []);
+    assert.throws(() => dictionary.find('zzzz'), /not found/);
+  });
+
+  it('should persist learned and reviewed expansions across instances', async () => {
+    const filePath = path.join(tempDir, 'expansions.json');
+    const first = new ExpansionDictionary({ filePath });
+
+    await first.add('wf', 'workflow', { note: 'Common shorthand' });
+    await first.observe('lightbox', { hit: false });
+    await first.reject(ExpansionDictionary.idOf('mf', 'microflows'));
+
+    const saved = await fs.readJson(filePath);
+    assert.strictEqual(saved.version, 1);
+    assert.deepStrictEqual(saved.expansions.map((r) => r.term).sort(), ['mf', 'wf']);
+
+    const second = await new ExpansionDictionary({ filePath }).load();
+    assert.deepStrictEqual(second.lookup('wf'), ['workflow']);
+    assert.deepStrictEqual(second.lookup('mf'), ['microflow']);
+    assert.strictEqual(second.getStats().misses, 1);
+  });
+
+  it('should be shared by hybrid search and its keyword engine', async () => {
+    const dictionary = new ExpansionDictionary();
+    const hybridSearch = new HybridSearch({
+      expansions: dictionary,
+      vectorStore: new VectorStore({ backend: 'local', localPath: tempDir }),
+    });
+    hybridSearch.keywordEngine.indexKnowledgeBase(KNOWLEDGE_BASE);
+
+    assert.strictEqual(hybridSearch.keywordEngine.expansions, dictionary);
+
+    await hybridSearch.search('lightbox', { keywordOnly: true, session: 'h' });
+    await hybridSearch.search('popup', { keywordOnly: true, session: 'h' });
+
+    const [suggestion] = hybridSearch.getSuggestedExpansions();
+    assert.deepStrictEqual([suggestion.term, suggestion.expansion], ['lightbox', 'popup']);
+  });
+});
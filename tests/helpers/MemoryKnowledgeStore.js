@@ -0,0 +1,59 @@
+/**
+ * The SupabaseKnowledgeStore methods SupabaseKnowledgeManager and KnowledgeSync use,
+ * in memory
+ */
+export default class MemoryKnowledgeStore {
+  constructor() {
+    this.rows = new Map();
+    this.nextId = 1;
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async getAll() {
+    return [...this.rows.values()];
+  }
+
+  async getById(id) {
+    return this.rows.get(id) || null;
+  }
+
+  async add(entry) {
+    const duplicate = [...this.rows.values()].find(
+      (row) => row.title === entry.title && row.content === entry.content
+    );
+    if (duplicate) return { id: duplicate.id, duplicate: true };
+
+    const id = entry.id || `row-${this.nextId++}`;
+    const row = { id, title: entry.title, content: entry.content, category: entry.category };
+    this.rows.set(id, { ...row, source: entry.source, tags: entry.tags || [] });
+    return this.rows.get(id);
+  }
+
+  async update(id, updates) {
+    if (!this.rows.has(id)) return false;
+    const changes = Object.fromEntries(Object.entries(updates).filter(([, v]) => v !== undefined));
+    this.rows.set(id, { ...this.rows.get(id), ...changes });
+    return true;
+  }
+
+  async delete(id) {
+    return this.rows.delete(id);
+  }
+
+  async search(query, limit = 10) {
+    const words = query.toLowerCase().split(/\s+/);
+    return [...this.rows.values()]
+      .map((row) => ({
+        ...row,
+        rank: words.filter((w) => `${row.title} ${row.content}`.toLowerCase().includes(w)).length,
+      }))
+      .filter((row) => row.rank > 0)
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, limit);
+  }
+
+  async incrementUsage() {}
+}
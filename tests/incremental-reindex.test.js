@@ -0,0 +1,151 @@
+/**
+ * Test Suite: Incremental Reindexing
+ * Tests that VectorStore only embeds new/changed documents and removes deleted ones
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import { EmbeddingProvider } from '../src/vector/EmbeddingProviders.js';
+import VectorStore from '../src/vector/VectorStore.js';
+
+/**
+ * Deterministic embedder that records what it was asked to embed
+ */
+class RecordingEmbedder extends EmbeddingProvider {
+  constructor() {
+    super('recording', { dimension: 4, batchSize: 10 });
+    this.embedded = [];
+  }
+
+  async embedBatch(texts) {
+    this.embedded.push(...texts);
+    return texts.map((text) => [text.length, 1, text.charCodeAt(0) || 0, 1]);
+  }
+}
+
+describe('VectorStore incremental reindexing', () => {
+  let tempDir;
+  let embedder;
+  let store;
+
+  const docs = [
+    { title: 'Microflows', category: 'studio-pro', content: 'Microflows model server logic' },
+    { title: 'Nanoflows', category: 'studio-pro', content: 'Nanoflows run on the client side' },
+    { title: 'Entities', category: 'domain-model', content: 'Entities are persistable objects' },
+  ];
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-reindex-'));
+    embedder = new RecordingEmbedder();
+    store = new VectorStore({
+      backend: 'local',
+      localPath: tempDir,
+      embedder,
+      embeddingStore: null,
+    });
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should embed everything on the first run', async () => {
+    const result = await store.indexDocuments(docs);
+
+    assert.strictEqual(result.added, 3);
+    assert.strictEqual(result.full, true);
+    assert.strictEqual(embedder.embedded.length, 3);
+  });
+
+  it('should skip unchanged documents', async () => {
+    embedder.embedded = [];
+    const result = await store.indexDocuments(docs);
+
+    assert.deepStrictEqual(
+      [result.added, result.updated, result.removed, result.skipped],
+      [0, 0, 0, 3]
+    );
+    assert.strictEqual(embedder.embedded.length, 0);
+  });
+
+  it('should embed changed documents and delete removed ones', async () => {
+    embedder.embedded = [];
+    const changed = [
+      { ...docs[0], content: 'Microflows model server-side logic and transactions' },
+      docs[1],
+      { title: 'Enumerations', category: 'domain-model', content: 'Enumerations list fixed values' },
+    ];
+
+    const result = await store.indexDocuments(changed);
+
+    assert.deepStrictEqual(
+      [result.added, result.updated, result.removed, result.skipped],
+      [1, 1, 1, 1]
+    );
+    assert.strictEqual(embedder.embedded.length, 2);
+
+    const stats = await store.getStats();
+    assert.strictEqual(stats.vectors, 3, 'Old and removed vectors should be deleted');
+    assert.strictEqual(stats.lastReindex.updated, 1);
+  });
+
+  it('should keep the manifest across restarts', async () => {
+    const restartedEmbedder = new RecordingEmbedder();
+    const restarted = new VectorStore({
+      backend: 'local',
+      localPath: tempDir,
+      embedder: restartedEmbedder,
+      embeddingStore: null,
+    });
+
+    const result = await restarted.indexDocuments([
+      { ...docs[0], content: 'Microflows model server-side logic and transactions' },
+      docs[1],
+      { title: 'Enumerations', category: 'domain-model', content: 'Enumerations list fixed values' },
+    ]);
+
+    assert.strictEqual(result.skipped, 3);
+    assert.strictEqual(restartedEmbedder.embedded.length, 0);
+  });
+
+  it('should never delete vectors from the shared Pinecone index', async () => {
+    const deleted = [];
+    const namespace = {
+      upsert: async () => {},
+      deleteMany: async (ids) => deleted.push(...ids),
+      deleteAll: async () => deleted.push('*'),
+    };
+    const shared = new VectorStore({
+      backend: 'pinecone',
+      embedder: new RecordingEmbedder(),
+      embeddingStore: null,
+      manifestPath: path.join(tempDir, 'shared-manifest.json'),
+    });
+    Object.assign(shared, {
+      initialized: true,
+      usingBuiltinKey: true,
+      index: {
+        describeIndexStats: async () => ({ totalRecordCount: 0 }),
+        namespace: () => namespace,
+      },
+    });
+
+    await shared.indexDocuments(docs);
+    const result = await shared.indexDocuments([
+      { ...docs[0], content: 'Microflows model server-side logic and transactions' },
+      docs[1],
+    ]);
+
+    assert.strictEqual(shared.ownsIndex, false);
+    assert.deepStrictEqual([result.updated, result.removed], [1, 0]);
+    assert.deepStrictEqual(deleted, []);
+
+    shared.usingBuiltinKey = false;
+    await shared.indexDocuments([docs[1]]);
+    assert.strictEqual(deleted.length, 2, 'Own indexes are pruned');
+  });
+});
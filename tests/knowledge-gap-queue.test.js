@@ -0,0 +1,195 @@
+/**
+ * Test Suite: Knowledge Gap Queue
+ * Tests gap deduplication, ranking, automatic addressing and harvester research
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import KnowledgeGapQueue from '../src/core/KnowledgeGapQueue.js';
+import KnowledgeManager from '../src/core/KnowledgeManager.js';
+import SearchEngine from '../src/core/SearchEngine.js';
+
+describe('KnowledgeGapQueue', () => {
+  let tempDir;
+  const queueAt = (name) => new KnowledgeGapQueue({ filePath: path.join(tempDir, `${name}.json`) });
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-gaps-'));
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should merge similar topics and rank gaps by frequency', async () => {
+    const queue = queueAt('ranking');
+
+    await queue.record('REST call timeouts', { source: 'report', context: 'integration' });
+    await queue.record('how do rest call timeout', { source: 'search' });
+    await queue.record('rest call timeout settings', { source: 'search' });
+    await queue.record('Workflow user task escalation', { source: 'report' });
+
+    const gaps = await queue.list();
+    assert.strictEqual(gaps.length, 2);
+    assert.strictEqual(gaps[0].topic, 'REST call timeouts');
+    assert.strictEqual(gaps[0].count, 3);
+    assert.deepStrictEqual(gaps[0].sources, { report: 1, search: 2 });
+    assert.deepStrictEqual(gaps[0].contexts, ['integration']);
+    assert.strictEqual(await queue.record('x'.repeat(201)), null);
+  });
+
+  it('should migrate the legacy gap log written by POST /knowledge-gap', async () => {
+    const filePath = path.join(tempDir, 'legacy.json');
+    await fs.writeJson(filePath, [
+      { topic: 'OQL joins', query: 'oql join', timestamp: '2025-01-01T00:00:00.000Z' },
+      { topic: 'oql join', query: 'oql join', timestamp: '2025-01-02T00:00:00.000Z' },
+    ]);
+
+    const queue = new KnowledgeGapQueue({ filePath });
+    await queue.record('Pluggable widget testing');
+
+    const saved = await fs.readJson(filePath);
+    assert.strictEqual(saved.version, 2);
+    const [oql] = await queue.list({ limit: 1 });
+    assert.strictEqual(oql.count, 2);
+    assert.strictEqual(oql.firstSeen, '2025-01-01T00:00:00.000Z');
+  });
+
+  it('should not lose records written concurrently', async () => {
+    const filePath = path.join(tempDir, 'concurrent.json');
+    const topics = Array.from({ length: 10 }, (_, i) => `topic number${i}`);
+
+    await Promise.all(topics.map((topic) => new KnowledgeGapQueue({ filePath }).record(topic)));
+    await Promise.all(topics.map((topic) => new KnowledgeGapQueue({ filePath }).record(topic)));
+
+    const gaps = await new KnowledgeGapQueue({ filePath }).list({ limit: 100 });
+    assert.strictEqual(gaps.reduce((sum, g) => sum + g.count, 0), 20);
+  });
+
+  it('should mark gaps addressed once the knowledge base answers them', async () => {
+    const queue = queueAt('refresh');
+    const engine = new SearchEngine();
+    engine.indexKnowledgeBase({});
+    engine.onMiss = (query) => queue.record(query, { source: 'search', query });
+
+    engine.search('pessimistic locking');
+    await queue.pending;
+    const [gap] = await queue.list();
+    assert.strictEqual(gap.topic, 'pessimistic locking');
+
+    const score = (topic) => engine.search(topic, { recordAnalytics: false })[0]?.score || 0;
+    assert.deepStrictEqual(await queue.refresh(score), []);
+
+    engine.indexKnowledgeBase({
+      'best-practices.json': {
+        categories: {
+          concurrency: [
+            { title: 'Pessimistic locking', content: 'Locking entities during updates' },
+          ],
+        },
+      },
+    });
+    const addressed = await queue.refresh(score);
+
+    assert.strictEqual(addressed.length, 1);
+    assert.strictEqual((await queue.list()).length, 0);
+    const [closed] = await queue.list({ status: 'addressed' });
+    assert.strictEqual(closed.resolution.by, 'knowledge-base');
+    assert.strictEqual(engine.getStats().analytics.totalSearches, 1, 'Checks are not analytics');
+
+    // Missing again after it was addressed - back in the queue
+    await queue.record('pessimistic locking', { source: 'search' });
+    assert.strictEqual((await queue.list())[0].status, 'open');
+  });
+
+  it('should research the top open gaps into the knowledge base', async () => {
+    const queue = queueAt('research');
+    await queue.record('Native mobile offline sync', { source: 'search' });
+    await queue.record('native mobile offline sync', { source: 'search' });
+    await queue.record('Obscure topic nobody documents');
+
+    const researched = [];
+    const harvester = {
+      harvestTopic: async ({ query }) => {
+        researched.push(query);
+        if (!query.startsWith('Native')) return [];
+        return [
+          {
+            id: 'native_mobile_offline_sync',
+            title: 'Offline-first native mobile apps',
+            content: 'Native mobile offline sync synchronizes objects when the app is online.',
+            source: 'https://docs.mendix.com/refguide/offline-first/',
+          },
+        ];
+      },
+    };
+    const knowledgeManager = new KnowledgeManager(path.join(tempDir, 'knowledge'));
+
+    const result = await queue.research(harvester, knowledgeManager, { limit: 5 });
+
+    assert.deepStrictEqual(researched, [
+      'Native mobile offline sync',
+      'Obscure topic nobody documents',
+    ]);
+    assert.strictEqual(result.addressed.length, 1);
+
+    const [entry] = knowledgeManager.getCategory('best-practices', 'knowledge-gaps');
+    assert.deepStrictEqual(result.entries, [entry._metadata.id]);
+    assert.strictEqual(entry._metadata.source, 'https://docs.mendix.com/refguide/offline-first/');
+
+    // Search answers the gap now, and it stays addressed
+    const engine = new SearchEngine();
+    engine.indexKnowledgeBase(knowledgeManager.knowledgeBase);
+    const score = (topic) => engine.search(topic, { recordAnalytics: false })[0]?.score || 0;
+    assert.ok(score('Native mobile offline sync') > 0);
+    await queue.refresh(score);
+    const [addressed] = await queue.list({ status: 'addressed' });
+    assert.strictEqual(addressed.resolution.by, 'harvester');
+    assert.deepStrictEqual(addressed.resolution.entries, result.entries);
+
+    const [open] = await queue.list();
+    assert.strictEqual(open.topic, 'Obscure topic nobody documents');
+    assert.strictEqual(open.research.attempts, 1);
+
+    // Not retried before retryAfterHours
+    await queue.research(harvester, knowledgeManager);
+    assert.strictEqual(researched.length, 2);
+  });
+
+  it('should drop the least requested open gaps once no closed ones are left', async () => {
+    const queue = new KnowledgeGapQueue({
+      filePath: path.join(tempDir, 'trim.json'),
+      maxGaps: 2,
+    });
+    await queue.record('Workflow escalation');
+    await queue.record('workflow escalation');
+    await queue.record('Excel importer templates');
+    const closed = await queue.record('Atlas UI icons');
+    await queue.dismiss(closed.id);
+    await queue.record('Pluggable widget testing');
+
+    const gaps = await queue.list({ status: 'all' });
+    assert.deepStrictEqual(
+      gaps.map((g) => g.topic),
+      ['Workflow escalation', 'Pluggable widget testing']
+    );
+  });
+
+  it('should resolve and dismiss gaps by id prefix', async () => {
+    const queue = queueAt('manual');
+    const gap = await queue.record('Atlas UI icons');
+    const other = await queue.record('Excel importer templates');
+
+    await queue.dismiss(gap.id.slice(0, 8), { note: 'Out of scope' });
+    await queue.resolve(other.id);
+
+    assert.strictEqual((await queue.getStats()).open, 0);
+    const [dismissed] = await queue.list({ status: 'dismissed' });
+    assert.strictEqual(dismissed.resolution.note, 'Out of scope');
+    await assert.rejects(() => queue.resolve('missing'), /not found/);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Test Suite: Knowledge Sync
+ * Two-way sync between the JSON knowledge files and Supabase (in memory)
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import KnowledgeManager from '../src/core/KnowledgeManager.js';
+import KnowledgeSync, { toCloudEntry } from '../src/core/KnowledgeSync.js';
+import { ValidationError } from '../src/utils/validator.js';
+import MemoryKnowledgeStore from './helpers/MemoryKnowledgeStore.js';
+
+const LOCAL_ID = '7b0c1a52-5b7e-4d2a-9a57-0a5d3f1c2e10';
+const CLOUD_ID = 'c3d2a1b0-8f9e-4d6c-b5a4-3e2f1d0c9b8a';
+
+const PRACTICE = {
+  practice: 'Use meaningful, business-oriented entity names',
+  rationale: 'Makes model understandable to non-technical stakeholders',
+};
+
+let tempDir;
+let store;
+let sync;
+
+const knowledgeDir = () => path.join(tempDir, 'knowledge');
+const readFile = () => fs.readJson(path.join(knowledgeDir(), 'best-practices.json'));
+const localEntries = async () => Object.values((await readFile()).categories).flat();
+const newSync = () =>
+  new KnowledgeSync({
+    local: new KnowledgeManager(knowledgeDir()),
+    store,
+    statePath: path.join(tempDir, 'knowledge-sync.json'),
+  });
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-sync-'));
+  await fs.outputJson(path.join(knowledgeDir(), 'best-practices.json'), {
+    topic: 'Best Practices',
+    categories: {
+      domain_modeling: [PRACTICE],
+      microflows: [
+        {
+          title: 'Commit lists after loops',
+          content: 'Commit the list once after the loop.',
+          _metadata: { id: LOCAL_ID, added_at: '2026-01-01T00:00:00.000Z' },
+        },
+      ],
+    },
+  });
+
+  store = new MemoryKnowledgeStore();
+  store.rows.set(CLOUD_ID, {
+    id: CLOUD_ID,
+    title: 'Retry REST calls',
+    content: 'Wrap call REST actions in a retry loop with a backoff.',
+    category: 'integration',
+    source: 'chatgpt',
+    tags: ['rest'],
+  });
+  // Uploaded by migrate-to-supabase.js - never pulled back
+  store.rows.set('migrated', {
+    id: 'migrated',
+    title: 'categories',
+    content: '{}',
+    category: 'best-practices',
+    source: 'json:best-practices',
+  });
+  sync = newSync();
+});
+
+afterEach(async () => {
+  await fs.remove(tempDir);
+});
+
+describe('KnowledgeSync', () => {
+  it('should only report changes in a dry run', async () => {
+    const result = await sync.sync({ dryRun: true });
+
+    assert.strictEqual(result.dryRun, true);
+    assert.deepStrictEqual(
+      result.pulled.map((e) => [e.id, e.fileName, e.category]),
+      [[CLOUD_ID, 'best-practices', 'integration']]
+    );
+    assert.deepStrictEqual(
+      result.pushed.map((e) => e.title),
+      [PRACTICE.practice, 'Commit lists after loops']
+    );
+    assert.strictEqual(store.rows.size, 2);
+    assert.strictEqual((await localEntries()).length, 2);
+    assert.strictEqual(await fs.pathExists(sync.statePath), false);
+  });
+
+  it('should pull cloud entries and push local ones under the same ids', async () => {
+    const result = await sync.sync();
+
+    assert.strictEqual(result.pulled.length, 1);
+    assert.strictEqual(result.pushed.length, 2);
+    assert.deepStrictEqual(result.errors, []);
+
+    const pulled = (await readFile()).categories.integration[0];
+    assert.strictEqual(pulled._metadata.id, CLOUD_ID);
+    assert.strictEqual(pulled.content, 'Wrap call REST actions in a retry loop with a backoff.');
+
+    const pushed = store.rows.get(LOCAL_ID);
+    assert.strictEqual(pushed.title, 'Commit lists after loops');
+    assert.strictEqual(pushed.source, 'json:best-practices');
+
+    // The practice entry got an id to link it by, and was uploaded as its JSON
+    const [practice] = (await readFile()).categories.domain_modeling;
+    assert.ok(practice._metadata.id);
+    assert.strictEqual(
+      store.rows.get(practice._metadata.id).content,
+      toCloudEntry(PRACTICE).content
+    );
+
+    const again = await newSync().sync();
+    assert.deepStrictEqual([again.pulled, again.pushed], [[], []]);
+    assert.strictEqual(again.unchanged, 3);
+  });
+
+  it('should link entries that already match by content_hash', async () => {
+    store.rows.set('uploaded', {
+      id: 'uploaded',
+      title: 'Commit lists after loops',
+      content: 'Commit the list once after the loop.',
+      source: 'json:best-practices',
+    });
+
+    const result = await sync.sync();
+    assert.strictEqual(result.linked, 1);
+    assert.ok(!result.pushed.some((e) => e.id === LOCAL_ID));
+    assert.strictEqual(store.rows.has(LOCAL_ID), false);
+  });
+
+  it('should copy an edit on one side to the other', async () => {
+    await sync.sync();
+    await store.update(CLOUD_ID, { content: 'Retry with exponential backoff.' });
+    await sync.local.update('best-practices', LOCAL_ID, {
+      content: 'Commit once, after the loop.',
+    });
+
+    const result = await newSync().sync();
+
+    assert.deepStrictEqual(
+      result.updated.local.map((e) => e.id),
+      [CLOUD_ID]
+    );
+    assert.deepStrictEqual(
+      result.updated.cloud.map((e) => e.id),
+      [LOCAL_ID]
+    );
+    assert.strictEqual(
+      (await readFile()).categories.integration[0].content,
+      'Retry with exponential backoff.'
+    );
+    assert.strictEqual(store.rows.get(LOCAL_ID).content, 'Commit once, after the loop.');
+
+    const history = await sync.local.revisions.history(CLOUD_ID);
+    assert.deepStrictEqual(
+      history.map((r) => [r.action, r.actor]),
+      [
+        ['add', 'knowledge-sync'],
+        ['update', 'knowledge-sync'],
+      ]
+    );
+  });
+
+  it('should copy edits of structured entries field by field', async () => {
+    await sync.sync();
+    const { id } = (await readFile()).categories.domain_modeling[0]._metadata;
+    const cloudPractice = { ...PRACTICE, rationale: 'NEW cloud rationale' };
+    await store.update(id, { content: toCloudEntry(cloudPractice).content });
+
+    const pulled = await newSync().sync();
+    assert.deepStrictEqual(
+      pulled.updated.local.map((e) => e.id),
+      [id]
+    );
+    const [practice] = (await readFile()).categories.domain_modeling;
+    assert.strictEqual(practice.rationale, 'NEW cloud rationale');
+    assert.strictEqual(practice.content, undefined);
+    assert.strictEqual(practice.title, undefined);
+
+    // A later local edit of the fields is pushed
+    await newSync().local.update('best-practices', id, { rationale: 'Local rationale' });
+    const pushed = await newSync().sync();
+    assert.deepStrictEqual(
+      pushed.updated.cloud.map((e) => e.id),
+      [id]
+    );
+    assert.strictEqual(JSON.parse(store.rows.get(id).content).rationale, 'Local rationale');
+  });
+
+  it('should resolve conflicts by policy', async () => {
+    await sync.sync();
+    await store.update(LOCAL_ID, {
+      content: 'Cloud edit.',
+      updated_at: '2026-03-01T00:00:00.000Z',
+    });
+    await sync.local.update('best-practices', LOCAL_ID, { content: 'Local edit.' });
+
+    const reported = await newSync().sync({ policy: 'report' });
+    assert.deepStrictEqual(
+      reported.conflicts.map((c) => [c.id, c.resolution]),
+      [[LOCAL_ID, 'unresolved']]
+    );
+    assert.strictEqual(store.rows.get(LOCAL_ID).content, 'Cloud edit.');
+
+    // The local edit is newer than the cloud one
+    const newest = await newSync().sync({ policy: 'newest', dryRun: true });
+    assert.strictEqual(newest.conflicts[0].resolution, 'local');
+    assert.deepStrictEqual(
+      newest.updated.cloud.map((e) => e.id),
+      [LOCAL_ID]
+    );
+
+    const cloud = await newSync().sync({ policy: 'cloud' });
+    assert.strictEqual(cloud.conflicts[0].resolution, 'cloud');
+    const local = (await readFile()).categories.microflows[0];
+    assert.strictEqual(local.content, 'Cloud edit.');
+    assert.strictEqual((await newSync().sync()).conflicts.length, 0);
+  });
+
+  it('should not bring back entries deleted on one side', async () => {
+    await sync.sync();
+    await sync.local.delete('best-practices', CLOUD_ID);
+    await store.delete(LOCAL_ID);
+
+    const result = await newSync().sync();
+    assert.deepStrictEqual(
+      result.deleted.local.map((e) => e.id),
+      [CLOUD_ID]
+    );
+    assert.deepStrictEqual(
+      result.deleted.cloud.map((e) => e.id),
+      [LOCAL_ID]
+    );
+    assert.deepStrictEqual([result.pulled, result.pushed], [[], []]);
+    assert.strictEqual((await readFile()).categories.integration.length, 0);
+    assert.strictEqual(store.rows.has(LOCAL_ID), false);
+  });
+
+  it('should reject unknown policies', async () => {
+    await assert.rejects(() => sync.sync({ policy: 'merge' }), ValidationError);
+  });
+});
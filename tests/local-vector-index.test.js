@@ -0,0 +1,93 @@
+/**
+ * Test Suite: Local Vector Index
+ * Tests the file-backed vector backend used when Pinecone is not available
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import LocalVectorIndex from '../src/vector/LocalVectorIndex.js';
+
+describe('LocalVectorIndex', () => {
+  let tempDir;
+  let index;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-vectors-'));
+    index = new LocalVectorIndex({ directory: tempDir });
+    await index.load();
+
+    await index.namespace('default').upsert([
+      { id: 'a', values: [1, 0, 0], metadata: { title: 'Microflows', category: 'studio-pro' } },
+      { id: 'b', values: [0, 1, 0], metadata: { title: 'Entities', category: 'model-sdk' } },
+      { id: 'c', values: [0.9, 0.1, 0], metadata: { title: 'Loops', category: 'studio-pro' } },
+    ]);
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('query()', () => {
+    it('should return nearest vectors sorted by cosine similarity', async () => {
+      const { matches } = await index.namespace('default').query({ vector: [1, 0, 0], topK: 2 });
+
+      assert.deepStrictEqual(
+        matches.map((m) => m.id),
+        ['a', 'c']
+      );
+      assert.ok(matches[0].score > matches[1].score, 'Results should be sorted by score');
+      assert.strictEqual(matches[0].metadata.title, 'Microflows');
+    });
+
+    it('should apply metadata filters', async () => {
+      const { matches } = await index.namespace('default').query({
+        vector: [1, 0, 0],
+        filter: { category: { $eq: 'model-sdk' } },
+      });
+
+      assert.deepStrictEqual(
+        matches.map((m) => m.id),
+        ['b']
+      );
+    });
+
+    it('should return no matches for a different dimension', async () => {
+      const { matches } = await index.namespace('default').query({ vector: [1, 0] });
+      assert.strictEqual(matches.length, 0);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should reload vectors from disk', async () => {
+      const reloaded = new LocalVectorIndex({ directory: tempDir });
+      await reloaded.load();
+
+      const stats = await reloaded.describeIndexStats();
+      assert.strictEqual(stats.totalRecordCount, 3);
+      assert.strictEqual(stats.dimension, 3);
+    });
+
+    it('should reject vectors with a mismatched dimension', async () => {
+      await assert.rejects(
+        () => index.namespace('default').upsert([{ id: 'd', values: [1, 0] }]),
+        /does not match/
+      );
+    });
+  });
+
+  describe('deleteMany() / deleteAll()', () => {
+    it('should remove vectors', async () => {
+      await index.namespace('default').deleteMany(['c']);
+      assert.strictEqual((await index.describeIndexStats()).totalRecordCount, 2);
+
+      await index.namespace('default').deleteAll();
+      const stats = await index.describeIndexStats();
+      assert.strictEqual(stats.totalRecordCount, 0);
+      assert.strictEqual(stats.dimension, null);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Test Suite: Mendix Version
+ * Tests version range normalization and version-aware search filtering
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+
+import SearchEngine from '../src/core/SearchEngine.js';
+import {
+  checkVersion,
+  findVersionRangeInText,
+  getVersionRange,
+} from '../src/utils/MendixVersion.js';
+import HybridSearch from '../src/vector/HybridSearch.js';
+
+describe('MendixVersion', () => {
+  it('should normalize the version formats used in knowledge files', () => {
+    const range = (entry) => {
+      const { min, max } = getVersionRange(entry);
+      return [min, max];
+    };
+
+    assert.deepStrictEqual(range({ mendix_version: '11.x' }), ['11', '11']);
+    assert.deepStrictEqual(range({ version: '11.5.0+' }), ['11.5.0', null]);
+    assert.deepStrictEqual(range({ version: 'mendix-10-11' }), ['10', '11']);
+    assert.deepStrictEqual(range({ mendix_version: '9.24 - 10.6' }), ['9.24', '10.6']);
+    assert.deepStrictEqual(range({ mendix_versions: ['10.24 (LTS)', '11.4.0'] }), [
+      '10.24',
+      null,
+    ]);
+    assert.deepStrictEqual(range({ minVersion: '10.12' }), ['10.12', null]);
+    assert.deepStrictEqual(range({ _metadata: { version: 1, mendix_version: '10.6' } }), [
+      '10.6',
+      null,
+    ]);
+
+    // Revision numbers, package versions and years are not Mendix versions
+    assert.strictEqual(getVersionRange({ version: 1 }), null);
+    assert.strictEqual(getVersionRange({ version: '4.105.0' }), null);
+    assert.strictEqual(getVersionRange({ version: '2025.1' }), null);
+  });
+
+  it('should find version statements in prose', () => {
+    assert.deepStrictEqual(
+      findVersionRangeInText('Introduced in Studio Pro 10.6, deprecated since Mendix 11.2'),
+      { min: '10.6', max: null, deprecated_in: '11.2' }
+    );
+    assert.strictEqual(findVersionRangeInText('Removed in Mendix 11.0').max, '10');
+    const legacy = getVersionRange({ title: 'Old API (deprecated in 10.0)' });
+    assert.strictEqual(legacy.deprecated_in, '10.0');
+    // Content may mention other features' deprecations - only the entry's own summary counts
+    assert.strictEqual(getVersionRange({ content: 'X was deprecated in 9.0, use Y' }), null);
+  });
+
+  it('should check a version against a range', () => {
+    const range = { min: '9.24', max: '10', deprecated_in: '10.6' };
+
+    assert.strictEqual(checkVersion(range, '9.18').applies, false);
+    assert.deepStrictEqual(checkVersion(range, '9.24.5'), {
+      applies: true,
+      deprecated: false,
+      reason: null,
+    });
+    assert.strictEqual(checkVersion(range, '10.24').deprecated, true);
+    assert.match(checkVersion(range, '11.1').reason, /up to Mendix 10/);
+    assert.strictEqual(checkVersion(null, '11').applies, true, 'Unknown ranges apply');
+  });
+});
+
+describe('Version-aware search', () => {
+  // Keyword entries need an id - the engine keys id-less entries by index time
+  const entry = (id, title, content, extra = {}) => ({
+    title,
+    content,
+    ...extra,
+    _metadata: { id },
+  });
+  const knowledgeBase = {
+    'best-practices.json': {
+      categories: {
+        pages: [
+          entry('pv', 'Page variables for widget state', 'Page variables keep widget state', {
+            mendix_version: '10.0+',
+          }),
+          entry('helper', 'Helper entity widget state', 'A helper entity keeps widget state', {
+            mendix_version: '9.x',
+          }),
+          entry('snippet', 'Snippet call widget state', 'Snippet call keeps widget state', {
+            description: 'Deprecated since Mendix 10.4',
+          }),
+          entry('basics', 'Widget state basics', 'Widget state lives on the page'),
+        ],
+      },
+    },
+  };
+
+  const engine = new SearchEngine();
+  engine.indexKnowledgeBase(knowledgeBase);
+  const titles = (results) => results.map((r) => r.entry?.title || r.title);
+
+  it('should leave out advice that does not apply to the version', () => {
+    const on924 = titles(engine.search('widget state', { mendixVersion: '9.24' }));
+    assert.ok(on924.includes('Helper entity widget state'));
+    assert.ok(!on924.includes('Page variables for widget state'));
+
+    const on11 = titles(engine.search('widget state', { mendixVersion: '11.2' }));
+    assert.ok(on11.includes('Page variables for widget state'));
+    assert.ok(!on11.includes('Helper entity widget state'));
+    assert.ok(on11.includes('Widget state basics'), 'Entries without version info stay');
+
+    assert.strictEqual(engine.search('widget state').length, 4);
+  });
+
+  it('should demote and flag deprecated advice', () => {
+    const plain = engine.search('snippet call widget state');
+    const results = engine.search('snippet call widget state', { mendixVersion: '10.6' });
+    const snippet = results.find((r) => r.entry.title === 'Snippet call widget state');
+
+    assert.strictEqual(snippet.deprecated, 'Deprecated since Mendix 10.4');
+    assert.ok(snippet.score < plain.find((r) => r.entry === snippet.entry).score);
+
+    const before = engine.search('snippet call widget state', { mendixVersion: '10.2' });
+    assert.strictEqual(before.find((r) => r.entry === snippet.entry).deprecated, null);
+  });
+
+  it('should filter vector results by their stored range in hybrid search', async () => {
+    const hybrid = new HybridSearch({ vectorStore: { initialized: true } });
+    hybrid.keywordEngine = engine;
+    hybrid.vectorStore.search = async () => [
+      { title: 'Workflow multi user tasks', score: 0.9, versionRange: { min: '10.0' } },
+      // Indexed before ranges were stored - only the raw version string
+      { title: 'Legacy workflow editor', score: 0.8, version: 'mendix-9-9' },
+      { title: 'Workflow basics', score: 0.7, versionRange: null },
+    ];
+
+    const results = await hybrid.search('workflow', { vectorOnly: true, mendixVersion: '10.6' });
+
+    assert.deepStrictEqual(titles(results), ['Workflow multi user tasks', 'Workflow basics']);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Test Suite: Microflow Analyzer
+ * Tests the static-analysis rules run by analyze_project
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { before, describe, it } from 'node:test';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import MicroflowAnalyzer from '../src/analyzers/MicroflowAnalyzer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const KNOWLEDGE = path.join(__dirname, '..', 'knowledge');
+
+const activity = (id, action, extra = {}) => ({
+  $ID: id,
+  $Type: 'Microflows$ActionActivity',
+  action,
+  ...extra,
+});
+const flow = (origin, destination, extra = {}) => ({
+  $Type: 'Microflows$SequenceFlow',
+  origin,
+  destination,
+  ...extra,
+});
+
+// ACT_Order_Process: loop with commit + database retrieve, REST call without handler
+const processOrders = {
+  $Type: 'Microflows$Microflow',
+  name: 'ACT_Order_Process',
+  objectCollection: {
+    objects: [
+      { $ID: 'start', $Type: 'Microflows$StartEvent' },
+      { $ID: 'p1', $Type: 'Microflows$MicroflowParameterObject', name: 'OrderList' },
+      { $ID: 'p2', $Type: 'Microflows$MicroflowParameterObject', name: 'Unused' },
+      {
+        $ID: 'loop',
+        $Type: 'Microflows$LoopedActivity',
+        loopSource: { listVariableName: 'OrderList' },
+        objectCollection: {
+          objects: [
+            activity('retrieve', {
+              $Type: 'Microflows$RetrieveAction',
+              retrieveSource: { $Type: 'Microflows$DatabaseRetrieveSource', xPathConstraint: '' },
+            }),
+            activity('assoc', {
+              $Type: 'Microflows$RetrieveAction',
+              retrieveSource: { $Type: 'Microflows$AssociationRetrieveSource' },
+            }),
+            activity('commit', {
+              $Type: 'Microflows$CommitAction',
+              commitVariableName: 'IteratorOrder',
+            }),
+          ],
+        },
+      },
+      activity('rest', { $Type: 'Microflows$RestCallAction', errorHandlingType: 'Rollback' }),
+      { $ID: 'end', $Type: 'Microflows$EndEvent' },
+    ],
+  },
+  flows: [flow('start', 'loop'), flow('loop', 'rest'), flow('rest', 'end')],
+};
+
+// Decision chain four levels deep, no prefix
+const nestedDecisions = {
+  $Type: 'Microflows$Microflow',
+  name: 'CheckEverything',
+  objectCollection: {
+    objects: [
+      { $ID: 's', $Type: 'Microflows$StartEvent' },
+      { $ID: 'd1', $Type: 'Microflows$ExclusiveSplit' },
+      { $ID: 'd2', $Type: 'Microflows$ExclusiveSplit' },
+      { $ID: 'd3', $Type: 'Microflows$ExclusiveSplit' },
+      { $ID: 'd4', $Type: 'Microflows$ExclusiveSplit' },
+      { $ID: 'e', $Type: 'Microflows$EndEvent' },
+    ],
+  },
+  flows: [flow('s', 'd1'), flow('d1', 'd2'), flow('d2', 'd3'), flow('d3', 'd4'), flow('d4', 'e')],
+};
+
+// Handled REST call - no findings expected
+const handledRest = {
+  $Type: 'Microflows$Microflow',
+  name: 'SUB_Order_Send',
+  objectCollection: {
+    objects: [
+      { $ID: 's', $Type: 'Microflows$StartEvent' },
+      activity('rest', { $Type: 'Microflows$RestCallAction', errorHandlingType: 'Custom' }),
+      { $ID: 'log', $Type: 'Microflows$ActionActivity' },
+      { $ID: 'e', $Type: 'Microflows$EndEvent' },
+    ],
+  },
+  flows: [flow('s', 'rest'), flow('rest', 'e'), flow('rest', 'log', { isErrorHandler: true })],
+};
+
+describe('MicroflowAnalyzer', () => {
+  let analyzer;
+  let result;
+
+  before(async () => {
+    const knowledgeBase = {
+      'best-practices': await fs.readJson(path.join(KNOWLEDGE, 'best-practices.json')),
+      'performance-guide': await fs.readJson(path.join(KNOWLEDGE, 'performance-guide.json')),
+    };
+    analyzer = new MicroflowAnalyzer({ knowledgeBase });
+    result = analyzer.analyzeProject({
+      name: 'Test',
+      modules: [{ name: 'Sales', microflows: [processOrders, nestedDecisions, handledRest] }],
+    });
+  });
+
+  const findingsFor = (rule, microflow) =>
+    result.findings.filter((f) => f.rule === rule && (!microflow || f.microflow === microflow));
+
+  it('should flag commits and database retrieves inside loops', () => {
+    assert.deepStrictEqual(
+      findingsFor('commit-in-loop').map((f) => f.activity.id),
+      ['commit']
+    );
+    assert.deepStrictEqual(
+      findingsFor('retrieve-in-loop').map((f) => f.activity.id),
+      ['retrieve'],
+      'Association retrieves should not be flagged'
+    );
+  });
+
+  it('should flag REST calls without a custom error handler', () => {
+    const findings = findingsFor('rest-without-handler');
+    assert.strictEqual(findings.length, 1);
+    assert.strictEqual(findings[0].microflow, 'ACT_Order_Process');
+  });
+
+  it('should flag unused parameters only', () => {
+    assert.deepStrictEqual(
+      findingsFor('unused-parameter').map((f) => f.activity.id),
+      ['p2']
+    );
+  });
+
+  it('should flag deep nesting and missing prefixes', () => {
+    assert.strictEqual(findingsFor('deep-nesting', 'CheckEverything').length, 1);
+    assert.strictEqual(findingsFor('deep-nesting', 'ACT_Order_Process').length, 0);
+    assert.deepStrictEqual(
+      findingsFor('naming-prefix').map((f) => f.microflow),
+      ['CheckEverything']
+    );
+  });
+
+  it('should link findings to knowledge entries', () => {
+    const [finding] = findingsFor('commit-in-loop');
+    assert.ok(finding.knowledge.length > 0, 'Commit-in-loop should link to knowledge');
+    assert.ok(finding.knowledge.every((link) => link.file && link.path && link.title));
+  });
+
+  it('should summarize findings by severity and rule', () => {
+    assert.strictEqual(result.summary.microflows, 3);
+    assert.strictEqual(result.summary.findings, result.findings.length);
+    assert.strictEqual(result.summary.byRule['commit-in-loop'], 1);
+    assert.strictEqual(result.findings[0].severity, 'high', 'Most severe findings come first');
+  });
+});
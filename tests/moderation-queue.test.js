@@ -0,0 +1,168 @@
+/**
+ * Test Suite: Moderation Queue
+ * Tests provenance and near-duplicates of submissions and the reviewer actions
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import KnowledgeManager from '../src/core/KnowledgeManager.js';
+import ModerationQueue from '../src/core/ModerationQueue.js';
+
+const COMMIT_IN_LOOP = {
+  title: 'Avoid commits inside loops',
+  content:
+    'Committing objects inside a microflow loop sends one database call per iteration. Collect the objects in a list and commit the list once after the loop.',
+  category: 'best-practices',
+  sourceUrl: 'https://docs.mendix.com/refguide/committing-objects/',
+};
+
+const provenance = {
+  caller: { keyId: 'a1b2c3d4e5f6', keyName: 'chatgpt' },
+  via: 'rest',
+  relevance: { score: 24, matchedCategories: ['mendixCore'], matchedTerms: ['microflow'] },
+};
+
+describe('ModerationQueue', () => {
+  let tempDir;
+  let knowledgeManager;
+  let published;
+  let existingId;
+  const queueAt = (name) =>
+    new ModerationQueue({
+      filePath: path.join(tempDir, `${name}.json`),
+      knowledgeManager,
+      onPublished: async () => {
+        published += 1;
+      },
+    });
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-moderation-'));
+    knowledgeManager = new KnowledgeManager(path.join(tempDir, 'knowledge'));
+    await knowledgeManager.load();
+    ({ id: existingId } = await knowledgeManager.add(
+      'best-practices',
+      'microflows',
+      {
+        title: 'Commit lists after loops',
+        content:
+          'Committing objects inside a microflow loop sends a database call per iteration. Commit the list once after the loop.',
+      },
+      'docs.mendix.com'
+    ));
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should keep provenance and near-duplicates of a submission', async () => {
+    const queue = queueAt('submit');
+    assert.strictEqual(queue.enabled, false);
+
+    const first = await queue.submit(COMMIT_IN_LOOP, provenance);
+    assert.strictEqual(first.status, 'pending');
+    assert.strictEqual(first.provenance.caller.keyName, 'chatgpt');
+    assert.strictEqual(first.provenance.sourceUrl, COMMIT_IN_LOOP.sourceUrl);
+    assert.strictEqual(first.provenance.relevance.score, 24);
+    assert.deepStrictEqual(
+      first.duplicates.map((d) => [d.kind, d.id]),
+      [['entry', existingId]]
+    );
+
+    // Pending submissions count as near-duplicates too
+    const second = await queue.submit({ ...COMMIT_IN_LOOP, sourceUrl: null }, provenance);
+    assert.strictEqual(second.duplicates[0].kind, 'submission');
+    assert.strictEqual(second.duplicates[0].id, first.id);
+
+    const unrelated = await queue.submit(
+      {
+        title: 'Pluggable widget packaging',
+        content: 'Run npm run release to build the mpk of a pluggable widget for the marketplace.',
+        category: 'pluggable-widgets',
+      },
+      provenance
+    );
+    assert.deepStrictEqual(unrelated.duplicates, []);
+  });
+
+  it('should publish approved entries only, with the reviewer edits', async () => {
+    const queue = queueAt('approve');
+    published = 0;
+    const submission = await queue.submit(
+      { ...COMMIT_IN_LOOP, title: 'Batch commits', content: `${COMMIT_IN_LOOP.content} Batches.` },
+      provenance
+    );
+    assert.strictEqual(queue.findEntry(submission.id), null);
+
+    const { submission: approved, result } = await queue.approve(submission.id.slice(0, 8), {
+      reviewer: 'maintainer',
+      changes: { title: 'Batch commits after loops' },
+    });
+    assert.strictEqual(approved.status, 'approved');
+    assert.strictEqual(approved.reviewedBy, 'maintainer');
+    assert.strictEqual(approved.knowledgeId, result.id);
+    assert.strictEqual(published, 1);
+
+    const { fileName, entry } = queue.findEntry(result.id);
+    assert.strictEqual(fileName, 'best-practices');
+    assert.strictEqual(entry.title, 'Batch commits after loops');
+    assert.strictEqual(entry._metadata.verified, true);
+
+    await assert.rejects(() => queue.approve(submission.id), {
+      name: 'ValidationError',
+      message: /already approved/,
+    });
+  });
+
+  it('should merge submissions into existing entries and reject others', async () => {
+    const queue = queueAt('review');
+    published = 0;
+    const merge = await queue.submit(COMMIT_IN_LOOP, provenance);
+    const reject = await queue.submit({ ...COMMIT_IN_LOOP, title: 'Spam' }, provenance);
+
+    await assert.rejects(() => queue.merge(merge.id), { name: 'ValidationError' });
+    await assert.rejects(() => queue.merge(merge.id, 'no-such-entry'), /not found/);
+
+    const { submission } = await queue.merge(merge.id, existingId, { note: 'Same advice' });
+    assert.strictEqual(submission.status, 'merged');
+    assert.strictEqual(submission.knowledgeId, existingId);
+    assert.strictEqual(published, 1);
+    const { entry } = queue.findEntry(existingId);
+    assert.ok(entry.content.endsWith(`(${COMMIT_IN_LOOP.sourceUrl})`));
+    assert.strictEqual(entry._metadata.version, 2);
+
+    const rejected = await queue.reject(reject.id, { note: 'Off topic' });
+    assert.strictEqual(rejected.reviewNote, 'Off topic');
+    assert.strictEqual(published, 1);
+
+    assert.deepStrictEqual(await queue.getStats(), {
+      pending: 0,
+      approved: 0,
+      merged: 1,
+      rejected: 1,
+    });
+    assert.deepStrictEqual(await queue.list(), []);
+    assert.strictEqual((await queue.list({ status: 'all' })).length, 2);
+  });
+
+  it('should edit pending entries and validate ids', async () => {
+    const queue = queueAt('edit');
+    const submission = await queue.submit(COMMIT_IN_LOOP, provenance);
+
+    const edited = await queue.edit(submission.id, { category: 'performance-guide', note: 'x' });
+    assert.strictEqual(edited.status, 'pending');
+    assert.strictEqual(edited.entry.category, 'performance-guide');
+    assert.strictEqual(edited.entry.note, undefined);
+    assert.strictEqual(queue.fileFor(edited.entry.category), 'performance-guide');
+    assert.strictEqual(queue.fileFor('sdk-patterns'), 'best-practices');
+
+    await assert.rejects(() => queue.edit(submission.id, { content: '' }), /title and content/);
+    await assert.rejects(() => queue.get('zzzz'), { name: 'ValidationError' });
+    assert.strictEqual((await queue.get(submission.id.slice(0, 6))).id, submission.id);
+  });
+});
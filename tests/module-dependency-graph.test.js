@@ -0,0 +1,130 @@
+/**
+ * Test Suite: Module Dependency Graph
+ * Tests edge extraction, cycle detection, god modules and Mermaid/DOT output
+ */
+
+import assert from 'node:assert';
+import { before, describe, it } from 'node:test';
+
+import ModuleDependencyGraph from '../src/analyzers/ModuleDependencyGraph.js';
+
+const callMicroflow = (name, target) => ({
+  name,
+  objectCollection: {
+    objects: [
+      {
+        $Type: 'Microflows$ActionActivity',
+        action: {
+          $Type: 'Microflows$MicroflowCallAction',
+          microflowCall: { microflow: target },
+        },
+      },
+    ],
+  },
+});
+
+const project = {
+  name: 'Shop',
+  modules: [
+    {
+      name: 'Sales',
+      domainModel: {
+        entities: [{ name: 'Order', generalization: { generalization: 'Core.Auditable' } }],
+        associations: [],
+        crossAssociations: [
+          { name: 'Order_Customer', parent: 'Order', child: 'Customers.Customer' },
+        ],
+      },
+      microflows: [callMicroflow('ACT_Order_Submit', 'Billing.SUB_Invoice_Create')],
+    },
+    {
+      name: 'Billing',
+      domainModel: { entities: [{ name: 'Invoice' }] },
+      // Extracted data keys microflows by name
+      microflows: { SUB_Invoice_Create: callMicroflow('', 'Sales.SUB_Order_Lookup') },
+      pages: [
+        {
+          name: 'Invoice_Overview',
+          widgets: [{ action: { pageSettings: { page: 'Customers.Customer_Edit' } } }],
+        },
+      ],
+    },
+    {
+      name: 'Customers',
+      domainModel: {
+        entities: [
+          {
+            name: 'Customer',
+            generalization: { generalization: 'Core.Auditable' },
+            attributes: [{ name: 'Status', type: { enumeration: 'Core.Status' } }],
+          },
+        ],
+      },
+      microflows: [callMicroflow('SUB_Customer_Lookup', 'System.VerifyPassword')],
+    },
+    { name: 'Core', domainModel: { entities: [{ name: 'Auditable' }] } },
+  ],
+};
+
+describe('ModuleDependencyGraph', () => {
+  let builder;
+  let graph;
+  const edge = (from, to) => graph.edges.find((e) => e.from === from && e.to === to);
+
+  before(() => {
+    builder = new ModuleDependencyGraph({ godModuleFanIn: 2 });
+    graph = builder.build(project);
+  });
+
+  it('should collect cross-module associations, calls and page references', () => {
+    assert.deepStrictEqual(edge('Sales', 'Customers').kinds, { association: 1 });
+    assert.deepStrictEqual(edge('Sales', 'Billing').kinds, { 'microflow-call': 1 });
+    assert.deepStrictEqual(edge('Billing', 'Customers').kinds, { 'page-reference': 1 });
+    assert.deepStrictEqual(edge('Customers', 'Core').kinds, {
+      generalization: 1,
+      enumeration: 1,
+    });
+    assert.ok(
+      graph.edges.every((e) => e.to !== 'System'),
+      'References to modules outside the project are ignored'
+    );
+  });
+
+  it('should detect cycles between modules', () => {
+    assert.deepStrictEqual(graph.cycles, [['Billing', 'Sales', 'Billing']]);
+  });
+
+  it('should report modules with excessive fan-in', () => {
+    assert.deepStrictEqual(
+      graph.godModules.map((m) => [m.name, m.fanIn]),
+      [
+        ['Customers', 2],
+        ['Core', 2],
+      ]
+    );
+    assert.deepStrictEqual(
+      graph.modules.find((m) => m.name === 'Sales').dependsOn.sort(),
+      ['Billing', 'Core', 'Customers']
+    );
+  });
+
+  it('should leave out excluded modules', () => {
+    const filtered = new ModuleDependencyGraph({ exclude: ['Billing'] }).build(project);
+    assert.strictEqual(filtered.summary.modules, 3);
+    assert.strictEqual(filtered.cycles.length, 0);
+    assert.ok(filtered.edges.every((e) => e.from !== 'Billing' && e.to !== 'Billing'));
+  });
+
+  it('should render Mermaid and DOT with cycle edges highlighted', () => {
+    const mermaid = builder.toMermaid(graph);
+    assert.ok(mermaid.startsWith('graph LR'));
+    assert.match(mermaid, /Sales -->\|1\| Billing/);
+    assert.match(mermaid, /class Customers,Core god/);
+    assert.match(mermaid, /linkStyle \d+,\d+ stroke/);
+
+    const dot = builder.toDot(graph);
+    assert.ok(dot.startsWith('digraph "Shop" {'));
+    assert.match(dot, /"Billing" -> "Sales" \[label="1", color="#c0392b"\];/);
+    assert.match(dot, /"Sales" -> "Customers" \[label="1"\];/);
+  });
+});
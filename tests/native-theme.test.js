@@ -0,0 +1,195 @@
+/**
+ * Test Suite: Native Theme Analysis
+ * Tests reading theme/native style files and the native pass of ThemeAnalyzer
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import ThemeAnalyzer from '../src/analyzers/ThemeAnalyzer.js';
+import { parseStyleModule, walkStyles } from '../src/utils/NativeStyles.js';
+
+const CUSTOM_VARIABLES = `import { Platform } from "react-native";
+import adjustFont from "../../themesource/atlas_core/native/core/helpers/_functions/adjustfont";
+
+// Brand Styles
+export const brand = {
+  primary: "#264AE5",
+  primery: "#264AE5",
+  success: "#3CB33D",
+};
+
+export const font = {
+  size: adjustFont(14),
+  family: Platform.select({ ios: "System", android: "normal" }),
+};
+
+export const button = {
+  ...Platform.select({ ios: {}, android: {} }),
+  borderRadius: 4,
+};
+`;
+
+const MAIN = `import { Platform } from "react-native";
+import * as custom from "./custom-variables";
+import { brand, font as f } from "./custom-variables";
+
+export const com_mendix_widget_native_badge_Badge = {
+  container: {
+    backgroundColor: Platform.OS === "ios" ? "#FFFFFF" : brand.primary,
+    padding: 8,
+    borderRadius: custom.button.anything,
+  },
+  caption: {
+    color: custom.brand.danger,
+    fontSize: f.size * 1.2,
+    lineHeight: Platform.select({ ios: 20, android: 22 }),
+  },
+};
+
+export const pageTitle = { color: "rgba(0, 0, 0, 0.8)", flex: 1, margin: 0 };
+`;
+
+describe('NativeStyles', () => {
+  it('should read imports and style declarations', () => {
+    const { imports, declarations } = parseStyleModule(MAIN);
+
+    assert.deepStrictEqual(
+      imports.map(({ source, namespace, named }) => ({ source, namespace, named })),
+      [
+        {
+          source: 'react-native',
+          namespace: null,
+          named: [{ imported: 'Platform', local: 'Platform' }],
+        },
+        { source: './custom-variables', namespace: 'custom', named: [] },
+        {
+          source: './custom-variables',
+          namespace: null,
+          named: [
+            { imported: 'brand', local: 'brand' },
+            { imported: 'font', local: 'f' },
+          ],
+        },
+      ]
+    );
+    assert.deepStrictEqual(
+      declarations.map(({ name, exported, line }) => [name, exported, line]),
+      [
+        ['com_mendix_widget_native_badge_Badge', true, 5],
+        ['pageTitle', true, 18],
+      ]
+    );
+  });
+
+  it('should walk values with their style property', () => {
+    const { declarations } = parseStyleModule(MAIN);
+    const values = [];
+
+    walkStyles(declarations[0].value, (node, { key, path: stylePath }) => {
+      if (['string', 'number', 'reference'].includes(node.type) && key !== null) {
+        values.push(`${stylePath.join('.')}=${node.value ?? node.path}@${node.line}`);
+      }
+    });
+
+    assert.deepStrictEqual(values, [
+      'container.backgroundColor=#FFFFFF@7',
+      'container.backgroundColor=brand.primary@7',
+      'container.padding=8@8',
+      'container.borderRadius=custom.button.anything@9',
+      'caption.color=custom.brand.danger@12',
+      'caption.fontSize=f.size@13',
+      'caption.fontSize=1.2@13',
+      'caption.lineHeight.ios=20@14',
+      'caption.lineHeight.android=22@14',
+    ]);
+    assert.throws(() => parseStyleModule('export const x = { a: 1 '), /end of file/);
+  });
+});
+
+describe('ThemeAnalyzer native theme', () => {
+  let projectDir;
+  let results;
+
+  before(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-native-'));
+    const nativeDir = path.join(projectDir, 'theme/native');
+    await fs.outputFile(path.join(nativeDir, 'custom-variables.js'), CUSTOM_VARIABLES);
+    await fs.outputFile(path.join(nativeDir, 'main.js'), MAIN);
+
+    results = await new ThemeAnalyzer().analyze(projectDir);
+  });
+
+  after(async () => {
+    await fs.remove(projectDir);
+  });
+
+  it('should check variables against custom-variables.js and Atlas', () => {
+    const { native } = results;
+
+    assert.strictEqual(native.present, true);
+    assert.deepStrictEqual(native.files, [
+      'theme/native/custom-variables.js',
+      'theme/native/main.js',
+    ]);
+    assert.deepStrictEqual(native.variables, { defined: 6, references: 4 });
+    // button spreads Platform.select, so any button key may exist
+    assert.deepStrictEqual(native.undefinedVariables, [
+      { file: 'main.js', line: 12, reference: 'custom.brand.danger' },
+    ]);
+    assert.deepStrictEqual(native.unknownVariables, [{ variable: 'brand.primery', line: 7 }]);
+  });
+
+  it('should find hardcoded values and platform-specific overrides', () => {
+    const { native } = results;
+
+    assert.deepStrictEqual(
+      native.hardcodedValues.examples.map(({ line, style, value }) => [line, style, value]),
+      [
+        [7, 'com_mendix_widget_native_badge_Badge.container.backgroundColor', '#FFFFFF'],
+        [8, 'com_mendix_widget_native_badge_Badge.container.padding', 8],
+        [14, 'com_mendix_widget_native_badge_Badge.caption.lineHeight.ios', 20],
+        [14, 'com_mendix_widget_native_badge_Badge.caption.lineHeight.android', 22],
+        [18, 'pageTitle.color', 'rgba(0, 0, 0, 0.8)'],
+      ]
+    );
+    // Platform.select in custom-variables.js is where platform differences belong
+    assert.deepStrictEqual(
+      native.platformOverrides.map(({ file, line, kind }) => [file, line, kind]),
+      [
+        ['main.js', 7, 'Platform.OS'],
+        ['main.js', 14, 'Platform.select'],
+      ]
+    );
+  });
+
+  it('should score through the shared verdicts and recommendations', () => {
+    const verdict = results.verdicts.find((v) => v.check === 'Native Theme');
+    assert.strictEqual(verdict.score, results.native.score);
+    assert.strictEqual(results.native.score, 80);
+
+    const issues = results.recommendations.map((r) => `${r.priority} ${r.issue}`);
+    assert.ok(
+      issues.includes('MEDIUM custom.brand.danger is not defined in custom-variables.js (main.js:12)')
+    );
+    assert.ok(issues.some((issue) => issue.startsWith('LOW custom-variables.js:7 defines brand.')));
+    assert.ok(issues.includes('LOW 2 platform-specific overrides in native styles'));
+    assert.match(results.summary, /native mobile theme \(JS\)/);
+  });
+
+  it('should leave the score alone without a native theme', async () => {
+    const webOnly = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-web-'));
+    try {
+      const web = await new ThemeAnalyzer().analyze(webOnly);
+      assert.strictEqual(web.native.present, false);
+      assert.strictEqual(web.native.score, null);
+      assert.ok(!web.verdicts.some((v) => v.check === 'Native Theme'));
+      assert.ok(web.score > 0);
+    } finally {
+      await fs.remove(webOnly);
+    }
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Test Suite: Project Diff
+ * Tests the semantic model diff and its markdown summary
+ */
+
+import assert from 'node:assert';
+import { before, describe, it } from 'node:test';
+
+import ProjectDiff from '../src/analyzers/ProjectDiff.js';
+
+const attr = (name, type = 'String', extra = {}) => ({
+  name,
+  type: { $Type: `DomainModels$${type}AttributeType`, ...extra },
+});
+
+const base = {
+  name: 'Shop',
+  modules: [
+    {
+      name: 'Sales',
+      domainModel: {
+        entities: [
+          { name: 'Order', attributes: [attr('Number', 'String', { length: 20 }), attr('Note')] },
+          { name: 'Legacy', attributes: [] },
+        ],
+        associations: [
+          { name: 'Order_Customer', parent: 'Order', child: 'Customer', type: 'Reference' },
+        ],
+      },
+      microflows: [{ name: 'ACT_Order_Create' }, { name: 'ACT_Order_Old' }],
+      enumerations: [
+        {
+          name: 'OrderStatus',
+          values: [
+            { name: 'Open', caption: { translations: [{ text: 'Open' }] } },
+            { name: 'Closed', caption: 'Closed' },
+          ],
+        },
+      ],
+    },
+    { name: 'Obsolete', domainModel: { entities: [{ name: 'Thing' }] } },
+  ],
+};
+
+const head = {
+  name: 'Shop',
+  modules: [
+    {
+      name: 'Sales',
+      domainModel: {
+        entities: [
+          {
+            name: 'Order',
+            generalization: { generalization: 'Core.Auditable' },
+            attributes: [attr('Number', 'String', { length: 50 }), attr('Total', 'Decimal')],
+          },
+          { name: 'Invoice', attributes: [attr('Amount', 'Decimal')] },
+        ],
+        associations: [
+          {
+            name: 'Order_Customer',
+            parent: 'Order',
+            child: 'Customer',
+            type: 'ReferenceSet',
+            owner: 'Default',
+          },
+        ],
+      },
+      // Extracted data keys microflows by name
+      microflows: { ACT_Order_Create: {}, ACT_Invoice_Send: {} },
+      enumerations: [
+        {
+          name: 'OrderStatus',
+          values: [
+            { name: 'Open', caption: { translations: [{ text: 'Open order' }] } },
+            { name: 'Cancelled', caption: 'Cancelled' },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+describe('ProjectDiff', () => {
+  let differ;
+  let diff;
+  const find = (type, action, name) =>
+    diff.changes.find((c) => c.type === type && c.action === action && c.name === name);
+
+  before(() => {
+    differ = new ProjectDiff();
+    diff = differ.compare(base, { ...head, revision: 'feature' });
+  });
+
+  it('should report added and removed modules and entities', () => {
+    assert.ok(find('module', 'removed', 'Obsolete'));
+    assert.deepStrictEqual(find('entity', 'added', 'Sales.Invoice').details, [
+      'Amount: Decimal',
+    ]);
+    assert.ok(find('entity', 'removed', 'Sales.Legacy'));
+    assert.deepStrictEqual(find('entity', 'changed', 'Sales.Order').details, [
+      'generalization: none → Core.Auditable',
+    ]);
+  });
+
+  it('should report attribute changes', () => {
+    assert.ok(find('attribute', 'added', 'Sales.Order.Total'));
+    assert.ok(find('attribute', 'removed', 'Sales.Order.Note'));
+    assert.deepStrictEqual(find('attribute', 'changed', 'Sales.Order.Number').details, [
+      'type: String(20) → String(50)',
+    ]);
+  });
+
+  it('should report association changes', () => {
+    assert.deepStrictEqual(find('association', 'changed', 'Sales.Order_Customer').details, [
+      'type: Reference → ReferenceSet',
+      'owner: none → Default',
+    ]);
+  });
+
+  it('should report microflows and enumeration values added and removed', () => {
+    assert.ok(find('microflow', 'added', 'Sales.ACT_Invoice_Send'));
+    assert.ok(find('microflow', 'removed', 'Sales.ACT_Order_Old'));
+    assert.ok(!diff.changes.some((c) => c.name === 'Sales.ACT_Order_Create'));
+
+    assert.ok(find('enumeration-value', 'added', 'Sales.OrderStatus.Cancelled'));
+    assert.ok(find('enumeration-value', 'removed', 'Sales.OrderStatus.Closed'));
+    const caption = find('enumeration-value', 'changed', 'Sales.OrderStatus.Open');
+    assert.deepStrictEqual(caption.details, ['caption: "Open" → "Open order"']);
+  });
+
+  it('should summarize changes and limit to one module', () => {
+    assert.strictEqual(diff.summary.total, diff.changes.length);
+    assert.strictEqual(diff.summary.byType.attribute.added, 1);
+
+    const salesOnly = differ.compare(base, head, { moduleName: 'Sales' });
+    assert.ok(salesOnly.changes.every((c) => c.module === 'Sales'));
+    assert.strictEqual(differ.compare(head, head).changes.length, 0);
+  });
+
+  it('should render a markdown summary grouped by module', () => {
+    const text = differ.toMarkdown(diff);
+
+    assert.match(text, /# 🔀 Model Diff: Shop → Shop@feature/);
+    assert.match(text, /## Obsolete[\s\S]*## Sales/);
+    assert.match(text, /🔴 removed attribute \*\*Sales\.Order\.Note\*\*/);
+    assert.match(text, /check for data loss/);
+    assert.match(differ.toMarkdown(differ.compare(head, head)), /No model changes/);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Test Suite: Project Loader
+ * Tests direct .mpr loading against a generated model database
+ */
+
+import { BSON, Binary } from 'bson';
+import { execFileSync } from 'node:child_process';
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { randomBytes } from 'node:crypto';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+import initSqlJs from 'sql.js';
+
+import ProjectLoader from '../src/core/ProjectLoader.js';
+
+const id = () => randomBytes(16);
+
+/**
+ * Build a minimal MPR v1 file: one module with a domain model,
+ * a microflow inside a folder and an enumeration
+ */
+async function createMprFixture(mprPath) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(
+    'CREATE TABLE Unit (UnitID BLOB, ContainerID BLOB, ContainmentName TEXT, Contents BLOB)'
+  );
+
+  const projectId = id();
+  const moduleId = id();
+  const folderId = id();
+  const customerId = id();
+  const orderId = id();
+  const totalId = id();
+
+  const units = [
+    [projectId, null, '', { $Type: 'Projects$Project' }],
+    [moduleId, projectId, 'Modules', { $Type: 'Projects$ModuleImpl', Name: 'Sales' }],
+    [folderId, moduleId, 'Folders', { $Type: 'Projects$Folder', Name: 'Orders' }],
+    [
+      id(),
+      moduleId,
+      'DomainModel',
+      {
+        $Type: 'DomainModels$DomainModel',
+        Entities: [
+          3,
+          {
+            $ID: new Binary(customerId, 3),
+            $Type: 'DomainModels$EntityImpl',
+            Name: 'Customer',
+            Attributes: [3],
+            Indexes: [3],
+          },
+          {
+            $ID: new Binary(orderId, 3),
+            $Type: 'DomainModels$EntityImpl',
+            Name: 'Order',
+            Attributes: [
+              3,
+              {
+                $ID: new Binary(totalId, 3),
+                $Type: 'DomainModels$Attribute',
+                Name: 'Total',
+                NewType: { $Type: 'DomainModels$DecimalAttributeType' },
+              },
+            ],
+            Indexes: [
+              3,
+              {
+                $Type: 'DomainModels$EntityIndex',
+                Attributes: [
+                  3,
+                  {
+                    $Type: 'DomainModels$IndexedAttribute',
+                    AttributePointer: new Binary(totalId, 3),
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+        Associations: [
+          3,
+          {
+            $Type: 'DomainModels$Association',
+            Name: 'Order_Customer',
+            ParentPointer: new Binary(orderId, 3),
+            ChildPointer: new Binary(customerId, 3),
+            Type: 'Reference',
+          },
+        ],
+      },
+    ],
+    [
+      id(),
+      folderId,
+      'Documents',
+      {
+        $Type: 'Microflows$Microflow',
+        Name: 'ACT_Order_Create',
+        AllowedModuleRoles: [1, 'Sales.User'],
+      },
+    ],
+    [
+      id(),
+      moduleId,
+      'Documents',
+      {
+        $Type: 'Enumerations$Enumeration',
+        Name: 'OrderStatus',
+        Values: [3, { $Type: 'Enumerations$EnumerationValue', Name: 'Open' }],
+      },
+    ],
+  ];
+
+  for (const [unitId, containerId, containment, contents] of units) {
+    db.run('INSERT INTO Unit VALUES (?, ?, ?, ?)', [
+      unitId,
+      containerId,
+      containment,
+      BSON.serialize(contents),
+    ]);
+  }
+
+  await fs.writeFile(mprPath, Buffer.from(db.export()));
+  db.close();
+}
+
+describe('ProjectLoader', () => {
+  let loader;
+  let tempDir;
+  let mprPath;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-mpr-'));
+    mprPath = path.join(tempDir, 'SalesApp.mpr');
+    await createMprFixture(mprPath);
+    loader = new ProjectLoader();
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('loadProject() with .mpr', () => {
+    it('should discover modules from the model database', async () => {
+      const project = await loader.loadProject(mprPath);
+
+      assert.strictEqual(project.type, 'mpr');
+      assert.strictEqual(project.name, 'SalesApp');
+      assert.deepStrictEqual(
+        project.modules.map((m) => m.name),
+        ['Sales']
+      );
+    });
+
+    it('should convert domain model to Model SDK style JSON', () => {
+      const entity = loader.getEntity(mprPath, 'Sales', 'Order');
+
+      assert.strictEqual(entity.attributes[0].name, 'Total');
+      assert.strictEqual(entity.attributes[0].type.$Type, 'DomainModels$DecimalAttributeType');
+      assert.strictEqual(entity.indexes[0].attributes[0].attribute, 'Total');
+    });
+
+    it('should resolve association ends to entity names', () => {
+      const module = loader.getModule(mprPath, 'Sales');
+      const association = module.domainModel.associations[0];
+
+      assert.strictEqual(association.parent, 'Order');
+      assert.strictEqual(association.child, 'Customer');
+    });
+
+    it('should assign documents in folders to their module', () => {
+      const module = loader.getModule(mprPath, 'Sales');
+
+      assert.strictEqual(module.microflows.length, 1);
+      assert.strictEqual(module.microflows[0].name, 'ACT_Order_Create');
+      assert.deepStrictEqual(module.microflows[0].allowedModuleRoles, ['Sales.User']);
+      assert.strictEqual(module.enumerations[0].values[0].name, 'Open');
+    });
+
+    it('should find modules by the path the project was loaded with', async () => {
+      const dotted = `${tempDir}/./SalesApp.mpr`;
+      await loader.loadProject(dotted);
+
+      assert.strictEqual(loader.getModule(dotted, 'Sales').name, 'Sales');
+      assert.strictEqual(loader.getEntity(dotted, 'Sales', 'Order').name, 'Order');
+    });
+
+    it('should reject files that are not Mendix projects', async () => {
+      const bogus = path.join(tempDir, 'Bogus.mpr');
+      const SQL = await initSqlJs();
+      const db = new SQL.Database();
+      db.run('CREATE TABLE Other (x INTEGER)');
+      await fs.writeFile(bogus, Buffer.from(db.export()));
+      db.close();
+
+      await assert.rejects(() => loader.loadProject(bogus), /no Unit table/);
+    });
+  });
+
+  describe('loadRevision()', () => {
+    let repoDir;
+    let extractedDir;
+    const git = (...args) => execFileSync('git', ['-C', repoDir, ...args], { stdio: 'pipe' });
+    const writeDomainModel = (entities) =>
+      fs.outputJson(path.join(extractedDir, 'Sales', 'Sales-DomainModel.json'), { entities });
+
+    before(async () => {
+      repoDir = path.join(tempDir, 'repo');
+      extractedDir = path.join(repoDir, 'model', 'extracted');
+      await fs.ensureDir(repoDir);
+      git('init', '-q');
+      git('config', 'user.email', 'test@example.com');
+      git('config', 'user.name', 'Test');
+
+      await writeDomainModel([{ name: 'Order' }]);
+      git('add', '-A');
+      git('commit', '-qm', 'first');
+      await writeDomainModel([{ name: 'Order' }, { name: 'Invoice' }]);
+      git('commit', '-qam', 'second');
+    });
+
+    it('should load extracted data as it was at a git revision', async () => {
+      const previous = await loader.loadRevision(extractedDir, 'HEAD~1');
+      const current = await loader.loadRevision(extractedDir, 'HEAD');
+
+      assert.strictEqual(previous.revision, 'HEAD~1');
+      assert.strictEqual(previous.name, 'extracted');
+      assert.deepStrictEqual(
+        previous.modules[0].domainModel.entities.map((e) => e.name),
+        ['Order']
+      );
+      assert.strictEqual(current.modules[0].domainModel.entities.length, 2);
+    });
+
+    it('should reject unknown revisions', async () => {
+      await assert.rejects(() => loader.loadRevision(extractedDir, 'nope'), /Unknown git revision/);
+    });
+  });
+});
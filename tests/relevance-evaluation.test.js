@@ -0,0 +1,98 @@
+/**
+ * Test Suite: Relevance Evaluation
+ * Tests the ranking metrics and runs the golden query set against the baseline report
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import KnowledgeManager from '../src/core/KnowledgeManager.js';
+import RelevanceEvaluator, {
+  ndcgAtK,
+  recallAtK,
+  reciprocalRank,
+} from '../src/core/RelevanceEvaluator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RELEVANCE_DIR = path.join(__dirname, '../config/relevance');
+
+describe('Ranking metrics', () => {
+  it('should compute MRR, nDCG@k and recall@k', () => {
+    // Second result is the answer (grade 2), third is useful (grade 1), one relevant entry missing
+    const grades = [0, 2, 1];
+
+    assert.strictEqual(reciprocalRank(grades), 0.5);
+    assert.strictEqual(reciprocalRank([0, 0]), 0);
+    assert.strictEqual(ndcgAtK(grades, [2, 1, 1], 3).toFixed(4), '0.5792');
+    assert.strictEqual(ndcgAtK([2, 1, 1], [1, 2, 1], 3), 1);
+    assert.strictEqual(recallAtK(grades, 3, 3), 2 / 3);
+    assert.strictEqual(recallAtK(grades, 3, 1), 0);
+  });
+
+  it('should validate golden sets', () => {
+    const golden = RelevanceEvaluator.normalizeGoldenSet({
+      queries: [{ query: 'Entity Access', relevant: ['access-rules', { id: 'xpath', grade: 2 }] }],
+    });
+    assert.strictEqual(golden.queries[0].id, 'entity-access');
+    assert.deepStrictEqual(golden.queries[0].relevant[0], { id: 'access-rules', grade: 1 });
+
+    assert.throws(() => RelevanceEvaluator.normalizeGoldenSet({ queries: [] }), /non-empty/);
+    assert.throws(
+      () => RelevanceEvaluator.normalizeGoldenSet({ queries: [{ query: 'x', relevant: [] }] }),
+      /needs relevant entries/
+    );
+  });
+
+  it('should report metrics that dropped beyond the tolerance', () => {
+    const report = (mrr, ndcg) => ({
+      goldenSet: { hash: 'abc' },
+      config: { embeddingProvider: 'local' },
+      modes: {
+        hybrid: { metrics: { mrr, ndcg, recall: 0.5 }, queries: [{ id: 'q', query: 'q', ndcg }] },
+      },
+    });
+
+    const comparison = RelevanceEvaluator.compareReports(report(0.8, 0.7), report(0.795, 0.6));
+
+    assert.strictEqual(comparison.passed, false);
+    assert.deepStrictEqual(
+      comparison.regressions.map((r) => [r.metric, r.delta]),
+      [['ndcg', -0.1]]
+    );
+    assert.strictEqual(comparison.queryRegressions[0].id, 'q');
+    const better = RelevanceEvaluator.compareReports(report(0.8, 0.7), report(0.9, 0.7));
+    assert.strictEqual(better.passed, true);
+    assert.strictEqual(better.improvements[0].metric, 'mrr');
+  });
+});
+
+describe('Golden query set', () => {
+  let search;
+
+  before(async () => {
+    const knowledgeBase = await new KnowledgeManager().load();
+    search = await RelevanceEvaluator.createSearch(knowledgeBase, { embeddingStore: null });
+  });
+
+  after(async () => {
+    await search.cleanup();
+  });
+
+  it('should not regress against the baseline report', async () => {
+    const goldenSet = await RelevanceEvaluator.loadGoldenSet(
+      path.join(RELEVANCE_DIR, 'golden-queries.json')
+    );
+    const baseline = await fs.readJson(path.join(RELEVANCE_DIR, 'baseline.json'));
+
+    const report = await new RelevanceEvaluator({ hybridSearch: search.hybridSearch }).evaluate(
+      goldenSet
+    );
+    const comparison = RelevanceEvaluator.compareReports(baseline, report);
+
+    assert.strictEqual(comparison.goldenSetChanged, false, 'Golden set changed - update baseline');
+    assert.deepStrictEqual(comparison.regressions, [], 'Run npm run eval:search for details');
+  });
+});
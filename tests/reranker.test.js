@@ -0,0 +1,126 @@
+/**
+ * Test Suite: Rerankers
+ * Tests the feature-based reranker and the re-ranking stage of hybrid search
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+
+import HybridSearch from '../src/vector/HybridSearch.js';
+import { createReranker, FeatureReranker } from '../src/vector/Rerankers.js';
+
+describe('FeatureReranker', () => {
+  it('should score the precise answer above a generic overview', async () => {
+    const reranker = new FeatureReranker();
+    const candidates = [
+      {
+        title: 'Microflows overview: activities, loops, error handling and variables',
+        text: 'Everything about microflows',
+        tags: ['microflow'],
+        quality: 0.6,
+        freshness: 0,
+      },
+      {
+        title: 'Error handling in microflows',
+        text: 'Use custom error handlers with rollback',
+        tags: ['error-handling', 'microflow'],
+        quality: 0.8,
+        freshness: 0.1,
+      },
+    ];
+
+    const [overview, precise] = await reranker.score('microflow error handling', candidates);
+
+    assert.ok(precise > overview, `${precise} should beat ${overview}`);
+    assert.deepStrictEqual(Object.keys(candidates[1].features), [
+      'title',
+      'tags',
+      'quality',
+      'freshness',
+    ]);
+  });
+
+  it('should reject unknown reranker names', () => {
+    assert.throws(() => createReranker('nope'), /Unknown reranker "nope"/);
+    assert.strictEqual(createReranker('features').name, 'features');
+  });
+});
+
+describe('Hybrid search re-ranking', () => {
+  const vectorResults = [
+    { id: 'a', title: 'Overview', score: 0.9 },
+    { id: 'b', title: 'Almost', score: 0.8 },
+    { id: 'c', title: 'Precise answer', score: 0.7 },
+  ];
+
+  const hybridWith = (reranker) => {
+    const hybrid = new HybridSearch({ vectorStore: { initialized: true }, reranker });
+    hybrid.vectorStore.search = async () => vectorResults;
+    return hybrid;
+  };
+
+  it('should reorder the top candidates and expose per-stage scores', async () => {
+    const stub = {
+      name: 'stub',
+      score: async (query, candidates) =>
+        candidates.map((c) => (c.title === 'Precise answer' ? 1 : 0.1)),
+    };
+
+    const results = await hybridWith(stub).search('precise', { vectorOnly: true, limit: 2 });
+
+    assert.deepStrictEqual(
+      results.map((r) => r.title),
+      ['Precise answer', 'Overview']
+    );
+    const { stages } = results[0];
+    assert.strictEqual(stages.vector, 0.7);
+    assert.strictEqual(stages.rerank, 1);
+    assert.strictEqual(stages.reranker, 'stub');
+    assert.ok(stages.final > results[1].stages.final);
+  });
+
+  it('should keep the fusion order when the reranker fails or is turned off', async () => {
+    const failing = {
+      name: 'down',
+      score: async () => {
+        throw new Error('connection refused');
+      },
+    };
+    const order = (results) => results.map((r) => r.title);
+
+    const fallback = await hybridWith(failing).search('precise', { vectorOnly: true });
+    assert.deepStrictEqual(order(fallback), ['Overview', 'Almost', 'Precise answer']);
+    assert.strictEqual(fallback[0].stages.rerank, undefined);
+
+    const off = await hybridWith(failing).search('precise', { vectorOnly: true, rerank: false });
+    assert.deepStrictEqual(order(off), ['Overview', 'Almost', 'Precise answer']);
+  });
+
+  it('should rerank keyword candidates beyond the first ten', async () => {
+    const overviews = Array.from({ length: 14 }, (_, i) => ({
+      title: `Microflow overview ${i + 1}`,
+      content: 'Microflow basics for microflow beginners',
+    }));
+    const precise = {
+      title: 'Precise answer',
+      content: 'Commit objects once after the loop in a long running microflow with many steps',
+    };
+    const stub = {
+      name: 'stub',
+      score: async (query, candidates) =>
+        candidates.map((c) => (c.title === 'Precise answer' ? 1 : 0.1)),
+    };
+    const hybrid = new HybridSearch({ vectorStore: { initialized: false }, reranker: stub });
+    hybrid.keywordEngine.indexKnowledgeBase({
+      'microflows.json': { categories: { logic: [...overviews, precise] } },
+    });
+
+    const keywordRank = hybrid.keywordEngine
+      .search('microflow', { maxResults: 20, learn: false })
+      .findIndex((r) => r.entry.title === 'Precise answer');
+    assert.ok(keywordRank >= 10, `keyword rank ${keywordRank + 1} should be beyond 10`);
+
+    const [top] = await hybrid.search('microflow', { keywordOnly: true, limit: 3 });
+    assert.strictEqual(top.title, 'Precise answer');
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Test Suite: Revision Log
+ * Tests revisions recorded by both knowledge managers, diffs and rollback
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import KnowledgeManager from '../src/core/KnowledgeManager.js';
+import RevisionLog from '../src/core/RevisionLog.js';
+import SupabaseKnowledgeManager from '../src/core/SupabaseKnowledgeManager.js';
+import { ValidationError } from '../src/utils/validator.js';
+import MemoryKnowledgeStore from './helpers/MemoryKnowledgeStore.js';
+
+const COMMIT_IN_LOOP = {
+  title: 'Commit lists after loops',
+  content:
+    'Committing objects inside a microflow loop sends a database call per iteration. Commit the list once after the loop.',
+};
+
+describe('RevisionLog', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-revisions-'));
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('with KnowledgeManager', () => {
+    let km;
+    let entryId;
+
+    before(async () => {
+      km = new KnowledgeManager(path.join(tempDir, 'knowledge'));
+      await km.load();
+    });
+
+    it('should record add, update and merge with actor, source and diff', async () => {
+      ({ id: entryId } = await km.add('best-practices', 'microflows', COMMIT_IN_LOOP, 'docs', {
+        addedBy: 'harvester',
+      }));
+      await km.update(
+        'best-practices',
+        entryId,
+        { content: 'Commit the list once, after the loop.' },
+        { updatedBy: 'reviewer' }
+      );
+      // A duplicate of lower quality is dropped, but the merge is still recorded
+      const [existing] = km.getCategory('best-practices', 'microflows');
+      await km._mergeDuplicates('best-practices', 'microflows', existing, { title: 'x' }, 'forum');
+
+      const history = await km.revisions.history(entryId);
+      assert.deepStrictEqual(
+        history.map((r) => [r.revision, r.action, r.actor]),
+        [
+          [1, 'add', 'harvester'],
+          [2, 'update', 'reviewer'],
+          [3, 'merge', 'merge'],
+        ]
+      );
+      assert.strictEqual(history[0].source, 'docs');
+      assert.strictEqual(history[2].source, 'forum');
+      assert.strictEqual(history[0].category, 'microflows');
+      assert.strictEqual(history[0].snapshot._metadata, undefined);
+      assert.match(history[1].diff, /^-content: Committing objects/m);
+      assert.match(history[1].diff, /^\+content: Commit the list once, after the loop\.$/m);
+
+      // The revision log replaces the versions kept in the entry itself
+      const entry = km.getCategory('best-practices', 'microflows')[0];
+      assert.strictEqual(entry._metadata.versions, undefined);
+    });
+
+    it('should diff any two revisions', async () => {
+      const { from, to, diff } = await km.revisions.diff(entryId, 1, 2);
+      assert.strictEqual(from.revision, 1);
+      assert.strictEqual(to.revision, 2);
+      assert.match(diff, /^--- a\/.+\.txt$/m);
+      assert.match(diff, /^\+content: Commit the list once/m);
+
+      await assert.rejects(() => km.revisions.diff(entryId, 1, 99), ValidationError);
+    });
+
+    it('should roll back, delete and restore a deleted entry', async () => {
+      const rolledBack = await km.rollback(entryId, 1, { rolledBackBy: 'reviewer' });
+      assert.strictEqual(rolledBack.restored, 'updated');
+      assert.strictEqual(
+        km.getCategory('best-practices', 'microflows')[0].content,
+        COMMIT_IN_LOOP.content
+      );
+
+      await km.delete('best-practices', entryId, { deletedBy: 'reviewer' });
+      assert.strictEqual(km.getCategory('best-practices', 'microflows').length, 0);
+
+      const restored = await km.rollback(entryId, 2);
+      assert.strictEqual(restored.restored, 'recreated');
+      const [entry] = km.getCategory('best-practices', 'microflows');
+      assert.strictEqual(entry._metadata.id, entryId);
+      assert.strictEqual(entry.content, 'Commit the list once, after the loop.');
+
+      // The delete itself can be rolled back to as well
+      const deleted = await km.rollback(entryId, 5);
+      assert.strictEqual(deleted.restored, 'deleted');
+      await assert.rejects(() => km.rollback(entryId, 5), /already deleted/);
+
+      const history = await km.revisions.history(entryId);
+      assert.deepStrictEqual(
+        history.slice(3).map((r) => [r.action, r.note]),
+        [
+          ['rollback', 'Rolled back to revision 1'],
+          ['delete', null],
+          ['rollback', 'Rolled back to revision 2'],
+          ['rollback', 'Rolled back to revision 5'],
+        ]
+      );
+      assert.strictEqual(history[4].snapshot, null);
+    });
+
+    it('should keep entries from before the revision log restorable', async () => {
+      const dir = path.join(tempDir, 'existing');
+      await fs.outputJson(path.join(dir, 'best-practices.json'), {
+        categories: {
+          microflows: [
+            { title: 'Original title', content: 'Original content', _metadata: { id: 'e1' } },
+            { title: 'Second entry', content: 'Second content', _metadata: { id: 'e2' } },
+          ],
+        },
+      });
+      const existing = new KnowledgeManager(dir);
+      await existing.load();
+
+      await existing.update('best-practices', 'e1', { content: 'Bad harvested content' });
+      await existing.delete('best-practices', 'e2');
+
+      const history = await existing.revisions.history('e1');
+      assert.deepStrictEqual(
+        history.map((r) => r.action),
+        ['baseline', 'update']
+      );
+      assert.strictEqual(history[0].snapshot.content, 'Original content');
+      assert.strictEqual(history[0].category, 'microflows');
+      assert.deepStrictEqual(
+        (await existing.revisions.history('e2')).map((r) => r.action),
+        ['baseline', 'delete']
+      );
+
+      await existing.rollback('e1', 1);
+      await existing.rollback('e2', 1);
+      const entries = existing.getCategory('best-practices', 'microflows');
+      assert.deepStrictEqual(
+        entries.map((e) => e.content),
+        ['Original content', 'Second content']
+      );
+    });
+
+    it('should list recent revisions by actor', async () => {
+      const recent = await km.revisions.recent({ actor: 'reviewer' });
+      assert.deepStrictEqual(recent.map((r) => r.action).sort(), ['delete', 'rollback', 'update']);
+      assert.strictEqual((await km.revisions.recent({ limit: 2 })).length, 2);
+    });
+  });
+
+  describe('with SupabaseKnowledgeManager', () => {
+    let km;
+    let entryId;
+
+    before(async () => {
+      km = new SupabaseKnowledgeManager({
+        store: new MemoryKnowledgeStore(),
+        revisions: new RevisionLog({ filePath: path.join(tempDir, 'supabase-revisions.json') }),
+      });
+      await km.load();
+    });
+
+    it('should record add and update, but not duplicates', async () => {
+      ({ id: entryId } = await km.add('best-practices', 'best-practices', COMMIT_IN_LOOP, 'docs', {
+        learnedFrom: 'harvest',
+      }));
+      await km.add('best-practices', 'best-practices', COMMIT_IN_LOOP, 'docs');
+      await km.update('best-practices', entryId, { title: 'Commit after loops' });
+
+      const history = await km.revisions.history(entryId);
+      assert.deepStrictEqual(
+        history.map((r) => [r.action, r.actor]),
+        [
+          ['add', 'harvest'],
+          ['update', 'system'],
+        ]
+      );
+      assert.strictEqual(history[0].snapshot.category, 'best-practices');
+      assert.match(history[1].diff, /^\+title: Commit after loops$/m);
+    });
+
+    it('should record a baseline of rows from before the revision log', async () => {
+      km.store.rows.set('e1', { id: 'e1', title: 'Original title', content: 'Original content' });
+      await km.update('best-practices', 'e1', { content: 'Bad harvested content' });
+
+      const history = await km.revisions.history('e1');
+      assert.deepStrictEqual(
+        history.map((r) => r.action),
+        ['baseline', 'update']
+      );
+      assert.strictEqual(history[0].snapshot.content, 'Original content');
+
+      await km.rollback('e1', 1);
+      assert.strictEqual(km.store.rows.get('e1').content, 'Original content');
+      await km.delete('best-practices', 'e1');
+    });
+
+    it('should delete and restore an entry with its id', async () => {
+      await km.delete('best-practices', entryId, { deletedBy: 'reviewer' });
+      assert.strictEqual(km.getStats().totalEntries, 0);
+
+      const restored = await km.rollback(entryId, 2, { rolledBackBy: 'reviewer' });
+      assert.strictEqual(restored.restored, 'recreated');
+      const [entry] = km.getCategory('best-practices', 'best-practices');
+      assert.strictEqual(entry._metadata.id, entryId);
+      assert.strictEqual(entry.title, 'Commit after loops');
+
+      const rolledBack = await km.rollback(entryId, 1);
+      assert.strictEqual(rolledBack.restored, 'updated');
+      assert.strictEqual(
+        km.getCategory('best-practices', 'best-practices')[0].title,
+        COMMIT_IN_LOOP.title
+      );
+      assert.deepStrictEqual(
+        (await km.revisions.history(entryId)).map((r) => r.action),
+        ['add', 'update', 'delete', 'rollback', 'rollback']
+      );
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Test Suite: Search Facets
+ * Tests facet values, filters and counts for keyword and hybrid search
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import SearchEngine from '../src/core/SearchEngine.js';
+import SearchFacets from '../src/core/SearchFacets.js';
+import HybridSearch from '../src/vector/HybridSearch.js';
+import VectorStore from '../src/vector/VectorStore.js';
+
+const KNOWLEDGE_BASE = {
+  'model-sdk.json': {
+    categories: {
+      entities: [
+        {
+          title: 'Create entities with the Model SDK',
+          content: 'Use the sdk to create entities and attributes',
+          tags: ['SDK', 'domain model'],
+          url: 'https://docs.mendix.com/apidocs-mxsdk/mxsdk/',
+          mendix_version: '10.6+',
+          _metadata: { id: 'sdk-entities', verified: true, quality_score: 0.92 },
+        },
+        {
+          title: 'Model SDK working copies',
+          content: 'The sdk opens a working copy of the app model',
+          sources: ['https://github.com/mendix/sdk-demo'],
+          _metadata: { id: 'sdk-working-copies', verified: false, quality_score: 0.5 },
+        },
+      ],
+    },
+  },
+  'platform-sdk.json': {
+    categories: {
+      apps: [
+        {
+          title: 'Platform SDK commits',
+          content: 'Commit sdk changes back to Team Server',
+          mendix_version: '9.x',
+          _metadata: { id: 'sdk-commits', verified: 'community', quality_score: 0.8 },
+        },
+      ],
+    },
+  },
+};
+
+describe('SearchFacets', () => {
+  const facets = new SearchFacets({ mendixVersions: ['9', '10', '11'] });
+  const entries = KNOWLEDGE_BASE['model-sdk.json'].categories.entities;
+
+  it('should describe a result by its facet values', () => {
+    const result = { file: 'model-sdk.json', category: 'entities', entry: entries[0] };
+
+    assert.deepStrictEqual(facets.describe(result), {
+      file: ['model-sdk'],
+      category: ['entities'],
+      tags: ['sdk', 'domain model'],
+      source: ['docs.mendix.com'],
+      mendixVersion: ['10', '11'],
+      qualityTier: ['excellent'],
+      verified: ['verified'],
+    });
+    const plain = facets.describe({ entry: { title: 'Plain' } });
+    assert.deepStrictEqual(plain.qualityTier, ['unscored']);
+    assert.deepStrictEqual(facets.describe({ entry: entries[1] }).mendixVersion, ['any']);
+  });
+
+  it('should normalize filters and reject unknown facets', () => {
+    const filters = { file: 'Model-SDK.json', verified: true, mendixVersion: '10.6' };
+    assert.deepStrictEqual(SearchFacets.normalizeFilters(filters), {
+      file: ['model-sdk'],
+      verified: ['verified'],
+      mendixVersion: ['10'],
+    });
+    assert.throws(() => SearchFacets.normalizeFilters({ author: 'me' }), /Unknown facet "author"/);
+  });
+
+  it('should count each facet without its own filter', () => {
+    const results = Object.entries(KNOWLEDGE_BASE).flatMap(([file, data]) =>
+      Object.entries(data.categories).flatMap(([category, list]) =>
+        list.map((entry) => ({ file, category, entry }))
+      )
+    );
+
+    const faceted = facets.apply(results, { file: 'model-sdk', verified: true }, { limit: 5 });
+
+    assert.strictEqual(faceted.total, 1);
+    assert.strictEqual(faceted.results[0].entry._metadata.id, 'sdk-entities');
+    assert.deepStrictEqual(faceted.results[0].facets.file, ['model-sdk']);
+    // The file facet ignores the file filter - platform-sdk is left out by the verified filter
+    assert.deepStrictEqual(faceted.facets.file, [{ value: 'model-sdk', count: 1 }]);
+    assert.deepStrictEqual(faceted.facets.verified, [
+      { value: 'unverified', count: 1 },
+      { value: 'verified', count: 1 },
+    ]);
+
+    // Entries without version info match any version
+    const v11 = facets.apply(results, { mendixVersion: '11' });
+    assert.deepStrictEqual(
+      v11.results.map((r) => r.entry._metadata.id),
+      ['sdk-entities', 'sdk-working-copies']
+    );
+  });
+});
+
+describe('Faceted search', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-facets-'));
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should return facet counts next to keyword results', () => {
+    const engine = new SearchEngine();
+    engine.indexKnowledgeBase(KNOWLEDGE_BASE);
+
+    const all = engine.facetedSearch('sdk', { minScore: 0.1 });
+    assert.strictEqual(all.total, 3);
+    assert.deepStrictEqual(all.facets.file, [
+      { value: 'model-sdk', count: 2 },
+      { value: 'platform-sdk', count: 1 },
+    ]);
+
+    const narrowed = engine.facetedSearch('sdk', {
+      minScore: 0.1,
+      maxResults: 1,
+      filters: { qualityTier: ['excellent', 'good'] },
+    });
+    assert.strictEqual(narrowed.total, 2);
+    assert.strictEqual(narrowed.results.length, 1);
+    assert.throws(() => engine.facetedSearch('sdk', { filters: { nope: 'x' } }), /Unknown facet/);
+  });
+
+  it('should facet hybrid results and fill in the knowledge file', async () => {
+    const hybridSearch = new HybridSearch({
+      vectorStore: new VectorStore({ backend: 'local', localPath: tempDir }),
+    });
+    hybridSearch.keywordEngine.indexKnowledgeBase(KNOWLEDGE_BASE);
+
+    const faceted = await hybridSearch.facetedSearch('sdk', {
+      keywordOnly: true,
+      filters: { file: 'platform-sdk' },
+    });
+    assert.deepStrictEqual(
+      faceted.results.map((r) => [r.title, r.file]),
+      [['Platform SDK commits', 'platform-sdk.json']]
+    );
+
+    // Vector hits only carry a title
+    const [vectorHit] = hybridSearch.withDocuments([{ title: 'Model SDK working copies' }]);
+    assert.strictEqual(vectorHit.file, 'model-sdk.json');
+    assert.strictEqual(vectorHit.entry._metadata.id, 'sdk-working-copies');
+  });
+
+  it('should count hybrid facets over as many matches as keyword search', async () => {
+    const microflows = (file, count) =>
+      Array.from({ length: count }, (_, i) => ({
+        title: `${file} microflow ${i + 1}`,
+        content: `Microflow advice number ${i + 1}`,
+      }));
+    const knowledgeBase = {
+      'microflows.json': { categories: { logic: microflows('Logic', 14) } },
+      'best-practices.json': { categories: { logic: microflows('Practice', 7) } },
+    };
+    const engine = new SearchEngine();
+    engine.indexKnowledgeBase(knowledgeBase);
+    const hybridSearch = new HybridSearch({
+      vectorStore: new VectorStore({ backend: 'local', localPath: tempDir }),
+    });
+    hybridSearch.keywordEngine.indexKnowledgeBase(knowledgeBase);
+
+    const keyword = engine.facetedSearch('microflow', { learn: false });
+    const hybrid = await hybridSearch.facetedSearch('microflow', { keywordOnly: true });
+
+    assert.strictEqual(keyword.total, 21);
+    assert.strictEqual(hybrid.total, keyword.total);
+    assert.deepStrictEqual(hybrid.facets.file, keyword.facets.file);
+  });
+});
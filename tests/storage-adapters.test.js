@@ -0,0 +1,278 @@
+/**
+ * Test Suite: Knowledge Storage Adapters
+ * One conformance suite for the JSON, Supabase and SQLite knowledge managers,
+ * plus what only the SQLite adapter does (seeding, sharing one file, full-text search)
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import KnowledgeManager from '../src/core/KnowledgeManager.js';
+import {
+  ADAPTER_METHODS,
+  assertKnowledgeAdapter,
+  createKnowledgeManager,
+  resolveStorage,
+} from '../src/core/KnowledgeStorage.js';
+import RevisionLog from '../src/core/RevisionLog.js';
+import SearchEngine from '../src/core/SearchEngine.js';
+import SqliteKnowledgeManager from '../src/core/SqliteKnowledgeManager.js';
+import SupabaseKnowledgeManager from '../src/core/SupabaseKnowledgeManager.js';
+import MemoryKnowledgeStore from './helpers/MemoryKnowledgeStore.js';
+
+const COMMIT_IN_LOOP = {
+  title: 'Commit lists after loops',
+  content:
+    'Committing objects inside a microflow loop sends a database call per iteration. Commit the list once after the loop.',
+};
+
+const FILE = 'best-practices';
+const CATEGORY = 'best-practices';
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-storage-'));
+});
+
+after(async () => {
+  await fs.remove(tempDir);
+});
+
+const ADAPTERS = {
+  json: (dir) => new KnowledgeManager(path.join(dir, 'knowledge')),
+  supabase: (dir) =>
+    new SupabaseKnowledgeManager({
+      store: new MemoryKnowledgeStore(),
+      revisions: new RevisionLog({ filePath: path.join(dir, 'revisions.json') }),
+    }),
+  sqlite: (dir) =>
+    new SqliteKnowledgeManager({
+      knowledgeBasePath: path.join(dir, 'knowledge'),
+      filePath: path.join(dir, 'knowledge.sqlite'),
+    }),
+};
+
+for (const [storage, createAdapter] of Object.entries(ADAPTERS)) {
+  describe(`${storage} knowledge adapter`, () => {
+    let km;
+    let entryId;
+    const entries = () => km.getCategory(FILE, CATEGORY);
+
+    before(async () => {
+      const dir = path.join(tempDir, storage);
+      await fs.ensureDir(dir);
+      km = createAdapter(dir);
+      await km.load();
+    });
+
+    it('should implement the adapter contract', () => {
+      assert.doesNotThrow(() => assertKnowledgeAdapter(km));
+      assert.strictEqual(km.storage, storage);
+      assert.strictEqual(km.loaded, true);
+      assert.ok(km.knowledgeFiles.includes(FILE));
+      assert.strictEqual(km.getStats().storage, storage);
+      assert.strictEqual(km.getStats().totalEntries, 0);
+    });
+
+    it('should add an entry to the knowledgeBase view', async () => {
+      const result = await km.add(FILE, CATEGORY, COMMIT_IN_LOOP, 'docs.mendix.com');
+      assert.strictEqual(result.success, true);
+      entryId = result.id;
+
+      assert.strictEqual(entries().length, 1);
+      assert.strictEqual(entries()[0].title, COMMIT_IN_LOOP.title);
+      assert.strictEqual(entries()[0]._metadata.id, entryId);
+      assert.strictEqual(km.knowledgeBase[FILE].categories[CATEGORY][0]._metadata.id, entryId);
+      assert.strictEqual(km.getStats().totalEntries, 1);
+    });
+
+    it('should keep updates across a reload', async () => {
+      await km.update(FILE, entryId, { content: 'Commit the list once, after the loop.' });
+      await km.reload();
+
+      assert.strictEqual(entries()[0].content, 'Commit the list once, after the loop.');
+      assert.strictEqual(entries()[0]._metadata.id, entryId);
+    });
+
+    it('should delete entries and restore them from revisions', async () => {
+      await km.delete(FILE, entryId);
+      await km.reload();
+      assert.strictEqual(km.getStats().totalEntries, 0);
+
+      const history = await km.revisions.history(entryId);
+      assert.deepStrictEqual(
+        history.map((r) => r.action),
+        ['add', 'update', 'delete']
+      );
+
+      await km.rollback(entryId, 1);
+      await km.reload();
+      assert.strictEqual(entries()[0].content, COMMIT_IN_LOOP.content);
+      assert.strictEqual(entries()[0]._metadata.id, entryId);
+    });
+
+    it('should report validation and staleness', () => {
+      assert.strictEqual(typeof km.validateKnowledgeBase().valid, 'boolean');
+      assert.strictEqual(typeof km.quickValidate().valid, 'boolean');
+      assert.strictEqual(typeof km.getStaleEntries(90).count, 'number');
+    });
+
+    it('should search entries when it has native search', async (t) => {
+      if (typeof km.search !== 'function') return t.skip('no native search');
+
+      const [hit] = await km.search('microflow loop', 5);
+      assert.strictEqual(hit.id, entryId);
+      assert.strictEqual(hit.title, COMMIT_IN_LOOP.title);
+      assert.strictEqual(typeof hit.rank, 'number');
+    });
+  });
+}
+
+describe('KnowledgeStorage', () => {
+  it('should select adapters by knowledge.storage', () => {
+    assert.strictEqual(resolveStorage('sqlite'), 'sqlite');
+    assert.strictEqual(resolveStorage('json'), 'json');
+    assert.throws(() => resolveStorage('mongo'), /Unknown knowledge storage "mongo"/);
+
+    const km = createKnowledgeManager({
+      storage: 'sqlite',
+      filePath: path.join(tempDir, 'factory.sqlite'),
+    });
+    assert.ok(km instanceof SqliteKnowledgeManager);
+  });
+
+  it('should name what an adapter misses', () => {
+    assert.ok(ADAPTER_METHODS.includes('rollback'));
+    assert.throws(
+      () => assertKnowledgeAdapter({ storage: 'partial', load() {}, knowledgeBase: {} }),
+      /partial does not implement: reload, add, .*knowledgeFiles, revisions/
+    );
+  });
+});
+
+describe('SqliteKnowledgeManager', () => {
+  let dir;
+
+  before(async () => {
+    dir = path.join(tempDir, 'sqlite-seed');
+    await fs.outputJson(path.join(dir, 'knowledge', 'troubleshooting.json'), {
+      topic: 'Troubleshooting',
+      last_updated: '2026-01-01',
+      categories: {
+        performance: [
+          { title: 'Slow pages', content: 'Retrieve less data in data grids.' },
+          {
+            title: 'Indexes on filtered attributes',
+            content: 'Add an index for attributes in XPath constraints of slow pages.',
+          },
+        ],
+        empty: [],
+      },
+      emergency_procedures: { restart: 'Restart the runtime from the cloud portal.' },
+    });
+  });
+
+  it('should seed an empty database from the JSON files', async () => {
+    const km = new SqliteKnowledgeManager({
+      knowledgeBasePath: path.join(dir, 'knowledge'),
+      filePath: path.join(dir, 'knowledge.sqlite'),
+    });
+    await km.load();
+
+    const file = km.getFile('troubleshooting');
+    assert.strictEqual(file.topic, 'Troubleshooting');
+    assert.deepStrictEqual(Object.keys(file.categories), ['performance', 'empty']);
+    assert.strictEqual(
+      file.emergency_procedures.restart,
+      'Restart the runtime from the cloud portal.'
+    );
+    assert.deepStrictEqual(
+      file.categories.performance.map((e) => e.title),
+      ['Slow pages', 'Indexes on filtered attributes']
+    );
+    assert.ok(file.categories.performance.every((e) => e._metadata.id));
+  });
+
+  it('should keep its own data once seeded', async () => {
+    await fs.remove(path.join(dir, 'knowledge'));
+    const km = new SqliteKnowledgeManager({
+      knowledgeBasePath: path.join(dir, 'knowledge'),
+      filePath: path.join(dir, 'knowledge.sqlite'),
+    });
+    await km.load();
+
+    assert.strictEqual(km.getCategory('troubleshooting', 'performance').length, 2);
+  });
+
+  it('should rank title matches first and match word stems', async () => {
+    const km = new SqliteKnowledgeManager({ filePath: path.join(dir, 'knowledge.sqlite') });
+    await km.load();
+
+    const results = await km.search('index slow');
+    assert.deepStrictEqual(
+      results.map((r) => r.title),
+      ['Indexes on filtered attributes', 'Slow pages']
+    );
+    assert.strictEqual(results[0].fileName, 'troubleshooting');
+    assert.strictEqual(results[0].category, 'performance');
+    assert.deepStrictEqual(await km.search('"; DROP TABLE knowledge; --'), []);
+  });
+
+  it('should add its full-text matches to keyword search', async () => {
+    const km = new SqliteKnowledgeManager({ filePath: path.join(dir, 'knowledge.sqlite') });
+    await km.load();
+
+    const engine = new SearchEngine({ fullText: km.fullTextSearch.bind(km) });
+    engine.indexKnowledgeBase(km.knowledgeBase);
+    const options = { fuzzy: false, recordAnalytics: false };
+
+    // Only the porter stemmer maps "retrieving" to "Retrieve"
+    assert.deepStrictEqual(
+      engine.search('retrieving', options).map((r) => r.entry.title),
+      ['Slow pages']
+    );
+    engine.fullText = null;
+    assert.deepStrictEqual(engine.search('retrieving', options), []);
+  });
+
+  it('should keep the changes of every process sharing the file', async () => {
+    const options = {
+      knowledgeBasePath: path.join(dir, 'shared-knowledge'),
+      filePath: path.join(dir, 'shared.sqlite'),
+    };
+    const first = new SqliteKnowledgeManager(options);
+    const second = new SqliteKnowledgeManager(options);
+    await first.load();
+    await second.load();
+
+    // Neither reloads, so each writes from a knowledgeBase without the other's changes
+    const kept = await first.add(FILE, CATEGORY, COMMIT_IN_LOOP, 'docs.mendix.com');
+    const removed = await second.add(
+      FILE,
+      CATEGORY,
+      { title: 'Avoid nested loops', content: 'Retrieve once and use a map instead.' },
+      'docs.mendix.com'
+    );
+    await second.add(
+      'troubleshooting',
+      'performance',
+      { title: 'Slow pages', content: 'Retrieve less data in data grids.' },
+      'docs.mendix.com'
+    );
+    await first.update(FILE, kept.id, { content: 'Commit the list once, after the loop.' });
+    await second.delete(FILE, removed.id);
+
+    const reader = new SqliteKnowledgeManager(options);
+    await reader.load();
+    assert.deepStrictEqual(
+      reader.getCategory(FILE, CATEGORY).map((e) => [e._metadata.id, e.content]),
+      [[kept.id, 'Commit the list once, after the loop.']]
+    );
+    assert.strictEqual(reader.getCategory('troubleshooting', 'performance').length, 1);
+    assert.strictEqual(await fs.pathExists(`${options.filePath}.lock`), false);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Test Suite: Theme Accessibility
+ * Tests the contrast math, SCSS color resolution and the WCAG audit in ThemeAnalyzer
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import ThemeAnalyzer from '../src/analyzers/ThemeAnalyzer.js';
+import {
+  adjustForContrast,
+  contrastRatio,
+  parseColor,
+  toHex,
+} from '../src/utils/ColorContrast.js';
+import { resolveColor } from '../src/utils/ScssVariables.js';
+
+describe('Contrast math', () => {
+  it('should compute WCAG contrast ratios', () => {
+    const white = parseColor('white');
+
+    assert.strictEqual(contrastRatio(parseColor('#000'), white), 21);
+    assert.strictEqual(contrastRatio(white, white), 1);
+    // #777 on white is the classic near miss: 4.48:1
+    assert.strictEqual(Math.round(contrastRatio(parseColor('#777777'), white) * 100), 448);
+    // Translucent text is blended over its background first
+    assert.strictEqual(
+      contrastRatio(parseColor('rgba(0, 0, 0, 0.5)'), white),
+      contrastRatio({ r: 127.5, g: 127.5, b: 127.5, a: 1 }, white)
+    );
+  });
+
+  it('should suggest the closest color that reaches a ratio', () => {
+    const white = parseColor('#ffffff');
+    const text = adjustForContrast(parseColor('#777777'), white, 4.5);
+
+    assert.ok(text.ratio >= 4.5);
+    // One percent lightness steps: #777777 -> #747474
+    assert.strictEqual(toHex(text.color), '#747474');
+    // Nothing but black gets close to 21:1 on white
+    assert.strictEqual(adjustForContrast(parseColor('#777777'), white, 22), null);
+  });
+
+  it('should resolve aliases and Atlas color functions', () => {
+    const variables = {
+      'brand-primary': '#264ae5',
+      lighter: 'mix($brand-primary, white, 20%)',
+      hover: 'darken($brand-primary, 10%)',
+      loop: '$loop',
+    };
+    const used = new Set();
+
+    assert.strictEqual(toHex(resolveColor('$lighter', (n) => variables[n], used)), '#d4dbfa');
+    assert.deepStrictEqual([...used], ['lighter', 'brand-primary']);
+    assert.strictEqual(toHex(resolveColor('$hover', (n) => variables[n])), '#1737c1');
+    assert.strictEqual(resolveColor('$loop', (n) => variables[n]), null);
+    assert.strictEqual(resolveColor('$missing', () => undefined), null);
+  });
+});
+
+describe('ThemeAnalyzer accessibility', () => {
+  let projectDir;
+  let results;
+
+  before(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-contrast-'));
+    await fs.outputFile(
+      path.join(projectDir, 'theme/web/custom-variables.scss'),
+      [
+        '$brand-primary: #264ae5;',
+        '$brand-warning: #ffd54f;',
+        '$font-color-detail: #999;',
+        '$label-info-bg: $undefined-gray;',
+        '',
+      ].join('\n')
+    );
+
+    results = await new ThemeAnalyzer().analyze(projectDir);
+  });
+
+  after(async () => {
+    await fs.remove(projectDir);
+  });
+
+  it('should flag AA failures of theme colors with a suggested color', () => {
+    const { accessibility } = results;
+    const warning = accessibility.pairs.find((pair) => pair.element === 'Warning button');
+
+    assert.deepStrictEqual(warning.foreground, {
+      variable: '$btn-warning-color',
+      color: '#ffffff',
+    });
+    assert.strictEqual(warning.aa, false);
+    assert.ok(warning.ratio < 3);
+    assert.ok(warning.suggestions.AA.ratio >= 4.5);
+
+    const detail = accessibility.pairs.find((pair) => pair.element === 'Detail text');
+    assert.strictEqual(detail.aa, false);
+    assert.strictEqual(detail.suggestions.AA.variable, '$font-color-detail');
+
+    const issue = accessibility.issues.find((i) => i.message.startsWith('Warning button'));
+    assert.strictEqual(issue.severity, 'important');
+    assert.match(issue.message, /fails WCAG AA \(4\.5:1\)/);
+    assert.match(issue.fix, /^Set \$btn-warning-color: #[0-9a-f]{6} \(\d+\.\d+:1\)$/);
+  });
+
+  it('should only report pairs the theme does not touch', () => {
+    const { accessibility } = results;
+
+    // Success colors all come from Atlas defaults
+    const success = accessibility.pairs.find((pair) => pair.element === 'Success button');
+    assert.strictEqual(success.themed, false);
+    assert.ok(!accessibility.issues.some((i) => i.message.startsWith('Success')));
+
+    assert.deepStrictEqual(accessibility.unresolved, [
+      {
+        element: 'Info label',
+        reason: '$label-info-bg: $undefined-gray is not a resolvable color',
+      },
+    ]);
+  });
+
+  it('should add a verdict, recommendations and a score', () => {
+    const verdict = results.verdicts.find((v) => v.check === 'Accessibility Contrast');
+    assert.strictEqual(verdict.status, 'FAIL');
+    assert.match(verdict.detail, /Detail text/);
+
+    assert.ok(results.recommendations.some((r) => r.issue.startsWith('Warning button')));
+    assert.ok(results.accessibility.score < 100);
+    assert.match(results.summary, /Contrast pairs failing WCAG AA: [1-9]/);
+  });
+});
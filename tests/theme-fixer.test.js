@@ -0,0 +1,141 @@
+/**
+ * Test Suite: Theme Fixer
+ * Tests the planned theme fixes, their unified diff and applying a previewed patch
+ */
+
+import fs from 'fs-extra';
+import assert from 'node:assert';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import ThemeFixer from '../src/analyzers/ThemeFixer.js';
+import { createPatch } from '../src/utils/UnifiedDiff.js';
+
+const VARIABLES = `$brand-primary: #264AE5;
+$brand-success: #3cb33d;
+$brand-info: #0086d9;
+$brand-default: #0086d9;
+`;
+
+const BUTTONS = `// Primary is #264ae5
+.btn {
+    color: #264ae5;
+    border: 1px solid #3CB33D !important; // var
+    background: #0086d9;
+    &:hover { color: #fff !important; }
+}
+.card { margin: 0 !important; }
+`;
+
+describe('UnifiedDiff', () => {
+  it('should create hunks with context and mark a missing final newline', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+    const after = before.replace('b', 'B').replace('j', 'J');
+
+    assert.strictEqual(
+      createPatch('x.scss', `${before}\n`, `${after}\n`, { context: 1 }),
+      [
+        '--- a/x.scss',
+        '+++ b/x.scss',
+        '@@ -1,3 +1,3 @@',
+        ' a',
+        '-b',
+        '+B',
+        ' c',
+        '@@ -9,2 +9,2 @@',
+        ' i',
+        '-j',
+        '+J',
+        '',
+      ].join('\n')
+    );
+    assert.strictEqual(
+      createPatch('x.scss', 'a', 'a\n'),
+      '--- a/x.scss\n+++ b/x.scss\n@@ -1,1 +1,1 @@\n-a\n\\ No newline at end of file\n+a\n'
+    );
+    assert.strictEqual(createPatch('x.scss', 'same', 'same'), '');
+  });
+});
+
+describe('ThemeFixer', () => {
+  let projectDir;
+  const fixer = new ThemeFixer();
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mendix-theme-'));
+    await fs.outputFile(path.join(projectDir, 'theme/web/custom-variables.scss'), VARIABLES);
+    await fs.outputFile(path.join(projectDir, 'theme/web/main.scss'), "@import 'buttons';\n");
+    await fs.outputFile(path.join(projectDir, 'theme/web/_buttons.scss'), BUTTONS);
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectDir);
+  });
+
+  it('should plan fixes as a patch without writing anything', async () => {
+    const plan = await fixer.plan(path.join(projectDir, 'App.mpr'));
+
+    assert.deepStrictEqual(
+      plan.fixes.map((fix) => [fix.type, fix.file]),
+      [
+        ['brand-colors', 'theme/web/_buttons.scss'],
+        ['missing-files', 'theme/web/settings.json'],
+        ['exclusions', 'theme/web/_buttons.scss'],
+        ['exclusions', 'theme/web/exclusion-variables.scss'],
+      ]
+    );
+    assert.match(plan.fixes[0].description, /#264ae5 with \$brand-primary/);
+    assert.match(plan.id, /^[0-9a-f]{12}$/);
+
+    const buttons = plan.changes.find((change) => change.file === 'theme/web/_buttons.scss');
+    // Shared brand values, "// var" escapes, comments and non-Atlas rules stay as they are
+    assert.strictEqual(
+      buttons.after,
+      BUTTONS.replace('color: #264ae5', 'color: $brand-primary')
+        .replace(' !important; // var', '; // var')
+        .replace('#fff !important', '#fff')
+    );
+    assert.match(plan.patch, /^--- \/dev\/null\n\+\+\+ b\/theme\/web\/exclusion-variables\.scss$/m);
+    assert.match(plan.patch, /^\+\$exclude-button: true;$/m);
+    assert.match(plan.patch, /^\+\+\+ b\/theme\/web\/settings\.json$/m);
+
+    const webDir = path.join(projectDir, 'theme/web');
+    assert.strictEqual(await fs.pathExists(path.join(webDir, 'settings.json')), false);
+    assert.strictEqual(await fs.readFile(path.join(webDir, '_buttons.scss'), 'utf-8'), BUTTONS);
+  });
+
+  it('should limit fixes by type and enable existing exclusion variables', async () => {
+    await fs.outputFile(
+      path.join(projectDir, 'theme/web/exclusion-variables.scss'),
+      '$exclude-badge: false;\n$exclude-button: false;\n'
+    );
+
+    const plan = await fixer.plan(projectDir, { types: ['exclusions'] });
+
+    assert.ok(plan.fixes.every((fix) => fix.type === 'exclusions'));
+    const [exclusions] = plan.changes.filter((change) => change.file.includes('exclusion'));
+    assert.strictEqual(exclusions.after, '$exclude-badge: false;\n$exclude-button: true;\n');
+    await assert.rejects(fixer.plan(projectDir, { types: ['nesting'] }), /Unknown fix type/);
+  });
+
+  it('should only apply the previewed patch', async () => {
+    const preview = await fixer.plan(projectDir);
+
+    await assert.rejects(fixer.apply(projectDir), /Preview the fixes first/);
+
+    const applied = await fixer.apply(projectDir, { id: preview.id });
+    assert.deepStrictEqual(applied.applied, preview.changes.map((change) => change.file));
+    const settings = await fs.readJson(path.join(projectDir, 'theme/web/settings.json'));
+    assert.deepStrictEqual(settings.cssFiles, ['theme.compiled.css']);
+
+    // Nothing left to do, and a stale id is refused
+    const after = await fixer.plan(projectDir);
+    assert.strictEqual(after.patch, '');
+    await assert.rejects(fixer.apply(projectDir, { id: preview.id }), /already applied/);
+
+    const buttons = path.join(projectDir, 'theme/web/_buttons.scss');
+    await fs.appendFile(buttons, '.btn { top: 0 !important; }\n');
+    await assert.rejects(fixer.apply(projectDir, { id: preview.id }), /changed since patch/);
+  });
+});